@@ -3,6 +3,7 @@ import DashboardPage from './components/DashboardPage';
 import SetupPage from './components/SetupPage';
 import HistoryPage from './components/HistoryPage';
 import GuidePage from './components/GuidePage';
+import { getTeamRoster } from './api/team';
 
 
 function App() {
@@ -14,7 +15,7 @@ function App() {
   }, []);
   const [config, setConfig] = useState({
     dateRange: initialDates,
-    teamMembers: []
+    teamMembers: getTeamRoster()
   });
   // Deprecated: autoGenerate (kept for compatibility earlier)
 
@@ -51,12 +52,10 @@ function App() {
       {currentPage === 'history' && (
         <HistoryPage 
           onNavigate={handleNavigate}
-          onLoadRetro={(key) => {
-            const list = JSON.parse(localStorage.getItem('retronet_retros') || '[]');
-            const match = list.find((r) => r.key === key);
-            if (match) {
-              localStorage.setItem('retronet_board', JSON.stringify(match.board));
-              setConfig(prev => ({ ...prev, dateRange: match.dateRange }));
+          onLoadRetro={(retro) => {
+            localStorage.setItem('retronet_current_id', retro.id);
+            if (retro.dateRange) {
+              setConfig(prev => ({ ...prev, dateRange: retro.dateRange }));
             }
             setCurrentPage('dashboard');
           }}
@@ -0,0 +1,21 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/chat-exports';
+
+export const listChatExports = async () => {
+  const { data } = await axios.get(API_URL);
+  return data.exports || [];
+};
+
+// The archive is sent as-is; the server works out whether it's a Slack, Discord or Teams export
+export const uploadChatExport = async (file) => {
+  const { data } = await axios.post(API_URL, file, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    params: { filename: file.name, name: file.name }
+  });
+  return data;
+};
+
+export const deleteChatExport = async (id) => {
+  await axios.delete(`${API_URL}/${encodeURIComponent(id)}`);
+};
@@ -0,0 +1,35 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/github';
+const SELECTED_REPOS_KEY = 'retronet.githubRepos';
+
+export const listGithubRepos = async () => {
+  const { data } = await axios.get(`${API_URL}/repos`);
+  return {
+    repositories: data.repositories || [],
+    configured: data.configured || [],
+    rejected: data.rejected || []
+  };
+};
+
+// Repositories picked in setup; an empty list means "use the server's GITHUB_REPOS"
+export const getSelectedRepos = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SELECTED_REPOS_KEY) || '[]');
+    return Array.isArray(raw) ? raw.filter(r => typeof r === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+export const setSelectedRepos = (repos) => {
+  try {
+    if (repos.length > 0) {
+      localStorage.setItem(SELECTED_REPOS_KEY, JSON.stringify(repos));
+    } else {
+      localStorage.removeItem(SELECTED_REPOS_KEY);
+    }
+  } catch {
+    // Ignore localStorage access issues
+  }
+};
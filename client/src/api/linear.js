@@ -0,0 +1,8 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/linear';
+
+export const listCycles = async () => {
+  const { data } = await axios.get(`${API_URL}/cycles`);
+  return data.cycles || [];
+};
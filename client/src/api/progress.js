@@ -0,0 +1,39 @@
+const API_URL = 'http://localhost:3001/api/progress';
+
+const PROGRESS_EVENTS = ['initialized', 'step_started', 'step_progress', 'step_completed', 'step_failed', 'completed', 'failed'];
+// Reconnect attempts in a row, without the stream opening, before giving up
+const MAX_RECONNECTS = 5;
+
+// Follows a generation over Server-Sent Events. EventSource reconnects by itself
+// and sends Last-Event-ID, so the server replays only the events that were missed.
+// The stream ends with `result` for background generations; `onError` is called
+// instead when the stream closes for good (a non-200 response) or the server stays
+// unreachable. Returns a function that closes it.
+export const streamProgress = (sessionId, { onProgress, onChunk, onResult, onNotFound, onError } = {}) => {
+  const source = new EventSource(`${API_URL}/${encodeURIComponent(sessionId)}/stream`);
+  const data = (event) => JSON.parse(event.data);
+  let reconnects = 0;
+
+  source.addEventListener('open', () => { reconnects = 0; });
+  source.addEventListener('error', () => {
+    reconnects += 1;
+    if (source.readyState !== EventSource.CLOSED && reconnects <= MAX_RECONNECTS) return;
+    source.close();
+    onError?.(new Error('Lost the connection to the server while following the generation'));
+  });
+
+  PROGRESS_EVENTS.forEach(type => {
+    source.addEventListener(type, (event) => onProgress?.(type, data(event)));
+  });
+  source.addEventListener('chunk_summary', (event) => onChunk?.(data(event)));
+  source.addEventListener('result', (event) => {
+    source.close();
+    onResult?.(data(event));
+  });
+  source.addEventListener('not_found', () => {
+    source.close();
+    onNotFound?.();
+  });
+
+  return () => source.close();
+};
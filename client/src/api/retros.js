@@ -0,0 +1,62 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/retros';
+const IMPORTED_FLAG = 'retronet_retros_imported';
+
+let importPromise = null;
+
+// The board that was open in an older version, unless it is already among its
+// saved retros (saving wrote both keys). Boards never saved lived only there.
+const legacyOpenBoard = (retros) => {
+  const board = JSON.parse(localStorage.getItem('retronet_board') || 'null');
+  if (!board || typeof board !== 'object') return null;
+  const id = localStorage.getItem('retronet_current_id') || `r-${Date.now()}`;
+  if (retros.some(r => (r?.id || r?.key) === id)) return null;
+  localStorage.setItem('retronet_current_id', id);
+  return { id, title: localStorage.getItem('retronet_title') || 'Retro', board };
+};
+
+// One-time upload of retros saved by older versions in localStorage
+export const importLocalRetros = () => {
+  if (importPromise) return importPromise;
+  importPromise = (async () => {
+    try {
+      if (localStorage.getItem(IMPORTED_FLAG) === 'true') return;
+      const raw = JSON.parse(localStorage.getItem('retronet_retros') || '[]');
+      const retros = Array.isArray(raw) ? raw : [];
+      const openBoard = legacyOpenBoard(retros);
+      if (openBoard) retros.push(openBoard);
+      if (retros.length > 0) {
+        await axios.post(`${API_URL}/import`, { retros });
+      }
+      localStorage.setItem(IMPORTED_FLAG, 'true');
+      localStorage.removeItem('retronet_retros');
+      localStorage.removeItem('retronet_board');
+    } catch (err) {
+      // Leave localStorage untouched so the import is retried next time
+      console.error('Failed to import local retros', err);
+      importPromise = null;
+    }
+  })();
+  return importPromise;
+};
+
+export const listRetros = async () => {
+  await importLocalRetros();
+  const { data } = await axios.get(API_URL);
+  return data.retros || [];
+};
+
+export const getRetro = async (id) => {
+  const { data } = await axios.get(`${API_URL}/${encodeURIComponent(id)}`);
+  return data;
+};
+
+export const saveRetro = async ({ id, title, dateRange, board }) => {
+  const { data } = await axios.put(`${API_URL}/${encodeURIComponent(id)}`, { title, dateRange, board });
+  return data;
+};
+
+export const deleteRetro = async (id) => {
+  await axios.delete(`${API_URL}/${encodeURIComponent(id)}`);
+};
@@ -0,0 +1,34 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/slack';
+const SELECTED_CHANNELS_KEY = 'retronet.slackChannels';
+
+export const listSlackChannels = async () => {
+  const { data } = await axios.get(`${API_URL}/channels`);
+  return {
+    channels: data.channels || [],
+    configured: data.configured || []
+  };
+};
+
+// Channel IDs picked in setup; an empty list means "use the server's SLACK_CHANNELS"
+export const getSelectedChannels = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SELECTED_CHANNELS_KEY) || '[]');
+    return Array.isArray(raw) ? raw.filter(c => typeof c === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+export const setSelectedChannels = (channels) => {
+  try {
+    if (channels.length > 0) {
+      localStorage.setItem(SELECTED_CHANNELS_KEY, JSON.stringify(channels));
+    } else {
+      localStorage.removeItem(SELECTED_CHANNELS_KEY);
+    }
+  } catch {
+    // Ignore localStorage access issues
+  }
+};
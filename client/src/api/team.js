@@ -0,0 +1,45 @@
+const TEAM_ROSTER_KEY = 'retronet.teamRoster';
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(v => (typeof v === 'string' ? v.trim() : ''))
+  .filter(Boolean);
+
+// Normalize a roster entry to { name, emails, github, slack }, or null if it names nobody
+export const normalizeMember = (member) => {
+  const entry = {
+    name: (member?.name || '').trim(),
+    emails: toList(member?.emails),
+    github: toList(member?.github).map(login => login.replace(/^@/, '')),
+    slack: toList(member?.slack)
+  };
+  return entry.name || entry.emails.length || entry.github.length || entry.slack.length ? entry : null;
+};
+
+// Teammates the retro is about; an empty roster means "everyone"
+export const getTeamRoster = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(TEAM_ROSTER_KEY) || '[]');
+    return Array.isArray(raw) ? raw.map(normalizeMember).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const setTeamRoster = (roster) => {
+  try {
+    const cleaned = roster.map(normalizeMember).filter(Boolean);
+    if (cleaned.length > 0) {
+      localStorage.setItem(TEAM_ROSTER_KEY, JSON.stringify(cleaned));
+    } else {
+      localStorage.removeItem(TEAM_ROSTER_KEY);
+    }
+  } catch {
+    // Ignore localStorage access issues
+  }
+};
+
+export const memberLabel = (member) => (
+  typeof member === 'string'
+    ? member
+    : member?.name || member?.emails?.[0] || member?.github?.[0] || member?.slack?.[0] || ''
+);
@@ -0,0 +1,21 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/uploads';
+
+export const listUploads = async () => {
+  const { data } = await axios.get(API_URL);
+  return data.uploads || [];
+};
+
+// Sent as-is; the server tells GitHub, issue and Slack data apart and validates it
+export const uploadData = async (file) => {
+  const { data } = await axios.post(API_URL, file, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    params: { filename: file.name, name: file.name }
+  });
+  return data;
+};
+
+export const deleteUpload = async (id) => {
+  await axios.delete(`${API_URL}/${encodeURIComponent(id)}`);
+};
@@ -41,10 +41,17 @@ function Sidebar({ onNavigate }) {
       const { integrations } = data;
       
       const missing = [];
+      // Either issue tracker will do
+      if (!integrations.LINEAR_API_KEY && !(integrations.JIRA_BASE_URL && integrations.JIRA_API_TOKEN) && !integrations.UPLOADED_ISSUES) {
+        missing.push('LINEAR_API_KEY, JIRA_API_TOKEN or uploaded issues');
+      }
+      if (!integrations.GITHUB_TOKEN && !integrations.GITLAB_TOKEN && !integrations.UPLOADED_GITHUB) {
+        missing.push('GITHUB_TOKEN, GITLAB_TOKEN or uploaded GitHub activity');
+      }
+      if (!integrations.SLACK_BOT_TOKEN && !integrations.CHAT_EXPORTS && !integrations.UPLOADED_SLACK) {
+        missing.push('SLACK_BOT_TOKEN or an uploaded chat export');
+      }
       const required = [
-        { key: 'LINEAR_API_KEY', label: 'Linear' },
-        { key: 'GITHUB_TOKEN', label: 'GitHub' },
-        { key: 'SLACK_BOT_TOKEN', label: 'Slack' },
         { key: 'OPENAI_API_KEY', label: 'OpenAI' }
       ];
       
@@ -2,9 +2,28 @@ import { useEffect, useRef, useState } from 'react';
 import { LayoutGrid, Sparkles, Settings, BarChart, Edit2, Trash2, Save, Clock } from 'lucide-react';
 import AppLayout from './AppLayout';
 import DateRangePicker from './DateRangePicker';
+import { listRetros, getRetro, saveRetro as saveRetroToServer } from '../api/retros';
+import { getSelectedRepos } from '../api/github';
+import { getSelectedChannels } from '../api/slack';
+import { listCycles } from '../api/linear';
+import { streamProgress } from '../api/progress';
  
 import axios from 'axios';
 
+// Which analysis produced a generated card
+const PROVENANCE_LABELS = { rules: 'Rules', ai: 'AI', merged: 'Rules + AI' };
+
+const SECTIONS = ['wentWell', 'didntGoWell', 'actionItems'];
+
+// Findings from each analyzed time period, shown until the final insights arrive
+const NO_PROVISIONAL = { wentWell: [], didntGoWell: [], actionItems: [] };
+
+const ANALYSIS_MODES = [
+  { id: 'hybrid', label: 'Rules + AI' },
+  { id: 'llm', label: 'AI only' },
+  { id: 'rules', label: 'Rules only' }
+];
+
 function DraggableCard({ item, onEdit, onDelete }) {
   const [isEditing, setIsEditing] = useState(false);
   const [value, setValue] = useState(item.text);
@@ -19,7 +38,7 @@ function DraggableCard({ item, onEdit, onDelete }) {
 
   return (
     <div
-      className={`relative overflow-hidden bg-gray-50 dark:bg-gray-800 border ${item.isSample ? 'border-dashed' : 'border-solid'} border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm text-gray-800 dark:text-gray-200 group`}
+      className={`relative overflow-hidden bg-gray-50 dark:bg-gray-800 border ${item.isSample || item.provisional ? 'border-dashed' : 'border-solid'} border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm text-gray-800 dark:text-gray-200 group ${item.provisional ? 'opacity-60' : ''}`}
     >
       {isEditing ? (
         <input
@@ -43,6 +62,13 @@ function DraggableCard({ item, onEdit, onDelete }) {
             {item.isSample && (
               <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300">Sample</span>
             )}
+            {PROVENANCE_LABELS[item.provenance] && (
+              <span className="text-[10px] px-1.5 py-0.5 rounded-full border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-400 whitespace-nowrap">{PROVENANCE_LABELS[item.provenance]}</span>
+            )}
+            {item.provisional ? (
+              <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 whitespace-nowrap" title={item.timeRange}>Provisional</span>
+            ) : (
+            <>
             <button
               onClick={() => onDelete(item.id)}
               className="opacity-0 group-hover:opacity-100 transition-opacity text-gray-400 dark:text-gray-500 hover:text-red-600 dark:hover:text-red-400"
@@ -57,6 +83,8 @@ function DraggableCard({ item, onEdit, onDelete }) {
             >
               <Edit2 className="w-3.5 h-3.5" />
             </button>
+            </>
+            )}
           </div>
         </div>
       )}
@@ -121,10 +149,23 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
   const [title, setTitle] = useState('');
   const [currentId, setCurrentId] = useState('');
   const [saveStatus, setSaveStatus] = useState('');
+  const [retros, setRetros] = useState([]);
+  const [cycles, setCycles] = useState([]);
+  const [cycleId, setCycleId] = useState('');
   const [progressPct, setProgressPct] = useState(0);
   const [progressText, setProgressText] = useState('');
   const [etaMs, setEtaMs] = useState(null);
-  const pollRef = useRef(null);
+  const [analysisMode, setAnalysisMode] = useState(() => {
+    try {
+      const saved = localStorage.getItem('retronet.analysisMode');
+      return ANALYSIS_MODES.some(mode => mode.id === saved) ? saved : 'hybrid';
+    } catch {
+      return 'hybrid';
+    }
+  });
+  const [chunkSummary, setChunkSummary] = useState('');
+  const [provisional, setProvisional] = useState(NO_PROVISIONAL);
+  const streamRef = useRef(null);
 
   const placeholders = {
     wentWell: [
@@ -143,27 +184,53 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
   };
 
   useEffect(() => {
-    // hydrate from localStorage
-    const saved = localStorage.getItem('retronet_board');
+    // Cycles are optional: without Linear configured the picker just stays hidden
+    listCycles().then(setCycles).catch(() => setCycles([]));
+  }, []);
+
+  const cycleLabel = (cycle) => cycle.name ? `Cycle ${cycle.number}: ${cycle.name}` : `Cycle ${cycle.number}`;
+
+  const selectCycle = (id) => {
+    setCycleId(id);
+    const cycle = cycles.find(c => c.id === id);
+    if (!cycle) return;
+    onChangeDateRange?.({ start: cycle.startsAt.slice(0, 10), end: cycle.endsAt.slice(0, 10) });
+    if (!title || title === 'Retro') setTitle(`${cycleLabel(cycle)} retro`);
+  };
+
+  const refreshRetros = async () => {
+    try {
+      setRetros(await listRetros());
+    } catch (err) {
+      console.error('Failed to load saved retros', err);
+    }
+  };
+
+  useEffect(() => {
+    // hydrate the current retro from the server
     const savedTime = localStorage.getItem('retronet_last_generated');
-    const savedTitle = localStorage.getItem('retronet_title');
     const savedId = localStorage.getItem('retronet_current_id');
-    if (saved) {
+    const placeholderBoard = {
+      wentWell: toItems(placeholders.wentWell, true),
+      didntGoWell: toItems(placeholders.didntGoWell, true),
+      actionItems: toItems(placeholders.actionItems, true)
+    };
+    if (savedTime) setLastGeneratedAt(savedTime);
+    if (savedId) setCurrentId(savedId);
+    refreshRetros().then(async () => {
+      if (!savedId) {
+        setBoard(placeholderBoard);
+        return;
+      }
       try {
-        setBoard(JSON.parse(saved));
+        const retro = await getRetro(savedId);
+        setBoard(retro.board);
+        setTitle(retro.title || 'Retro');
       } catch (err) {
-        console.error('Failed to parse saved board', err);
+        if (err.response?.status !== 404) console.error('Failed to load saved retro', err);
+        setBoard(placeholderBoard);
       }
-    } else {
-      setBoard({
-        wentWell: toItems(placeholders.wentWell, true),
-        didntGoWell: toItems(placeholders.didntGoWell, true),
-        actionItems: toItems(placeholders.actionItems, true)
-      });
-    }
-    if (savedTime) setLastGeneratedAt(savedTime);
-    if (savedTitle) setTitle(savedTitle);
-    if (savedId) setCurrentId(savedId);
+    });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -176,7 +243,7 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
 
   // Removed autosave of retros list; replaced with explicit Save action
 
-  const persistRetroToLocalStorage = (boardToPersist, options = { showStatus: true }) => {
+  const persistRetro = async (boardToPersist, options = { showStatus: true }) => {
     try {
       if (options.showStatus) setSaveStatus('saving');
       let id = currentId;
@@ -186,21 +253,16 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
         localStorage.setItem('retronet_current_id', id);
       }
       const start = dateRange?.start; const end = dateRange?.end;
-      const retrosRaw = JSON.parse(localStorage.getItem('retronet_retros') || '[]');
-      const retros = Array.isArray(retrosRaw) ? retrosRaw.map(r => (r.id ? r : { id: r.key || `legacy-${Date.now()}`, ...r })) : [];
-      const updated = { id, dateRange: { start, end }, title: title || 'Retro', board: boardToPersist, savedAt: new Date().toISOString() };
-      const next = retros.filter(r => (r.id || r.key) !== id);
-      next.unshift(updated);
-      localStorage.setItem('retronet_retros', JSON.stringify(next));
-      localStorage.setItem('retronet_board', JSON.stringify(boardToPersist));
-      localStorage.setItem('retronet_title', title || '');
+      await saveRetroToServer({ id, dateRange: { start, end }, title: title || 'Retro', board: boardToPersist });
+      await refreshRetros();
       if (options.showStatus) { setSaveStatus('saved'); setTimeout(() => setSaveStatus(''), 1200); }
-    } catch {
+    } catch (err) {
+      console.error('Failed to save retro', err);
       if (options.showStatus) setSaveStatus('');
     }
   };
 
-  const saveRetro = () => { persistRetroToLocalStorage(board, { showStatus: true }); };
+  const saveRetro = () => { persistRetro(board, { showStatus: true }); };
 
   const friendlyStepLabel = (stepIndex) => {
     switch (stepIndex) {
@@ -213,30 +275,54 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
     }
   };
 
-  const startProgressPolling = (sid) => {
-    clearInterval(pollRef.current);
-    pollRef.current = setInterval(async () => {
-      try {
-        const res = await fetch(`http://localhost:3001/api/progress/${sid}`);
-        if (!res.ok) return;
-        const data = await res.json();
-        const pct = data?.progress?.percentage ?? 0;
-        setProgressPct(pct);
-        const currentIndex = data?.currentStep?.index ?? 0;
-        setProgressText(`${friendlyStepLabel(currentIndex)} (${data?.progress?.completedSteps || 0}/${data?.progress?.totalSteps || 0})`);
-        setEtaMs(data?.progress?.estimatedTimeRemaining ?? null);
-        if (data?.completed) {
-          clearInterval(pollRef.current);
-        }
-      } catch {
-        // ignore poll errors
-      }
-    }, 750);
+  const showProgress = (progress) => {
+    if (!progress) return;
+    setProgressPct(progress.percentage ?? 0);
+    setProgressText(`${friendlyStepLabel(progress.currentStep ?? 0)} (${progress.completedSteps || 0}/${progress.totalSteps || 0})`);
+    setEtaMs(progress.estimatedTimeRemaining ?? null);
   };
 
-  const stopProgressPolling = () => {
-    clearInterval(pollRef.current);
-    pollRef.current = null;
+  // Follow a background generation until its result arrives over the progress stream
+  const followGeneration = (sid) => new Promise((resolve) => {
+    streamRef.current?.();
+    const finish = () => {
+      localStorage.removeItem('retronet_active_session');
+      streamRef.current = null;
+      resolve();
+    };
+    streamRef.current = streamProgress(sid, {
+      onProgress: (type, data) => showProgress(data.progress),
+      onChunk: (data) => {
+        showProgress(data.progress);
+        setChunkSummary(data.summary || '');
+        setProvisional(prev => Object.fromEntries(SECTIONS.map(section => [
+          section,
+          [...prev[section], ...(data.insights?.[section] || []).map((i, idx) => ({
+            id: `provisional-${data.chunkIndex}-${section}-${idx}`,
+            text: `${i.title}. ${i.details || ''}`,
+            provisional: true,
+            provenance: i.provenance,
+            timeRange: i.timeRange
+          }))]
+        ])));
+      },
+      onResult: ({ status, retroData, error }) => {
+        if (status === 'completed') applyRetroData(retroData);
+        // A cancelled generation needs no alert
+        if (status === 'failed') alert(error || 'Generation failed');
+        finish();
+      },
+      onNotFound: finish,
+      onError: (error) => {
+        alert(error.message);
+        finish();
+      }
+    });
+  });
+
+  const stopFollowing = () => {
+    streamRef.current?.();
+    streamRef.current = null;
   };
 
   const formatEta = (ms) => {
@@ -248,16 +334,20 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
   };
 
   const applyRetroData = (data) => {
-    // Combine title and details into full text for display
-    const aiWW = (data.wentWell || []).map(i => `${i.title}. ${i.details || ''}`);
-    const aiDW = (data.didntGoWell || []).map(i => `${i.title}. ${i.details || ''}`);
-    const aiAI = (data.actionItems || []).map(i => `${i.title}. ${i.details || ''}`);
+    // Combine title and details into full text for display, keeping each card's provenance
+    const generated = (insights) => (insights || []).map((i, idx) => ({
+      id: `${Date.now()}-${Math.random()}-${idx}`,
+      text: `${i.title}. ${i.details || ''}`,
+      isSample: false,
+      source: 'ai',
+      provenance: i.provenance
+    }));
     let nextBoardLocal = null;
     setBoard(prev => {
       const computed = {
-        wentWell: [...prev.wentWell.filter(i => i.source === 'user' || !i.source && !i.isSample), ...toItems(aiWW).map(x => ({ ...x, source: 'ai' }))],
-        didntGoWell: [...prev.didntGoWell.filter(i => i.source === 'user' || !i.source && !i.isSample), ...toItems(aiDW).map(x => ({ ...x, source: 'ai' }))],
-        actionItems: [...prev.actionItems.filter(i => i.source === 'user' || !i.source && !i.isSample), ...toItems(aiAI).map(x => ({ ...x, source: 'ai' }))]
+        wentWell: [...prev.wentWell.filter(i => i.source === 'user' || !i.source && !i.isSample), ...generated(data.wentWell)],
+        didntGoWell: [...prev.didntGoWell.filter(i => i.source === 'user' || !i.source && !i.isSample), ...generated(data.didntGoWell)],
+        actionItems: [...prev.actionItems.filter(i => i.source === 'user' || !i.source && !i.isSample), ...generated(data.actionItems)]
       };
       nextBoardLocal = computed;
       return computed;
@@ -265,28 +355,18 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
     const ts = new Date().toISOString();
     setLastGeneratedAt(ts);
     localStorage.setItem('retronet_last_generated', ts);
-    if (nextBoardLocal) { persistRetroToLocalStorage(nextBoardLocal, { showStatus: false }); }
+    if (nextBoardLocal) { persistRetro(nextBoardLocal, { showStatus: false }); }
   };
 
-  const pollForResult = async (sid) => {
-    let done = false;
-    while (!done) {
-      await new Promise(r => setTimeout(r, 1200));
-      const res = await fetch(`http://localhost:3001/api/generate-retro/result/${sid}`);
-      if (res.status === 200) {
-        const data = await res.json();
-        localStorage.removeItem('retronet_active_session');
-        applyRetroData(data);
-        done = true;
-        break;
-      }
-      if (res.status === 500) {
-        const { error } = await res.json().catch(() => ({ error: 'Generation failed' }));
-        alert(error || 'Generation failed');
-        localStorage.removeItem('retronet_active_session');
-        break;
-      }
-      // 202 pending or 404 not yet available -> continue
+  const cancelGeneration = async () => {
+    const sid = localStorage.getItem('retronet_active_session');
+    if (!sid) return;
+    setProgressText('Cancelling…');
+    try {
+      await axios.delete(`http://localhost:3001/api/generate-retro/${sid}`);
+    } catch (e) {
+      // Already finished; followGeneration receives the result over the event stream
+      console.warn('Failed to cancel generation:', e.response?.data?.error || e.message);
     }
   };
 
@@ -319,15 +399,16 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
       setProgressPct(0);
       setProgressText('Resuming…');
       setEtaMs(null);
-      startProgressPolling(active);
-      pollForResult(active).finally(() => {
-        stopProgressPolling();
+      followGeneration(active).finally(() => {
         setIsGenerating(false);
         setProgressPct(0);
         setProgressText('');
         setEtaMs(null);
+        setChunkSummary('');
+        setProvisional(NO_PROVISIONAL);
       });
     }
+    return stopFollowing;
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -347,7 +428,6 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
     try {
       const sid = (window.crypto?.randomUUID && window.crypto.randomUUID()) || `sess_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
       localStorage.setItem('retronet_active_session', sid);
-      startProgressPolling(sid);
 
       // Read demo toggle from localStorage
       let useDemo = true;
@@ -366,17 +446,24 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
         teamMembers: teamMembers || [],
         sessionId: sid,
         useDemo,
-        demoVariant
+        demoVariant,
+        analysisMode,
+        repositories: getSelectedRepos(),
+        channels: getSelectedChannels(),
+        cycleId: cycleId || undefined
       });
-      await pollForResult(sid);
+      await followGeneration(sid);
     } catch (e) {
+      localStorage.removeItem('retronet_active_session');
       alert(e.response?.data?.error || 'Failed to generate retro');
     } finally {
-      stopProgressPolling();
+      stopFollowing();
       setIsGenerating(false);
       setProgressPct(0);
       setProgressText('');
       setEtaMs(null);
+      setChunkSummary('');
+      setProvisional(NO_PROVISIONAL);
     }
   };
 
@@ -386,32 +473,29 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
       headerTitle={title} 
       onChangeTitle={setTitle}
       headerPrefix={(() => {
-        const retros = JSON.parse(localStorage.getItem('retronet_retros') || '[]');
-        const ids = retros.map(r => r.id || r.key);
+        const ids = retros.map(r => r.id);
         const idx = ids.indexOf(currentId);
         if (idx === -1) return `#${retros.length + 1}`;
         return `#${retros.length - idx}`;
       })()}
       titleDropdownOptions={(() => {
-        const retros = JSON.parse(localStorage.getItem('retronet_retros') || '[]');
         const total = retros.length;
         return retros.map((r, i) => ({
-          key: r.id || r.key,
-          label: `#${total - i} ${r.title || r.rangeLabel}`
+          key: r.id,
+          label: `#${total - i} ${r.title}`
         }));
       })()}
       onSelectTitleOption={(key) => {
-        const retros = JSON.parse(localStorage.getItem('retronet_retros') || '[]');
-        const match = retros.find(r => (r.id || r.key) === key);
+        const match = retros.find(r => r.id === key);
         if (!match) return;
-        localStorage.setItem('retronet_board', JSON.stringify(match.board));
         setBoard(match.board);
         setLastGeneratedAt(match.savedAt);
         setTitle(match.title || 'Retro');
-        setCurrentId(match.id || key);
-        localStorage.setItem('retronet_current_id', match.id || key);
+        setCurrentId(match.id);
+        localStorage.setItem('retronet_current_id', match.id);
+        setCycleId('');
         // also update the date range so filters make sense
-        onChangeDateRange?.({ start: match.dateRange.start, end: match.dateRange.end });
+        if (match.dateRange) onChangeDateRange?.({ start: match.dateRange.start, end: match.dateRange.end });
       }}
       selectedTitleKey={currentId}
       onNewRetro={() => {
@@ -426,13 +510,6 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
         });
         setLastGeneratedAt(null);
         setTitle('Retro');
-        // Clear ephemeral hydration values
-        localStorage.setItem('retronet_board', JSON.stringify({
-          wentWell: toItems(placeholders.wentWell, true),
-          didntGoWell: toItems(placeholders.didntGoWell, true),
-          actionItems: toItems(placeholders.actionItems, true)
-        }));
-        localStorage.setItem('retronet_title', 'Retro');
         localStorage.removeItem('retronet_last_generated');
       }}
     >
@@ -442,9 +519,46 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
           <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">Date Range</label>
           <DateRangePicker
             value={dateRange}
-            onChange={(dr) => onChangeDateRange?.(dr)}
+            onChange={(dr) => {
+              setCycleId('');
+              onChangeDateRange?.(dr);
+            }}
           />
         </div>
+        {cycles.length > 0 && (
+          <div>
+            <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">Linear Cycle</label>
+            <select
+              value={cycleId}
+              onChange={(e) => selectCycle(e.target.value)}
+              className="px-2 py-1 border border-gray-200 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+            >
+              <option value="">Custom date range</option>
+              {cycles.map(cycle => (
+                <option key={cycle.id} value={cycle.id}>
+                  Retro for {cycleLabel(cycle)}{cycle.team?.key ? ` (${cycle.team.key})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">Analysis</label>
+          <select
+            value={analysisMode}
+            onChange={(e) => {
+              setAnalysisMode(e.target.value);
+              try { localStorage.setItem('retronet.analysisMode', e.target.value); } catch {
+                // Ignore localStorage access issues
+              }
+            }}
+            className="px-2 py-1 border border-gray-200 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            {ANALYSIS_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+        </div>
         <div className="flex-1" />
         <div className="text-xs text-gray-500 dark:text-gray-400 mr-3">
           {lastGeneratedAt && <>Last generated {new Date(lastGeneratedAt).toLocaleString()} • </>}
@@ -477,11 +591,19 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
           <div className="mt-3">
             <div className="flex items-center justify-between mb-1">
               <p className="text-xs text-gray-600 dark:text-gray-400">{progressText}</p>
-              {etaMs != null && (
-                <span className="flex items-center gap-1 text-[11px] text-gray-500 dark:text-gray-400">
-                  <Clock className="w-3 h-3" /> ETA {formatEta(etaMs)}
-                </span>
-              )}
+              <div className="flex items-center gap-3">
+                {etaMs != null && (
+                  <span className="flex items-center gap-1 text-[11px] text-gray-500 dark:text-gray-400">
+                    <Clock className="w-3 h-3" /> ETA {formatEta(etaMs)}
+                  </span>
+                )}
+                <button
+                  onClick={cancelGeneration}
+                  className="text-[11px] text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 underline"
+                >
+                  Cancel
+                </button>
+              </div>
             </div>
             <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5 overflow-hidden">
               <div
@@ -489,13 +611,16 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
                 style={{ width: `${Math.min(100, Math.max(0, progressPct))}%` }}
               />
             </div>
+            {chunkSummary && (
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400 line-clamp-2">{chunkSummary}</p>
+            )}
           </div>
         )}
       </div>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <Column 
           title="What Went Well"
-          items={board.wentWell}
+          items={[...board.wentWell, ...provisional.wentWell]}
           placeholderItems={placeholders.wentWell}
           onEditItem={handleEdit('wentWell')}
           onAddItem={handleAdd('wentWell')}
@@ -503,7 +628,7 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
         />
         <Column 
           title="What Didn't Go Well"
-          items={board.didntGoWell}
+          items={[...board.didntGoWell, ...provisional.didntGoWell]}
           placeholderItems={placeholders.didntGoWell}
           onEditItem={handleEdit('didntGoWell')}
           onAddItem={handleAdd('didntGoWell')}
@@ -511,7 +636,7 @@ function DashboardPage({ onNavigate, dateRange, onChangeDateRange, teamMembers }
         />
         <Column 
           title="Action Items"
-          items={board.actionItems}
+          items={[...board.actionItems, ...provisional.actionItems]}
           placeholderItems={placeholders.actionItems}
           onEditItem={handleEdit('actionItems')}
           onAddItem={handleAdd('actionItems')}
@@ -2,6 +2,10 @@ import { useEffect, useRef, useState } from 'react';
 import { Loader2, ArrowLeft, Sparkles, Clock } from 'lucide-react';
 import axios from 'axios';
 import AppLayout from './AppLayout';
+import { getSelectedRepos } from '../api/github';
+import { getSelectedChannels } from '../api/slack';
+import { memberLabel } from '../api/team';
+import { streamProgress } from '../api/progress';
 
 function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onNavigate }) {
   const [isGenerating, setIsGenerating] = useState(false);
@@ -9,7 +13,7 @@ function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onN
   const [progressPct, setProgressPct] = useState(0);
   const [etaMs, setEtaMs] = useState(null);
   
-  const pollRef = useRef(null);
+  const streamRef = useRef(null);
 
   useEffect(() => {
     if (autoStart && !isGenerating) {
@@ -37,33 +41,29 @@ function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onN
     }
   };
 
-  const startProgressPolling = (sid) => {
-    clearInterval(pollRef.current);
-    pollRef.current = setInterval(async () => {
-      try {
-        const res = await fetch(`http://localhost:3001/api/progress/${sid}`);
-        if (!res.ok) {
-          // If tracker not found, keep a gentle indeterminate state
-          return;
-        }
-        const data = await res.json();
-        const pct = data?.progress?.percentage ?? 0;
-        setProgressPct(pct);
-        const currentIndex = data?.currentStep?.index ?? 0;
-        setProgressText(`${friendlyStepLabel(currentIndex)} (${data?.progress?.completedSteps || 0}/${data?.progress?.totalSteps || 0})`);
-        setEtaMs(data?.progress?.estimatedTimeRemaining ?? null);
-        if (data?.completed) {
-          clearInterval(pollRef.current);
-        }
-      } catch {
-        // Swallow polling errors; UI stays in current state
-      }
-    }, 750);
+  const showProgress = (progress) => {
+    if (!progress) return;
+    setProgressPct(progress.percentage ?? 0);
+    setProgressText(`${friendlyStepLabel(progress.currentStep ?? 0)} (${progress.completedSteps || 0}/${progress.totalSteps || 0})`);
+    setEtaMs(progress.estimatedTimeRemaining ?? null);
+  };
+
+  // The stream may open before the server creates the tracker; it waits for it
+  const startProgressStream = (sid) => {
+    streamRef.current?.();
+    streamRef.current = streamProgress(sid, {
+      onProgress: (type, data) => {
+        showProgress(data.progress);
+        // The response to the generate request carries the result
+        if (type === 'completed' || type === 'failed') stopProgressStream();
+      },
+      onChunk: (data) => showProgress(data.progress)
+    });
   };
 
-  const stopProgressPolling = () => {
-    clearInterval(pollRef.current);
-    pollRef.current = null;
+  const stopProgressStream = () => {
+    streamRef.current?.();
+    streamRef.current = null;
   };
 
   const handleGenerate = async () => {
@@ -73,7 +73,7 @@ function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onN
     setEtaMs(null);
 
     const sid = (window.crypto?.randomUUID && window.crypto.randomUUID()) || `sess_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-    startProgressPolling(sid);
+    startProgressStream(sid);
 
     try {
       // Read demo toggle and variant from localStorage
@@ -94,6 +94,8 @@ function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onN
         sessionId: sid,
         useDemo,
         demoVariant,
+        repositories: getSelectedRepos(),
+        channels: getSelectedChannels(),
       });
       onRetroGenerated(response.data);
     } catch (error) {
@@ -101,7 +103,7 @@ function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onN
       const errorMessage = error.response?.data?.error || 'Failed to generate retro. Please try again.';
       alert(errorMessage);
     } finally {
-      stopProgressPolling();
+      stopProgressStream();
       setIsGenerating(false);
       setProgressText('');
       setProgressPct(0);
@@ -137,7 +139,7 @@ function GeneratePage({ config, onRetroGenerated, onBack, autoStart = false, onN
             </div>
             <div>
               <span className="text-gray-600">Team Members:</span>{' '}
-              {config.teamMembers.length > 0 ? config.teamMembers.join(', ') : 'All team members'}
+              {config.teamMembers.length > 0 ? config.teamMembers.map(memberLabel).join(', ') : 'All team members'}
             </div>
           </div>
         </div>
@@ -210,9 +210,11 @@ function ResultsPage({ retroData, onBack, onNavigate }) {
   // Helper function to format source attribution
   const formatSource = (item) => {
     const sources = [];
-    if (item.source === 'ai') sources.push('AI');
-    else if (item.source === 'rules') sources.push('Rules');
-    else if (item.source === 'hybrid') sources.push('Hybrid');
+    const source = item.provenance || item.source;
+    if (source === 'ai') sources.push('AI');
+    else if (source === 'rules') sources.push('Rules');
+    else if (source === 'merged') sources.push('Rules + AI');
+    else if (source === 'hybrid') sources.push('Hybrid');
     else sources.push('System');
     
     if (item.confidence && typeof item.confidence === 'number') {
@@ -307,9 +309,10 @@ function ResultsPage({ retroData, onBack, onNavigate }) {
           tooltip: 'Generated by rule-based analysis'
         };
       case 'hybrid':
+      case 'merged':
         return {
           icon: Zap,
-          label: 'Hybrid',
+          label: source === 'merged' ? 'Rules + AI' : 'Hybrid',
           className: 'bg-gray-100 text-gray-800 border-gray-200',
           tooltip: 'Combined from multiple sources'
         };
@@ -557,7 +560,7 @@ function ResultsPage({ retroData, onBack, onNavigate }) {
         {items.map((item, index) => {
           const sectionKey = title.toLowerCase().replace(/\s+/g, '');
           const isExpanded = expandedItems[`${sectionKey}-${index}`];
-          const sourceBadge = getSourceBadge(item.source);
+          const sourceBadge = getSourceBadge(item.provenance || item.source);
           const confidence = formatConfidence(item.confidence);
           const hasExpandableContent = item.details || item.reasoning || item.sourceInsights;
 
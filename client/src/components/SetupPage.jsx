@@ -1,16 +1,53 @@
-import { useState } from 'react';
-import { Settings, ArrowRight, CheckCircle, XCircle, Brain, Eye, EyeOff } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { Settings, ArrowRight, CheckCircle, XCircle, Brain, Eye, EyeOff, Plus, Trash2 } from 'lucide-react';
 import axios from 'axios';
 import AppLayout from './AppLayout';
+import { listGithubRepos, getSelectedRepos, setSelectedRepos } from '../api/github';
+import { listSlackChannels, getSelectedChannels, setSelectedChannels } from '../api/slack';
+import { getTeamRoster, setTeamRoster, normalizeMember } from '../api/team';
+import { listChatExports, uploadChatExport, deleteChatExport } from '../api/chatExports';
+import { listUploads, uploadData, deleteUpload } from '../api/uploads';
+
+const emptyMember = { name: '', emails: '', github: '', slack: '' };
+
+const UPLOAD_KIND_LABELS = { github: 'GitHub activity', linear: 'Issues', slack: 'Slack messages' };
+
+// Roster rows are edited as comma-separated text and saved as lists
+const toRow = (member) => ({
+  name: member.name || '',
+  emails: member.emails.join(', '),
+  github: member.github.join(', '),
+  slack: member.slack.join(', ')
+});
 
 function SetupPage({ onComplete, onNavigate }) {
   // Date range moved to Dashboard top bar for clarity
   const [linearStatus, setLinearStatus] = useState(null);
   const [testingLinear, setTestingLinear] = useState(false);
+  const [jiraStatus, setJiraStatus] = useState(null);
+  const [testingJira, setTestingJira] = useState(false);
   const [slackStatus, setSlackStatus] = useState(null);
   const [testingSlack, setTestingSlack] = useState(false);
   const [githubStatus, setGithubStatus] = useState(null);
   const [testingGithub, setTestingGithub] = useState(false);
+  const [githubRepos, setGithubRepos] = useState([]);
+  const [configuredRepos, setConfiguredRepos] = useState([]);
+  const [rejectedRepos, setRejectedRepos] = useState([]);
+  const [selectedRepos, setSelectedReposState] = useState(() => getSelectedRepos());
+  const [loadingRepos, setLoadingRepos] = useState(false);
+  const [reposError, setReposError] = useState(null);
+  const [slackChannels, setSlackChannels] = useState([]);
+  const [configuredChannels, setConfiguredChannels] = useState([]);
+  const [selectedChannels, setSelectedChannelsState] = useState(() => getSelectedChannels());
+  const [loadingChannels, setLoadingChannels] = useState(false);
+  const [channelsError, setChannelsError] = useState(null);
+  const [chatExports, setChatExports] = useState([]);
+  const [uploadingExport, setUploadingExport] = useState(false);
+  const [chatExportError, setChatExportError] = useState(null);
+  const [uploads, setUploads] = useState([]);
+  const [uploadingData, setUploadingData] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [roster, setRoster] = useState(() => getTeamRoster().map(toRow));
   const [llmConfig, setLlmConfig] = useState({
     provider: '',
     apiKey: '',
@@ -24,12 +61,147 @@ function SetupPage({ onComplete, onNavigate }) {
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    setSelectedRepos(selectedRepos);
+    setSelectedChannels(selectedChannels);
+    const teamMembers = roster.map(normalizeMember).filter(Boolean);
+    setTeamRoster(teamMembers);
+    // Date range is chosen on the dashboard; only pass what setup owns
     onComplete({
-      dateRange: undefined,
-      teamMembers: []
+      teamMembers
     });
   };
 
+  const loadGithubRepos = async () => {
+    setLoadingRepos(true);
+    setReposError(null);
+    try {
+      const { repositories, configured, rejected } = await listGithubRepos();
+      setGithubRepos(repositories);
+      setConfiguredRepos(configured);
+      setRejectedRepos(rejected);
+    } catch (error) {
+      setReposError(error.response?.data?.error || 'Failed to load GitHub repositories');
+    } finally {
+      setLoadingRepos(false);
+    }
+  };
+
+  const loadSlackChannels = async () => {
+    setLoadingChannels(true);
+    setChannelsError(null);
+    try {
+      const { channels, configured } = await listSlackChannels();
+      setSlackChannels(channels);
+      setConfiguredChannels(configured);
+    } catch (error) {
+      setChannelsError(error.response?.data?.error || 'Failed to load Slack channels');
+    } finally {
+      setLoadingChannels(false);
+    }
+  };
+
+  const loadChatExports = async () => {
+    try {
+      setChatExports(await listChatExports());
+    } catch (error) {
+      setChatExportError(error.response?.data?.error || 'Failed to load chat exports');
+    }
+  };
+
+  const handleChatExportUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setUploadingExport(true);
+    setChatExportError(null);
+    try {
+      await uploadChatExport(file);
+      await loadChatExports();
+    } catch (error) {
+      setChatExportError(error.response?.data?.error || 'Failed to upload chat export');
+    } finally {
+      setUploadingExport(false);
+    }
+  };
+
+  const removeChatExport = async (id) => {
+    setChatExportError(null);
+    try {
+      await deleteChatExport(id);
+      setChatExports(prev => prev.filter(entry => entry.id !== id));
+    } catch (error) {
+      setChatExportError(error.response?.data?.error || 'Failed to delete chat export');
+    }
+  };
+
+  const loadUploads = async () => {
+    try {
+      setUploads(await listUploads());
+    } catch (error) {
+      setUploadError({ message: error.response?.data?.error || 'Failed to load uploads' });
+    }
+  };
+
+  const handleDataUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setUploadingData(true);
+    setUploadError(null);
+    try {
+      await uploadData(file);
+      await loadUploads();
+    } catch (error) {
+      setUploadError({
+        message: error.response?.data?.error || 'Failed to upload file',
+        problems: error.response?.data?.problems || []
+      });
+    } finally {
+      setUploadingData(false);
+    }
+  };
+
+  const removeUpload = async (id) => {
+    setUploadError(null);
+    try {
+      await deleteUpload(id);
+      setUploads(prev => prev.filter(entry => entry.id !== id));
+    } catch (error) {
+      setUploadError({ message: error.response?.data?.error || 'Failed to delete upload' });
+    }
+  };
+
+  useEffect(() => {
+    loadGithubRepos();
+    loadSlackChannels();
+    loadChatExports();
+    loadUploads();
+  }, []);
+
+  const toggleRepo = (fullName) => {
+    setSelectedReposState(prev => (
+      prev.includes(fullName) ? prev.filter(r => r !== fullName) : [...prev, fullName]
+    ));
+  };
+
+  const updateMember = (index, field, value) => {
+    setRoster(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addMember = () => {
+    setRoster(prev => [...prev, { ...emptyMember }]);
+  };
+
+  const removeMember = (index) => {
+    setRoster(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const toggleChannel = (id) => {
+    setSelectedChannelsState(prev => (
+      prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]
+    ));
+  };
+
   const testLinearConnection = async () => {
     setTestingLinear(true);
     try {
@@ -45,6 +217,21 @@ function SetupPage({ onComplete, onNavigate }) {
     }
   };
 
+  const testJiraConnection = async () => {
+    setTestingJira(true);
+    try {
+      const response = await axios.get('http://localhost:3001/api/test-jira');
+      setJiraStatus({ success: true, message: 'Jira connected successfully!', user: response.data.user });
+    } catch (error) {
+      setJiraStatus({ 
+        success: false, 
+        message: error.response?.data?.error || 'Failed to connect to Jira' 
+      });
+    } finally {
+      setTestingJira(false);
+    }
+  };
+
   const testSlackConnection = async () => {
     setTestingSlack(true);
     try {
@@ -165,6 +352,61 @@ function SetupPage({ onComplete, onNavigate }) {
 
       <form onSubmit={handleSubmit} className="space-y-6">
 
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Team</h2>
+            <button
+              type="button"
+              onClick={addMember}
+              className="px-3 py-1 text-sm bg-gray-900 dark:bg-gray-600 text-white rounded-md hover:bg-black dark:hover:bg-gray-500 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" />
+              Add Member
+            </button>
+          </div>
+
+          {roster.length > 0 ? (
+            <div className="space-y-2 mb-3">
+              {roster.map((row, index) => (
+                <div key={index} className="grid grid-cols-[1fr_1fr_1fr_1fr_auto] gap-2 items-center">
+                  {[
+                    ['name', 'Name'],
+                    ['emails', 'Emails'],
+                    ['github', 'GitHub logins'],
+                    ['slack', 'Slack user IDs']
+                  ].map(([field, placeholder]) => (
+                    <input
+                      key={field}
+                      type="text"
+                      value={row[field]}
+                      placeholder={placeholder}
+                      aria-label={`${placeholder} for member ${index + 1}`}
+                      onChange={(e) => updateMember(index, field, e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-green-500 dark:focus:ring-green-400"
+                    />
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => removeMember(index)}
+                    aria-label={`Remove member ${index + 1}`}
+                    className="text-gray-400 dark:text-gray-500 hover:text-red-600 dark:hover:text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+              No roster yet, so retros cover everyone in the selected repositories, channels and Linear workspace.
+            </p>
+          )}
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Only activity from these people is analyzed: their commits and pull requests, Linear issues assigned to them and Slack threads they took part in. Separate multiple values with commas; any one identity per person is enough when the others can be matched by email or name.
+          </p>
+        </div>
+
         <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Linear Integration</h2>
@@ -199,6 +441,40 @@ function SetupPage({ onComplete, onNavigate }) {
           </p>
         </div>
 
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Jira Integration</h2>
+            <button
+              type="button"
+              onClick={testJiraConnection}
+              disabled={testingJira}
+              className="px-3 py-1 text-sm bg-gray-900 dark:bg-gray-600 text-white rounded-md hover:bg-black dark:hover:bg-gray-500 disabled:opacity-60"
+            >
+              {testingJira ? 'Testing...' : 'Test Connection'}
+            </button>
+          </div>
+          
+          {jiraStatus && (
+            <div className={`flex items-center gap-2 p-3 rounded-md mb-4 ${
+              jiraStatus.success ? 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300' : 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+            }`}>
+              {jiraStatus.success ? (
+                <CheckCircle className="w-4 h-4" />
+              ) : (
+                <XCircle className="w-4 h-4" />
+              )}
+              <span className="text-sm">{jiraStatus.message}</span>
+              {jiraStatus.user && (
+                <span className="text-xs opacity-75 dark:opacity-60">({jiraStatus.user.name})</span>
+              )}
+            </div>
+          )}
+          
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Using Jira instead of Linear? Configure JIRA_BASE_URL and JIRA_API_TOKEN (plus JIRA_EMAIL for Jira Cloud) in server/.env
+          </p>
+        </div>
+
         <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Slack Integration</h2>
@@ -228,6 +504,51 @@ function SetupPage({ onComplete, onNavigate }) {
             </div>
           )}
           
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100">Channels</h3>
+              <button
+                type="button"
+                onClick={loadSlackChannels}
+                disabled={loadingChannels}
+                className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100 disabled:opacity-60"
+              >
+                {loadingChannels ? 'Loading...' : 'Refresh'}
+              </button>
+            </div>
+            {channelsError ? (
+              <p className="text-sm text-red-700 dark:text-red-300">{channelsError}</p>
+            ) : slackChannels.length > 0 ? (
+              <div className="max-h-48 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+                {slackChannels.map(channel => (
+                  <label key={channel.id} className="flex items-center gap-2 px-3 py-2 text-sm text-gray-800 dark:text-gray-200 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                    <input
+                      type="checkbox"
+                      checked={selectedChannels.includes(channel.id)}
+                      onChange={() => toggleChannel(channel.id)}
+                    />
+                    <span>#{channel.name}</span>
+                    {channel.private && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">private</span>
+                    )}
+                    {!channel.isMember && (
+                      <span className="text-xs text-amber-600 dark:text-amber-400">bot not invited</span>
+                    )}
+                  </label>
+                ))}
+              </div>
+            ) : !loadingChannels && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">No channels found for this token.</p>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              {selectedChannels.length > 0
+                ? `${selectedChannels.length} selected`
+                : configuredChannels.length > 0
+                  ? `None selected, using SLACK_CHANNELS: ${configuredChannels.join(', ')}`
+                  : 'None selected and SLACK_CHANNELS is not set, so every channel the bot is in will be analyzed'}
+            </p>
+          </div>
+
           <div className="space-y-3">
             <p className="text-sm text-gray-600 dark:text-gray-400">
               Analyze team communication patterns and sentiment from your Slack workspace.
@@ -259,6 +580,129 @@ function SetupPage({ onComplete, onNavigate }) {
           </div>
         </div>
 
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Offline Data</h2>
+            <label className={`px-3 py-1 text-sm bg-gray-900 dark:bg-gray-600 text-white rounded-md hover:bg-black dark:hover:bg-gray-500 cursor-pointer ${uploadingData ? 'opacity-60 pointer-events-none' : ''}`}>
+              {uploadingData ? 'Uploading...' : 'Upload File'}
+              <input
+                type="file"
+                accept=".json,.csv,application/json,text/csv"
+                onChange={handleDataUpload}
+                className="hidden"
+              />
+            </label>
+          </div>
+
+          {uploadError && (
+            <div className="p-3 rounded-md mb-4 bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+              <div className="flex items-center gap-2">
+                <XCircle className="w-4 h-4" />
+                <span className="text-sm">{uploadError.message}</span>
+              </div>
+              {uploadError.problems?.length > 1 && (
+                <ul className="mt-2 ml-6 list-disc text-xs space-y-0.5">
+                  {uploadError.problems.map((problem, i) => (
+                    <li key={i}><code>{problem.path}</code> {problem.message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {uploads.length > 0 && (
+            <div className="mb-4 border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+              {uploads.map(entry => (
+                <div key={entry.id} className="flex items-center justify-between gap-2 px-3 py-2 text-sm text-gray-800 dark:text-gray-200">
+                  <div>
+                    <span>{entry.name}</span>
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                      {UPLOAD_KIND_LABELS[entry.kind] || entry.kind} · {entry.recordCount} records
+                      {entry.firstRecordAt && ` · ${entry.firstRecordAt.slice(0, 10)} to ${entry.lastRecordAt.slice(0, 10)}`}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeUpload(entry.id)}
+                    className="p-1 text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400"
+                    aria-label={`Delete ${entry.name}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              No API keys? Upload your own exports and the retro is built from them with the same rules and AI analysis. Uploaded data is used in place of the sample data.
+            </p>
+            <div className="text-xs text-gray-500 dark:text-gray-400 space-y-1">
+              <p><strong>GitHub:</strong> JSON with <code>commits</code> and <code>pullRequests</code>, shaped like <code>server/sample-data/github.activity.sample.json</code></p>
+              <p><strong>Issues:</strong> JSON with <code>issues</code> like the Linear sample, or a CSV export from Linear or Jira (Title/Summary, Status and Created columns are required)</p>
+              <p><strong>Slack:</strong> JSON with <code>messages</code>, shaped like <code>server/sample-data/slack.messages.sample.json</code></p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Chat Exports</h2>
+            <label className={`px-3 py-1 text-sm bg-gray-900 dark:bg-gray-600 text-white rounded-md hover:bg-black dark:hover:bg-gray-500 cursor-pointer ${uploadingExport ? 'opacity-60 pointer-events-none' : ''}`}>
+              {uploadingExport ? 'Uploading...' : 'Upload Export'}
+              <input
+                type="file"
+                accept=".zip,.json,application/zip,application/json"
+                onChange={handleChatExportUpload}
+                className="hidden"
+              />
+            </label>
+          </div>
+
+          {chatExportError && (
+            <div className="flex items-center gap-2 p-3 rounded-md mb-4 bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+              <XCircle className="w-4 h-4" />
+              <span className="text-sm">{chatExportError}</span>
+            </div>
+          )}
+
+          {chatExports.length > 0 && (
+            <div className="mb-4 border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+              {chatExports.map(entry => (
+                <div key={entry.id} className="flex items-center justify-between gap-2 px-3 py-2 text-sm text-gray-800 dark:text-gray-200">
+                  <div>
+                    <span>{entry.name}</span>
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                      {entry.platform} · {entry.messageCount} messages in {entry.channels.length} channels
+                      {entry.firstMessageAt && ` · ${entry.firstMessageAt.slice(0, 10)} to ${entry.lastMessageAt.slice(0, 10)}`}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeChatExport(entry.id)}
+                    className="p-1 text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400"
+                    aria-label={`Delete ${entry.name}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              No Slack bot, or on Microsoft Teams or Discord? Upload a chat export instead. Every uploaded export is analyzed alongside (or in place of) Slack.
+            </p>
+            <div className="text-xs text-gray-500 dark:text-gray-400 space-y-1">
+              <p><strong>Slack:</strong> the workspace export zip from Settings → Import/Export Data</p>
+              <p><strong>Discord:</strong> JSON channel exports from DiscordChatExporter, one file or a zip</p>
+              <p><strong>Teams:</strong> channel messages saved from the Microsoft Graph API as JSON, one file or a zip</p>
+            </div>
+          </div>
+        </div>
+
         <div className="bg-white dark:bg-gray-800 p-4 rounded-xl border border-gray-200 dark:border-gray-700">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">GitHub Integration</h2>
@@ -288,6 +732,53 @@ function SetupPage({ onComplete, onNavigate }) {
             </div>
           )}
           
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100">Repositories</h3>
+              <button
+                type="button"
+                onClick={loadGithubRepos}
+                disabled={loadingRepos}
+                className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100 disabled:opacity-60"
+              >
+                {loadingRepos ? 'Loading...' : 'Refresh'}
+              </button>
+            </div>
+            {reposError ? (
+              <p className="text-sm text-red-700 dark:text-red-300">{reposError}</p>
+            ) : githubRepos.length > 0 ? (
+              <div className="max-h-48 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+                {githubRepos.map(repo => (
+                  <label key={repo.fullName} className="flex items-center gap-2 px-3 py-2 text-sm text-gray-800 dark:text-gray-200 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                    <input
+                      type="checkbox"
+                      checked={selectedRepos.includes(repo.fullName)}
+                      onChange={() => toggleRepo(repo.fullName)}
+                    />
+                    <span>{repo.fullName}</span>
+                    {repo.private && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">private</span>
+                    )}
+                  </label>
+                ))}
+              </div>
+            ) : !loadingRepos && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">No repositories found for this token.</p>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              {selectedRepos.length > 0
+                ? `${selectedRepos.length} selected`
+                : configuredRepos.length > 0
+                  ? `None selected, using GITHUB_REPOS: ${configuredRepos.join(', ')}`
+                  : 'None selected and GITHUB_REPOS is not set, so GitHub activity will be skipped'}
+            </p>
+            {rejectedRepos.length > 0 && (
+              <p className="text-xs text-amber-600 dark:text-amber-400 mt-1">
+                {`Ignoring GITHUB_REPOS entries that are not "owner/name": ${rejectedRepos.join(', ')}`}
+              </p>
+            )}
+          </div>
+
           <p className="text-sm text-gray-600 dark:text-gray-400">
             Make sure your GITHUB_TOKEN is configured in server/.env (optional)
           </p>
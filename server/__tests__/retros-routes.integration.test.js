@@ -0,0 +1,74 @@
+/**
+ * Integration tests for the /api/retros endpoints, against the server's own app
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('/api/retros', () => {
+  let tmpDir;
+  let app;
+
+  const board = {
+    wentWell: [{ id: '1', text: 'Shipped the release', source: 'ai' }],
+    didntGoWell: [],
+    actionItems: []
+  };
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retro-routes-'));
+    vi.stubEnv('RETRO_STORE_PATH', path.join(tmpDir, 'retros.json'));
+    ({ default: app } = await import('../index.js'));
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('creates, lists, updates and deletes a retro', async () => {
+    const created = await request(app)
+      .post('/api/retros')
+      .send({ id: 'sprint-12', title: 'Sprint 12', dateRange: { start: '2024-01-01', end: '2024-01-14' }, board })
+      .expect(201);
+    expect(created.body).toMatchObject({ id: 'sprint-12', title: 'Sprint 12', board });
+
+    await request(app).post('/api/retros').send({ id: 'sprint-12', board }).expect(409);
+
+    const listed = await request(app).get('/api/retros').expect(200);
+    expect(listed.body.retros.map(retro => retro.id)).toEqual(['sprint-12']);
+
+    const updated = await request(app)
+      .put('/api/retros/sprint-12')
+      .send({ title: 'Sprint 12 (final)', board })
+      .expect(200);
+    expect(updated.body).toMatchObject({ id: 'sprint-12', title: 'Sprint 12 (final)' });
+
+    const fetched = await request(app).get('/api/retros/sprint-12').expect(200);
+    expect(fetched.body.title).toBe('Sprint 12 (final)');
+
+    await request(app).delete('/api/retros/sprint-12').expect(204);
+    const afterDelete = await request(app).get('/api/retros').expect(200);
+    expect(afterDelete.body.retros).toEqual([]);
+  });
+
+  it('returns 404 for a retro that does not exist', async () => {
+    const fetched = await request(app).get('/api/retros/missing').expect(404);
+    expect(fetched.body).toEqual({ error: 'Retro not found', id: 'missing' });
+
+    await request(app).delete('/api/retros/missing').expect(404);
+  });
+
+  it('creates a retro on update when the id is new', async () => {
+    await request(app).put('/api/retros/sprint-13').send({ title: 'Sprint 13', board }).expect(201);
+    await request(app).delete('/api/retros/sprint-13').expect(204);
+  });
+
+  it('rejects a board that is not an object', async () => {
+    await request(app).post('/api/retros').send({ board: 'not a board' }).expect(400);
+    await request(app).put('/api/retros/sprint-14').send({ board: null }).expect(400);
+  });
+});
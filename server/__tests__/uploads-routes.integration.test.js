@@ -0,0 +1,78 @@
+/**
+ * Integration tests for the upload endpoints, against the server's own app
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Larger than express.json's default 100kb limit
+const commits = Array.from({ length: 1000 }, (_, index) => ({
+  sha: `sha-${index}`,
+  commit: { author: { name: 'Alice', email: 'alice@acme.com', date: '2024-01-03T10:00:00Z' }, message: `fix: change ${index}` },
+  author: { login: 'alice' },
+  repo: 'acme/web',
+}));
+
+const discordExport = {
+  guild: { id: 'g1', name: 'Acme' },
+  channel: { id: 'c1', name: 'dev', type: 'GuildTextChat' },
+  messages: Array.from({ length: 1000 }, (_, index) => ({
+    id: `m${index}`,
+    type: 'Default',
+    timestamp: '2024-01-03T10:00:00+00:00',
+    content: `Deploy ${index} went out without problems, the checkout fix is live`,
+    author: { id: 'u1', name: 'alice' },
+  })),
+};
+
+describe('upload endpoints', () => {
+  let tmpDir;
+  let app;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-routes-'));
+    vi.stubEnv('DATA_UPLOAD_DIR', path.join(tmpDir, 'uploads'));
+    vi.stubEnv('CHAT_EXPORT_DIR', path.join(tmpDir, 'chat-exports'));
+    ({ default: app } = await import('../index.js'));
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('accepts JSON uploads over the JSON parser limit', async () => {
+    const body = JSON.stringify({ commits, pullRequests: [] });
+    expect(body.length).toBeGreaterThan(100 * 1024);
+
+    const response = await request(app)
+      .post('/api/uploads?filename=activity.json')
+      .set('Content-Type', 'application/json')
+      .send(body)
+      .expect(201);
+
+    expect(response.body).toMatchObject({ kind: 'github', name: 'activity.json' });
+  });
+
+  it('accepts JSON chat exports over the JSON parser limit', async () => {
+    const body = JSON.stringify(discordExport);
+    expect(body.length).toBeGreaterThan(100 * 1024);
+
+    const response = await request(app)
+      .post('/api/chat-exports?filename=dev.json')
+      .set('Content-Type', 'application/json')
+      .send(body)
+      .expect(201);
+
+    expect(response.body).toMatchObject({ platform: 'discord', name: 'dev.json' });
+  });
+
+  it('rejects an empty upload', async () => {
+    await request(app).post('/api/uploads').expect(400);
+  });
+});
@@ -1,17 +1,31 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import LinearService from "./services/linearService.js";
-import SlackService from "./services/slackService.js";
-import GitHubService from "./services/githubService.js";
-import { LLMAnalyzer, LLMServiceFactory } from "./services/llm/index.js";
+import { fileURLToPath } from "url";
+import { LLMAnalyzer, LLMServiceFactory, ResponseCache } from "./services/llm/index.js";
 import { InsightMerger } from "./services/InsightMerger.js";
-import {
-  ProgressManager,
-  DEFAULT_LLM_STEPS,
-} from "./services/llm/ProgressTracker.js";
+import { ProgressManager } from "./services/llm/ProgressTracker.js";
 import { LLMErrorHandler } from "./services/llm/ErrorHandler.js";
 import ExportService from "./services/ExportService.js";
+import RetroStore from "./services/RetroStore.js";
+import RetroPipeline, { ANALYSIS_MODES } from "./services/RetroPipeline.js";
+import ChatExportStore from "./services/ChatExportStore.js";
+import ChatExportImporter from "./services/ChatExportImporter.js";
+import DataUploadStore from "./services/DataUploadStore.js";
+import JobQueue, { JOB_STATUSES } from "./services/JobQueue.js";
+import JobStore from "./services/JobStore.js";
+import ProgressStream from "./services/ProgressStream.js";
+import DataUploadParser from "./services/DataUploadParser.js";
+import {
+  ChatExportConnector,
+  ConnectorRegistry,
+  GitHubConnector,
+  LinearConnector,
+  SlackConnector,
+  GitHubUploadConnector,
+  LinearUploadConnector,
+  SlackUploadConnector,
+} from "./services/connectors/index.js";
 
 dotenv.config();
 
@@ -20,20 +34,48 @@ const PORT = process.env.PORT || 3001;
 
 // Initialize progress managers
 const progressManager = new ProgressManager();
-// In-memory result store for background generations
-const generationResults = new Map();
+// Background generations, kept on disk and run a few at a time
+const jobQueue = JobQueue.fromEnvironment(process.env, runRetroGeneration);
+// Server-Sent Events for a generation's progress and result
+const progressStream = new ProgressStream({ progressManager, jobQueue });
+// Persistent store for saved retros
+const retroStore = RetroStore.fromEnvironment(process.env);
+// Uploaded chat exports, for teams whose chat the server can't reach
+const chatExportStore = ChatExportStore.fromEnvironment(process.env);
+// Uploaded GitHub, issue and Slack data, for offline retros
+const dataUploadStore = DataUploadStore.fromEnvironment(process.env);
+// LLM analyses of unchanged data, reused until they expire or a request forces a fresh one
+const llmResponseCache = ResponseCache.fromEnvironment(process.env);
+
+// Uploads are read raw by their own routes, under their own size limits
+const RAW_BODY_ROUTES = ["/api/chat-exports", "/api/uploads"];
+const jsonParser = express.json();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use((req, res, next) =>
+  req.method === "POST" && RAW_BODY_ROUTES.includes(req.path) ? next() : jsonParser(req, res, next)
+);
 
 // Routes
 app.get("/api/health", (req, res) => {
   res.json({ status: "Server is running!" });
 });
 
-// Test Linear connection
-app.get("/api/test-linear", async (req, res) => {
+// Test data source connections
+app.get("/api/test-linear", testConnectorHandler("linear"));
+app.get("/api/test-jira", testConnectorHandler("jira"));
+app.get("/api/test-slack", testConnectorHandler("slack"));
+app.get("/api/test-github", testConnectorHandler("github"));
+app.get("/api/test-gitlab", testConnectorHandler("gitlab"));
+
+// List the registered data source connectors and whether each is configured
+app.get("/api/connectors", (req, res) => {
+  res.json({ connectors: ConnectorRegistry.describe(process.env) });
+});
+
+// List recent Linear cycles so a retro can cover a whole cycle
+app.get("/api/linear/cycles", async (req, res) => {
   try {
     if (!process.env.LINEAR_API_KEY) {
       return res.status(400).json({
@@ -41,39 +83,33 @@ app.get("/api/test-linear", async (req, res) => {
       });
     }
 
-    const linearService = new LinearService(process.env.LINEAR_API_KEY);
-
-    // Test with a simple query to get user info
-    const query = `
-      query {
-        viewer {
-          id
-          name
-          email
-        }
-      }
-    `;
-
-    const data = await linearService.makeRequest(query);
-    res.json({
-      status: "Linear connection successful!",
-      user: data.viewer,
+    const { service: linearService } = new LinearConnector(process.env);
+    const cycles = await linearService.getCycles({
+      teamId: req.query.teamId || process.env.LINEAR_TEAM_ID,
+      limit: Math.min(parseInt(req.query.limit, 10) || 12, 50),
     });
+    res.json({ cycles });
   } catch (error) {
-    console.error("Linear test failed:", error);
+    console.error("Linear cycle listing failed:", error);
     res.status(500).json({
-      error: "Linear connection failed: " + error.message,
+      error: "Failed to list Linear cycles: " + error.message,
     });
   }
 });
 
-// Test Slack connection
 // Get configuration status without making API calls
 app.get("/api/config-status", (req, res) => {
   const integrations = {
     LINEAR_API_KEY: !!process.env.LINEAR_API_KEY,
+    JIRA_BASE_URL: !!process.env.JIRA_BASE_URL,
+    JIRA_API_TOKEN: !!process.env.JIRA_API_TOKEN,
     GITHUB_TOKEN: !!process.env.GITHUB_TOKEN,
+    GITLAB_TOKEN: !!process.env.GITLAB_TOKEN,
     SLACK_BOT_TOKEN: !!process.env.SLACK_BOT_TOKEN,
+    CHAT_EXPORTS: ChatExportConnector.isConfigured(process.env),
+    UPLOADED_GITHUB: GitHubUploadConnector.isConfigured(process.env),
+    UPLOADED_ISSUES: LinearUploadConnector.isConfigured(process.env),
+    UPLOADED_SLACK: SlackUploadConnector.isConfigured(process.env),
     OPENAI_API_KEY: !!process.env.OPENAI_API_KEY,
     OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4',
     LLM_PROVIDER: process.env.LLM_PROVIDER || 'openai',
@@ -83,62 +119,181 @@ app.get("/api/config-status", (req, res) => {
   res.json({
     integrations,
     llmEnabled: integrations.LLM_ENABLED && integrations.OPENAI_API_KEY,
-    hasAnyIntegration: integrations.LINEAR_API_KEY || integrations.GITHUB_TOKEN || integrations.SLACK_BOT_TOKEN
+    hasAnyIntegration: ConnectorRegistry.list().some((Connector) => Connector.isConfigured(process.env))
   });
 });
 
-app.get("/api/test-slack", async (req, res) => {
+// List repositories the GitHub token can access, for the setup picker
+app.get("/api/github/repos", async (req, res) => {
   try {
-    if (!process.env.SLACK_BOT_TOKEN) {
+    if (!process.env.GITHUB_TOKEN) {
       return res.status(400).json({
-        error: "SLACK_BOT_TOKEN not configured",
+        error: "GITHUB_TOKEN not configured",
       });
     }
 
-    const slackService = new SlackService(process.env.SLACK_BOT_TOKEN);
-
-    // Test with auth.test endpoint
-    const data = await slackService.makeRequest("auth.test");
+    const { service: githubService } = new GitHubConnector(process.env);
+    const repos = await githubService.getUserRepos();
+    const { repositories: configured, rejectedRepositories } = GitHubConnector.scopeFromRequest({}, process.env);
     res.json({
-      status: "Slack connection successful!",
-      team: data.team,
-      user: data.user,
+      repositories: repos.map((repo) => ({
+        fullName: repo.full_name,
+        owner: repo.owner?.login,
+        name: repo.name,
+        private: repo.private,
+        description: repo.description,
+        updatedAt: repo.updated_at,
+      })),
+      configured,
+      rejected: rejectedRepositories,
     });
   } catch (error) {
-    console.error("Slack test failed:", error);
+    console.error("GitHub repo listing failed:", error);
     res.status(500).json({
-      error: "Slack connection failed: " + error.message,
+      error: "Failed to list GitHub repositories: " + error.message,
     });
   }
 });
 
-// Test GitHub connection
-app.get("/api/test-github", async (req, res) => {
+// List Slack channels the bot can see, for the setup picker
+app.get("/api/slack/channels", async (req, res) => {
   try {
-    if (!process.env.GITHUB_TOKEN) {
+    if (!process.env.SLACK_BOT_TOKEN) {
       return res.status(400).json({
-        error: "GITHUB_TOKEN not configured",
+        error: "SLACK_BOT_TOKEN not configured",
       });
     }
 
-    const githubService = new GitHubService(process.env.GITHUB_TOKEN);
-
-    // Test with user endpoint
-    const data = await githubService.makeRequest("/user");
+    const { service: slackService } = new SlackConnector(process.env);
+    const channels = await slackService.getChannels();
     res.json({
-      status: "GitHub connection successful!",
-      user: data.login,
-      name: data.name,
+      channels: channels.map((channel) => ({
+        id: channel.id,
+        name: channel.name,
+        private: !!channel.is_private,
+        isMember: channel.is_member !== false,
+        memberCount: channel.num_members,
+        topic: channel.topic?.value || "",
+      })),
+      configured: SlackConnector.scopeFromRequest({}, process.env).channels,
     });
   } catch (error) {
-    console.error("GitHub test failed:", error);
+    console.error("Slack channel listing failed:", error);
     res.status(500).json({
-      error: "GitHub connection failed: " + error.message,
+      error: "Failed to list Slack channels: " + error.message,
     });
   }
 });
 
+// Import a Slack, Discord or Teams chat export: a zip of JSON files or one JSON file,
+// sent as the raw request body
+app.post(
+  "/api/chat-exports",
+  express.raw({ type: () => true, limit: process.env.CHAT_EXPORT_MAX_SIZE || "50mb" }),
+  async (req, res) => {
+    const upload = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (upload.length === 0) {
+      return res.status(400).json({ error: "Upload a chat export file as the request body" });
+    }
+
+    const filename = req.query.filename || "export.json";
+    let parsed;
+    try {
+      parsed = ChatExportImporter.parse(upload, { filename });
+    } catch (error) {
+      return res.status(400).json({ error: "Could not read chat export: " + error.message });
+    }
+
+    try {
+      const saved = await chatExportStore.create(parsed, { name: req.query.name || filename });
+      res.status(201).json(saved);
+    } catch (error) {
+      console.error("Error saving chat export:", error);
+      res.status(500).json({ error: "Failed to save chat export: " + error.message });
+    }
+  }
+);
+
+// List imported chat exports
+app.get("/api/chat-exports", async (req, res) => {
+  try {
+    res.json({ exports: await chatExportStore.list() });
+  } catch (error) {
+    console.error("Error listing chat exports:", error);
+    res.status(500).json({ error: "Failed to list chat exports: " + error.message });
+  }
+});
+
+// Delete an imported chat export
+app.delete("/api/chat-exports/:id", async (req, res) => {
+  try {
+    const removed = await chatExportStore.delete(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Chat export not found", id: req.params.id });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting chat export:", error);
+    res.status(500).json({ error: "Failed to delete chat export: " + error.message });
+  }
+});
+
+// Upload GitHub activity, issues or Slack messages for an offline retro: JSON in the
+// sample-data shapes, or a CSV issue export, sent as the raw request body
+app.post(
+  "/api/uploads",
+  express.raw({ type: () => true, limit: process.env.DATA_UPLOAD_MAX_SIZE || "50mb" }),
+  async (req, res) => {
+    const upload = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (upload.length === 0) {
+      return res.status(400).json({ error: "Upload a JSON or CSV file as the request body" });
+    }
+
+    const filename = req.query.filename || "upload.json";
+    let parsed;
+    try {
+      parsed = DataUploadParser.parse(upload, { filename });
+    } catch (error) {
+      if (error.code === "INVALID_UPLOAD") {
+        return res.status(400).json({ error: `${filename} is invalid: ${error.message}`, problems: error.problems });
+      }
+      console.error("Error reading upload:", error);
+      return res.status(500).json({ error: "Failed to read upload: " + error.message });
+    }
+
+    try {
+      const saved = await dataUploadStore.create(parsed, { name: req.query.name || filename });
+      res.status(201).json(saved);
+    } catch (error) {
+      console.error("Error saving upload:", error);
+      res.status(500).json({ error: "Failed to save upload: " + error.message });
+    }
+  }
+);
+
+// List uploaded data
+app.get("/api/uploads", async (req, res) => {
+  try {
+    res.json({ uploads: await dataUploadStore.list() });
+  } catch (error) {
+    console.error("Error listing uploads:", error);
+    res.status(500).json({ error: "Failed to list uploads: " + error.message });
+  }
+});
 
+// Delete uploaded data
+app.delete("/api/uploads/:id", async (req, res) => {
+  try {
+    const removed = await dataUploadStore.delete(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Upload not found", id: req.params.id });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting upload:", error);
+    res.status(500).json({ error: "Failed to delete upload: " + error.message });
+  }
+});
 
 // Test LLM connection and configuration
 app.get("/api/test-llm", async (req, res) => {
@@ -327,6 +482,7 @@ app.get("/api/llm-performance", async (req, res) => {
         providerStats: metrics.providerStats,
         recentRequests: metrics.recentRequests,
       },
+      cache: llmResponseCache.stats(),
       recommendations,
       lastUpdated: new Date().toISOString(),
     });
@@ -386,16 +542,27 @@ app.get("/api/progress/:sessionId", (req, res) => {
   }
 });
 
+// Stream progress for a session as Server-Sent Events, ending with the result
+app.get("/api/progress/:sessionId/stream", (req, res) => {
+  progressStream.handle(req, res).catch((error) => {
+    console.error("Error streaming progress:", error);
+    res.end();
+  });
+});
+
 // Start background retro generation (non-blocking)
 app.post("/api/generate-retro/start", async (req, res) => {
   try {
-    const { dateRange, teamMembers = [], sessionId, useDemo, demoVariant } = req.body || {};
-
-    // Don't require LINEAR_API_KEY if in demo mode
-    if (!useDemo && !process.env.LINEAR_API_KEY) {
+    const { dateRange, sessionId, useDemo } = req.body || {};
+
+    // Don't require a data source if in demo mode
+    const connectors = ConnectorRegistry.list();
+    if (!useDemo && !connectors.some((Connector) => Connector.isConfigured(process.env))) {
+      const options = connectors
+        .filter((Connector) => Connector.requiredKeys.length > 0)
+        .map((Connector) => Connector.requiredKeys.join(" + "));
       return res.status(400).json({
-        error:
-          "LINEAR_API_KEY not configured. Please add it to your .env file.",
+        error: `No data source configured. Please add ${options.join(", or ")} to your .env file, or upload your data or a chat export on the setup page.`,
       });
     }
 
@@ -403,459 +570,141 @@ app.post("/api/generate-retro/start", async (req, res) => {
       return res.status(400).json({ error: "Invalid or missing dateRange" });
     }
 
-    const sid = sessionId || `sess_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const analysisModeError = validateAnalysisMode(req.body.analysisMode);
+    if (analysisModeError) {
+      return res.status(400).json({ error: analysisModeError });
+    }
 
-    // Kick off background job without awaiting
-    setTimeout(() => {
-      runRetroGeneration(sid, dateRange, teamMembers, useDemo, demoVariant).catch((error) => {
-        console.error("Background generation failed:", error);
-        generationResults.set(sid, {
-          status: "failed",
-          error: error.message,
-          timestamp: new Date().toISOString(),
-        });
-        // Ensure tracker also reflects failure if it exists
-        const tracker = progressManager.getTracker(sid);
-        if (tracker) {
-          try { tracker.fail(error); } catch {}
-        }
-        // Cleanup after some time
-        setTimeout(() => generationResults.delete(sid), 60 * 60 * 1000);
-      });
-    }, 0);
+    const sid = sessionId || `sess_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    if (!JobStore.isValidId(sid)) {
+      return res.status(400).json({ error: "sessionId must be 1-100 letters, digits, dashes or underscores" });
+    }
 
-    return res.status(202).json({ sessionId: sid, status: "accepted" });
+    const job = await jobQueue.enqueue(sid, req.body);
+    return res.status(202).json({ sessionId: sid, status: job.status });
   } catch (error) {
+    if (error.code === "JOB_EXISTS") {
+      return res.status(409).json({ error: error.message });
+    }
     console.error("Error starting background generation:", error);
     res.status(500).json({ error: "Failed to start generation: " + error.message });
   }
 });
 
 // Get background generation result
-app.get("/api/generate-retro/result/:sessionId", (req, res) => {
+app.get("/api/generate-retro/result/:sessionId", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const result = generationResults.get(sessionId);
+    const job = await jobQueue.get(sessionId);
 
-    if (result && result.status === "completed" && result.retroData) {
-      return res.json(result.retroData);
+    if (!job) {
+      return res.status(404).json({ error: "Result not found for session", sessionId });
     }
-
-    if (result && result.status === "failed") {
-      return res.status(500).json({ error: result.error || "Generation failed" });
+    if (job.status === "completed") {
+      return res.json(job.result);
     }
-
-    const tracker = progressManager.getTracker(sessionId);
-    if (tracker && !tracker.completed) {
-      return res.status(202).json({ status: "pending" });
+    if (job.status === "failed") {
+      return res.status(500).json({ error: job.error || "Generation failed" });
     }
-
-    return res.status(404).json({ error: "Result not found for session", sessionId });
+    if (job.status === "cancelled") {
+      return res.status(409).json({ error: job.error, status: job.status });
+    }
+    return res.status(202).json({ status: job.status });
   } catch (error) {
     console.error("Error getting background result:", error);
     res.status(500).json({ error: "Failed to get result: " + error.message });
   }
 });
 
-// Generate retro endpoint
-app.post("/api/generate-retro", async (req, res) => {
+// Cancel a queued or running background generation
+app.delete("/api/generate-retro/:sessionId", async (req, res) => {
   try {
-    const { dateRange, teamMembers, sessionId, useDemo, demoVariant } = req.body;
-
-    console.log("Generating retro for:", { dateRange, teamMembers, useDemo });
-
-    // Check which integration keys are available
-    const hasLinearKey = !!process.env.LINEAR_API_KEY;
-    const hasGithubKey = !!process.env.GITHUB_TOKEN;
-    const hasSlackKey = !!process.env.SLACK_BOT_TOKEN;
-    const hasAnyIntegration = hasLinearKey || hasGithubKey || hasSlackKey;
-    
-    // Initialize LLM analyzer and check if OpenAI is configured
-    const llmAnalyzer = LLMAnalyzer.fromEnvironment(process.env);
-    const llmEnabled = llmAnalyzer.config.enabled;
-
-    console.log(`Integration status: Linear=${hasLinearKey}, GitHub=${hasGithubKey}, Slack=${hasSlackKey}, LLM=${llmEnabled}`);
-
-    // Determine behavior based on keys available
-    // 1. If demo mode explicitly requested, always use demo insights
-    if (useDemo === true) {
-      try {
-        const fs = await import('fs');
-        const path = await import('path');
-        const insightsPath = new URL('./sample-data/demo.insights.json', import.meta.url).pathname;
-        const demoInsights = JSON.parse(fs.readFileSync(insightsPath, 'utf-8'));
-        
-        // Add metadata
-        const retroData = {
-          ...demoInsights,
-          analysisMetadata: {
-            demoMode: true,
-            demoVariant: demoVariant === 'small' ? 'small' : 'large',
-            generatedAt: new Date().toISOString(),
-            dateRange: dateRange,
-            teamMembers: teamMembers,
-            insightCount: {
-              wentWell: demoInsights.wentWell.length,
-              didntGoWell: demoInsights.didntGoWell.length,
-              actionItems: demoInsights.actionItems.length
-            },
-            dataSources: ["github", "linear", "slack"],
-            analysisType: "demo_insights"
-          }
-        };
-
-        if (progressTracker) {
-          progressTracker.complete();
-        }
-        return res.json(retroData);
-      } catch (e) {
-        console.error('Demo mode failed:', e);
-        if (progressTracker) {
-          progressTracker.fail(e);
-        }
-        return res.status(500).json({ error: 'Failed to generate demo insights: ' + e.message });
-      }
+    const job = await jobQueue.cancel(req.params.sessionId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found", sessionId: req.params.sessionId });
     }
-
-    // 2. If no integrations AND no OpenAI, use demo insights
-    if (!hasAnyIntegration && !llmEnabled) {
-      console.log("No integrations or OpenAI configured, returning demo insights");
-      try {
-        const fs = await import('fs');
-        const path = await import('path');
-        const insightsPath = new URL('./sample-data/demo.insights.json', import.meta.url).pathname;
-        const demoInsights = JSON.parse(fs.readFileSync(insightsPath, 'utf-8'));
-        
-        const retroData = {
-          ...demoInsights,
-          analysisMetadata: {
-            demoMode: true,
-            demoVariant: 'fallback',
-            generatedAt: new Date().toISOString(),
-            dateRange: dateRange,
-            teamMembers: teamMembers,
-            insightCount: {
-              wentWell: demoInsights.wentWell.length,
-              didntGoWell: demoInsights.didntGoWell.length,
-              actionItems: demoInsights.actionItems.length
-            },
-            dataSources: ["demo"],
-            analysisType: "demo_insights",
-            reason: "No integration keys or OpenAI configured"
-          }
-        };
-
-        if (progressTracker) {
-          progressTracker.complete();
-        }
-        return res.json(retroData);
-      } catch (e) {
-        console.error('Fallback demo mode failed:', e);
-        if (progressTracker) {
-          progressTracker.fail(e);
-        }
-        return res.status(500).json({ error: 'Failed to load demo insights: ' + e.message });
-      }
+    res.json({ job });
+  } catch (error) {
+    if (error.code === "JOB_FINISHED") {
+      return res.status(409).json({ error: error.message });
     }
+    console.error("Error cancelling generation:", error);
+    res.status(500).json({ error: "Failed to cancel generation: " + error.message });
+  }
+});
 
-    // Initialize services based on available keys
-    let linearService = null;
-    let slackService = null;
-    let githubService = null;
-    
-    if (hasLinearKey) {
-      linearService = new LinearService(process.env.LINEAR_API_KEY);
+// Run a failed or cancelled background generation again
+app.post("/api/generate-retro/:sessionId/retry", async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.sessionId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found", sessionId: req.params.sessionId });
     }
-    if (hasSlackKey) {
-      slackService = new SlackService(process.env.SLACK_BOT_TOKEN);
+    res.status(202).json({ sessionId: job.id, status: job.status });
+  } catch (error) {
+    if (error.code === "JOB_NOT_RETRYABLE") {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error retrying generation:", error);
+    res.status(500).json({ error: "Failed to retry generation: " + error.message });
+  }
+});
+
+// List background generations, optionally ?status=queued|running|completed|failed|cancelled
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(", ")}` });
     }
-    if (hasGithubKey) {
-      githubService = new GitHubService(process.env.GITHUB_TOKEN);
+    res.json({ jobs: await jobQueue.list({ status }), maxConcurrency: jobQueue.maxConcurrency });
+  } catch (error) {
+    console.error("Error listing jobs:", error);
+    res.status(500).json({ error: "Failed to list jobs: " + error.message });
+  }
+});
+
+app.post("/api/generate-retro", async (req, res) => {
+  let progressTracker = null;
+  try {
+    const { dateRange, teamMembers = [], sessionId, useDemo, demoVariant, analysisMode, force } = req.body;
+    const analysisModeError = validateAnalysisMode(analysisMode);
+    if (analysisModeError) {
+      return res.status(400).json({ error: analysisModeError });
     }
+    const scope = ConnectorRegistry.scopeFromRequest(req.body, process.env);
+
+    console.log("Generating retro for:", { dateRange, teamMembers, useDemo, analysisMode, force, ...scope });
+
+    const llmAnalyzer = LLMAnalyzer.fromEnvironment(process.env, { responseCache: llmResponseCache });
+    const connectorStatus = ConnectorRegistry.describe(process.env);
+    console.log(
+      `Integration status: ${connectorStatus.map(({ label, configured }) => `${label}=${configured}`).join(", ")}, LLM=${llmAnalyzer.config.enabled}`
+    );
 
     // Create progress tracker if sessionId provided
-    let progressTracker = null;
     if (sessionId) {
       progressTracker = progressManager.createTracker(
         sessionId,
-        llmEnabled ? DEFAULT_LLM_STEPS : [
-          { name: 'initialization', description: 'Initializing analysis' },
-          { name: 'complete', description: 'Analysis complete' }
-        ]
+        RetroPipeline.progressSteps(RetroPipeline.analysisMode(analysisMode, llmAnalyzer.config.enabled))
       );
       console.log(`Created progress tracker for session: ${sessionId}`);
     }
 
-    // Prepare date range strings - handle both date-only and full ISO strings
-    const startDate = dateRange.start.includes("T")
-      ? dateRange.start
-      : dateRange.start + "T00:00:00Z";
-    const endDate = dateRange.end.includes("T")
-      ? dateRange.end
-      : dateRange.end + "T23:59:59Z";
-
-    // Initialize retro data
-    let retroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-
-    // 3. If no integrations but OpenAI is available, generate AI insights with sample data
-    if (!hasAnyIntegration && llmEnabled) {
-      console.log("No integrations but OpenAI available, using sample data for AI analysis");
-      try {
-        const fs = await import('fs');
-        const path = await import('path');
-        const base = new URL('./sample-data', import.meta.url).pathname;
-        
-        // Load sample data
-        const variantSuffix = 'sample.large';
-        const linearData = JSON.parse(fs.readFileSync(path.join(base, `linear.issues.${variantSuffix}.json`), 'utf-8'));
-        const githubData = JSON.parse(fs.readFileSync(path.join(base, `github.activity.${variantSuffix}.json`), 'utf-8'));
-        const slackData = JSON.parse(fs.readFileSync(path.join(base, `slack.messages.${variantSuffix}.json`), 'utf-8'));
-        
-        // Run LLM analysis on sample data
-        const llmInsights = await llmAnalyzer.analyzeTeamData(
-          githubData,
-          linearData.issues,
-          slackData.messages,
-          dateRange,
-          {
-            teamSize: teamMembers?.length || 5,
-            repositories: ["sample/app"],
-            channels: ["dev", "general"],
-          },
-          progressTracker
-        );
-        
-        if (llmInsights) {
-          retroData = {
-            ...llmInsights,
-            analysisMetadata: {
-              ...llmInsights.analysisMetadata,
-              dataSources: ["sample_github", "sample_linear", "sample_slack"],
-              sampleDataUsed: true,
-              reason: "No integration keys configured, using sample data with AI"
-            }
-          };
-        } else {
-          // Fallback to demo insights if LLM fails
-          const insightsPath = new URL('./sample-data/demo.insights.json', import.meta.url).pathname;
-          const demoInsights = JSON.parse(fs.readFileSync(insightsPath, 'utf-8'));
-          retroData = {
-            ...demoInsights,
-            analysisMetadata: {
-              demoMode: true,
-              reason: "LLM analysis of sample data failed"
-            }
-          };
-        }
-      } catch (error) {
-        console.error("Sample data LLM analysis failed:", error);
-        // Fallback to demo insights
-        try {
-          const fs = await import('fs');
-          const path = await import('path');
-          const insightsPath = new URL('./sample-data/demo.insights.json', import.meta.url).pathname;
-          const demoInsights = JSON.parse(fs.readFileSync(insightsPath, 'utf-8'));
-          retroData = {
-            ...demoInsights,
-            analysisMetadata: {
-              demoMode: true,
-              reason: "Error during sample data analysis"
-            }
-          };
-        } catch (e) {
-          return res.status(500).json({ error: 'Failed to generate insights: ' + error.message });
-        }
-      }
-    } 
-    // 4. If some integrations are missing but OpenAI is present, use available integrations
-    else if (llmEnabled) {
-      try {
-        console.log("Running LLM analysis with available integrations...");
-        
-        // Load sample data for missing integrations
-        const fs = await import('fs');
-        const path = await import('path');
-        const base = new URL('./sample-data', import.meta.url).pathname;
-        const variantSuffix = 'sample.large';
-        
-        // Prepare data from available sources or samples
-        let githubData = null;
-        let linearIssues = null;
-        let slackMessages = null;
-        
-        // GitHub data
-        if (githubService) {
-          try {
-            const { commits, pullRequests } = await githubService.getTeamActivity(startDate, endDate);
-            githubData = { commits, pullRequests };
-            console.log(`Using real GitHub data: ${commits.length} commits, ${pullRequests.length} PRs`);
-          } catch (e) {
-            console.warn("GitHub fetch failed, using sample data:", e.message);
-            githubData = JSON.parse(fs.readFileSync(path.join(base, `github.activity.${variantSuffix}.json`), 'utf-8'));
-          }
-        } else {
-          console.log("No GitHub key, using sample data");
-          githubData = JSON.parse(fs.readFileSync(path.join(base, `github.activity.${variantSuffix}.json`), 'utf-8'));
-        }
-        
-        // Linear data
-        if (linearService) {
-          try {
-            linearIssues = await linearService.getIssuesInDateRange(startDate, endDate, teamMembers);
-            console.log(`Using real Linear data: ${linearIssues.length} issues`);
-          } catch (e) {
-            console.warn("Linear fetch failed, using sample data:", e.message);
-            const linearData = JSON.parse(fs.readFileSync(path.join(base, `linear.issues.${variantSuffix}.json`), 'utf-8'));
-            linearIssues = linearData.issues;
-          }
-        } else {
-          console.log("No Linear key, using sample data");
-          const linearData = JSON.parse(fs.readFileSync(path.join(base, `linear.issues.${variantSuffix}.json`), 'utf-8'));
-          linearIssues = linearData.issues;
-        }
-        
-        // Slack data
-        if (slackService) {
-          try {
-            slackMessages = await slackService.getTeamChannelMessages(startDate, endDate);
-            console.log(`Using real Slack data: ${slackMessages.length} messages`);
-          } catch (e) {
-            console.warn("Slack fetch failed, using sample data:", e.message);
-            const slackData = JSON.parse(fs.readFileSync(path.join(base, `slack.messages.${variantSuffix}.json`), 'utf-8'));
-            slackMessages = slackData.messages;
-          }
-        } else {
-          console.log("No Slack key, using sample data");
-          const slackData = JSON.parse(fs.readFileSync(path.join(base, `slack.messages.${variantSuffix}.json`), 'utf-8'));
-          slackMessages = slackData.messages;
-        }
-        
-        // Run LLM analysis
-        const llmInsights = await llmAnalyzer.analyzeTeamData(
-          githubData,
-          linearIssues,
-          slackMessages,
-          dateRange,
-          {
-            teamSize: teamMembers?.length,
-            repositories: process.env.GITHUB_REPOS?.split(",") || ["sample/app"],
-            channels: process.env.SLACK_CHANNELS?.split(",") || ["dev", "general"],
-          },
-          progressTracker
-        );
-        
-        if (llmInsights) {
-          retroData = {
-            ...llmInsights,
-            analysisMetadata: {
-              ...llmInsights.analysisMetadata,
-              dataSources: {
-                github: hasGithubKey ? "real" : "sample",
-                linear: hasLinearKey ? "real" : "sample", 
-                slack: hasSlackKey ? "real" : "sample"
-              },
-              mixedDataSources: true
-            }
-          };
-        } else {
-          console.warn("LLM analysis returned null");
-          retroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-        }
-      } catch (error) {
-        console.error("LLM analysis failed:", error.message);
-        retroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-      }
-    }
-    // 5. If only integrations but no OpenAI, return demo insights  
-    else {
-      console.log("No OpenAI configured, using demo insights");
-      try {
-        const fs = await import('fs');
-        const path = await import('path');
-        const insightsPath = new URL('./sample-data/demo.insights.json', import.meta.url).pathname;
-        const demoInsights = JSON.parse(fs.readFileSync(insightsPath, 'utf-8'));
-        
-        retroData = {
-          ...demoInsights,
-          analysisMetadata: {
-            demoMode: true,
-            reason: "OpenAI not configured",
-            dataSources: ["demo"],
-            analysisType: "demo_insights"
-          }
-        };
-      } catch (e) {
-        console.error('Loading demo insights failed:', e);
-        retroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-      }
-    }
-
-    // Add analysis metadata
-    retroData.analysisMetadata = {
-      ...retroData.analysisMetadata,
-      ruleBasedAnalysisUsed:
-        !llmEnabled || !retroData.analysisMetadata?.llmAnalysisUsed,
-      llmAnalysisUsed:
-        llmEnabled && retroData.analysisMetadata?.llmAnalysisUsed,
-      llmEnabled: llmEnabled,
-      generatedAt: new Date().toISOString(),
-      dateRange: dateRange,
-      teamMembers: teamMembers,
-    };
-
-    // Add fallback content if no meaningful data found
-    if (
-      retroData.wentWell.length === 0 &&
-      retroData.didntGoWell.length === 0 &&
-      retroData.actionItems.length === 0
-    ) {
-      retroData.wentWell.push({
-        title: "Data collection completed successfully",
-        details:
-          "Successfully gathered team data from configured sources for analysis.",
-        source: "system",
-        confidence: 1.0,
-        category: "technical",
-      });
-      retroData.didntGoWell.push({
-        title: "Limited data available for analysis",
-        details:
-          "Consider expanding the date range or checking data source configurations.",
-        source: "system",
-        confidence: 0.8,
-        category: "process",
-      });
-      retroData.actionItems.push({
-        title: "Review data source configuration",
-        details:
-          "Ensure all team data sources are properly configured and accessible.",
-        source: "system",
-        priority: "medium",
-        category: "process",
-      });
-    }
-
-    console.log("Generated retro data:", {
-      wentWell: retroData.wentWell.length,
-      didntGoWell: retroData.didntGoWell.length,
-      actionItems: retroData.actionItems.length,
-      llmUsed: retroData.analysisMetadata.llmAnalysisUsed,
-      ruleBasedUsed: retroData.analysisMetadata.ruleBasedAnalysisUsed,
-      analysisType: llmEnabled ? "LLM-powered" : "Rule-based",
+    const pipeline = new RetroPipeline({ llmAnalyzer, env: process.env, progressTracker });
+    const retroData = await pipeline.run({
+      dateRange,
+      teamMembers,
+      useDemo: useDemo === true,
+      demoVariant,
+      scope,
+      analysisMode,
+      force: force === true,
     });
 
-    // Complete the progress tracker before sending response
-    if (progressTracker) {
-      progressTracker.complete();
-    }
-
     res.json(retroData);
   } catch (error) {
     console.error("Error generating retro:", error);
-    // Mark progress tracker as failed
-    if (progressTracker) {
-      progressTracker.fail(error);
-    }
     res.status(500).json({
       error: "Failed to generate retro: " + error.message,
     });
@@ -1066,427 +915,179 @@ app.post("/api/export-retro/preview", (req, res) => {
   }
 });
 
-/**
- * Perform rule-based analysis from all configured sources
- */
-async function performRuleBasedAnalysis(
-  linearService,
-  slackService,
-  githubService,
-  startDate,
-  endDate,
-  teamMembers
-) {
-  console.log("Starting rule-based analysis...");
-
-  // Fetch Linear issues
-  console.log("Fetching Linear issues...");
-  const issues = await linearService.getIssuesInDateRange(
-    startDate,
-    endDate,
-    teamMembers
-  );
-  console.log(`Found ${issues.length} Linear issues`);
-
-  // Analyze Linear issues for retro insights
-  const linearRetroData = linearService.analyzeIssuesForRetro(issues);
-
-  // Fetch and analyze Slack messages if available
-  let slackRetroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-  if (slackService) {
-    try {
-      console.log("Fetching Slack messages...");
-      const messages = await slackService.getTeamChannelMessages(
-        startDate,
-        endDate
-      );
-      console.log(`Found ${messages.length} Slack messages`);
-      slackRetroData = slackService.analyzeMessagesForRetro(messages);
-    } catch (error) {
-      console.warn("Slack analysis failed:", error.message);
-    }
+// List saved retros
+app.get("/api/retros", async (req, res) => {
+  try {
+    const retros = await retroStore.list();
+    res.json({ retros });
+  } catch (error) {
+    console.error("Error listing retros:", error);
+    res.status(500).json({ error: "Failed to list retros: " + error.message });
   }
+});
 
-  // Fetch and analyze GitHub activity if available
-  let githubRetroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-  if (githubService) {
-    try {
-      console.log("Fetching GitHub activity...");
-      const { commits, pullRequests } = await githubService.getTeamActivity(
-        startDate,
-        endDate
-      );
-      console.log(
-        `Found ${commits.length} commits and ${pullRequests.length} PRs`
-      );
-      githubRetroData = githubService.analyzeActivityForRetro(
-        commits,
-        pullRequests
-      );
-    } catch (error) {
-      console.warn("GitHub analysis failed:", error.message);
+// Import retros previously saved in browser localStorage
+app.post("/api/retros/import", async (req, res) => {
+  try {
+    const { retros } = req.body || {};
+    if (!Array.isArray(retros)) {
+      return res.status(400).json({ error: "retros must be an array" });
     }
-  }
-
-  // Combine rule-based insights from all sources
-  const ruleBasedInsights = {
-    wentWell: [
-      ...linearRetroData.wentWell,
-      ...slackRetroData.wentWell,
-      ...githubRetroData.wentWell,
-    ],
-    didntGoWell: [
-      ...linearRetroData.didntGoWell,
-      ...slackRetroData.didntGoWell,
-      ...githubRetroData.didntGoWell,
-    ],
-    actionItems: [
-      ...linearRetroData.actionItems,
-      ...slackRetroData.actionItems,
-      ...githubRetroData.actionItems,
-    ],
-  };
 
-  console.log("Rule-based analysis completed:", {
-    wentWell: ruleBasedInsights.wentWell.length,
-    didntGoWell: ruleBasedInsights.didntGoWell.length,
-    actionItems: ruleBasedInsights.actionItems.length,
-  });
+    const result = await retroStore.importMany(retros);
+    res.json(result);
+  } catch (error) {
+    console.error("Error importing retros:", error);
+    res.status(500).json({ error: "Failed to import retros: " + error.message });
+  }
+});
 
-  return ruleBasedInsights;
-}
+// Create a retro
+app.post("/api/retros", async (req, res) => {
+  try {
+    const { id, title, dateRange, board } = req.body || {};
+    if (board !== undefined && (typeof board !== "object" || board === null)) {
+      return res.status(400).json({ error: "Invalid board provided" });
+    }
 
-/**
- * Perform LLM analysis if enabled and configured
- */
-async function performLLMAnalysis(
-  llmAnalyzer,
-  linearService,
-  slackService,
-  githubService,
-  startDate,
-  endDate,
-  dateRange,
-  teamMembers,
-  progressTracker = null
-) {
-  console.log("Starting LLM analysis...");
+    const retro = await retroStore.create({ id, title, dateRange, board });
+    res.status(201).json(retro);
+  } catch (error) {
+    if (error.code === "RETRO_EXISTS") {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error creating retro:", error);
+    res.status(500).json({ error: "Failed to create retro: " + error.message });
+  }
+});
 
+// Get a single retro
+app.get("/api/retros/:id", async (req, res) => {
   try {
-    // Fetch Linear issues for LLM analysis
-    const issues = await linearService.getIssuesInDateRange(
-      startDate,
-      endDate,
-      teamMembers
-    );
-
-    // Prepare GitHub data for LLM
-    let githubData = null;
-    if (githubService) {
-      try {
-        const { commits, pullRequests } = await githubService.getTeamActivity(
-          startDate,
-          endDate
-        );
-        githubData = { commits, pullRequests };
-        console.log(
-          `Prepared ${commits.length} commits and ${pullRequests.length} PRs for LLM analysis`
-        );
-      } catch (error) {
-        console.warn("GitHub data collection for LLM failed:", error.message);
-      }
+    const retro = await retroStore.get(req.params.id);
+    if (!retro) {
+      return res.status(404).json({ error: "Retro not found", id: req.params.id });
     }
+    res.json(retro);
+  } catch (error) {
+    console.error("Error getting retro:", error);
+    res.status(500).json({ error: "Failed to get retro: " + error.message });
+  }
+});
 
-    // Prepare Slack data for LLM
-    let slackData = null;
-    if (slackService) {
-      try {
-        slackData = await slackService.getTeamChannelMessages(
-          startDate,
-          endDate
-        );
-        console.log(`Prepared ${slackData.length} messages for LLM analysis`);
-      } catch (error) {
-        console.warn("Slack data collection for LLM failed:", error.message);
-      }
+// Update (or create) a retro
+app.put("/api/retros/:id", async (req, res) => {
+  try {
+    const { title, dateRange, board } = req.body || {};
+    if (board !== undefined && (typeof board !== "object" || board === null)) {
+      return res.status(400).json({ error: "Invalid board provided" });
     }
 
-    // Run LLM analysis
-    const llmInsights = await llmAnalyzer.analyzeTeamData(
-      githubData,
-      issues, // Linear issues
-      slackData,
+    const { retro, created } = await retroStore.update(req.params.id, {
+      title,
       dateRange,
-      {
-        teamSize: teamMembers?.length,
-        repositories: process.env.GITHUB_REPOS?.split(",") || [],
-        channels: process.env.SLACK_CHANNELS?.split(",") || [],
-      },
-      progressTracker
-    );
+      board,
+    });
+    res.status(created ? 201 : 200).json(retro);
+  } catch (error) {
+    console.error("Error updating retro:", error);
+    res.status(500).json({ error: "Failed to update retro: " + error.message });
+  }
+});
 
-    if (llmInsights) {
-      console.log("LLM analysis completed:", {
-        wentWell: llmInsights.wentWell.length,
-        didntGoWell: llmInsights.didntGoWell.length,
-        actionItems: llmInsights.actionItems.length,
-      });
-      return llmInsights;
-    } else {
-      console.log("LLM analysis returned null, no insights generated");
-      return null;
+// Delete a retro
+app.delete("/api/retros/:id", async (req, res) => {
+  try {
+    const removed = await retroStore.delete(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Retro not found", id: req.params.id });
     }
+    res.status(204).end();
   } catch (error) {
-    console.warn("LLM analysis failed:", error.message);
-    throw error; // Re-throw to be caught by Promise.allSettled
+    console.error("Error deleting retro:", error);
+    res.status(500).json({ error: "Failed to delete retro: " + error.message });
   }
+});
+
+/**
+ * Respond to a connection test for a registered connector
+ * @param {string} id - Connector id
+ * @returns {Function} Express handler
+ */
+function testConnectorHandler(id) {
+  return async (req, res) => {
+    const Connector = ConnectorRegistry.get(id);
+    try {
+      const missing = Connector.missingKeys(process.env);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: `${missing.join(", ")} not configured`,
+        });
+      }
+
+      const details = await new Connector(process.env).testConnection();
+      res.json({
+        status: `${Connector.label} connection successful!`,
+        ...details,
+      });
+    } catch (error) {
+      console.error(`${Connector.label} test failed:`, error);
+      res.status(500).json({
+        error: `${Connector.label} connection failed: ` + error.message,
+      });
+    }
+  };
 }
 
 /**
- * Add fallback content if no meaningful insights were generated
+ * Check a request's analysisMode option
+ * @returns {string|null} Error message, or null when valid or absent
  */
-function addFallbackContent(retroData, ruleBasedInsights, llmInsights) {
-  // Count total insights from original sources
-  const totalRuleInsights =
-    (ruleBasedInsights.wentWell?.length || 0) +
-    (ruleBasedInsights.didntGoWell?.length || 0) +
-    (ruleBasedInsights.actionItems?.length || 0);
-
-  const totalLLMInsights =
-    (llmInsights.wentWell?.length || 0) +
-    (llmInsights.didntGoWell?.length || 0) +
-    (llmInsights.actionItems?.length || 0);
-
-  // Add fallback content if no meaningful data found
-  if (retroData.wentWell.length === 0 && retroData.didntGoWell.length === 0) {
-    retroData.wentWell.push({
-      title: "Team stayed active",
-      details: `Tracked activity during this period (${totalRuleInsights} rule-based insights, ${totalLLMInsights} AI insights generated)`,
-      source: "system",
-      confidence: 0.5,
-    });
+function validateAnalysisMode(analysisMode) {
+  if (analysisMode === undefined || analysisMode === null || ANALYSIS_MODES.includes(analysisMode)) {
+    return null;
   }
+  return `analysisMode must be one of ${ANALYSIS_MODES.join(", ")}`;
+}
 
-  if (retroData.actionItems.length === 0) {
-    retroData.actionItems.push({
-      title: "Continue tracking team activities",
-      priority: "low",
-      assignee: "team",
-      details: "Keep using the configured tools for better retro insights",
-      source: "system",
-      confidence: 0.5,
+// Listen only when run as the server, so tests can import the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    jobQueue.recover().then((queued) => {
+      if (queued > 0) console.log(`Resumed ${queued} background generation(s)`);
+    }).catch((error) => {
+      console.error("Failed to resume background generations:", error.message);
     });
-  }
+  });
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+export default app;
 
 /**
- * Run retro generation as a background job and store the result by sessionId
+ * Run a queued retro generation; the job queue stores what it returns
  */
-async function runRetroGeneration(sessionId, dateRange, teamMembers, useDemo, demoVariant) {
-  try {
-    console.log("[bg] Starting generation for:", { dateRange, teamMembers, sessionId, useDemo });
-
-    // Create progress tracker
-    let progressTracker = progressManager.createTracker(
-      sessionId,
-      DEFAULT_LLM_STEPS
-    );
-
-    // If demo mode requested, return pre-made demo insights
-    if (useDemo === true) {
-      try {
-        const fs = await import('fs');
-        const path = await import('path');
-        const insightsPath = new URL('./sample-data/demo.insights.json', import.meta.url).pathname;
-        const demoInsights = JSON.parse(fs.readFileSync(insightsPath, 'utf-8'));
-        
-        const retroData = {
-          ...demoInsights,
-          analysisMetadata: {
-            demoMode: true,
-            demoVariant: demoVariant === 'small' ? 'small' : 'large',
-            generatedAt: new Date().toISOString(),
-            dateRange: dateRange,
-            teamMembers: teamMembers,
-            insightCount: {
-              wentWell: demoInsights.wentWell.length,
-              didntGoWell: demoInsights.didntGoWell.length,
-              actionItems: demoInsights.actionItems.length
-            },
-            dataSources: ["github", "linear", "slack"],
-            analysisType: "demo_insights"
-          }
-        };
-
-        generationResults.set(sessionId, {
-          status: "completed",
-          retroData,
-          timestamp: new Date().toISOString(),
-        });
-        progressTracker.complete();
-        setTimeout(() => generationResults.delete(sessionId), 60 * 60 * 1000);
-        console.log("[bg] Demo generation completed for session:", sessionId);
-        return;
-      } catch (e) {
-        console.error('[bg] Demo mode failed:', e);
-        progressTracker.fail(e);
-        generationResults.set(sessionId, {
-          status: "failed",
-          error: 'Failed to load demo insights: ' + e.message,
-          timestamp: new Date().toISOString(),
-        });
-        setTimeout(() => generationResults.delete(sessionId), 60 * 60 * 1000);
-        return;
-      }
-    }
-
-    // Initialize services
-    const linearService = new LinearService(process.env.LINEAR_API_KEY);
-    let slackService = null;
-    if (process.env.SLACK_BOT_TOKEN) {
-      slackService = new SlackService(process.env.SLACK_BOT_TOKEN);
-    }
-    let githubService = null;
-    if (process.env.GITHUB_TOKEN) {
-      githubService = new GitHubService(process.env.GITHUB_TOKEN);
-    }
-
-    // Initialize LLM analyzer and check configuration
-    const llmAnalyzer = LLMAnalyzer.fromEnvironment(process.env);
-    const llmEnabled = llmAnalyzer.config.enabled;
-
-    // Prepare date range strings - handle both date-only and full ISO strings
-    const startDate = dateRange.start.includes("T")
-      ? dateRange.start
-      : dateRange.start + "T00:00:00Z";
-    const endDate = dateRange.end.includes("T")
-      ? dateRange.end
-      : dateRange.end + "T23:59:59Z";
-
-    let retroData = { wentWell: [], didntGoWell: [], actionItems: [] };
-
-    if (llmEnabled) {
-      try {
-        console.log("[bg] Running LLL-only analysis...");
-        const llmInsights = await performLLMAnalysis(
-          llmAnalyzer,
-          linearService,
-          slackService,
-          githubService,
-          startDate,
-          endDate,
-          dateRange,
-          teamMembers,
-          progressTracker
-        );
-        if (llmInsights) {
-          retroData = llmInsights;
-        } else {
-          console.warn("[bg] LLM returned null, falling back to rule-based");
-          retroData = await performRuleBasedAnalysis(
-            linearService,
-            slackService,
-            githubService,
-            startDate,
-            endDate,
-            teamMembers
-          );
-        }
-      } catch (error) {
-        console.error("[bg] LLM analysis failed:", error.message);
-        retroData = await performRuleBasedAnalysis(
-          linearService,
-          slackService,
-          githubService,
-          startDate,
-          endDate,
-          teamMembers
-        );
-      }
-    } else {
-      console.log("[bg] LLM disabled, using rule-based analysis");
-      retroData = await performRuleBasedAnalysis(
-        linearService,
-        slackService,
-        githubService,
-        startDate,
-        endDate,
-        teamMembers
-      );
-    }
-
-    // Add analysis metadata
-    retroData.analysisMetadata = {
-      ...retroData.analysisMetadata,
-      ruleBasedAnalysisUsed:
-        !llmEnabled || !retroData.analysisMetadata?.llmAnalysisUsed,
-      llmAnalysisUsed:
-        llmEnabled && retroData.analysisMetadata?.llmAnalysisUsed,
-      llmEnabled: llmEnabled,
-      generatedAt: new Date().toISOString(),
-      dateRange: dateRange,
-      teamMembers: teamMembers,
-    };
+async function runRetroGeneration(job, signal) {
+  const { dateRange, teamMembers = [], useDemo, demoVariant, analysisMode, force } = job.request;
+  console.log("[bg] Starting generation for:", { dateRange, teamMembers, sessionId: job.id, useDemo, analysisMode, force, attempt: job.attempts });
+
+  const llmAnalyzer = LLMAnalyzer.fromEnvironment(process.env, { responseCache: llmResponseCache });
+  const progressTracker = progressManager.createTracker(
+    job.id,
+    RetroPipeline.progressSteps(RetroPipeline.analysisMode(analysisMode, llmAnalyzer.config.enabled))
+  );
 
-    // Add fallback content if empty
-    if (
-      retroData.wentWell.length === 0 &&
-      retroData.didntGoWell.length === 0 &&
-      retroData.actionItems.length === 0
-    ) {
-      retroData.wentWell.push({
-        title: "Data collection completed successfully",
-        details:
-          "Successfully gathered team data from configured sources for analysis.",
-        source: "system",
-        confidence: 1.0,
-        category: "technical",
-      });
-      retroData.didntGoWell.push({
-        title: "Limited data available for analysis",
-        details:
-          "Consider expanding the date range or checking data source configurations.",
-        source: "system",
-        confidence: 0.8,
-        category: "process",
-      });
-      retroData.actionItems.push({
-        title: "Review data source configuration",
-        details:
-          "Ensure all team data sources are properly configured and accessible.",
-        source: "system",
-        priority: "medium",
-        category: "process",
-      });
-    }
+  const pipeline = new RetroPipeline({ llmAnalyzer, env: process.env, progressTracker, signal });
+  const retroData = await pipeline.run({
+    dateRange,
+    teamMembers,
+    useDemo: useDemo === true,
+    demoVariant,
+    scope: ConnectorRegistry.scopeFromRequest(job.request, process.env),
+    analysisMode,
+    force: force === true,
+  });
 
-    generationResults.set(sessionId, {
-      status: "completed",
-      retroData,
-      timestamp: new Date().toISOString(),
-    });
-    // Complete the progress tracker
-    if (progressTracker) {
-      progressTracker.complete();
-    }
-    // Auto-cleanup stored result after 60 minutes
-    setTimeout(() => generationResults.delete(sessionId), 60 * 60 * 1000);
-    console.log("[bg] Generation completed for session:", sessionId);
-  } catch (error) {
-    console.error("[bg] Unhandled error in runRetroGeneration:", error);
-    generationResults.set(sessionId, {
-      status: "failed",
-      error: error.message,
-      timestamp: new Date().toISOString(),
-    });
-    // Fail the progress tracker
-    if (progressTracker) {
-      progressTracker.fail(error);
-    }
-    setTimeout(() => generationResults.delete(sessionId), 60 * 60 * 1000);
-  }
+  console.log("[bg] Generation completed for session:", job.id);
+  return retroData;
 }
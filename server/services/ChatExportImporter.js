@@ -0,0 +1,302 @@
+/**
+ * ChatExportImporter - Turns chat export archives into conversations
+ *
+ * Reads the export formats teams can produce without giving the server API access:
+ *   - Slack workspace exports (channels.json, users.json, <channel>/<date>.json)
+ *   - Discord channel exports from DiscordChatExporter (one JSON file per channel or thread)
+ *   - Microsoft Teams channel messages saved from the Graph API
+ *     (/teams/{id}/channels/{id}/messages, optionally with $expand=replies)
+ *
+ * Uploads are a zip of JSON files or a single JSON file. Messages come out in Slack's
+ * conversation shape (ts, user, text, replies, reactions, channel) so the chat rules
+ * and the LLM's Slack input take them as they are.
+ */
+
+import SlackService from './slackService.js';
+import { isZip, readZip } from './ZipReader.js';
+
+export const PLATFORM_LABELS = { slack: 'Slack', discord: 'Discord', teams: 'Teams' };
+
+// Slack housekeeping messages that aren't conversation
+const SLACK_SKIPPED_SUBTYPES = new Set([
+  'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name',
+  'channel_archive', 'channel_unarchive', 'group_join', 'group_leave', 'pinned_item', 'bot_add',
+]);
+
+// Discord message types that carry what someone wrote
+const DISCORD_MESSAGE_TYPES = new Set(['Default', 'Reply', 'ThreadStarterMessage']);
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+/**
+ * Slack-style timestamp ("seconds.micros") for an ISO date, made unique within `seen`
+ */
+const toTs = (iso, seen) => {
+  let micros = new Date(iso).getTime() * 1000;
+  if (Number.isNaN(micros)) return null;
+  while (seen.has(micros)) micros++;
+  seen.add(micros);
+  return `${Math.floor(micros / 1e6)}.${String(micros % 1e6).padStart(6, '0')}`;
+};
+
+const tsToISO = (ts) => new Date(parseFloat(ts) * 1000).toISOString();
+
+const withReactionCount = (message) => ({
+  ...message,
+  reaction_count: (message.reactions || []).reduce((sum, r) => sum + (r.count || 0), 0),
+});
+
+/**
+ * Plain text from a Teams HTML message body
+ */
+const htmlToText = (html = '') => String(html)
+  .replace(/<br\s*\/?>|<\/(p|div|li)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#39|[a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match)
+  .replace(/\n{2,}/g, '\n')
+  .trim();
+
+export class ChatExportImporter {
+  /**
+   * Parse an uploaded export
+   * @param {Buffer} buffer - Zip archive or JSON file
+   * @param {Object} options - { filename, maxEntries, maxTotalBytes }
+   * @returns {Object} { platform, channels, users, messages, messageCount, firstMessageAt, lastMessageAt }
+   * @throws {Error} If the upload isn't a recognized export
+   */
+  static parse(buffer, options = {}) {
+    const files = isZip(buffer)
+      ? readZip(buffer, options)
+      : [{ name: options.filename || 'export.json', data: buffer }];
+
+    const documents = [];
+    for (const file of files) {
+      if (!file.name.toLowerCase().endsWith('.json')) continue;
+      try {
+        documents.push({ path: file.name, json: JSON.parse(file.data.toString('utf-8')) });
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+      }
+    }
+    if (documents.length === 0) {
+      throw new Error('The upload contains no JSON files');
+    }
+
+    const platform = this.detectPlatform(documents);
+    const parsers = {
+      slack: () => this.parseSlack(documents),
+      discord: () => this.parseDiscord(documents),
+      teams: () => this.parseTeams(documents),
+    };
+    const { channels, users, messages } = parsers[platform]();
+
+    const timestamps = messages
+      .flatMap(message => [message, ...(message.replies || [])])
+      .map(message => parseFloat(message.ts))
+      .sort((a, b) => a - b);
+
+    return {
+      platform,
+      channels,
+      users,
+      messages,
+      messageCount: timestamps.length,
+      firstMessageAt: timestamps.length > 0 ? tsToISO(timestamps[0]) : null,
+      lastMessageAt: timestamps.length > 0 ? tsToISO(timestamps[timestamps.length - 1]) : null,
+    };
+  }
+
+  /**
+   * Work out which tool produced the export
+   * @param {Array<{path: string, json: *}>} documents - Parsed JSON files
+   * @returns {'slack'|'discord'|'teams'}
+   */
+  static detectPlatform(documents) {
+    // Slack exports always carry users.json; Teams exports may have a channels.json too
+    const names = [...this._relativePaths(documents).values()];
+    if (names.includes('users.json')) return 'slack';
+    if (documents.some(doc => doc.json?.guild && Array.isArray(doc.json?.messages))) return 'discord';
+
+    const items = documents.flatMap(doc => (Array.isArray(doc.json) ? doc.json : doc.json?.value || []));
+    if (items.some(item => item?.createdDateTime && item?.body)) return 'teams';
+    if (items.some(item => item?.ts && item?.type === 'message')) return 'slack';
+
+    throw new Error('Unrecognized chat export: expected a Slack, Discord or Microsoft Teams export');
+  }
+
+  /**
+   * Slack export: one folder per channel with a JSON file per day. Thread replies
+   * sit next to their parent with a `thread_ts` pointing at it.
+   */
+  static parseSlack(documents) {
+    const paths = this._relativePaths(documents);
+    const byName = new Map(documents.map(doc => [paths.get(doc), doc.json]));
+    const channelInfo = [...(byName.get('channels.json') || []), ...(byName.get('groups.json') || [])];
+    const users = (byName.get('users.json') || []).map(user => ({
+      id: user.id,
+      name: user.real_name || user.profile?.real_name || user.profile?.display_name || user.name,
+      email: user.profile?.email || null,
+    }));
+
+    const messagesByChannel = new Map();
+    for (const doc of documents) {
+      const [folder, file] = paths.get(doc).split('/');
+      if (!file || !Array.isArray(doc.json)) continue;
+      if (!messagesByChannel.has(folder)) messagesByChannel.set(folder, []);
+      messagesByChannel.get(folder).push(...doc.json.filter(message =>
+        message?.ts && !SLACK_SKIPPED_SUBTYPES.has(message.subtype)));
+    }
+
+    const messages = [];
+    const channels = [];
+    for (const [folder, channelMessages] of messagesByChannel) {
+      const info = channelInfo.find(channel => channel.name === folder);
+      const conversations = SlackService.groupThreads(channelMessages.map(message => withReactionCount({
+        ts: message.ts,
+        thread_ts: message.thread_ts,
+        user: message.user || message.bot_id,
+        text: message.text || '',
+        reactions: (message.reactions || []).map(({ name, count }) => ({ name, count })),
+      })));
+      messages.push(...conversations.map(message => ({ ...message, channel: folder, channelId: info?.id || folder })));
+      channels.push(folder);
+    }
+
+    return { channels, users, messages };
+  }
+
+  /**
+   * DiscordChatExporter: one file per channel. Replies point at the message they
+   * answer; threads are exported as their own channel whose id is the id of the
+   * message that started them.
+   */
+  static parseDiscord(documents) {
+    const exports = documents.map(doc => doc.json).filter(json => json?.channel && Array.isArray(json.messages));
+    const users = new Map();
+    const tsById = new Map();
+    const seen = new Set();
+    const isThread = (channel) => /thread/i.test(channel.type || '');
+
+    // Give every message its timestamp first, so replies and threads can point at any of them
+    const entries = [];
+    for (const { channel, messages } of exports) {
+      for (const message of messages) {
+        if (!DISCORD_MESSAGE_TYPES.has(message.type || 'Default')) continue;
+        const ts = toTs(message.timestamp, seen);
+        if (!ts) continue;
+        tsById.set(message.id, ts);
+        entries.push({ channel, message, ts });
+      }
+    }
+
+    const flat = [];
+    for (const { channel, message, ts } of entries) {
+      const author = message.author || {};
+      if (author.id && !users.has(author.id)) {
+        users.set(author.id, { id: author.id, name: author.nickname || author.name, email: null });
+      }
+
+      const parentId = isThread(channel) ? channel.id : message.reference?.messageId;
+      const threadTs = parentId && parentId !== message.id ? tsById.get(parentId) : null;
+      flat.push(withReactionCount({
+        ts,
+        ...(threadTs ? { thread_ts: threadTs } : {}),
+        user: author.id,
+        text: message.content || '',
+        reactions: (message.reactions || []).map(reaction => ({ name: reaction.emoji?.name, count: reaction.count || 0 })),
+        channel: isThread(channel) ? channel.category || channel.name : channel.name,
+        channelId: isThread(channel) ? channel.categoryId || channel.id : channel.id,
+      }));
+    }
+
+    return this._groupByChannel(flat, [...users.values()]);
+  }
+
+  /**
+   * Teams: Graph chatMessage resources, either with replies expanded under their
+   * parent or as separate messages with a `replyToId`
+   */
+  static parseTeams(documents) {
+    const paths = this._relativePaths(documents);
+    const channelNames = new Map();
+    const users = new Map();
+    const seen = new Set();
+    const tsById = new Map();
+    const entries = [];
+
+    // A channels.json listing ({ value: [{ id, displayName }] }) names the channels
+    for (const doc of documents) {
+      const listed = Array.isArray(doc.json) ? doc.json : doc.json?.value || [];
+      listed.filter(item => item?.displayName && !item.createdDateTime && item.id)
+        .forEach(channel => channelNames.set(channel.id, channel.displayName));
+    }
+
+    const collect = (item, fallbackChannel, parentId = null) => {
+      if (!item?.createdDateTime || item.deletedDateTime || (item.messageType && item.messageType !== 'message')) return;
+      const ts = toTs(item.createdDateTime, seen);
+      if (!ts) return;
+      tsById.set(item.id, ts);
+      entries.push({ item, ts, parentId: parentId || item.replyToId || null, fallbackChannel });
+      (item.replies || []).forEach(reply => collect(reply, fallbackChannel, item.id));
+    };
+
+    for (const doc of documents) {
+      const items = Array.isArray(doc.json) ? doc.json : doc.json?.value || [];
+      const path = paths.get(doc).replace(/\.json$/i, '');
+      const fallbackChannel = path.includes('/') ? path.split('/')[0] : path;
+      items.forEach(item => collect(item, fallbackChannel));
+    }
+
+    const flat = entries.map(({ item, ts, parentId, fallbackChannel }) => {
+      const user = item.from?.user;
+      if (user?.id && !users.has(user.id)) {
+        users.set(user.id, { id: user.id, name: user.displayName, email: user.userPrincipalName || null });
+      }
+      const channelId = item.channelIdentity?.channelId || fallbackChannel;
+      const threadTs = parentId ? tsById.get(parentId) : null;
+
+      const reactions = new Map();
+      (item.reactions || []).forEach(({ reactionType }) => reactions.set(reactionType, (reactions.get(reactionType) || 0) + 1));
+
+      return withReactionCount({
+        ts,
+        ...(threadTs ? { thread_ts: threadTs } : {}),
+        user: user?.id || item.from?.application?.id,
+        text: item.body?.contentType === 'html' ? htmlToText(item.body.content) : (item.body?.content || ''),
+        reactions: [...reactions].map(([name, count]) => ({ name, count })),
+        channel: channelNames.get(channelId) || fallbackChannel,
+        channelId,
+      });
+    });
+
+    return this._groupByChannel(flat, [...users.values()]);
+  }
+
+  /**
+   * Fold replies into their parents one channel at a time
+   * @private
+   */
+  static _groupByChannel(flat, users) {
+    const byChannel = new Map();
+    for (const message of flat) {
+      if (!byChannel.has(message.channel)) byChannel.set(message.channel, []);
+      byChannel.get(message.channel).push(message);
+    }
+
+    const messages = [...byChannel.values()].flatMap(channelMessages => SlackService.groupThreads(channelMessages));
+    return { channels: [...byChannel.keys()], users, messages };
+  }
+
+  /**
+   * Paths relative to the export root; zips often wrap everything in one top-level folder
+   * @private
+   */
+  static _relativePaths(documents) {
+    const split = documents.map(doc => doc.path.split('/'));
+    const first = split[0][0];
+    const wrapped = split.every(parts => parts.length > 1 && parts[0] === first);
+    return new Map(documents.map((doc, i) => [doc, (wrapped ? split[i].slice(1) : split[i]).join('/')]));
+  }
+}
+
+export default ChatExportImporter;
@@ -0,0 +1,43 @@
+/**
+ * ChatExportStore - File-backed storage for imported chat exports
+ *
+ * One JSON document per import (see ImportStore), holding the parsed export's
+ * conversations and users.
+ */
+
+import { fileURLToPath } from 'url';
+import ImportStore from './ImportStore.js';
+
+const DEFAULT_STORE_DIR = fileURLToPath(new URL('../data/chat-exports', import.meta.url));
+
+export class ChatExportStore extends ImportStore {
+  static prefix = 'c';
+
+  constructor(config = {}) {
+    super({ dir: config.dir || DEFAULT_STORE_DIR });
+  }
+
+  /**
+   * Create a store using environment configuration
+   * @param {Object} env - Environment variables
+   * @returns {ChatExportStore} Store instance
+   */
+  static fromEnvironment(env = process.env) {
+    return new ChatExportStore({ dir: env.CHAT_EXPORT_DIR || DEFAULT_STORE_DIR });
+  }
+
+  defaultName(parsed) {
+    return `${parsed.platform} export`;
+  }
+
+  /**
+   * An import without its messages and users
+   * @param {Object} record - Stored import
+   * @returns {Object} Summary
+   */
+  static summarize({ messages, users, ...summary }) {
+    return { ...summary, userCount: (users || []).length };
+  }
+}
+
+export default ChatExportStore;
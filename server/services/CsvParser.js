@@ -0,0 +1,97 @@
+/**
+ * CsvParser - Minimal RFC 4180 reader for uploaded issue exports
+ *
+ * Handles quoted fields with commas, doubled quotes and line breaks, CRLF line
+ * endings and a leading byte order mark, which is what Linear, Jira and
+ * spreadsheet tools write.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV document
+ * @returns {Array<{line: number, fields: string[]}>} Non-empty rows with the line they start on
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Line ${quoteLine}: a quoted field is never closed`);
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Read CSV text with a header row into records keyed by column name
+ * @param {string} text - CSV document
+ * @returns {{headers: string[], records: Array<{line: number, values: Object}>}}
+ *   Repeated columns (e.g. Jira's "Labels") collect into arrays
+ */
+export function readCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { headers: [], records: [] };
+
+  const headers = header.fields.map(name => name.trim());
+  const repeated = new Set(headers.filter((name, i) => headers.indexOf(name) !== i));
+
+  const records = rows.map(({ line, fields }) => {
+    const values = {};
+    headers.forEach((name, i) => {
+      const value = (fields[i] ?? '').trim();
+      if (repeated.has(name)) {
+        values[name] = [...(values[name] || []), ...(value ? [value] : [])];
+      } else {
+        values[name] = value;
+      }
+    });
+    return { line, values };
+  });
+
+  return { headers, records };
+}
+
+export default parseCsv;
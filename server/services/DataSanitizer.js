@@ -185,6 +185,15 @@ class DataSanitizer {
           url: this.sanitizeText(pr.user.url || ''),
           html_url: this.sanitizeText(pr.user.html_url || '')
         } : null,
+        reviews: Array.isArray(pr.reviews) ? pr.reviews.map(review => ({
+          ...review,
+          user: this.privacyLevel === 'strict' ? '[USER_REDACTED]' : review.user
+        })) : pr.reviews,
+        requested_reviewers: Array.isArray(pr.requested_reviewers) ? pr.requested_reviewers.map(reviewer => ({
+          ...reviewer,
+          login: this.privacyLevel === 'strict' ? '[USER_REDACTED]' : reviewer.login,
+          avatar_url: this.privacyLevel !== 'minimal' ? '[AVATAR_REDACTED]' : reviewer.avatar_url
+        })) : pr.requested_reviewers,
         html_url: this.sanitizeText(pr.html_url || ''),
         url: this.sanitizeText(pr.url || ''),
         diff_url: this.sanitizeText(pr.diff_url || ''),
@@ -231,6 +240,16 @@ class DataSanitizer {
           } : null
         }))
       } : null,
+      history: issue.history?.nodes ? {
+        ...issue.history,
+        nodes: issue.history.nodes.map(entry => ({
+          ...entry,
+          actor: entry.actor ? {
+            ...entry.actor,
+            name: this.privacyLevel === 'strict' ? '[USER_REDACTED]' : entry.actor.name
+          } : null
+        }))
+      } : issue.history,
       // Keep project and team info but sanitize if needed
       project: issue.project ? {
         ...issue.project,
@@ -278,7 +297,10 @@ class DataSanitizer {
         name: reaction.name,
         count: reaction.count,
         users: [] // Remove user lists from reactions
-      })) : undefined
+      })) : undefined,
+      replies: Array.isArray(message.replies)
+        ? message.replies.map(reply => this.sanitizeSlackMessage(reply))
+        : message.replies
     };
   }
 
@@ -0,0 +1,530 @@
+/**
+ * DataUploadParser - Validates uploaded GitHub, Linear and Slack data for offline retros
+ *
+ * Accepts the shapes documented in sample-data/README.md:
+ *   - GitHub activity: { commits: Commit[], pullRequests: PullRequest[] }
+ *   - Linear issues:   { issues: Issue[] }
+ *   - Slack messages:  { messages: Message[] }
+ * plus CSV issue exports from Linear, Jira or a spreadsheet, which become Linear issues.
+ *
+ * Every record is checked against a schema of the fields the rules and the LLM read,
+ * and problems name the offending record (e.g. `pullRequests[3].user.login`, or the
+ * CSV line and column) so the file can be fixed.
+ */
+
+import SlackService from './slackService.js';
+import { PRIORITY_SCALE } from './jiraService.js';
+import { readCsvRecords } from './CsvParser.js';
+
+// Stop collecting problems past this; one bad export usually repeats the same mistake
+const MAX_PROBLEMS = 20;
+
+const STATE_TYPES = ['triage', 'backlog', 'unstarted', 'started', 'completed', 'canceled'];
+
+const DATE = { type: 'date' };
+const NULLABLE_DATE = { type: 'date', nullable: true };
+const COUNT = { type: 'number' };
+
+const COMMIT_SCHEMA = {
+  type: 'object',
+  required: ['sha', 'commit'],
+  properties: {
+    sha: { type: 'string' },
+    commit: {
+      type: 'object',
+      required: ['author', 'message'],
+      properties: {
+        author: {
+          type: 'object',
+          required: ['date'],
+          properties: { name: { type: 'string' }, email: { type: 'string' }, date: DATE },
+        },
+        message: { type: 'string' },
+      },
+    },
+    author: { type: 'object', nullable: true, properties: { login: { type: 'string' } } },
+    repo: { type: 'string' },
+    stats: { type: 'object', properties: { additions: COUNT, deletions: COUNT } },
+  },
+};
+
+const PULL_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['number', 'title', 'user', 'state', 'created_at', 'updated_at'],
+  properties: {
+    number: { type: 'number' },
+    title: { type: 'string' },
+    user: { type: 'object', required: ['login'], properties: { login: { type: 'string' } } },
+    state: { type: 'string', enum: ['open', 'closed'] },
+    created_at: DATE,
+    updated_at: DATE,
+    merged_at: NULLABLE_DATE,
+    closed_at: NULLABLE_DATE,
+    additions: COUNT,
+    deletions: COUNT,
+    comments: COUNT,
+    review_comments: COUNT,
+    reviews: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['state', 'submitted_at'],
+        properties: { state: { type: 'string' }, submitted_at: NULLABLE_DATE },
+      },
+    },
+  },
+};
+
+const ISSUE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'state', 'createdAt', 'updatedAt'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    state: {
+      type: 'object',
+      required: ['name', 'type'],
+      properties: { name: { type: 'string' }, type: { type: 'string', enum: STATE_TYPES } },
+    },
+    assignee: {
+      type: 'object',
+      nullable: true,
+      required: ['name'],
+      properties: { name: { type: 'string' }, email: { type: 'string', nullable: true } },
+    },
+    createdAt: DATE,
+    updatedAt: DATE,
+    startedAt: NULLABLE_DATE,
+    completedAt: NULLABLE_DATE,
+    canceledAt: NULLABLE_DATE,
+    estimate: { type: 'number', nullable: true },
+    priority: { type: 'number', nullable: true },
+    labels: {
+      type: 'object',
+      required: ['nodes'],
+      properties: {
+        nodes: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } },
+      },
+    },
+  },
+};
+
+const SLACK_TS = { type: 'string', pattern: /^\d+(\.\d+)?$/, patternName: 'a Slack timestamp like "1704276000.000100"' };
+
+const MESSAGE_FIELDS = {
+  ts: SLACK_TS,
+  thread_ts: { ...SLACK_TS, nullable: true },
+  user: { type: 'string' },
+  text: { type: 'string' },
+  channel: { type: 'string' },
+  reactions: {
+    type: 'array',
+    items: { type: 'object', required: ['name', 'count'], properties: { name: { type: 'string' }, count: COUNT } },
+  },
+};
+
+const MESSAGE_SCHEMA = {
+  type: 'object',
+  required: ['ts', 'text'],
+  properties: {
+    ...MESSAGE_FIELDS,
+    replies: { type: 'array', items: { type: 'object', required: ['ts', 'text'], properties: MESSAGE_FIELDS } },
+  },
+};
+
+// What each upload kind holds, and the top-level arrays it's read from
+export const UPLOAD_KINDS = {
+  github: { label: 'GitHub activity', fields: { commits: COMMIT_SCHEMA, pullRequests: PULL_REQUEST_SCHEMA } },
+  linear: { label: 'Issues', fields: { issues: ISSUE_SCHEMA } },
+  slack: { label: 'Slack messages', fields: { messages: MESSAGE_SCHEMA } },
+};
+
+// CSV columns, by the names Linear, Jira and common spreadsheet templates use (case-insensitive)
+const CSV_COLUMNS = {
+  id: ['ID', 'Issue key', 'Key', 'Issue id'],
+  title: ['Title', 'Summary', 'Name'],
+  description: ['Description'],
+  status: ['Status', 'State'],
+  statusType: ['Status Type', 'Status Category', 'State Type'],
+  assignee: ['Assignee'],
+  assigneeEmail: ['Assignee Email'],
+  created: ['Created', 'Created At', 'Created Date'],
+  updated: ['Updated', 'Updated At', 'Last Updated'],
+  started: ['Started', 'Started At'],
+  completed: ['Completed', 'Completed At', 'Resolved', 'Resolution Date', 'Done At'],
+  canceled: ['Canceled', 'Cancelled', 'Canceled At'],
+  estimate: ['Estimate', 'Story Points', 'Points', 'Custom field (Story Points)', 'Custom field (Story point estimate)'],
+  priority: ['Priority'],
+  labels: ['Labels', 'Label'],
+  issueType: ['Issue Type', 'Type'],
+  project: ['Project', 'Project name'],
+  team: ['Team'],
+};
+
+const REQUIRED_CSV_COLUMNS = ['title', 'status', 'created'];
+
+// Status names and categories as Linear state types, most specific first
+const STATUS_TYPE_PATTERNS = [
+  ['canceled', /cancel|won'?t (do|fix)|duplicate|declined|obsolete/i],
+  ['completed', /done|closed|resolved|complete|shipped|released|merged/i],
+  ['started', /progress|review|doing|started|testing|\bqa\b|blocked/i],
+  ['backlog', /backlog|icebox/i],
+  ['triage', /triage/i],
+  ['unstarted', /to ?do|open|new|ready|planned|unstarted|selected/i],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * ISO timestamp for a CSV date. Besides anything Date understands, reads Jira's
+ * default export format ("22/Aug/24 10:15 AM").
+ * @returns {string|null} ISO string, or null if the value isn't a date
+ */
+const csvDateToISO = (value) => {
+  const jira = /^(\d{1,2})\/([a-z]{3})\/(\d{2,4})(?: (\d{1,2}):(\d{2})(?: ?([AP]M))?)?$/i.exec(value);
+  if (jira) {
+    const [, day, monthName, yearText, hourText = '0', minute = '0', meridiem] = jira;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    let hour = Number(hourText);
+    if (meridiem) hour = (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    const date = new Date(Date.UTC(year, month, Number(day), hour, Number(minute)));
+    return month >= 0 && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const typeName = (value) => (value === null ? 'null' : Array.isArray(value) ? 'an array' : `a ${typeof value}`);
+
+/**
+ * Create the error thrown for an upload that fails validation
+ * @param {Array<{path: string, message: string}>} problems - What's wrong, record by record
+ * @returns {Error} Error with code INVALID_UPLOAD and the problems attached
+ */
+const invalidUpload = (problems) => {
+  const [first] = problems;
+  const more = problems.length > 1 ? ` (and ${problems.length - 1}${problems.length >= MAX_PROBLEMS ? '+' : ''} more)` : '';
+  const error = new Error(`${first.path ? `${first.path}: ` : ''}${first.message}${more}`);
+  error.code = 'INVALID_UPLOAD';
+  error.problems = problems;
+  return error;
+};
+
+export class DataUploadParser {
+  /**
+   * Parse and validate an uploaded file
+   * @param {Buffer|string} buffer - JSON or CSV file contents
+   * @param {Object} options - { filename } used to tell CSV from JSON
+   * @returns {Object} { kind, format, data, recordCount, firstRecordAt, lastRecordAt }
+   * @throws {Error} With code INVALID_UPLOAD and `problems` if the file doesn't validate
+   */
+  static parse(buffer, { filename = '' } = {}) {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const looksLikeJson = /^\s*[{[]/.test(text);
+    if (!looksLikeJson || /\.csv$/i.test(filename)) {
+      return this.parseIssuesCsv(text);
+    }
+
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw invalidUpload([{ path: '', message: `${filename || 'The upload'} is not valid JSON: ${error.message}` }]);
+    }
+    return this.parseJson(json);
+  }
+
+  /**
+   * Validate a sample-shaped JSON document
+   * @param {Object} json - Parsed upload
+   * @returns {Object} { kind, format, data, recordCount, firstRecordAt, lastRecordAt }
+   */
+  static parseJson(json) {
+    const kind = this.detectKind(json);
+    const { fields } = UPLOAD_KINDS[kind];
+
+    const problems = [];
+    for (const [field, schema] of Object.entries(fields)) {
+      const records = json[field] ?? [];
+      if (!Array.isArray(records)) {
+        problems.push({ path: field, message: `must be an array, got ${typeName(records)}` });
+        continue;
+      }
+      records.forEach((record, i) => this.validate(record, schema, `${field}[${i}]`, problems));
+    }
+    if (problems.length > 0) throw invalidUpload(problems);
+
+    if (kind === 'github') {
+      return this._result(kind, 'json', {
+        commits: json.commits || [],
+        pullRequests: json.pullRequests || [],
+      });
+    }
+    if (kind === 'linear') {
+      return this._result(kind, 'json', json.issues);
+    }
+
+    // Fold thread replies into their parents, channel by channel
+    const byChannel = new Map();
+    for (const message of json.messages) {
+      const key = message.channelId || message.channel || '';
+      if (!byChannel.has(key)) byChannel.set(key, []);
+      byChannel.get(key).push(message);
+    }
+    const conversations = [...byChannel.values()].flatMap(messages => SlackService.groupThreads(messages));
+    return this._result(kind, 'json', conversations);
+  }
+
+  /**
+   * Work out which sample shape a JSON upload has
+   * @param {*} json - Parsed upload
+   * @returns {'github'|'linear'|'slack'}
+   */
+  static detectKind(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw invalidUpload([{
+        path: '',
+        message: 'Expected an object with commits and pullRequests, issues, or messages (see server/sample-data)',
+      }]);
+    }
+    const kind = Object.keys(UPLOAD_KINDS).find(candidate =>
+      Object.keys(UPLOAD_KINDS[candidate].fields).some(field => field in json));
+    if (!kind) {
+      const found = Object.keys(json).slice(0, 5).join(', ') || 'nothing';
+      throw invalidUpload([{
+        path: '',
+        message: `Expected commits and pullRequests, issues, or messages at the top level; found ${found}`,
+      }]);
+    }
+    return kind;
+  }
+
+  /**
+   * Turn a CSV issue export into Linear-shaped issues
+   * @param {string} text - CSV document with a header row
+   * @returns {Object} { kind: 'linear', format: 'csv', data, recordCount, firstRecordAt, lastRecordAt }
+   */
+  static parseIssuesCsv(text) {
+    let table;
+    try {
+      table = readCsvRecords(text);
+    } catch (error) {
+      throw invalidUpload([{ path: '', message: error.message }]);
+    }
+
+    const lowered = new Map(table.headers.map(name => [name.toLowerCase(), name]));
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, names]) => [
+      field,
+      names.map(name => lowered.get(name.toLowerCase())).find(Boolean),
+    ]));
+
+    const missing = REQUIRED_CSV_COLUMNS.filter(field => !columns[field]);
+    if (missing.length > 0) {
+      throw invalidUpload(missing.map(field => ({
+        path: 'line 1',
+        message: `missing a ${CSV_COLUMNS[field].slice(0, 2).join(' or ')} column`,
+      })));
+    }
+    if (table.records.length === 0) {
+      throw invalidUpload([{ path: '', message: 'The CSV has a header row but no issues' }]);
+    }
+
+    const problems = [];
+    const issues = [];
+    for (const { line, values } of table.records) {
+      if (problems.length >= MAX_PROBLEMS) break;
+      const issue = this._csvIssue(values, columns, (column, message) =>
+        problems.push({ path: `line ${line}, ${column}`, message }));
+      if (issue) issues.push({ ...issue, id: issue.id || `csv-${line}` });
+    }
+    if (problems.length > 0) throw invalidUpload(problems);
+
+    return this._result('linear', 'csv', issues);
+  }
+
+  /**
+   * Check a value against a schema, collecting problems with their path
+   * @param {*} value - Value to check
+   * @param {Object} schema - { type, required, properties, items, enum, pattern, nullable }
+   * @param {string} path - Where the value sits in the upload
+   * @param {Array} problems - Problems found so far; appended to
+   * @returns {Array} problems
+   */
+  static validate(value, schema, path, problems = []) {
+    if (problems.length >= MAX_PROBLEMS) return problems;
+    const fail = (message) => problems.push({ path, message });
+
+    if (value === null) {
+      if (!schema.nullable) fail('must not be null');
+      return problems;
+    }
+
+    if (schema.type === 'object') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        fail(`must be an object, got ${typeName(value)}`);
+        return problems;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) fail(`${key} is required`);
+      }
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) this.validate(value[key], child, `${path}.${key}`, problems);
+      }
+    } else if (schema.type === 'array') {
+      if (!Array.isArray(value)) {
+        fail(`must be an array, got ${typeName(value)}`);
+        return problems;
+      }
+      value.forEach((item, i) => this.validate(item, schema.items, `${path}[${i}]`, problems));
+    } else if (schema.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail(`must be a number, got ${typeName(value)}`);
+    } else if (schema.type === 'date') {
+      if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+        fail(`must be an ISO date string, got ${JSON.stringify(value)}`);
+      }
+    } else if (typeof value !== 'string') {
+      fail(`must be a string, got ${typeName(value)}`);
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.join(', ')}, got "${value}"`);
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      fail(`must be ${schema.patternName}, got "${value}"`);
+    }
+    return problems;
+  }
+
+  /**
+   * One CSV row as a Linear-shaped issue
+   * @private
+   */
+  static _csvIssue(values, columns, fail) {
+    const read = (field) => (columns[field] ? values[columns[field]] : undefined);
+    const text = (field) => {
+      const value = read(field);
+      return Array.isArray(value) ? value.join(', ') : value || '';
+    };
+    const date = (field, required = false) => {
+      const value = text(field);
+      if (!value) {
+        if (required) fail(columns[field], 'is empty');
+        return null;
+      }
+      const iso = csvDateToISO(value);
+      if (!iso) fail(columns[field], `"${value}" is not a date`);
+      return iso;
+    };
+
+    const title = text('title');
+    if (!title) fail(columns.title, 'is empty');
+    const status = text('status');
+    if (!status) fail(columns.status, 'is empty');
+
+    const createdAt = date('created', true);
+    const updatedAt = date('updated') || createdAt;
+    const startedAt = date('started');
+    const completedAt = date('completed');
+    const canceledAt = date('canceled');
+
+    const estimateText = text('estimate');
+    const estimate = estimateText ? Number(estimateText) : null;
+    if (estimateText && !Number.isFinite(estimate)) fail(columns.estimate, `"${estimateText}" is not a number`);
+
+    const priorityText = text('priority');
+    const priority = PRIORITY_SCALE[priorityText.toLowerCase()] ??
+      (/^[0-4]$/.test(priorityText) ? Number(priorityText) : 0);
+
+    const labelValue = read('labels');
+    const labels = (Array.isArray(labelValue) ? labelValue : (labelValue || '').split(/[,;]/))
+      .map(name => name.trim())
+      .filter(Boolean);
+    const issueType = text('issueType');
+
+    const stateType = this.statusType(status, text('statusType'), { completedAt, canceledAt });
+    const assignee = text('assignee');
+    const project = text('project');
+    const team = text('team');
+
+    return {
+      id: text('id'),
+      identifier: text('id') || undefined,
+      title,
+      description: text('description'),
+      state: { name: status || 'Unknown', type: stateType },
+      assignee: assignee ? { name: assignee, email: text('assigneeEmail') || null } : null,
+      createdAt,
+      updatedAt,
+      startedAt,
+      completedAt: stateType === 'completed' ? completedAt || updatedAt : null,
+      canceledAt: stateType === 'canceled' ? canceledAt || completedAt || updatedAt : null,
+      estimate: Number.isFinite(estimate) ? estimate : null,
+      priority,
+      priorityLabel: priorityText || null,
+      // Issue type goes in with the labels so bugs are recognized like Linear "Bug" labels
+      labels: { nodes: [issueType, ...labels].filter(Boolean).map(name => ({ name, color: null })) },
+      project: project ? { name: project } : null,
+      team: team ? { name: team } : null,
+      comments: { nodes: [] },
+    };
+  }
+
+  /**
+   * Linear state type for a CSV status
+   * @param {string} status - Status name, e.g. "In Review"
+   * @param {string} category - Status type or category column, when the export has one
+   * @param {Object} dates - { completedAt, canceledAt }
+   * @returns {string} State type
+   */
+  static statusType(status, category = '', { completedAt, canceledAt } = {}) {
+    if (STATE_TYPES.includes(category.toLowerCase())) return category.toLowerCase();
+    for (const name of [category, status]) {
+      const match = name && STATUS_TYPE_PATTERNS.find(([, pattern]) => pattern.test(name));
+      if (match) return match[0];
+    }
+    if (canceledAt) return 'canceled';
+    if (completedAt) return 'completed';
+    return 'unstarted';
+  }
+
+  /**
+   * @private
+   */
+  static _result(kind, format, data) {
+    const timestamps = this.recordDates(kind, data).sort();
+    return {
+      kind,
+      format,
+      data,
+      recordCount: kind === 'github'
+        ? data.commits.length + data.pullRequests.length
+        : kind === 'slack'
+          ? data.reduce((sum, message) => sum + 1 + (message.replies || []).length, 0)
+          : data.length,
+      firstRecordAt: timestamps[0] || null,
+      lastRecordAt: timestamps[timestamps.length - 1] || null,
+    };
+  }
+
+  /**
+   * The date each record is filtered on when a retro is generated
+   * @param {string} kind - Upload kind
+   * @param {*} data - Parsed upload data
+   * @returns {string[]} ISO timestamps
+   */
+  static recordDates(kind, data) {
+    if (kind === 'github') {
+      return [
+        ...data.commits.map(commit => commit.commit.author.date),
+        ...data.pullRequests.map(pr => pr.updated_at),
+      ].map(value => new Date(value).toISOString());
+    }
+    if (kind === 'linear') {
+      return data.map(issue => new Date(issue.updatedAt).toISOString());
+    }
+    return data
+      .flatMap(message => [message, ...(message.replies || [])])
+      .map(message => new Date(parseFloat(message.ts) * 1000).toISOString());
+  }
+}
+
+export default DataUploadParser;
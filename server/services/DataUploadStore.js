@@ -0,0 +1,57 @@
+/**
+ * DataUploadStore - File-backed storage for uploaded GitHub, issue and Slack data
+ *
+ * One JSON document per upload (see ImportStore). Ids start with the upload kind
+ * (u-github-..., u-linear-..., u-slack-...) so a connector can tell whether there
+ * is anything for it without reading every upload.
+ */
+
+import { fileURLToPath } from 'url';
+import ImportStore from './ImportStore.js';
+
+const DEFAULT_STORE_DIR = fileURLToPath(new URL('../data/uploads', import.meta.url));
+
+export class DataUploadStore extends ImportStore {
+  static prefix = 'u';
+
+  constructor(config = {}) {
+    super({ dir: config.dir || DEFAULT_STORE_DIR });
+  }
+
+  /**
+   * Create a store using environment configuration
+   * @param {Object} env - Environment variables
+   * @returns {DataUploadStore} Store instance
+   */
+  static fromEnvironment(env = process.env) {
+    return new DataUploadStore({ dir: env.DATA_UPLOAD_DIR || DEFAULT_STORE_DIR });
+  }
+
+  /**
+   * Id prefix of uploads of one kind
+   * @param {string} kind - 'github' | 'linear' | 'slack'
+   * @returns {string}
+   */
+  static kindPrefix(kind) {
+    return `${this.prefix}-${kind}-`;
+  }
+
+  idPrefix(parsed) {
+    return `${DataUploadStore.prefix}-${parsed.kind}`;
+  }
+
+  defaultName(parsed) {
+    return `${parsed.kind} upload`;
+  }
+
+  /**
+   * An upload without its data
+   * @param {Object} record - Stored upload
+   * @returns {Object} Summary
+   */
+  static summarize({ data, ...summary }) {
+    return summary;
+  }
+}
+
+export default DataUploadStore;
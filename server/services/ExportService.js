@@ -170,7 +170,11 @@ export class ExportService {
     }
 
     if (metadata.teamMembers && metadata.teamMembers.length > 0) {
-      section += `**Team Members:** ${metadata.teamMembers.join(', ')}\n\n`;
+      // Roster entries are plain strings or { name, emails, github, slack } objects
+      const names = metadata.teamMembers.map(member =>
+        typeof member === 'string' ? member : member.name || member.emails?.[0] || member.github?.[0]
+      );
+      section += `**Team Members:** ${names.filter(Boolean).join(', ')}\n\n`;
     }
 
     // Analysis methods used
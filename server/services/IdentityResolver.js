@@ -0,0 +1,335 @@
+/**
+ * IdentityResolver - Maps per-source identities onto one canonical person
+ *
+ * GitHub knows people by login (and commit author name/email), Linear by assignee
+ * name/email, and Slack by user ID. The resolver keeps a person per teammate with
+ * every alias seen for them, seeded from an optional mapping file and the Slack
+ * user directory, so activity from all three sources can be attributed to the same
+ * person.
+ *
+ * Mapping file (server/data/identities.json, override with IDENTITY_MAP_PATH):
+ *   { "people": [{ "name": "Alice Smith", "emails": ["alice@acme.com"],
+ *                  "github": ["alice"], "slack": ["U0123ABC"], "linear": ["Alice S."] }] }
+ */
+
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_MAP_PATH = fileURLToPath(new URL('../data/identities.json', import.meta.url));
+
+// Alias kinds, strongest first. Names are only used when nothing stronger matches.
+const ALIAS_KINDS = ['slack', 'github', 'linear', 'email', 'name'];
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+  .filter(v => typeof v === 'string' && v.trim())
+  .map(v => v.trim());
+
+const aliasKey = (kind, value) => `${kind}:${value.trim().toLowerCase()}`;
+
+export class IdentityResolver {
+  constructor(config = {}) {
+    this.people = [];
+    this.aliases = new Map(); // aliasKey -> person
+    this.unnamed = new Set(); // people named after a login or email until a real name shows up
+    this.slackDirectoryLoaded = false;
+
+    for (const person of config.people || []) {
+      this.addPerson(person);
+    }
+  }
+
+  /**
+   * Create a resolver from a mapping file; a missing file means no explicit mappings
+   * @param {string} filePath - Path to the JSON mapping file
+   * @returns {Promise<IdentityResolver>} Resolver instance
+   */
+  static async load(filePath = DEFAULT_MAP_PATH) {
+    try {
+      const mapping = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      return new IdentityResolver({ people: Array.isArray(mapping) ? mapping : mapping.people });
+    } catch (error) {
+      if (error.code === 'ENOENT') return new IdentityResolver();
+      throw new Error(`Invalid identity mapping file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a resolver using environment configuration
+   * @param {Object} env - Environment variables
+   * @returns {Promise<IdentityResolver>} Resolver instance
+   */
+  static fromEnvironment(env = process.env) {
+    return IdentityResolver.load(env.IDENTITY_MAP_PATH || DEFAULT_MAP_PATH);
+  }
+
+  /**
+   * Add a person, merging into an existing one when any email or account alias is known
+   * @param {Object} entry - { name, emails|email, github, slack, linear }
+   * @returns {Object|null} The canonical person
+   */
+  addPerson(entry = {}) {
+    const identity = {
+      name: typeof entry.name === 'string' ? entry.name.trim() : undefined,
+      emails: [...toList(entry.emails), ...toList(entry.email)],
+      github: toList(entry.github),
+      slack: toList(entry.slack),
+      linear: toList(entry.linear)
+    };
+    return this._link(identity, { create: true });
+  }
+
+  /**
+   * Load the Slack user directory with users.list, then look up any remaining
+   * IDs (e.g. Slack Connect guests) one by one with users.info
+   * @param {SlackService} slackService - Slack client
+   * @param {string[]} userIds - Slack user IDs seen in the analyzed messages
+   */
+  async loadSlackUsers(slackService, userIds = []) {
+    if (!this.slackDirectoryLoaded) {
+      const users = await slackService.getUsers();
+      users.filter(user => !user.deleted && !user.is_bot && user.id !== 'USLACKBOT')
+        .forEach(user => this._addSlackUser(user));
+      this.slackDirectoryLoaded = true;
+    }
+
+    const unknown = [...new Set(userIds)].filter(id => id && !this.aliases.has(aliasKey('slack', id)));
+    for (const id of unknown.slice(0, 50)) {
+      try {
+        const user = await slackService.getUserInfo(id);
+        if (user) this._addSlackUser(user);
+      } catch (error) {
+        console.warn(`Could not resolve Slack user ${id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Register the people of an imported chat export. Chat messages are matched on
+   * their `user` field like Slack's, so export user IDs are kept as Slack aliases.
+   * @param {Array<{id: string, name: string, email: string}>} users - Export users
+   */
+  addChatUsers(users = []) {
+    for (const user of users) {
+      if (!user?.id) continue;
+      this._link({ name: user.name, emails: toList(user.email), slack: [user.id] }, { create: true });
+    }
+  }
+
+  /**
+   * Record the identities carried by raw team data so records that share a login,
+   * email or name end up on the same person
+   * @param {Object} teamData - { github, linear, slack } as prepared for analysis
+   */
+  observeTeamData(teamData = {}) {
+    for (const commit of teamData.github?.commits || []) {
+      this._link(IdentityResolver.githubCommitIdentity(commit), { create: true });
+    }
+    for (const pr of teamData.github?.pullRequests || []) {
+      this._link({ github: toList(pr.user?.login) }, { create: true });
+    }
+    for (const issue of teamData.linear?.issues || []) {
+      if (issue.assignee) {
+        this._link(IdentityResolver.linearIdentity(issue.assignee), { create: true });
+      }
+    }
+  }
+
+  /**
+   * Find the canonical person for a source-specific identity
+   * @param {string} source - 'github' | 'linear' | 'slack' | 'email' | 'name'
+   * @param {string|Object} identity - A raw ID/login/email/name, or a source record
+   *   such as a GitHub commit or a Linear assignee
+   * @returns {Object|null} Person ({ id, name, emails, github, slack, linear }) or null
+   */
+  resolve(source, identity) {
+    if (!identity) return null;
+
+    let parsed;
+    if (typeof identity === 'string') {
+      parsed = source === 'email' ? { emails: [identity] }
+        : source === 'name' ? { name: identity }
+          : { [source]: [identity] };
+    } else if (source === 'github') {
+      parsed = identity.commit ? IdentityResolver.githubCommitIdentity(identity) : { github: toList(identity.login) };
+    } else if (source === 'linear') {
+      parsed = IdentityResolver.linearIdentity(identity);
+    } else {
+      parsed = { [source]: toList(identity.id) };
+    }
+    return this._link(parsed, { create: false });
+  }
+
+  /**
+   * Display name for a source identity, falling back to the raw value
+   * @returns {string|undefined} Canonical name
+   */
+  displayName(source, identity) {
+    const person = this.resolve(source, identity);
+    if (person?.name) return person.name;
+    return typeof identity === 'string' ? identity : identity?.name || identity?.login;
+  }
+
+  /**
+   * Resolve team members given in any form (email, login, Slack ID, name) to people
+   * @param {string[]} members - Team member identifiers
+   * @returns {Array<{member: string, person: Object|null}>}
+   */
+  resolveMembers(members = []) {
+    return members.filter(member => typeof member === 'string').map(member => ({
+      member,
+      person: this._findByAnyAlias(member)
+    }));
+  }
+
+  /**
+   * Emails to use for the Linear assignee filter. Members that don't resolve to a
+   * person with an email are passed through when they look like an email.
+   * @param {string[]} members - Team member identifiers
+   * @returns {string[]} Email addresses
+   */
+  emailsForMembers(members = []) {
+    const emails = new Set();
+    for (const { member, person } of this.resolveMembers(members)) {
+      if (person?.emails.length > 0) {
+        person.emails.forEach(email => emails.add(email));
+      } else if (member.includes('@')) {
+        emails.add(member);
+      }
+    }
+    return [...emails];
+  }
+
+  /**
+   * Copy team data with the canonical `person` name on every commit, PR, issue and
+   * Slack message, so "alice" on GitHub and U0123ABC on Slack read as one teammate
+   * @param {Object} teamData - { github, linear, slack } as prepared for analysis
+   * @returns {Object} Annotated copy
+   */
+  annotateTeamData(teamData = {}) {
+    const withPerson = (record, person) => (person ? { ...record, person: person.name } : record);
+    const annotateMessage = (message) => ({
+      ...withPerson(message, this.resolve('slack', message.user)),
+      ...(Array.isArray(message.replies) ? { replies: message.replies.map(annotateMessage) } : {})
+    });
+    const annotated = { ...teamData };
+
+    if (teamData.github) {
+      annotated.github = { ...teamData.github };
+      if (teamData.github.commits) {
+        annotated.github.commits = teamData.github.commits.map(commit => withPerson(commit, this.resolve('github', commit)));
+      }
+      if (teamData.github.pullRequests) {
+        annotated.github.pullRequests = teamData.github.pullRequests.map(pr => withPerson(pr, this.resolve('github', pr.user)));
+      }
+    }
+    if (teamData.linear?.issues) {
+      annotated.linear = {
+        ...teamData.linear,
+        issues: teamData.linear.issues.map(issue => withPerson(issue, this.resolve('linear', issue.assignee)))
+      };
+    }
+    if (teamData.slack?.messages) {
+      annotated.slack = { ...teamData.slack, messages: teamData.slack.messages.map(annotateMessage) };
+    }
+
+    return annotated;
+  }
+
+  static githubCommitIdentity(commit) {
+    return {
+      name: commit.commit?.author?.name,
+      emails: toList(commit.commit?.author?.email),
+      github: toList(commit.author?.login)
+    };
+  }
+
+  static linearIdentity(user) {
+    return {
+      name: user.name,
+      emails: toList(user.email),
+      linear: [...toList(user.id), ...toList(user.name)]
+    };
+  }
+
+  /**
+   * @private
+   */
+  _addSlackUser(user) {
+    this._link({
+      name: user.real_name || user.profile?.real_name || user.profile?.display_name || user.name,
+      emails: toList(user.profile?.email),
+      slack: [user.id]
+    }, { create: true });
+  }
+
+  /**
+   * Look a member up under every alias kind
+   * @private
+   */
+  _findByAnyAlias(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const normalized = value.trim().replace(/^@/, '');
+    const kinds = normalized.includes('@') ? ['email'] : ALIAS_KINDS.filter(kind => kind !== 'email');
+    for (const kind of kinds) {
+      const person = this.aliases.get(aliasKey(kind, normalized));
+      if (person) return person;
+    }
+    return null;
+  }
+
+  /**
+   * Find the person an identity belongs to and, when allowed, record its aliases
+   * on that person (or on a new person if none matched)
+   * @private
+   */
+  _link(identity, { create }) {
+    const keys = [];
+    for (const kind of ['slack', 'github', 'linear']) {
+      toList(identity[kind]).forEach(value => keys.push([kind, value]));
+    }
+    toList(identity.emails).forEach(value => keys.push(['email', value]));
+    if (identity.name) keys.push(['name', identity.name]);
+    if (keys.length === 0) return null;
+
+    // Prefer a match on an account or email; names only link when nothing else does
+    let person = null;
+    for (const [kind, value] of keys) {
+      person = this.aliases.get(aliasKey(kind, value));
+      if (person) break;
+    }
+    if (!create) return person || null;
+
+    if (!person) {
+      person = {
+        id: `person-${this.people.length + 1}`,
+        name: identity.name || keys[0][1],
+        emails: [],
+        github: [],
+        slack: [],
+        linear: []
+      };
+      this.people.push(person);
+      if (!identity.name) this.unnamed.add(person);
+    } else if (identity.name && this.unnamed.has(person)) {
+      // First real name seen for someone only known by login or email so far
+      person.name = identity.name;
+      this.unnamed.delete(person);
+    }
+
+    for (const [kind, value] of keys) {
+      const key = aliasKey(kind, value);
+      const owner = this.aliases.get(key);
+      if (owner && owner !== person) continue; // never steal an alias from someone else
+      if (!owner) this.aliases.set(key, person);
+      if (kind === 'name') continue; // names live in the alias map only
+      const list = kind === 'email' ? person.emails : person[kind];
+      if (!list.some(existing => existing.toLowerCase() === value.toLowerCase())) {
+        list.push(value);
+      }
+    }
+
+    return person;
+  }
+}
+
+export default IdentityResolver;
@@ -0,0 +1,167 @@
+/**
+ * ImportStore - File-backed storage for uploaded data
+ *
+ * Each import is kept as its own JSON document in a directory, so a large upload
+ * never has to be rewritten to add or remove another one. Documents are written
+ * to a temp file and renamed so a crash mid-write never leaves a partial import.
+ *
+ * Subclasses pick the directory, the id prefix and what a summary leaves out.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+export class ImportStore {
+  /** Imports are named <prefix>-<...>.json; anything else in the directory is ignored */
+  static prefix = 'i';
+
+  constructor(config = {}) {
+    this.dir = config.dir;
+    this.fileName = new RegExp(`^${this.constructor.prefix}-[a-z0-9-]+\\.json$`);
+  }
+
+  /**
+   * Whether anything has been imported. Synchronous so connector configuration
+   * checks can use it.
+   * @param {string} idPrefix - Only count imports whose id starts with this
+   * @returns {boolean}
+   */
+  hasImports(idPrefix = '') {
+    try {
+      return fs.readdirSync(this.dir).some(name => this.fileName.test(name) && name.startsWith(idPrefix));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * List imports without their data, most recent first
+   * @returns {Promise<Array>} Import summaries
+   */
+  async list() {
+    const imports = await Promise.all((await this._files()).map(file => this._readFile(file)));
+    return imports
+      .filter(Boolean)
+      .map(record => this.constructor.summarize(record))
+      .sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+  }
+
+  /**
+   * Get an import with its data
+   * @param {string} id - Import id
+   * @returns {Promise<Object|null>} Import or null if not found
+   */
+  async get(id) {
+    if (!this.fileName.test(`${id}.json`)) return null;
+    return this._readFile(`${id}.json`);
+  }
+
+  /**
+   * Get several imports with their data; every import when no ids are given
+   * @param {string[]} ids - Import ids
+   * @param {string} idPrefix - Only return imports whose id starts with this
+   * @returns {Promise<Array>} Imports found (unknown ids are skipped)
+   */
+  async getMany(ids = [], idPrefix = '') {
+    const files = ids.length === 0
+      ? await this._files()
+      : ids.map(id => `${id}.json`).filter(file => this.fileName.test(file));
+    const imports = await Promise.all(
+      files.filter(file => file.startsWith(idPrefix)).map(file => this._readFile(file))
+    );
+    return imports.filter(Boolean);
+  }
+
+  /**
+   * Save an import
+   * @param {Object} data - What to store; spread into the record
+   * @param {Object} meta - { name } shown in the import list
+   * @returns {Promise<Object>} Import summary
+   */
+  async create(data, meta = {}) {
+    const record = {
+      id: `${this.idPrefix(data)}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: meta.name || this.defaultName(data),
+      importedAt: new Date().toISOString(),
+      ...data,
+    };
+
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    const target = path.join(this.dir, `${record.id}.json`);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fsPromises.writeFile(tempFile, JSON.stringify(record), 'utf-8');
+    await fsPromises.rename(tempFile, target);
+    return this.constructor.summarize(record);
+  }
+
+  /**
+   * Delete an import
+   * @param {string} id - Import id
+   * @returns {Promise<boolean>} True if an import was removed
+   */
+  async delete(id) {
+    if (!this.fileName.test(`${id}.json`)) return false;
+    try {
+      await fsPromises.unlink(path.join(this.dir, `${id}.json`));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Start of the id for new data
+   * @param {Object} data - What is being stored
+   * @returns {string}
+   */
+  idPrefix(data) {
+    return this.constructor.prefix;
+  }
+
+  /**
+   * Name for an import uploaded without one
+   * @param {Object} data - What is being stored
+   * @returns {string}
+   */
+  defaultName(data) {
+    return 'Upload';
+  }
+
+  /**
+   * An import as listed; subclasses leave out the bulky parts
+   * @param {Object} record - Stored import
+   * @returns {Object} Summary
+   */
+  static summarize(record) {
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  async _files() {
+    try {
+      return (await fsPromises.readdir(this.dir)).filter(name => this.fileName.test(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read ${this.dir}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readFile(file) {
+    try {
+      return JSON.parse(await fsPromises.readFile(path.join(this.dir, file), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read import ${file}: ${error.message}`);
+    }
+  }
+}
+
+export default ImportStore;
@@ -125,6 +125,8 @@ export class InsightMerger {
       title: insight.title || 'Untitled insight',
       details: insight.details || insight.description || '',
       source: insight.source || defaultSource,
+      // Which analysis produced the card: 'rules', 'ai', or 'merged' once combined
+      provenance: insight.provenance || defaultSource,
       confidence: this._normalizeConfidence(insight.confidence, defaultSource),
       category: insight.category || 'general',
       data: insight.data || {},
@@ -171,9 +173,11 @@ export class InsightMerger {
    */
   _generateId(insight) {
     const content = (insight.title || '') + (insight.details || '');
+    // The sequence keeps ids apart when two titles start alike within the same millisecond
+    this._idSequence = (this._idSequence || 0) + 1;
     return content.toLowerCase()
       .replace(/[^a-z0-9]/g, '')
-      .substring(0, 16) + '_' + Date.now().toString(36);
+      .substring(0, 16) + '_' + Date.now().toString(36) + '_' + this._idSequence;
   }
 
   /**
@@ -415,11 +419,13 @@ export class InsightMerger {
     });
 
     const primary = sortedByPriority[0];
+    const provenances = [...new Set(insights.map(insight => insight.provenance).filter(Boolean))];
 
     // Create merged insight
     const merged = {
       ...primary,
       source: 'hybrid',
+      provenance: provenances.length === 1 ? provenances[0] : 'merged',
       confidence: this._calculateMergedConfidence(insights),
       
       // Combine details from all insights
@@ -431,6 +437,7 @@ export class InsightMerger {
       // Track source insights
       sourceInsights: insights.map(insight => ({
         source: insight.source,
+        provenance: insight.provenance,
         originalId: insight.originalId,
         confidence: insight.confidence,
         title: insight.title
@@ -0,0 +1,284 @@
+/**
+ * JobQueue - Runs background generations a few at a time
+ *
+ * Jobs are kept in a JobStore, so a queued job and a finished job's result
+ * survive a restart; jobs a restart interrupted are queued again by recover().
+ * A job is queued, running, then completed or failed. Cancelling aborts the
+ * job's signal, which the runner passes on to in-flight LLM requests. Failed
+ * and cancelled jobs can be retried with the request they were started with.
+ * A 'finished' event carries each job that completes, fails or is cancelled.
+ */
+
+import { EventEmitter } from 'events';
+import JobStore from './JobStore.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const CANCELLED = { status: 'cancelled', error: 'Generation was cancelled' };
+const DEFAULT_MAX_CONCURRENCY = 2;
+const DEFAULT_RETENTION_DAYS = 7;
+
+const jobError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {JobStore} options.store - Where jobs are kept
+   * @param {Function} options.runner - async (job, signal) => result; should stop when signal aborts
+   * @param {number} options.maxConcurrency - Jobs run at once
+   * @param {number} options.retentionDays - Finished jobs older than this are removed by recover()
+   */
+  constructor({ store, runner, maxConcurrency = DEFAULT_MAX_CONCURRENCY, retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    super();
+    // Every open progress stream waits for its job to finish
+    this.setMaxListeners(0);
+    this.store = store || new JobStore();
+    this.runner = runner;
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.retentionDays = retentionDays;
+    this.pending = [];
+    // id -> { controller, done } for each running job
+    this.running = new Map();
+    // id -> the job's last pending write; writes to one job run one at a time
+    this.writes = new Map();
+  }
+
+  /**
+   * Create a queue using environment configuration
+   * @param {Object} env - Environment variables
+   * @param {Function} runner - See the constructor
+   * @returns {JobQueue} Queue instance
+   */
+  static fromEnvironment(env = process.env, runner) {
+    const maxConcurrency = parseInt(env.GENERATION_MAX_CONCURRENCY, 10);
+    const retentionDays = parseFloat(env.GENERATION_JOB_RETENTION_DAYS);
+    return new JobQueue({
+      store: JobStore.fromEnvironment(env),
+      runner,
+      maxConcurrency: maxConcurrency > 0 ? maxConcurrency : DEFAULT_MAX_CONCURRENCY,
+      retentionDays: retentionDays > 0 ? retentionDays : DEFAULT_RETENTION_DAYS,
+    });
+  }
+
+  /**
+   * Queue again the jobs a restart left queued or running, in the order they
+   * were created, and remove finished jobs past the retention period
+   * @returns {Promise<number>} Jobs queued
+   */
+  async recover() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const jobs = (await this.store.list()).reverse();
+    let queued = 0;
+    for (const job of jobs) {
+      if (FINISHED.includes(job.status)) {
+        if (new Date(job.finishedAt || job.createdAt).getTime() < cutoff) await this.store.delete(job.id);
+        continue;
+      }
+      if (this.pending.includes(job.id) || this.running.has(job.id)) continue;
+      if (job.status === 'running') await this._update(job.id, { status: 'queued', startedAt: null });
+      this.pending.push(job.id);
+      queued += 1;
+    }
+    this._drain();
+    return queued;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} id - Job id; the generation's sessionId
+   * @param {Object} request - What the runner needs to run it
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} code 'JOB_EXISTS' if a job with this id is still queued or running
+   */
+  async enqueue(id, request) {
+    const existing = await this.store.get(id);
+    if (existing && !FINISHED.includes(existing.status)) {
+      throw jobError(`Job ${id} is already ${existing.status}`, 'JOB_EXISTS');
+    }
+
+    const now = new Date().toISOString();
+    const job = await this.store.save({
+      id,
+      status: 'queued',
+      request,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+    });
+    this.pending.push(id);
+    this._drain();
+    return JobStore.summarize(job);
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's signal is aborted; the
+   * runner stops at its next check or when its request is aborted.
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Job summary, or null if not found
+   * @throws {Error} code 'JOB_FINISHED' if the job already finished
+   */
+  async cancel(id) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+    if (FINISHED.includes(job.status)) {
+      throw jobError(`Job ${id} already ${job.status}`, 'JOB_FINISHED');
+    }
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    this.running.get(id)?.controller.abort();
+    const cancelled = await this._finish(id, CANCELLED);
+    // The runner may have recorded its outcome while this was aborting it
+    if (!cancelled) {
+      throw jobError(`Job ${id} already ${(await this.store.get(id)).status}`, 'JOB_FINISHED');
+    }
+    return JobStore.summarize(cancelled);
+  }
+
+  /**
+   * Queue a failed or cancelled job again with its original request
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Job summary, or null if not found
+   * @throws {Error} code 'JOB_NOT_RETRYABLE' unless the job failed or was cancelled
+   */
+  async retry(id) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+    if (!['failed', 'cancelled'].includes(job.status) || this.running.has(id)) {
+      throw jobError(`Only failed or cancelled jobs can be retried; job ${id} is ${job.status}`, 'JOB_NOT_RETRYABLE');
+    }
+
+    const retried = await this._update(id, { status: 'queued', startedAt: null, finishedAt: null, error: null, result: undefined });
+    this.pending.push(id);
+    this._drain();
+    return JobStore.summarize(retried);
+  }
+
+  /**
+   * Get a job with its result
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List jobs without their results, most recent first
+   * @param {Object} filter
+   * @param {string} filter.status - Only jobs in this state
+   * @returns {Promise<Array>} Job summaries
+   */
+  async list({ status } = {}) {
+    const jobs = await this.store.list();
+    return status ? jobs.filter(job => job.status === status) : jobs;
+  }
+
+  /**
+   * Resolves once nothing is queued or running; for tests and shutdown
+   * @returns {Promise<void>}
+   */
+  async onIdle() {
+    while (this.running.size > 0) {
+      await Promise.all([...this.running.values()].map(({ done }) => done));
+    }
+  }
+
+  /**
+   * Start queued jobs while there are free slots. Each job's controller is
+   * registered before anything is awaited, so cancel() always finds it.
+   * @private
+   */
+  _drain() {
+    while (this.running.size < this.maxConcurrency && this.pending.length > 0) {
+      const id = this.pending.shift();
+      const controller = new AbortController();
+      const entry = { controller };
+      this.running.set(id, entry);
+      entry.done = this._run(id, controller.signal).finally(() => {
+        this.running.delete(id);
+        this._drain();
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _run(id, signal) {
+    try {
+      const job = await this._updateIf(
+        id,
+        queued => queued.status === 'queued' && !signal.aborted,
+        queued => ({ status: 'running', startedAt: new Date().toISOString(), attempts: (queued.attempts || 0) + 1 })
+      );
+      if (!job) return;
+
+      const result = await this.runner(job, signal);
+      // A finished generation keeps its result even if a cancel arrived as it finished
+      await this._finish(id, { status: 'completed', result });
+    } catch (error) {
+      if (!signal.aborted) console.error(`Job ${id} failed:`, error.message);
+      await this._finish(id, signal.aborted ? CANCELLED : { status: 'failed', error: error.message }).catch((saveError) => {
+        console.error(`Failed to record the outcome of job ${id}:`, saveError.message);
+      });
+    }
+  }
+
+  /**
+   * Record a job's outcome and emit 'finished', unless it has already finished
+   * (e.g. a cancel and the runner's own outcome racing)
+   * @returns {Promise<Object|null>} The finished job, or null if it had already finished
+   * @private
+   */
+  async _finish(id, changes) {
+    const job = await this._updateIf(
+      id,
+      current => !FINISHED.includes(current.status),
+      { ...changes, finishedAt: new Date().toISOString() }
+    );
+    if (job) this.emit('finished', job);
+    return job;
+  }
+
+  /**
+   * @private
+   */
+  async _update(id, changes) {
+    return this._updateIf(id, () => true, changes);
+  }
+
+  /**
+   * Change a job if `when` accepts its stored state. Checking and writing happen
+   * in turn with the job's other writes, so two callers can't both pass the check.
+   * @param {string} id - Job id
+   * @param {Function} when - (job) => boolean
+   * @param {Object|Function} changes - Fields to set, or (job) => fields
+   * @returns {Promise<Object|null>} The saved job, or null if `when` declined it
+   * @private
+   */
+  _updateIf(id, when, changes) {
+    const write = (this.writes.get(id) || Promise.resolve()).then(async () => {
+      const job = await this.store.get(id);
+      if (!job) throw jobError(`Job ${id} not found`, 'NOT_FOUND');
+      if (!when(job)) return null;
+      const fields = typeof changes === 'function' ? changes(job) : changes;
+      return this.store.save({ ...job, ...fields, updatedAt: new Date().toISOString() });
+    });
+    const settled = write.catch(() => {});
+    this.writes.set(id, settled);
+    settled.then(() => {
+      if (this.writes.get(id) === settled) this.writes.delete(id);
+    });
+    return write;
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,131 @@
+/**
+ * JobStore - File-backed storage for background generation jobs
+ *
+ * Each job is its own JSON document named after its id (the generation's
+ * sessionId), so jobs and their results survive a restart. Documents are written
+ * to a temp file and renamed so a crash mid-write never leaves a partial job.
+ */
+
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_STORE_DIR = fileURLToPath(new URL('../data/jobs', import.meta.url));
+const JOB_ID = /^[A-Za-z0-9_-]{1,100}$/;
+
+export class JobStore {
+  constructor(config = {}) {
+    this.dir = config.dir || DEFAULT_STORE_DIR;
+  }
+
+  /**
+   * Create a store using environment configuration
+   * @param {Object} env - Environment variables
+   * @returns {JobStore} Store instance
+   */
+  static fromEnvironment(env = process.env) {
+    return new JobStore({ dir: env.JOB_STORE_DIR || DEFAULT_STORE_DIR });
+  }
+
+  /**
+   * Whether an id can name a job; session ids come from clients
+   * @param {string} id - Job id
+   * @returns {boolean}
+   */
+  static isValidId(id) {
+    return typeof id === 'string' && JOB_ID.test(id);
+  }
+
+  /**
+   * List jobs without their results, most recent first
+   * @returns {Promise<Array>} Job summaries
+   */
+  async list() {
+    const jobs = await Promise.all((await this._files()).map(file => this._readFile(file)));
+    return jobs
+      .filter(Boolean)
+      .map(job => JobStore.summarize(job))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get a job with its result
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async get(id) {
+    if (!JobStore.isValidId(id)) return null;
+    return this._readFile(`${id}.json`);
+  }
+
+  /**
+   * Create or replace a job
+   * @param {Object} job - Job with an id
+   * @returns {Promise<Object>} The stored job
+   */
+  async save(job) {
+    if (!JobStore.isValidId(job.id)) {
+      const error = new Error('Job id must be 1-100 letters, digits, dashes or underscores');
+      error.code = 'INVALID_ID';
+      throw error;
+    }
+
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    const target = path.join(this.dir, `${job.id}.json`);
+    const tempFile = `${target}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+    await fsPromises.writeFile(tempFile, JSON.stringify(job), 'utf-8');
+    await fsPromises.rename(tempFile, target);
+    return job;
+  }
+
+  /**
+   * Delete a job
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} True if a job was removed
+   */
+  async delete(id) {
+    if (!JobStore.isValidId(id)) return false;
+    try {
+      await fsPromises.unlink(path.join(this.dir, `${id}.json`));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * A job as listed, without its result
+   * @param {Object} job - Stored job
+   * @returns {Object} Summary
+   */
+  static summarize({ result, ...summary }) {
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  async _files() {
+    try {
+      return (await fsPromises.readdir(this.dir)).filter(name => name.endsWith('.json') && JOB_ID.test(name.slice(0, -5)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read ${this.dir}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readFile(file) {
+    try {
+      return JSON.parse(await fsPromises.readFile(path.join(this.dir, file), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read job ${file}: ${error.message}`);
+    }
+  }
+}
+
+export default JobStore;
@@ -0,0 +1,131 @@
+/**
+ * ProgressStream - Server-Sent Events for a generation's progress
+ *
+ * Streams a session's ProgressTracker events (step_started, step_progress,
+ * step_completed, step_failed, chunk_summary, completed, failed) as they are
+ * published, then, for a background generation, a final `result` event with the
+ * job's status and its retro or error. Tracker events carry ids, so a client
+ * that reconnects with Last-Event-ID is sent only what it missed. Ids are
+ * <tracker creation time>-<sequence>, so after a restart or a retry, when the
+ * session has a new tracker, everything is sent again. The stream may be opened
+ * before the generation starts; it waits for the tracker.
+ */
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const TRACKER_DONE = ['completed', 'failed'];
+
+export class ProgressStream {
+  /**
+   * @param {Object} options
+   * @param {ProgressManager} options.progressManager - Where trackers are found
+   * @param {JobQueue} options.jobQueue - Background generations, for the final result
+   * @param {number} options.waitMs - How long to wait for an unknown session to start
+   * @param {number} options.heartbeatMs - Comment sent this often to keep proxies from closing the stream
+   */
+  constructor({ progressManager, jobQueue = null, waitMs = 30000, heartbeatMs = 15000 }) {
+    this.progressManager = progressManager;
+    this.jobQueue = jobQueue;
+    this.waitMs = waitMs;
+    this.heartbeatMs = heartbeatMs;
+  }
+
+  /**
+   * Express handler for GET /api/progress/:sessionId/stream. The last event
+   * seen comes from the Last-Event-ID header, or ?lastEventId= for clients
+   * that open a new stream themselves.
+   */
+  async handle(req, res) {
+    const { sessionId } = req.params;
+    const [lastTracker, lastSequence] = String(req.get('Last-Event-ID') ?? req.query.lastEventId ?? '').split('-');
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const cleanups = [];
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      cleanups.forEach(cleanup => cleanup());
+      res.end();
+    };
+    const listen = (emitter, event, listener) => {
+      emitter.on(event, listener);
+      cleanups.push(() => emitter.off(event, listener));
+    };
+    const send = (type, data, id) => {
+      if (closed) return;
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.on('close', close);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), this.heartbeatMs);
+    cleanups.push(() => clearInterval(heartbeat));
+
+    // Listen before reading the job, so a job that finishes meanwhile is not missed
+    let finishedJob = null;
+    let started = false;
+    if (this.jobQueue) {
+      listen(this.jobQueue, 'finished', (finished) => {
+        if (finished.id !== sessionId) return;
+        finishedJob = finished;
+        if (started) sendResult(finished);
+      });
+    }
+
+    let job = null;
+    try {
+      job = this.jobQueue ? await this.jobQueue.get(sessionId) : null;
+    } catch (error) {
+      console.error('Error reading job for progress stream:', error.message);
+    }
+
+    const sendResult = ({ status, result, error }) => {
+      send('result', status === 'completed' ? { status, retroData: result } : { status, error });
+      close();
+    };
+
+    let waiting = null;
+    const attach = (tracker) => {
+      clearTimeout(waiting);
+      const forward = ({ id, type, data }) => {
+        send(type, data, `${tracker.createdAt}-${id}`);
+        // Without a job there is no result to wait for
+        if (!job && TRACKER_DONE.includes(type)) close();
+      };
+      const seen = lastTracker === String(tracker.createdAt) ? parseInt(lastSequence, 10) || 0 : 0;
+      tracker.eventsSince(seen).forEach(forward);
+      if (!job && tracker.completed) return close();
+      listen(tracker, 'event', forward);
+    };
+
+    started = true;
+    const tracker = this.progressManager.getTracker(sessionId);
+    if (tracker) {
+      attach(tracker);
+    } else if (!job || !FINISHED.includes(job.status)) {
+      listen(this.progressManager, 'created', (created) => {
+        if (created.sessionId === sessionId) attach(created);
+      });
+    }
+
+    if (job) {
+      if (finishedJob || FINISHED.includes(job.status)) return sendResult(finishedJob || job);
+      send('job', { status: job.status });
+    } else if (!tracker) {
+      waiting = setTimeout(() => {
+        send('not_found', { sessionId });
+        close();
+      }, this.waitMs);
+      cleanups.push(() => clearTimeout(waiting));
+    }
+  }
+}
+
+export default ProgressStream;
@@ -0,0 +1,523 @@
+/**
+ * RetroPipeline - The one way a retro is generated
+ *
+ * Both the synchronous and the background generation endpoints run the same
+ * stages, in order:
+ *   collect    - fetch every enabled source (sample data only when none is set up)
+ *   sanitize   - shape, attribute and sanitize the data the LLM will see
+ *   rules      - rule-based insights from each source
+ *   llm        - LLM insights from the sanitized data
+ *   merge      - combine the insights the analysis mode asks for
+ *   categorize - assign categories, impact and urgency
+ * What each stage did is recorded in `analysisMetadata.stages`, so two retros
+ * can be compared without reading the server logs.
+ *
+ * The analysis mode picks the analyzers: 'rules', 'llm' (rules only as a
+ * fallback) or 'hybrid' (both, merged through InsightMerger). Every card carries
+ * its `provenance`: 'rules', 'ai', or 'merged' when both found it.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import IdentityResolver from './IdentityResolver.js';
+import TeamRoster from './TeamRoster.js';
+import { InsightCategorizer } from './InsightCategorizer.js';
+import { InsightMerger } from './InsightMerger.js';
+import { ConnectorRegistry } from './connectors/index.js';
+import { DEFAULT_LLM_STEPS } from './llm/ProgressTracker.js';
+
+const DEMO_INSIGHTS_PATH = fileURLToPath(new URL('../sample-data/demo.insights.json', import.meta.url));
+
+// Progress steps when there is no LLM to drive DEFAULT_LLM_STEPS
+export const RULE_BASED_STEPS = [
+  {
+    name: 'Data Collection',
+    description: 'Fetching activity from the configured sources',
+    estimatedDuration: 3000
+  },
+  {
+    name: 'Rule-Based Analysis',
+    description: 'Finding patterns in the collected activity',
+    estimatedDuration: 1000
+  }
+];
+
+const SECTIONS = ['wentWell', 'didntGoWell', 'actionItems'];
+
+export const ANALYSIS_MODES = ['rules', 'llm', 'hybrid'];
+
+const countInsights = (insights) =>
+  SECTIONS.reduce((sum, section) => sum + (insights?.[section]?.length || 0), 0);
+
+export class RetroPipeline {
+  static STAGES = ['collect', 'sanitize', 'rules', 'llm', 'merge', 'categorize'];
+
+  /**
+   * @param {Object} options
+   * @param {LLMAnalyzer} options.llmAnalyzer - Analyzer built from the environment
+   * @param {Object} options.env - Environment variables, used to find the enabled connectors
+   * @param {BaseConnector[]} options.connectors - Connector instances; defaults to every configured one
+   * @param {ProgressTracker} options.progressTracker - Optional tracker, see progressSteps()
+   * @param {AbortSignal} options.signal - Optional signal that cancels the run, including LLM requests
+   */
+  constructor({ llmAnalyzer, env = process.env, connectors = null, progressTracker = null, signal = null } = {}) {
+    this.llmAnalyzer = llmAnalyzer;
+    this.env = env;
+    this.connectors = connectors || ConnectorRegistry.createConfigured(env);
+    this.progressTracker = progressTracker;
+    this.signal = signal;
+    if (signal) this.llmAnalyzer?.setAbortSignal(signal);
+    this.categorizer = new InsightCategorizer();
+    this.merger = new InsightMerger({ enableCategorization: false });
+    this.analysisMode = 'rules';
+    this.force = false;
+    this.warnings = [];
+    this.stages = {};
+  }
+
+  get llmEnabled() {
+    return !!this.llmAnalyzer?.config?.enabled;
+  }
+
+  /**
+   * Whether this run's mode calls the LLM
+   */
+  get usesLLM() {
+    return this.analysisMode !== 'rules';
+  }
+
+  /**
+   * Progress steps for a tracker passed to the pipeline
+   * @param {string} analysisMode - Effective mode, see analysisMode()
+   * @returns {Array<Object>} Step definitions
+   */
+  static progressSteps(analysisMode) {
+    return analysisMode === 'rules' ? RULE_BASED_STEPS : DEFAULT_LLM_STEPS;
+  }
+
+  /**
+   * The analysis mode a generation runs in: the requested one, else hybrid.
+   * Without an LLM every mode comes down to the rules.
+   * @param {string} requested - 'rules' | 'llm' | 'hybrid', or undefined
+   * @param {boolean} llmEnabled - Whether an LLM is configured
+   * @returns {string} Effective mode
+   */
+  static analysisMode(requested, llmEnabled) {
+    if (!llmEnabled) return 'rules';
+    return ANALYSIS_MODES.includes(requested) ? requested : 'hybrid';
+  }
+
+  /**
+   * Normalize a request date range to ISO timestamps - handles both date-only and full ISO strings
+   * @returns {{start: string, end: string}}
+   */
+  static dateBounds(dateRange) {
+    return {
+      start: dateRange.start.includes('T') ? dateRange.start : dateRange.start + 'T00:00:00Z',
+      end: dateRange.end.includes('T') ? dateRange.end : dateRange.end + 'T23:59:59Z',
+    };
+  }
+
+  /**
+   * The pre-made insights shown in demo mode
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  static loadDemoInsights() {
+    return JSON.parse(fs.readFileSync(DEMO_INSIGHTS_PATH, 'utf-8'));
+  }
+
+  /**
+   * Generate a retro. Completes the progress tracker, or fails it and rethrows.
+   * @param {Object} request
+   * @param {{start: string, end: string}} request.dateRange - Retro date range
+   * @param {Array} request.teamMembers - Roster entries
+   * @param {boolean} request.useDemo - Return the demo insights
+   * @param {string} request.demoVariant - 'small' | 'large'
+   * @param {Object} request.scope - Scope from ConnectorRegistry.scopeFromRequest
+   * @param {string} request.analysisMode - 'rules' | 'llm' | 'hybrid' (default)
+   * @param {boolean} request.force - Call the LLM even when a cached analysis of the same data exists
+   * @returns {Promise<Object>} Retro data with analysisMetadata
+   */
+  async run({ dateRange, teamMembers = [], useDemo = false, demoVariant, scope = {}, analysisMode, force = false }) {
+    this.force = force;
+    this.analysisMode = RetroPipeline.analysisMode(analysisMode, this.llmEnabled);
+    this.warnings = ['llm', 'hybrid'].includes(analysisMode) && !this.llmEnabled
+      ? [`${analysisMode === 'llm' ? 'AI' : 'Rules + AI'} analysis was requested but no LLM is configured, so only the rules ran`]
+      : [];
+    try {
+      const retroData = useDemo
+        ? this._demo({ demoVariant: demoVariant === 'small' ? 'small' : 'large', dataSources: ['github', 'linear', 'slack'] })
+        : await this._generate(dateRange, teamMembers, scope);
+
+      retroData.analysisMetadata = {
+        ...retroData.analysisMetadata,
+        llmEnabled: this.llmEnabled,
+        analysisMode: this.analysisMode,
+        generatedAt: new Date().toISOString(),
+        dateRange,
+        teamMembers,
+      };
+
+      this.progressTracker?.complete();
+      return retroData;
+    } catch (error) {
+      this.progressTracker?.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _generate(dateRange, teamMembers, scope) {
+    // Without any source there is nothing for the rules to read; the LLM can
+    // still show what it does with the sample data, else the demo stands in
+    if (this.connectors.length === 0 && !this.usesLLM) {
+      console.log('No integrations or LLM configured, returning demo insights');
+      return this._demo({ demoVariant: 'fallback', dataSources: ['demo'], reason: 'No integration keys or LLM configured' });
+    }
+    const samplesOnly = this.connectors.length === 0;
+
+    this._throwIfCancelled();
+    const collected = await this.collect(dateRange, teamMembers, scope, { samples: samplesOnly });
+    this._throwIfCancelled();
+    const prepared = this.sanitize(collected);
+    const ruleInsights = this.analyzeRules(collected);
+    const llmInsights = await this.analyzeWithLLM(prepared, collected, dateRange);
+    this._throwIfCancelled();
+
+    if (samplesOnly && !llmInsights) {
+      return this._demo({ dataSources: ['demo'], reason: 'LLM analysis of sample data failed', stages: this.stages });
+    }
+
+    const merged = this.merge(ruleInsights, llmInsights);
+    const retroData = this.categorize(merged);
+
+    console.log('Generated retro data:', {
+      wentWell: retroData.wentWell.length,
+      didntGoWell: retroData.didntGoWell.length,
+      actionItems: retroData.actionItems.length,
+      analysisMode: this.analysisMode,
+      strategy: merged.strategy,
+    });
+
+    return {
+      ...retroData,
+      analysisMetadata: {
+        ...(llmInsights && merged.strategy !== 'rules' ? llmInsights.analysisMetadata : {}),
+        dataSources: collected.dataSources,
+        sampleDataUsed: Object.values(collected.dataSources).includes('sample'),
+        ...(samplesOnly ? { reason: 'No integration keys configured, using sample data with AI' } : {}),
+        warnings: [...this.warnings, ...collected.warnings],
+        llmAnalysisUsed: merged.strategy !== 'rules',
+        ruleBasedAnalysisUsed: merged.strategy !== 'llm',
+        stages: this.stages,
+      },
+    };
+  }
+
+  /**
+   * Collect stage: load identities, then fetch every enabled source the scope calls for once
+   * @returns {Promise<Object>} ConnectorRegistry.collect result plus the scope it ran with
+   */
+  async collect(dateRange, teamMembers, scope, { samples = false } = {}) {
+    return this._stage('collect', async () => {
+      if (!this.usesLLM) this.progressTracker?.startStep(0);
+
+      const connectors = ConnectorRegistry.forScope(this.connectors, scope);
+      const { identities, warnings } = await this._loadIdentities(connectors);
+      const fullScope = { ...scope, identities, roster: new TeamRoster(teamMembers, identities) };
+      const collected = await ConnectorRegistry.collect(
+        connectors,
+        RetroPipeline.dateBounds(dateRange),
+        fullScope,
+        { samples }
+      );
+
+      if (!this.usesLLM) this.progressTracker?.completeStep(0);
+
+      return {
+        value: { ...collected, warnings: [...warnings, ...collected.warnings], scope: fullScope },
+        sources: collected.dataSources,
+        warnings: warnings.length + collected.warnings.length,
+      };
+    });
+  }
+
+  /**
+   * Sanitize stage: what the LLM will see, after identity resolution and the privacy level
+   * @returns {Object|null} LLMAnalyzer.prepareTeamData result, or null without an LLM or on failure
+   */
+  sanitize(collected) {
+    if (!this.usesLLM) {
+      this._skip('sanitize', `${this._noLLMReason()}; nothing leaves the server`);
+      return null;
+    }
+
+    try {
+      return this._stage('sanitize', () => {
+        const { teamData } = collected;
+        const prepared = this.llmAnalyzer.prepareTeamData(
+          teamData.github,
+          teamData.linear,
+          teamData.slack,
+          collected.scope.identities,
+          this.progressTracker
+        );
+        return {
+          value: prepared,
+          privacyLevel: this.llmAnalyzer.config.privacyLevel,
+          sanitized: prepared.sanitized,
+          dataSize: JSON.stringify(prepared.sanitizedData).length,
+        };
+      });
+    } catch (error) {
+      // Unsanitized data never goes to the LLM; the rules still run
+      console.error('Sanitizing failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rule analysis stage: every real source's rules
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  analyzeRules(collected) {
+    return this._stage('rules', () => {
+      if (!this.usesLLM) this.progressTracker?.startStep(1);
+      const insights = ConnectorRegistry.analyze(collected.results, collected.scope);
+      if (!this.usesLLM) this.progressTracker?.completeStep(1, { totalInsights: countInsights(insights) });
+
+      return {
+        value: insights,
+        sources: collected.results.filter(result => result.source === 'real').map(result => result.id),
+        insightCount: countInsights(insights),
+      };
+    });
+  }
+
+  /**
+   * LLM analysis stage. A failing LLM is recorded, not thrown; the rules still stand.
+   * @returns {Promise<Object|null>} LLM insights, or null when unavailable or failed
+   */
+  async analyzeWithLLM(prepared, collected, dateRange) {
+    if (!this.usesLLM || !prepared) {
+      this._skip('llm', this.usesLLM ? 'The data could not be sanitized' : this._noLLMReason());
+      return null;
+    }
+
+    try {
+      return await this._stage('llm', async () => {
+        const insights = await this.llmAnalyzer.analyzePreparedData(
+          prepared,
+          dateRange,
+          {
+            teamSize: collected.scope.roster.size || undefined,
+            ...collected.context,
+            identityResolver: collected.scope.identities,
+            force: this.force,
+          },
+          this.progressTracker
+        );
+        return insights
+          ? {
+            value: insights,
+            provider: insights.analysisMetadata?.provider,
+            model: insights.analysisMetadata?.model,
+            insightCount: countInsights(insights),
+          }
+          : { value: null, status: 'failed', error: 'The LLM returned no insights' };
+      });
+    } catch (error) {
+      if (error.code === 'CANCELLED') throw error;
+      console.error('LLM analysis failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge stage. Hybrid runs merge both analyses through InsightMerger, so a
+   * finding both made becomes one 'merged' card; otherwise the LLM's insights are
+   * used when there are any, else the rules'.
+   * @returns {Object} Insights plus the strategy used: 'rules' | 'llm' | 'hybrid'
+   */
+  merge(ruleInsights, llmInsights) {
+    return this._stage('merge', () => {
+      let strategy = 'rules';
+      if (llmInsights) strategy = this.analysisMode === 'hybrid' ? 'hybrid' : 'llm';
+
+      let merged;
+      let mergeMetadata;
+      if (strategy === 'hybrid') {
+        ({ mergeMetadata, ...merged } = this.merger.mergeInsights(ruleInsights, llmInsights));
+      } else {
+        const [chosen, provenance] = strategy === 'llm' ? [llmInsights, 'ai'] : [ruleInsights, 'rules'];
+        merged = Object.fromEntries(SECTIONS.map(section => [
+          section,
+          chosen[section].map(insight => ({ ...insight, provenance: insight.provenance || provenance })),
+        ]));
+      }
+      merged.strategy = strategy;
+      const fallbackContent = RetroPipeline.addFallbackContent(merged);
+
+      const provenance = {};
+      for (const insight of SECTIONS.flatMap(section => merged[section])) {
+        if (insight.provenance) provenance[insight.provenance] = (provenance[insight.provenance] || 0) + 1;
+      }
+
+      return {
+        value: merged,
+        strategy,
+        insightCount: countInsights(merged),
+        provenance,
+        ...(mergeMetadata ? { duplicatesFound: mergeMetadata.duplicatesFound } : {}),
+        fallbackContent,
+      };
+    });
+  }
+
+  /**
+   * Categorize stage. Action items keep their own high/medium/low priority.
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  categorize(insights) {
+    return this._stage('categorize', () => {
+      // InsightMerger files uncategorized cards under 'general'; let the categorizer decide those
+      const categorize = (items) => this.categorizer.categorizeInsights(
+        items.map(item => (item.category === 'general' ? { ...item, category: undefined } : item))
+      );
+      const categorized = {
+        wentWell: categorize(insights.wentWell),
+        didntGoWell: categorize(insights.didntGoWell),
+        actionItems: categorize(insights.actionItems)
+          .map((item, index) => ({ ...item, priority: insights.actionItems[index].priority ?? item.priority })),
+      };
+      const statistics = this.categorizer.getCategoryStatistics(SECTIONS.flatMap(section => categorized[section]));
+
+      return { value: categorized, byCategory: statistics.byCategory };
+    });
+  }
+
+  /**
+   * Placeholder cards for a retro with nothing in it
+   * @param {Object} retroData - Insights, changed in place
+   * @returns {boolean} Whether placeholders were added
+   */
+  static addFallbackContent(retroData) {
+    if (countInsights(retroData) > 0) return false;
+
+    retroData.wentWell.push({
+      title: 'Data collection completed successfully',
+      details: 'Successfully gathered team data from configured sources for analysis.',
+      source: 'system',
+      confidence: 1.0,
+      category: 'technical',
+    });
+    retroData.didntGoWell.push({
+      title: 'Limited data available for analysis',
+      details: 'Consider expanding the date range or checking data source configurations.',
+      source: 'system',
+      confidence: 0.8,
+      category: 'process',
+    });
+    retroData.actionItems.push({
+      title: 'Review data source configuration',
+      details: 'Ensure all team data sources are properly configured and accessible.',
+      source: 'system',
+      priority: 'medium',
+      category: 'process',
+    });
+    return true;
+  }
+
+  /**
+   * Load the identity mapping file, then let each connector add its people
+   * (e.g. the Slack user directory)
+   * @private
+   */
+  async _loadIdentities(connectors) {
+    const warnings = [];
+    let identities;
+    try {
+      identities = await IdentityResolver.fromEnvironment(this.env);
+    } catch (error) {
+      console.warn('Identity mapping failed to load:', error.message);
+      warnings.push(`The identity mapping file was ignored: ${error.message}`);
+      identities = new IdentityResolver();
+    }
+
+    for (const connector of connectors) {
+      warnings.push(...(await connector.loadIdentities(identities)));
+    }
+
+    return { identities, warnings };
+  }
+
+  /**
+   * @private
+   */
+  _noLLMReason() {
+    return this.llmEnabled ? 'Rules-only analysis was requested' : 'LLM analysis is disabled';
+  }
+
+  /**
+   * @private
+   */
+  _demo(metadata) {
+    const demoInsights = RetroPipeline.loadDemoInsights();
+    return {
+      ...demoInsights,
+      analysisMetadata: {
+        demoMode: true,
+        insightCount: Object.fromEntries(SECTIONS.map(section => [section, demoInsights[section].length])),
+        analysisType: 'demo_insights',
+        ...metadata,
+      },
+    };
+  }
+
+  /**
+   * Run one stage and record its outcome in this.stages. `work` returns
+   * { value, ...details }; details may override the 'completed' status.
+   * @private
+   */
+  _stage(name, work) {
+    const startedAt = Date.now();
+    const record = ({ value, ...details }) => {
+      this.stages[name] = { status: 'completed', ...details, durationMs: Date.now() - startedAt };
+      return value;
+    };
+    const fail = (error) => {
+      const status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+      this.stages[name] = { status, error: error.message, durationMs: Date.now() - startedAt };
+      throw error;
+    };
+
+    try {
+      const outcome = work();
+      return outcome instanceof Promise ? outcome.then(record, fail) : record(outcome);
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _throwIfCancelled() {
+    if (this.signal?.aborted) {
+      const error = new Error('Generation was cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _skip(name, reason) {
+    this.stages[name] = { status: 'skipped', reason };
+  }
+}
+
+export default RetroPipeline;
@@ -0,0 +1,216 @@
+/**
+ * RetroStore - File-backed persistence for saved retros
+ *
+ * Retros are kept in a single JSON document on disk so every teammate hitting the
+ * same server sees the same history. Writes are serialized and replaced atomically
+ * (write to a temp file, then rename) so a crash mid-write never corrupts the store.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_STORE_PATH = fileURLToPath(new URL('../data/retros.json', import.meta.url));
+
+export class RetroStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || DEFAULT_STORE_PATH;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create a store using environment configuration
+   * @param {Object} env - Environment variables
+   * @returns {RetroStore} Store instance
+   */
+  static fromEnvironment(env = process.env) {
+    return new RetroStore({ filePath: env.RETRO_STORE_PATH || DEFAULT_STORE_PATH });
+  }
+
+  /**
+   * List all retros, most recently saved first
+   * @returns {Promise<Array>} Saved retros
+   */
+  async list() {
+    const retros = await this._read();
+    return retros.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+  }
+
+  /**
+   * Get a single retro by id
+   * @param {string} id - Retro id
+   * @returns {Promise<Object|null>} Retro or null if not found
+   */
+  async get(id) {
+    const retros = await this._read();
+    return retros.find(r => r.id === id) || null;
+  }
+
+  /**
+   * Create a new retro
+   * @param {Object} retro - Retro fields (title, dateRange, board, optional id)
+   * @returns {Promise<Object>} Created retro
+   * @throws {Error} If a retro with the same id already exists
+   */
+  async create(retro) {
+    return this._mutate((retros) => {
+      const created = this._normalize(retro);
+      if (retros.some(r => r.id === created.id)) {
+        const error = new Error(`Retro already exists: ${created.id}`);
+        error.code = 'RETRO_EXISTS';
+        throw error;
+      }
+      retros.push(created);
+      return created;
+    });
+  }
+
+  /**
+   * Replace the fields of a retro, creating it if it does not exist yet
+   * @param {string} id - Retro id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<{retro: Object, created: boolean}>} Stored retro and whether it was new
+   */
+  async update(id, changes) {
+    return this._mutate((retros) => {
+      const index = retros.findIndex(r => r.id === id);
+      if (index === -1) {
+        const retro = this._normalize({ ...changes, id });
+        retros.push(retro);
+        return { retro, created: true };
+      }
+
+      const existing = retros[index];
+      const retro = {
+        ...existing,
+        ...this._pickEditable(changes),
+        id,
+        createdAt: existing.createdAt,
+        savedAt: new Date().toISOString()
+      };
+      retros[index] = retro;
+      return { retro, created: false };
+    });
+  }
+
+  /**
+   * Delete a retro
+   * @param {string} id - Retro id
+   * @returns {Promise<boolean>} True if a retro was removed
+   */
+  async delete(id) {
+    return this._mutate((retros) => {
+      const index = retros.findIndex(r => r.id === id);
+      if (index === -1) return false;
+      retros.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Import retros saved by older clients in localStorage. Entries whose id already
+   * exists are skipped so repeating an import is harmless.
+   * @param {Array} legacyRetros - Retros in the legacy localStorage shape
+   * @returns {Promise<{imported: number, skipped: number}>} Import summary
+   */
+  async importMany(legacyRetros = []) {
+    return this._mutate((retros) => {
+      const existingIds = new Set(retros.map(r => r.id));
+      let imported = 0;
+      let skipped = 0;
+
+      for (const legacy of legacyRetros) {
+        const id = legacy?.id || legacy?.key;
+        if (!legacy || typeof legacy !== 'object' || !id || existingIds.has(id)) {
+          skipped++;
+          continue;
+        }
+        const retro = this._normalize({
+          ...legacy,
+          id,
+          title: legacy.title || legacy.rangeLabel,
+          savedAt: legacy.savedAt
+        });
+        retros.push(retro);
+        existingIds.add(id);
+        imported++;
+      }
+
+      return { imported, skipped };
+    });
+  }
+
+  /**
+   * Build a stored retro record from user input
+   * @private
+   */
+  _normalize(retro = {}) {
+    const now = new Date().toISOString();
+    const savedAt = retro.savedAt && !Number.isNaN(Date.parse(retro.savedAt)) ? retro.savedAt : now;
+    return {
+      id: retro.id || `r-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      title: retro.title || 'Retro',
+      dateRange: retro.dateRange || null,
+      board: retro.board || { wentWell: [], didntGoWell: [], actionItems: [] },
+      createdAt: retro.createdAt || savedAt,
+      savedAt
+    };
+  }
+
+  /**
+   * Keep only the fields clients are allowed to change
+   * @private
+   */
+  _pickEditable(changes = {}) {
+    const editable = {};
+    if (changes.title !== undefined) editable.title = changes.title || 'Retro';
+    if (changes.dateRange !== undefined) editable.dateRange = changes.dateRange;
+    if (changes.board !== undefined) editable.board = changes.board;
+    return editable;
+  }
+
+  /**
+   * Read all retros from disk
+   * @private
+   */
+  async _read() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed.retros) ? parsed.retros : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read retro store: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a change to the stored retros, one write at a time
+   * @private
+   */
+  _mutate(mutator) {
+    const run = async () => {
+      const retros = await this._read();
+      const result = mutator(retros);
+      await this._write(retros);
+      return result;
+    };
+    const next = this.writeQueue.then(run, run);
+    // Keep the queue alive even if this mutation fails
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Atomically write retros to disk
+   * @private
+   */
+  async _write(retros) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ version: 1, retros }, null, 2), 'utf-8');
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
+
+export default RetroStore;
@@ -0,0 +1,137 @@
+/**
+ * TeamRoster - The people a retro is about, applied to every data source
+ *
+ * A roster entry names one teammate and any of their accounts:
+ *   { name: "Alice Smith", emails: ["alice@acme.com"], github: ["alice"], slack: ["U0123ABC"] }
+ * Plain strings are accepted too and read as an email, a Slack user ID, a full
+ * name or a GitHub login depending on their shape. Entries are resolved through
+ * the IdentityResolver, so a roster listing only Alice's email still matches her
+ * GitHub commits and Slack messages once those accounts are linked.
+ */
+
+import GitHubService from './githubService.js';
+import IdentityResolver from './IdentityResolver.js';
+
+const SLACK_USER_ID = /^[UW][A-Z0-9]{6,}$/;
+
+export class TeamRoster {
+  /**
+   * @param {Array<string|Object>} members - Roster entries from the request
+   * @param {IdentityResolver} identities - Resolver shared with the rest of the generation
+   */
+  constructor(members = [], identities = new IdentityResolver()) {
+    this.identities = identities;
+    this.entries = TeamRoster.normalize(members);
+    this.people = new Set(
+      this.entries.map(entry => identities.addPerson(entry)).filter(Boolean)
+    );
+  }
+
+  /**
+   * Normalize roster entries into { name, emails, github, slack, linear }
+   * @param {Array<string|Object>} members - Strings or roster objects
+   * @returns {Array<Object>} Entries with at least one identity
+   */
+  static normalize(members = []) {
+    if (!Array.isArray(members)) return [];
+
+    return members.map((member) => {
+      if (member && typeof member === 'object') {
+        return {
+          name: typeof member.name === 'string' ? member.name.trim() : undefined,
+          emails: [member.emails, member.email].flat().filter(Boolean),
+          github: [member.github].flat().filter(Boolean),
+          slack: [member.slack].flat().filter(Boolean),
+          linear: [member.linear].flat().filter(Boolean)
+        };
+      }
+
+      const value = typeof member === 'string' ? member.trim().replace(/^@/, '') : '';
+      if (!value) return null;
+      if (value.includes('@')) return { emails: [value] };
+      if (SLACK_USER_ID.test(value)) return { slack: [value] };
+      if (/\s/.test(value)) return { name: value };
+      return { github: [value] };
+    }).filter(entry => entry && (
+      entry.name || entry.emails?.length || entry.github?.length || entry.slack?.length || entry.linear?.length
+    ));
+  }
+
+  get isEmpty() {
+    return this.people.size === 0;
+  }
+
+  get size() {
+    return this.people.size;
+  }
+
+  /**
+   * Whether a source identity belongs to someone on the roster
+   * @param {string} source - 'github' | 'linear' | 'slack'
+   * @param {string|Object} identity - Raw ID/login or source record
+   * @returns {boolean}
+   */
+  includes(source, identity) {
+    if (this.isEmpty) return true;
+    const person = this.identities.resolve(source, identity);
+    return Boolean(person && this.people.has(person));
+  }
+
+  /**
+   * Assignee emails for filtering Linear on the server side; empty means "don't filter"
+   * @returns {string[]} Email addresses
+   */
+  linearEmails() {
+    if (this.isEmpty) return [];
+    // Without an email for every teammate the API filter would drop issues;
+    // fall back to filtering the fetched issues instead
+    const people = [...this.people];
+    if (people.some(person => person.emails.length === 0)) return [];
+    return people.flatMap(person => person.emails);
+  }
+
+  /**
+   * Keep commits and PRs authored by the roster and recompute review metrics for them
+   * @param {Object} activity - { commits, pullRequests, reviewMetrics, ... } from GitHubService
+   * @returns {Object} Filtered activity
+   */
+  filterGitHubActivity(activity) {
+    if (this.isEmpty) return activity;
+    const commits = activity.commits || [];
+    const pullRequests = activity.pullRequests || [];
+    this.identities.observeTeamData({ github: { commits, pullRequests } });
+
+    const filteredPRs = pullRequests.filter(pr => this.includes('github', pr.user));
+    return {
+      ...activity,
+      commits: commits.filter(commit => this.includes('github', commit)),
+      pullRequests: filteredPRs,
+      reviewMetrics: activity.reviewMetrics ? GitHubService.computeReviewMetrics(filteredPRs) : activity.reviewMetrics
+    };
+  }
+
+  /**
+   * Keep Linear issues assigned to the roster
+   * @param {Array} issues - Linear issues
+   * @returns {Array} Filtered issues
+   */
+  filterIssues(issues = []) {
+    if (this.isEmpty) return issues;
+    this.identities.observeTeamData({ linear: { issues } });
+    return issues.filter(issue => issue.assignee && this.includes('linear', issue.assignee));
+  }
+
+  /**
+   * Keep Slack conversations a teammate took part in, with the whole thread for context
+   * @param {Array} messages - Conversations (replies nested under their parent)
+   * @returns {Array} Filtered conversations
+   */
+  filterMessages(messages = []) {
+    if (this.isEmpty) return messages;
+    return messages.filter(message =>
+      [message, ...(message.replies || [])].some(msg => this.includes('slack', msg.user))
+    );
+  }
+}
+
+export default TeamRoster;
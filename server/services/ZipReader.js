@@ -0,0 +1,115 @@
+/**
+ * ZipReader - Reads the entries of a zip archive held in memory
+ *
+ * Covers what chat export archives use: stored and deflated entries, without
+ * encryption or zip64. Limits on entry count and unpacked size keep a hostile
+ * upload from exhausting memory.
+ */
+
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP64_MARKER = 0xffffffff;
+
+const DEFAULT_LIMITS = {
+  maxEntries: 10000,
+  maxTotalBytes: 200 * 1024 * 1024,
+};
+
+/**
+ * Whether a buffer starts like a zip archive
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+export function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Unpack every file in a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} limits - { maxEntries, maxTotalBytes }
+ * @returns {Array<{name: string, data: Buffer}>} Files, without directories
+ * @throws {Error} If the archive is malformed, encrypted, zip64 or over the limits
+ */
+export function readZip(buffer, limits = {}) {
+  const { maxEntries, maxTotalBytes } = { ...DEFAULT_LIMITS, ...limits };
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount > maxEntries) {
+    throw new Error(`Zip archive has ${entryCount} entries; the limit is ${maxEntries}`);
+  }
+
+  const files = [];
+  let totalBytes = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Zip archive is corrupt: bad central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`Zip entry ${name} is encrypted`);
+    }
+    if (compressedSize === ZIP64_MARKER || size === ZIP64_MARKER || localOffset === ZIP64_MARKER) {
+      throw new Error('Zip64 archives are not supported');
+    }
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw new Error(`Zip archive unpacks to more than ${Math.round(maxTotalBytes / 1024 / 1024)}MB`);
+    }
+
+    files.push({ name, data: readEntry(buffer, localOffset, name, method, compressedSize, size) });
+  }
+
+  return files;
+}
+
+/**
+ * @private
+ */
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB at the very end
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  throw new Error('Not a zip archive: end of central directory not found');
+}
+
+/**
+ * @private
+ */
+function readEntry(buffer, localOffset, name, method, compressedSize, size) {
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Zip archive is corrupt: bad local header for ${name}`);
+  }
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const compressed = buffer.subarray(start, start + compressedSize);
+
+  if (method === 0) return compressed;
+  if (method === 8) {
+    // Trust the declared size only as a ceiling, so a zip bomb can't inflate past it
+    return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+  }
+  throw new Error(`Zip entry ${name} uses unsupported compression method ${method}`);
+}
+
+export default readZip;
@@ -0,0 +1,110 @@
+/**
+ * Tests for ChatExportImporter and ZipReader against Slack, Discord and Teams exports
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import ChatExportImporter from '../ChatExportImporter.js';
+import { readZip } from '../ZipReader.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/chat-exports/${name}`, import.meta.url));
+
+describe('ChatExportImporter', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('reads a Slack workspace export, folding thread replies into their parent', () => {
+    const result = ChatExportImporter.parse(fixture('slack-export.zip'));
+
+    expect(result).toMatchObject({
+      platform: 'slack',
+      channels: ['general', 'incidents'],
+      messageCount: 4,
+      firstMessageAt: '2024-01-03T09:00:00.000Z',
+      lastMessageAt: '2024-01-04T10:00:00.000Z'
+    });
+    expect(result.users).toEqual([
+      { id: 'U0ALICE01', name: 'Alice Smith', email: 'alice@acme.com' },
+      { id: 'U0BOB0001', name: 'Bob Jones', email: 'bob@acme.com' }
+    ]);
+
+    // The channel_join notice is dropped
+    const [shipped, incident] = result.messages;
+    expect(shipped).toMatchObject({ user: 'U0ALICE01', channel: 'general', channelId: 'C0GENERAL', reaction_count: 1 });
+    expect(shipped.replies).toBeUndefined();
+    expect(incident).toMatchObject({ text: 'Checkout is broken in prod, payments failed', channel: 'incidents' });
+    expect(incident.replies.map(r => r.text)).toEqual(['Looking, we\'re blocked on the provider', 'Fixed by rolling back']);
+  });
+
+  it('reads DiscordChatExporter files, with replies and threads as conversations', () => {
+    const result = ChatExportImporter.parse(fixture('discord-export.zip'));
+
+    expect(result).toMatchObject({ platform: 'discord', channels: ['backend'], messageCount: 4 });
+    expect(result.users).toEqual([
+      { id: '501', name: 'Carol', email: null },
+      { id: '502', name: 'Dan', email: null }
+    ]);
+
+    const [deploy, release] = result.messages;
+    expect(deploy).toMatchObject({ ts: '1704276000.000000', user: '501', text: 'Deploy is stuck on migrations', channelId: '9100' });
+    expect(deploy.replies).toEqual([expect.objectContaining({ text: 'Rerunning it now', reaction_count: 2 })]);
+    // The thread started from this message is exported as its own channel
+    expect(release.replies).toEqual([expect.objectContaining({ text: 'Looks great, thanks!', user: '502' })]);
+  });
+
+  it('reads a single Discord channel file uploaded on its own', () => {
+    const [channel] = readZip(fixture('discord-export.zip'));
+
+    const result = ChatExportImporter.parse(channel.data, { filename: 'backend.json' });
+
+    expect(result.platform).toBe('discord');
+    expect(result.messages.map(m => m.text)).toEqual(['Deploy is stuck on migrations', 'Release notes draft is up']);
+  });
+
+  it('reads Teams Graph messages, naming channels from the channel list', () => {
+    const result = ChatExportImporter.parse(fixture('teams-export.zip'));
+
+    expect(result).toMatchObject({ platform: 'teams', channels: ['Platform Team'], messageCount: 2 });
+    // System events and deleted messages are skipped; HTML bodies become text
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0]).toMatchObject({
+      user: 'aad-erin',
+      text: 'Standup notes: API & UI are on track',
+      reactions: [{ name: 'like', count: 2 }],
+      channelId: '19:abc@thread.tacv2'
+    });
+    expect(result.messages[0].replies).toEqual([
+      expect.objectContaining({ user: 'aad-frank', text: 'Thanks Erin', thread_ts: '1704276000.000000' })
+    ]);
+    expect(result.users.map(u => u.name)).toEqual(['Erin Lee', 'Frank Moss']);
+  });
+
+  it('rejects uploads that are not a known export', () => {
+    expect(() => ChatExportImporter.parse(Buffer.from('{"hello": "world"}')))
+      .toThrow('Unrecognized chat export');
+    expect(() => ChatExportImporter.parse(Buffer.from('not json'), { filename: 'notes.json' }))
+      .toThrow('notes.json is not valid JSON');
+  });
+});
+
+describe('ZipReader', () => {
+  it('skips directories and macOS metadata', () => {
+    const names = readZip(fixture('slack-export.zip')).map(file => file.name);
+
+    expect(names).not.toContain('Acme Slack export Jan 1 2024 - Jan 14 2024/');
+    expect(names.some(name => name.startsWith('__MACOSX/'))).toBe(false);
+    expect(names).toContain('Acme Slack export Jan 1 2024 - Jan 14 2024/general/2024-01-03.json');
+  });
+
+  it('enforces entry and size limits', () => {
+    expect(() => readZip(fixture('slack-export.zip'), { maxEntries: 2 })).toThrow('entries; the limit is 2');
+    expect(() => readZip(fixture('slack-export.zip'), { maxTotalBytes: 100 })).toThrow('unpacks to more than');
+  });
+
+  it('rejects truncated archives', () => {
+    const archive = fixture('teams-export.zip');
+
+    expect(() => readZip(archive.subarray(0, archive.length - 30))).toThrow('end of central directory not found');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for ChatExportStore and the chat export connector
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ChatExportStore from '../ChatExportStore.js';
+import ChatExportImporter from '../ChatExportImporter.js';
+import IdentityResolver from '../IdentityResolver.js';
+import TeamRoster from '../TeamRoster.js';
+import { ChatExportConnector, ConnectorRegistry, SlackConnector } from '../connectors/index.js';
+
+const parsed = (name) => ChatExportImporter.parse(
+  fs.readFileSync(new URL(`./fixtures/chat-exports/${name}`, import.meta.url))
+);
+
+describe('ChatExportStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-exports-'));
+    store = new ChatExportStore({ dir: path.join(tmpDir, 'exports') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('saves, lists and deletes imports', async () => {
+    expect(store.hasImports()).toBe(false);
+    expect(await store.list()).toEqual([]);
+
+    const saved = await store.create(parsed('teams-export.zip'), { name: 'platform.zip' });
+
+    expect(saved).toMatchObject({ name: 'platform.zip', platform: 'teams', messageCount: 2, userCount: 2 });
+    expect(saved.messages).toBeUndefined();
+    expect(store.hasImports()).toBe(true);
+    expect(await store.list()).toEqual([saved]);
+    expect((await store.get(saved.id)).messages).toHaveLength(1);
+
+    expect(await store.delete(saved.id)).toBe(true);
+    expect(await store.delete(saved.id)).toBe(false);
+    expect(store.hasImports()).toBe(false);
+  });
+
+  it('ignores ids that are not import files', async () => {
+    expect(await store.get('../secrets')).toBeNull();
+    expect(await store.delete('../secrets')).toBe(false);
+  });
+
+  describe('ChatExportConnector', () => {
+    const dateRange = { start: '2024-01-04T00:00:00.000Z', end: '2024-01-14T23:59:59.999Z' };
+    let connector;
+    let identities;
+
+    beforeEach(async () => {
+      await store.create(parsed('slack-export.zip'), { name: 'slack.zip' });
+      connector = new ChatExportConnector({}, { chatExportStore: store });
+      identities = new IdentityResolver();
+      await connector.loadIdentities(identities);
+    });
+
+    it('is enabled once an export has been uploaded', () => {
+      expect(ChatExportConnector.isConfigured({ CHAT_EXPORT_DIR: store.dir })).toBe(true);
+      expect(ChatExportConnector.isConfigured({ CHAT_EXPORT_DIR: path.join(tmpDir, 'empty') })).toBe(false);
+    });
+
+    it('runs beside a live chat source only when the request selects exports', async () => {
+      const slack = new SlackConnector({ SLACK_BOT_TOKEN: 'xoxb-test' });
+      const saved = (await store.list())[0];
+
+      expect(ConnectorRegistry.forScope([slack, connector], { chatExports: [] })).toEqual([slack]);
+      expect(ConnectorRegistry.forScope([slack, connector], { chatExports: [saved.id] })).toEqual([slack, connector]);
+      expect(ConnectorRegistry.forScope([connector], { chatExports: [] })).toEqual([connector]);
+    });
+
+    it('returns the conversations inside the date range', async () => {
+      const result = await connector.fetch(dateRange, {});
+
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0]).toMatchObject({ channel: 'incidents', platform: 'slack' });
+      expect(result.data[0].replies).toHaveLength(2);
+      expect(result.context).toEqual({ channels: ['incidents'] });
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('keeps replies in range whose parent is not', async () => {
+      const result = await connector.fetch({ start: '2024-01-04T09:05:00.000Z', end: dateRange.end }, {});
+
+      expect(result.data.map(m => m.text)).toEqual(['Looking, we\'re blocked on the provider', 'Fixed by rolling back']);
+    });
+
+    it('warns when nothing falls in the range or a selected export is missing', async () => {
+      const result = await connector.fetch(
+        { start: '2024-02-01T00:00:00.000Z', end: '2024-02-14T23:59:59.999Z' },
+        { chatExports: ['c-missing'] }
+      );
+
+      expect(result.data).toEqual([]);
+      expect(result.warnings).toEqual(['Chat export c-missing was not found']);
+    });
+
+    it('registers export users so the roster can filter conversations', async () => {
+      await store.create(parsed('discord-export.zip'), { name: 'discord.zip' });
+      connector = new ChatExportConnector({}, { chatExportStore: store });
+      await connector.loadIdentities(identities);
+      const roster = new TeamRoster([{ name: 'Carol' }], identities);
+
+      const result = await connector.fetch(dateRange, { roster });
+
+      expect(result.data.map(m => m.text)).toEqual(['Release notes draft is up']);
+      expect(result.insightLabel).toBe('team chat');
+    });
+
+    it('labels insights with the export platform', async () => {
+      const result = await connector.fetch(dateRange, {});
+
+      const insights = connector.analyze(result);
+
+      expect(result.insightLabel).toBe('Slack');
+      expect([...insights.wentWell, ...insights.didntGoWell].every(i => i.source === 'chat-export')).toBe(true);
+      expect(insights.actionItems.map(a => a.details)).toContain('Multiple frustration signals detected in Slack');
+    });
+  });
+});
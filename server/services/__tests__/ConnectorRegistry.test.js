@@ -0,0 +1,226 @@
+/**
+ * Tests for the data source connector registry and the built-in connectors
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  BaseConnector,
+  ConnectorRegistry,
+  GitHubConnector,
+  LinearConnector,
+  SlackConnector
+} from '../connectors/index.js';
+import TeamRoster from '../TeamRoster.js';
+import IdentityResolver from '../IdentityResolver.js';
+
+const range = { start: '2024-01-01T00:00:00Z', end: '2024-01-14T23:59:59Z' };
+
+class FakeChat extends BaseConnector {
+  static id = 'chat';
+  static label = 'Chat';
+  static kind = 'chat';
+  static requiredKeys = ['CHAT_TOKEN'];
+  static sampleFile = 'chat.sample.json';
+  static sampleContext = { channels: ['sample'] };
+
+  async fetch() {
+    return { data: [{ ts: '1.0', text: 'Shipped' }], context: { channels: ['dev'] }, warnings: ['chat warning'] };
+  }
+
+  analyze(result) {
+    return { wentWell: [{ title: `${result.data.length} chats` }], didntGoWell: [], actionItems: [] };
+  }
+}
+
+class FakeCode extends BaseConnector {
+  static id = 'code';
+  static label = 'Code';
+  static kind = 'code';
+  static requiredKeys = ['CODE_TOKEN'];
+
+  async fetch() {
+    throw new Error('Bad credentials');
+  }
+}
+
+class OtherCode extends BaseConnector {
+  static id = 'other-code';
+  static label = 'Other code';
+  static kind = 'code';
+
+  async fetch() {
+    return {
+      data: { commits: [{ sha: 'b' }], pullRequests: [{ number: 2, created_at: '2024-01-02T10:00:00Z' }] },
+      context: { repositories: ['acme/api'] }
+    };
+  }
+}
+
+describe('ConnectorRegistry', () => {
+  let Registry;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    Registry = class extends ConnectorRegistry {
+      static connectors = new Map();
+    };
+  });
+
+  it('only accepts BaseConnector subclasses with a known kind', () => {
+    expect(() => Registry.register('plain', class {})).toThrow('Connector class must extend BaseConnector');
+    expect(() => Registry.register('odd', class extends BaseConnector { static kind = 'wiki'; })).toThrow('unknown kind');
+
+    Registry.register('Chat', FakeChat);
+    expect(Registry.get('chat')).toBe(FakeChat);
+  });
+
+  it('registers the built-in connectors and reports their configuration', () => {
+    const status = ConnectorRegistry.describe({ SLACK_BOT_TOKEN: 'xoxb' });
+
+    expect(status.map(c => c.id)).toEqual(['linear', 'jira', 'linear-upload', 'slack', 'chat-export', 'slack-upload', 'github', 'gitlab', 'github-upload']);
+    expect(status.find(c => c.id === 'slack')).toMatchObject({ configured: true, missingKeys: [] });
+    expect(status.find(c => c.id === 'github')).toMatchObject({ configured: false, missingKeys: ['GITHUB_TOKEN'] });
+  });
+
+  it('builds the generation scope from every connector, with environment defaults', () => {
+    const scope = ConnectorRegistry.scopeFromRequest(
+      { repositories: ['acme/web'], cycleId: 'cycle-1' },
+      { SLACK_CHANNELS: '#dev, incidents', GITLAB_PROJECTS: 'acme/platform/api' }
+    );
+
+    expect(scope).toEqual({
+      cycleId: 'cycle-1',
+      channels: ['dev', 'incidents'],
+      chatExports: [],
+      uploads: [],
+      repositories: ['acme/web'],
+      rejectedRepositories: [],
+      gitlabProjects: ['acme/platform/api']
+    });
+  });
+
+  it('reports GitHub repositories that are not owner/name, falling back to GITHUB_REPOS', async () => {
+    const scope = GitHubConnector.scopeFromRequest(
+      { repositories: ['acme/platform/api', 'acme/'] },
+      { GITHUB_REPOS: 'acme/web,invalid' }
+    );
+    expect(scope).toEqual({
+      repositories: ['acme/web'],
+      rejectedRepositories: ['acme/platform/api', 'acme/', 'invalid']
+    });
+
+    const githubService = {
+      getTeamActivity: vi.fn(async () => ({ commits: [], pullRequests: [], reviewMetrics: {}, truncatedRepos: [] }))
+    };
+    const result = await new GitHubConnector({}, { githubService }).fetch(range, scope);
+
+    expect(githubService.getTeamActivity).toHaveBeenCalledWith(range.start, range.end, ['acme/web']);
+    expect(result.warnings).toEqual(['Skipped GitHub repositories that are not "owner/name": acme/platform/api, acme/, invalid']);
+  });
+
+  it('runs stored-data connectors beside live ones only when their data is selected', () => {
+    class StoredCode extends OtherCode {
+      static storedData = true;
+
+      static isSelected(scope) {
+        return (scope.uploads || []).includes('u-code-1');
+      }
+    }
+    const live = new OtherCode();
+    const stored = new StoredCode();
+
+    expect(Registry.forScope([live, stored], {})).toEqual([live]);
+    expect(Registry.forScope([live, stored], { uploads: ['u-code-1'] })).toEqual([live, stored]);
+    expect(Registry.forScope([stored], {})).toEqual([stored]);
+  });
+
+  it('turns a failing connector into a warning and combines the rest by kind', async () => {
+    Registry.register('chat', FakeChat);
+    Registry.register('code', FakeCode);
+    Registry.register('other-code', OtherCode);
+
+    const env = { CHAT_TOKEN: 't', CODE_TOKEN: 't' };
+    const connectors = Registry.createConfigured(env);
+    const collected = await Registry.collect(connectors, range, {});
+
+    expect(collected.warnings).toEqual(['chat warning', 'Code data is missing: Bad credentials']);
+    expect(collected.dataSources).toEqual({ chat: 'real', 'other-code': 'real' });
+    expect(collected.teamData.slack).toHaveLength(1);
+    expect(collected.teamData.github.pullRequests).toHaveLength(1);
+    expect(collected.teamData.linear).toBeNull();
+    expect(collected.context).toEqual({ channels: ['dev'], repositories: ['acme/api'] });
+    expect(Registry.analyze(collected.results).wentWell).toEqual([{ title: '1 chats' }]);
+  });
+
+  it('uses sample data for sources that are not configured when asked to', async () => {
+    Registry.register('chat', FakeChat);
+    vi.spyOn(FakeChat, 'loadSample').mockResolvedValue({ data: [{ ts: '9.0' }], context: { channels: ['sample'] } });
+
+    const collected = await Registry.collect([], range, {}, { samples: true });
+
+    expect(collected.dataSources).toEqual({ chat: 'sample' });
+    expect(collected.context.channels).toEqual(['sample']);
+    // Sample data never feeds rule-based insights
+    expect(Registry.analyze(collected.results).wentWell).toEqual([]);
+  });
+
+  it('does not mix sample data into a kind another connector fetched', async () => {
+    class OtherChat extends FakeChat {
+      static id = 'other-chat';
+      static label = 'Other chat';
+      static sampleFile = null;
+    }
+    Registry.register('chat', FakeChat);
+    Registry.register('other-chat', OtherChat);
+    const loadSample = vi.spyOn(FakeChat, 'loadSample');
+
+    const collected = await Registry.collect([new OtherChat({})], range, {}, { samples: true });
+
+    expect(loadSample).not.toHaveBeenCalled();
+    expect(collected.dataSources).toEqual({ 'other-chat': 'real' });
+  });
+});
+
+describe('built-in connectors', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('fetches Slack conversations for the roster and explains skipped channels', async () => {
+    const slackService = {
+      fetchTeamChannelMessages: vi.fn().mockResolvedValue({
+        messages: [{ ts: '1.0', user: 'U0123ABC', text: 'Shipped' }, { ts: '2.0', user: 'U9', text: 'Lunch?' }],
+        channels: ['dev'],
+        skipped: [{ channel: 'random', reason: 'not_member' }]
+      })
+    };
+    const identities = new IdentityResolver({ people: [{ name: 'Alice Smith', slack: ['U0123ABC'] }] });
+    const connector = new SlackConnector({ SLACK_BOT_TOKEN: 'xoxb' }, { slackService });
+
+    const result = await connector.fetch(range, {
+      channels: ['dev', 'random'],
+      roster: new TeamRoster(['Alice Smith'], identities)
+    });
+
+    expect(slackService.fetchTeamChannelMessages).toHaveBeenCalledWith(range.start, range.end, ['dev', 'random']);
+    expect(result.data.map(m => m.ts)).toEqual(['1.0']);
+    expect(result.context).toEqual({ channels: ['dev'] });
+    expect(result.warnings).toEqual(['Slack channel #random was skipped: the bot is not a member']);
+  });
+
+  it('puts Linear cycle insights ahead of issue insights', () => {
+    const linearService = {
+      analyzeIssuesForRetro: vi.fn().mockReturnValue({ wentWell: [{ title: 'Issues closed' }], didntGoWell: [], actionItems: [] })
+    };
+    const connector = new LinearConnector({ LINEAR_API_KEY: 'lin' }, { linearService });
+
+    const insights = connector.analyze({
+      data: [],
+      cycle: { retroData: { wentWell: [{ title: 'Cycle completed' }], didntGoWell: [], actionItems: [] } }
+    });
+
+    expect(insights.wentWell.map(i => i.title)).toEqual(['Cycle completed', 'Issues closed']);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for DataUploadParser and CsvParser: sample-shaped JSON and CSV issue exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import DataUploadParser from '../DataUploadParser.js';
+import { parseCsv } from '../CsvParser.js';
+
+const sample = (name) => fs.readFileSync(new URL(`../../sample-data/${name}`, import.meta.url));
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/uploads/${name}`, import.meta.url));
+
+const parseError = (json, options) => {
+  try {
+    DataUploadParser.parse(Buffer.from(typeof json === 'string' ? json : JSON.stringify(json)), options);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the upload to be rejected');
+};
+
+describe('DataUploadParser', () => {
+  it('accepts the bundled sample files', () => {
+    const github = DataUploadParser.parse(sample('github.activity.sample.json'));
+    const linear = DataUploadParser.parse(sample('linear.issues.sample.json'));
+    const slack = DataUploadParser.parse(sample('slack.messages.sample.json'));
+
+    expect(github).toMatchObject({ kind: 'github', format: 'json' });
+    expect(github.recordCount).toBe(github.data.commits.length + github.data.pullRequests.length);
+    expect(linear.kind).toBe('linear');
+    expect(linear.data.length).toBe(linear.recordCount);
+    expect(slack.kind).toBe('slack');
+    expect(slack.firstRecordAt <= slack.lastRecordAt).toBe(true);
+  });
+
+  it('folds Slack thread replies into their parent', () => {
+    const result = DataUploadParser.parse(Buffer.from(JSON.stringify({
+      messages: [
+        { ts: '1704276000.000100', text: 'Deploy is stuck', user: 'U1', channel: 'dev' },
+        { ts: '1704276060.000100', thread_ts: '1704276000.000100', text: 'Rerunning', user: 'U2', channel: 'dev' },
+      ],
+    })));
+
+    expect(result.recordCount).toBe(2);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0].replies.map(reply => reply.text)).toEqual(['Rerunning']);
+  });
+
+  it('points at the offending records', () => {
+    const error = parseError({
+      commits: [],
+      pullRequests: [
+        { number: 1, title: 'Fine', user: { login: 'alice' }, state: 'open', created_at: '2024-01-02', updated_at: '2024-01-02' },
+        { number: 2, title: 'Broken', user: {}, state: 'merged', created_at: 'yesterday', updated_at: '2024-01-02' },
+      ],
+    });
+
+    expect(error.code).toBe('INVALID_UPLOAD');
+    expect(error.problems).toEqual([
+      { path: 'pullRequests[1].user', message: 'login is required' },
+      { path: 'pullRequests[1].state', message: 'must be one of open, closed, got "merged"' },
+      { path: 'pullRequests[1].created_at', message: 'must be an ISO date string, got "yesterday"' },
+    ]);
+    expect(error.message).toBe('pullRequests[1].user: login is required (and 2 more)');
+  });
+
+  it('checks nested Slack replies and Linear state types', () => {
+    expect(parseError({ messages: [{ ts: '1.0', text: 'hi', replies: [{ ts: 'soon', text: 'yo' }] }] }).problems)
+      .toEqual([{ path: 'messages[0].replies[0].ts', message: 'must be a Slack timestamp like "1704276000.000100", got "soon"' }]);
+
+    const issue = { id: 'i1', title: 'T', state: { name: 'Done', type: 'finished' }, createdAt: '2024-01-01', updatedAt: '2024-01-01' };
+    expect(parseError({ issues: [issue] }).problems[0].path).toBe('issues[0].state.type');
+  });
+
+  it('rejects JSON that is not one of the sample shapes', () => {
+    expect(parseError({ tickets: [] }).message).toContain('found tickets');
+    expect(parseError('[1, 2]').message).toContain('Expected an object');
+    expect(parseError('{"issues": ', { filename: 'issues.json' }).message).toContain('issues.json is not valid JSON');
+  });
+
+  it('reads a Linear CSV export into Linear-shaped issues', () => {
+    const result = DataUploadParser.parse(fixture('linear-issues.csv'), { filename: 'linear.csv' });
+
+    expect(result).toMatchObject({ kind: 'linear', format: 'csv', recordCount: 3 });
+    const [done, review, canceled] = result.data;
+    expect(done).toMatchObject({
+      id: 'ENG-101',
+      title: 'Fix flaky checkout test',
+      description: 'Fails on CI about 1 in 5 runs, see "retry" logs',
+      state: { name: 'Done', type: 'completed' },
+      assignee: { name: 'Alice Smith', email: null },
+      completedAt: '2024-01-05T16:00:00.000Z',
+      estimate: 3,
+      priority: 3,
+      labels: { nodes: [{ name: 'Bug', color: null }, { name: 'CI', color: null }] },
+      project: { name: 'Checkout' },
+      team: { name: 'Platform' },
+    });
+    expect(review).toMatchObject({ state: { type: 'started' }, priority: 4, description: 'Multi-line\ndescription' });
+    expect(canceled).toMatchObject({ state: { type: 'canceled' }, assignee: null, estimate: null, priority: 0 });
+  });
+
+  it('reads a Jira CSV export, with repeated label columns and Jira dates', () => {
+    const result = DataUploadParser.parse(fixture('jira-issues.csv'), { filename: 'jira.csv' });
+
+    const [bug, story] = result.data;
+    expect(bug).toMatchObject({
+      id: 'PAY-7',
+      state: { name: 'Closed', type: 'completed' },
+      createdAt: '2024-01-02T09:15:00.000Z',
+      completedAt: '2024-01-05T16:30:00.000Z',
+      estimate: 2,
+      priority: 4,
+    });
+    expect(bug.labels.nodes.map(label => label.name)).toEqual(['Bug', 'backend', 'regression']);
+    expect(story).toMatchObject({ state: { type: 'unstarted' }, updatedAt: '2024-01-04T12:05:00.000Z', completedAt: null });
+  });
+
+  it('reports CSV problems by line and column', () => {
+    const missing = parseError('Name,Owner\nThing,Al\n', { filename: 'issues.csv' });
+    expect(missing.problems).toEqual([
+      { path: 'line 1', message: 'missing a Status or State column' },
+      { path: 'line 1', message: 'missing a Created or Created At column' },
+    ]);
+
+    const badRows = parseError('Title,Status,Created,Estimate\nA,Done,2024-01-02,3\nB,,next week,lots\n', { filename: 'issues.csv' });
+    expect(badRows.problems).toEqual([
+      { path: 'line 3, Status', message: 'is empty' },
+      { path: 'line 3, Created', message: '"next week" is not a date' },
+      { path: 'line 3, Estimate', message: '"lots" is not a number' },
+    ]);
+  });
+});
+
+describe('CsvParser', () => {
+  it('handles quoted fields, CRLF line endings and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n"multi\nline",z\n')).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['x, y', 'say "hi"'] },
+      { line: 4, fields: ['multi\nline', 'z'] },
+    ]);
+  });
+
+  it('rejects an unclosed quote', () => {
+    expect(() => parseCsv('a,b\n"open,1\n')).toThrow('Line 2: a quoted field is never closed');
+  });
+});
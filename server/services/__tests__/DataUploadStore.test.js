@@ -0,0 +1,162 @@
+/**
+ * Tests for DataUploadStore and the uploaded data connectors
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import DataUploadStore from '../DataUploadStore.js';
+import DataUploadParser from '../DataUploadParser.js';
+import IdentityResolver from '../IdentityResolver.js';
+import TeamRoster from '../TeamRoster.js';
+import RetroPipeline from '../RetroPipeline.js';
+import {
+  BaseConnector,
+  GitHubUploadConnector,
+  LinearUploadConnector,
+  SlackUploadConnector,
+} from '../connectors/index.js';
+
+const githubUpload = {
+  commits: [
+    {
+      sha: 'a1',
+      commit: { author: { name: 'Alice', email: 'alice@acme.com', date: '2024-01-03T10:00:00Z' }, message: 'fix: checkout' },
+      author: { login: 'alice' },
+      repo: 'acme/web',
+    },
+    {
+      sha: 'b2',
+      commit: { author: { name: 'Bob', email: 'bob@acme.com', date: '2023-12-20T10:00:00Z' }, message: 'old work' },
+      author: { login: 'bob' },
+      repo: 'acme/web',
+    },
+  ],
+  pullRequests: [
+    {
+      number: 7,
+      title: 'Fix checkout',
+      user: { login: 'alice' },
+      state: 'closed',
+      created_at: '2024-01-02T10:00:00Z',
+      updated_at: '2024-01-04T10:00:00Z',
+      merged_at: '2024-01-04T10:00:00Z',
+      repo: 'acme/web',
+    },
+  ],
+};
+
+const parse = (json, filename) => DataUploadParser.parse(Buffer.from(typeof json === 'string' ? json : JSON.stringify(json)), { filename });
+
+describe('DataUploadStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-uploads-'));
+    store = new DataUploadStore({ dir: path.join(tmpDir, 'uploads') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('saves uploads under their kind and lists them without their data', async () => {
+    const saved = await store.create(parse(githubUpload), { name: 'activity.json' });
+
+    expect(saved.id).toMatch(/^u-github-/);
+    expect(saved).toMatchObject({ name: 'activity.json', kind: 'github', recordCount: 3 });
+    expect(saved.data).toBeUndefined();
+    expect(store.hasImports(DataUploadStore.kindPrefix('github'))).toBe(true);
+    expect(store.hasImports(DataUploadStore.kindPrefix('linear'))).toBe(false);
+    expect(await store.list()).toEqual([saved]);
+
+    expect(await store.delete(saved.id)).toBe(true);
+    expect(await store.get(saved.id)).toBeNull();
+  });
+
+  describe('upload connectors', () => {
+    const dateRange = { start: '2024-01-01T00:00:00.000Z', end: '2024-01-07T23:59:59.999Z' };
+    const env = () => ({ DATA_UPLOAD_DIR: store.dir });
+
+    it('are each enabled once a file of their kind is uploaded', async () => {
+      await store.create(parse(githubUpload));
+
+      expect(GitHubUploadConnector.isConfigured(env())).toBe(true);
+      expect(LinearUploadConnector.isConfigured(env())).toBe(false);
+      expect(SlackUploadConnector.isConfigured(env())).toBe(false);
+    });
+
+    it('return uploaded GitHub activity inside the date range and run the GitHub rules', async () => {
+      await store.create(parse(githubUpload));
+      const connector = new GitHubUploadConnector({}, { dataUploadStore: store });
+
+      const result = await connector.fetch(dateRange, {});
+
+      expect(result.data.commits.map(commit => commit.sha)).toEqual(['a1']);
+      expect(result.data.pullRequests).toHaveLength(1);
+      expect(result.data.reviewMetrics).toBeDefined();
+      expect(result.context).toEqual({ repositories: ['acme/web'] });
+      const insights = connector.analyze(result);
+      expect([...insights.wentWell, ...insights.didntGoWell].every(insight => insight.source === 'github')).toBe(true);
+    });
+
+    it('filter uploaded issues by the roster', async () => {
+      const csv = fs.readFileSync(new URL('./fixtures/uploads/linear-issues.csv', import.meta.url));
+      await store.create(DataUploadParser.parse(csv, { filename: 'issues.csv' }));
+      const identities = new IdentityResolver();
+      const roster = new TeamRoster([{ name: 'Bob Jones' }], identities);
+      const connector = new LinearUploadConnector({}, { dataUploadStore: store });
+
+      const result = await connector.fetch(dateRange, { roster });
+
+      expect(result.data.map(issue => issue.id)).toEqual(['ENG-102']);
+    });
+
+    it('warn when nothing falls in the range or a selected upload is missing', async () => {
+      await store.create(parse({ messages: [{ ts: '1704276000.000100', text: 'Deploy is stuck', user: 'U1', channel: 'dev' }] }));
+      const connector = new SlackUploadConnector({}, { dataUploadStore: store });
+
+      const outside = await connector.fetch({ start: '2024-02-01T00:00:00.000Z', end: '2024-02-07T23:59:59.999Z' }, {});
+      expect(outside.data).toEqual([]);
+      expect(outside.warnings).toEqual(['Uploaded Slack messages has nothing within 2024-02-01 to 2024-02-07']);
+
+      const missing = await connector.fetch(dateRange, { uploads: ['u-slack-1-gone'] });
+      expect(missing.warnings).toEqual(['Upload u-slack-1-gone was not found']);
+
+      // Selecting only uploads of another kind leaves this one out without a warning
+      const otherKind = await connector.fetch(dateRange, { uploads: ['u-github-1-abc'] });
+      expect(otherKind).toMatchObject({ data: [], warnings: [] });
+
+      const inRange = await connector.fetch(dateRange, {});
+      expect(inRange.data.map(message => message.text)).toEqual(['Deploy is stuck']);
+      expect(inRange.context).toEqual({ channels: ['dev'] });
+    });
+
+    it('join a live generation only when the request selects their uploads', async () => {
+      class LiveIssues extends BaseConnector {
+        static id = 'live-issues';
+        static label = 'Live issues';
+        static kind = 'issues';
+
+        async fetch() {
+          return { data: [{ id: 'ENG-1', title: 'Fix login' }], context: {}, warnings: [] };
+        }
+      }
+      const saved = await store.create(parse(githubUpload));
+      const generate = (scope) => new RetroPipeline({
+        llmAnalyzer: { config: { enabled: false } },
+        env: { IDENTITY_MAP_PATH: '/nonexistent/identities.json' },
+        connectors: [new LiveIssues(), new GitHubUploadConnector({}, { dataUploadStore: store })],
+      }).run({ dateRange: { start: '2024-01-01', end: '2024-01-07' }, scope });
+
+      const unselected = await generate({});
+      expect(unselected.analysisMetadata.dataSources).toEqual({ 'live-issues': 'real' });
+
+      const selected = await generate({ uploads: [saved.id] });
+      expect(selected.analysisMetadata.dataSources).toEqual({ 'live-issues': 'real', 'github-upload': 'real' });
+    });
+  });
+});
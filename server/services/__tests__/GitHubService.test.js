@@ -0,0 +1,362 @@
+/**
+ * Tests for GitHubService pagination and rate-limit handling
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import axios from 'axios';
+import GitHubService from '../githubService.js';
+
+vi.mock('axios', () => ({
+  default: { get: vi.fn() }
+}));
+
+const page = (data, { next, headers = {} } = {}) => ({
+  data,
+  headers: {
+    ...(next ? { link: `<${next}>; rel="next", <https://api.github.com/last>; rel="last"` } : {}),
+    ...headers
+  }
+});
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: { message: 'error' } };
+  return error;
+};
+
+const pr = (number, updatedAt) => ({ number, title: `PR ${number}`, updated_at: updatedAt });
+
+describe('GitHubService', () => {
+  let service;
+  let sleep;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sleep = vi.fn().mockResolvedValue();
+    service = new GitHubService('token', { sleep, retryDelay: 10 });
+  });
+
+  describe('paginate', () => {
+    it('follows Link headers until there is no next page', async () => {
+      axios.get
+        .mockResolvedValueOnce(page([{ sha: 'a' }], { next: 'https://api.github.com/page2' }))
+        .mockResolvedValueOnce(page([{ sha: 'b' }], { next: 'https://api.github.com/page3' }))
+        .mockResolvedValueOnce(page([{ sha: 'c' }]));
+
+      const result = await service.paginate('/repos/o/r/commits', { since: 'x' });
+
+      expect(result).toEqual({ items: [{ sha: 'a' }, { sha: 'b' }, { sha: 'c' }], truncated: false, reason: null });
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(axios.get.mock.calls[0][1].params).toEqual({ since: 'x', per_page: 100 });
+      expect(axios.get.mock.calls[1][0]).toBe('https://api.github.com/page2');
+      expect(axios.get.mock.calls[1][1].params).toEqual({});
+    });
+
+    it('reports truncation when the page cap is reached', async () => {
+      service = new GitHubService('token', { sleep, maxPages: 2 });
+      axios.get
+        .mockResolvedValueOnce(page([{ sha: 'a' }], { next: 'https://api.github.com/page2' }))
+        .mockResolvedValueOnce(page([{ sha: 'b' }], { next: 'https://api.github.com/page3' }));
+
+      const result = await service.paginate('/repos/o/r/commits');
+
+      expect(result.items).toHaveLength(2);
+      expect(result.truncated).toBe(true);
+      expect(result.reason).toBe('max_pages');
+    });
+
+    it('waits for the reset window when the remaining quota hits zero', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 5;
+      axios.get
+        .mockResolvedValueOnce(page([{ sha: 'a' }], {
+          next: 'https://api.github.com/page2',
+          headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+        }))
+        .mockResolvedValueOnce(page([{ sha: 'b' }]));
+
+      const result = await service.paginate('/repos/o/r/commits');
+
+      expect(result.truncated).toBe(false);
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep.mock.calls[0][0]).toBeGreaterThan(0);
+      expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(5000);
+    });
+
+    it('stops and reports truncation when the reset window is too far away', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 3600;
+      axios.get.mockResolvedValueOnce(page([{ sha: 'a' }], {
+        next: 'https://api.github.com/page2',
+        headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+      }));
+
+      const result = await service.paginate('/repos/o/r/commits');
+
+      expect(result).toEqual({ items: [{ sha: 'a' }], truncated: true, reason: 'rate_limited' });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('request', () => {
+    it('honors Retry-After on secondary rate limits', async () => {
+      axios.get
+        .mockRejectedValueOnce(httpError(403, { 'retry-after': '2' }))
+        .mockResolvedValueOnce(page({ login: 'octocat' }));
+
+      const data = await service.makeRequest('/user');
+
+      expect(data).toEqual({ login: 'octocat' });
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('backs off exponentially on server errors', async () => {
+      axios.get
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce(page([]));
+
+      await service.makeRequest('/user');
+
+      expect(sleep.mock.calls.map(c => c[0])).toEqual([10, 20]);
+    });
+
+    it('does not retry client errors', async () => {
+      axios.get.mockRejectedValueOnce(httpError(404));
+
+      await expect(service.makeRequest('/repos/o/missing')).rejects.toThrow('404');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after the configured number of retries', async () => {
+      axios.get.mockRejectedValue(httpError(500));
+
+      await expect(service.makeRequest('/user')).rejects.toThrow('500');
+      expect(axios.get).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('getRepoActivity', () => {
+    beforeEach(() => {
+      service = new GitHubService('token', { sleep, includePrDetails: false });
+    });
+
+    it('stops fetching PRs once a page falls outside the date range', async () => {
+      axios.get
+        // commits
+        .mockResolvedValueOnce(page([{ sha: 'a' }]))
+        // PRs, newest updated first
+        .mockResolvedValueOnce(page([
+          pr(3, '2024-01-10T00:00:00Z'),
+          pr(2, '2024-01-05T00:00:00Z')
+        ], { next: 'https://api.github.com/pulls?page=2' }))
+        .mockResolvedValueOnce(page([
+          pr(1, '2024-01-02T00:00:00Z'),
+          pr(0, '2023-12-01T00:00:00Z')
+        ], { next: 'https://api.github.com/pulls?page=3' }));
+
+      const result = await service.getRepoActivity('o', 'r', '2024-01-01T00:00:00Z', '2024-01-14T23:59:59Z');
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(result.pullRequests.map(p => p.number)).toEqual([3, 2, 1]);
+      expect(result.commits).toHaveLength(1);
+      expect(result.truncated).toBe(false);
+    });
+
+    it('excludes PRs updated after the end of the range', async () => {
+      axios.get
+        .mockResolvedValueOnce(page([]))
+        .mockResolvedValueOnce(page([
+          pr(2, '2024-02-01T00:00:00Z'),
+          pr(1, '2024-01-03T00:00:00Z')
+        ]));
+
+      const result = await service.getRepoActivity('o', 'r', '2024-01-01T00:00:00Z', '2024-01-14T23:59:59Z');
+
+      expect(result.pullRequests.map(p => p.number)).toEqual([1]);
+    });
+  });
+
+  describe('attachPullRequestDetails', () => {
+    it('attaches reviews and summarized CI results to each PR', async () => {
+      const pulls = [{ number: 7, head: { sha: 'abc' } }];
+      axios.get
+        .mockResolvedValueOnce(page([
+          { user: { login: 'bob' }, state: 'APPROVED', submitted_at: '2024-01-02T00:00:00Z', commit_id: 'abc', body: 'lgtm' }
+        ]))
+        .mockResolvedValueOnce(page({
+          total_count: 2,
+          check_runs: [
+            { status: 'completed', conclusion: 'success' },
+            { status: 'completed', conclusion: 'failure' }
+          ]
+        }))
+        .mockResolvedValueOnce(page({ state: 'success', statuses: [{ state: 'success' }] }));
+
+      const reason = await service.attachPullRequestDetails('o', 'r', pulls);
+
+      expect(reason).toBeNull();
+      expect(axios.get.mock.calls.map(c => c[0])).toEqual([
+        'https://api.github.com/repos/o/r/pulls/7/reviews',
+        'https://api.github.com/repos/o/r/commits/abc/check-runs',
+        'https://api.github.com/repos/o/r/commits/abc/status'
+      ]);
+      expect(pulls[0].reviews).toEqual([
+        { user: 'bob', state: 'APPROVED', submitted_at: '2024-01-02T00:00:00Z', commit_id: 'abc' }
+      ]);
+      expect(pulls[0].checks).toEqual({ total: 3, failed: 1, pending: 0, state: 'failure' });
+    });
+
+    it('stops at the per-repo cap and reports truncation', async () => {
+      service = new GitHubService('token', { sleep, maxPrDetails: 1 });
+      const pulls = [{ number: 1 }, { number: 2 }];
+      axios.get.mockResolvedValueOnce(page([]));
+
+      const reason = await service.attachPullRequestDetails('o', 'r', pulls);
+
+      expect(reason).toBe('max_pr_details');
+      expect(pulls[0].reviews).toEqual([]);
+      expect(pulls[1].reviews).toBeUndefined();
+    });
+  });
+
+  describe('computeReviewMetrics', () => {
+    const review = (user, submittedAt, commitId, state = 'COMMENTED') =>
+      ({ user, state, submitted_at: submittedAt, commit_id: commitId });
+
+    it('computes review latency, merge time, rounds and CI failure rate', () => {
+      const metrics = GitHubService.computeReviewMetrics([
+        {
+          user: { login: 'alice' },
+          created_at: '2024-01-01T00:00:00Z',
+          merged_at: '2024-01-02T00:00:00Z',
+          reviews: [
+            review('alice', '2024-01-01T01:00:00Z', 'c1'), // author replies don't count
+            review('bob', '2024-01-01T02:00:00Z', 'c1', 'CHANGES_REQUESTED'),
+            review('bob', '2024-01-01T06:00:00Z', 'c2', 'APPROVED')
+          ],
+          checks: { state: 'failure' }
+        },
+        {
+          user: { login: 'carol' },
+          created_at: '2024-01-01T00:00:00Z',
+          merged_at: '2024-01-01T12:00:00Z',
+          reviews: [review('bob', '2024-01-01T04:00:00Z', 'c3', 'APPROVED')],
+          checks: { state: 'success' }
+        },
+        {
+          user: { login: 'dave' },
+          state: 'open',
+          created_at: '2024-01-01T00:00:00Z',
+          requested_reviewers: [{ login: 'bob' }],
+          reviews: [],
+          checks: { state: 'pending' }
+        }
+      ]);
+
+      expect(metrics).toMatchObject({
+        totalPRs: 3,
+        reviewedPRs: 2,
+        reviewRate: 66.7,
+        avgTimeToFirstReviewHours: 3,
+        medianTimeToFirstReviewHours: 3,
+        avgTimeToMergeHours: 18,
+        avgReviewRounds: 1.5,
+        prsAwaitingReview: 1,
+        prsWithCI: 2,
+        ciFailedPRs: 1,
+        ciFailureRate: 50
+      });
+    });
+
+    it('reports unknown review figures when no PR details were fetched', () => {
+      const metrics = GitHubService.computeReviewMetrics([{ comments: 5, review_comments: 2 }]);
+
+      expect(metrics.reviewRate).toBeNull();
+      expect(metrics.medianTimeToFirstReviewHours).toBeNull();
+      expect(metrics.ciFailureRate).toBeNull();
+    });
+  });
+
+  describe('analyzeActivityForRetro', () => {
+    it('flags slow reviews and failing CI from the review metrics', () => {
+      const result = service.analyzeActivityForRetro([], [], {
+        ...GitHubService.computeReviewMetrics([]),
+        reviewedPRs: 4,
+        prsWithReviewData: 4,
+        reviewRate: 100,
+        medianTimeToFirstReviewHours: 30,
+        prsWithCI: 4,
+        ciFailedPRs: 2,
+        ciFailureRate: 50
+      });
+
+      const titles = result.didntGoWell.map(i => i.title);
+      expect(titles).toContain('Slow review turnaround');
+      expect(titles).toContain('CI failing on 50.0% of PRs');
+      expect(result.wentWell.map(i => i.title)).toContain('Strong code review culture');
+    });
+  });
+
+  describe('parseRepoList', () => {
+    it('parses comma-separated owner/name pairs and drops duplicates', () => {
+      expect(GitHubService.parseRepoList(' acme/api, acme/web ,ACME/API,')).toEqual({
+        repos: [
+          { owner: 'acme', name: 'api' },
+          { owner: 'acme', name: 'web' }
+        ],
+        rejected: []
+      });
+    });
+
+    it('accepts arrays of strings or repo objects', () => {
+      expect(GitHubService.parseRepoList(['acme/api', { owner: 'acme', name: 'web' }]).repos).toEqual([
+        { owner: 'acme', name: 'api' },
+        { owner: 'acme', name: 'web' }
+      ]);
+      expect(GitHubService.parseRepoList(undefined)).toEqual({ repos: [], rejected: [] });
+    });
+
+    it('rejects entries that are not exactly owner/name', () => {
+      const { repos, rejected } = GitHubService.parseRepoList(
+        ['acme/api', 'invalid', 'acme/platform/api', 'acme/', '/web', { owner: 'acme/platform', name: 'api' }]
+      );
+
+      expect(repos).toEqual([{ owner: 'acme', name: 'api' }]);
+      expect(rejected).toEqual(['invalid', 'acme/platform/api', 'acme/', '/web', 'acme/platform/api']);
+    });
+  });
+
+  describe('getTeamActivity', () => {
+    it('returns no activity when no repositories are selected', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await service.getTeamActivity('2024-01-01', '2024-01-14', []);
+
+      expect(result).toMatchObject({ commits: [], pullRequests: [], truncated: false, truncatedRepos: [] });
+      expect(result.reviewMetrics.totalPRs).toBe(0);
+      expect(axios.get).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('reports which repositories were truncated', async () => {
+      service = new GitHubService('token', { sleep, maxPages: 1 });
+      axios.get
+        // repo a: commits truncated, PRs complete
+        .mockResolvedValueOnce(page([{ sha: 'a' }], { next: 'https://api.github.com/next' }))
+        .mockResolvedValueOnce(page([]))
+        // repo b: complete
+        .mockResolvedValueOnce(page([{ sha: 'b' }]))
+        .mockResolvedValueOnce(page([]));
+
+      const result = await service.getTeamActivity('2024-01-01', '2024-01-14', [
+        { owner: 'acme', name: 'a' },
+        { owner: 'acme', name: 'b' }
+      ]);
+
+      expect(result.commits.map(c => c.repo)).toEqual(['acme/a', 'acme/b']);
+      expect(result.truncated).toBe(true);
+      expect(result.truncatedRepos).toEqual([
+        { repo: 'acme/a', commits: 'max_pages', pullRequests: null, prDetails: null }
+      ]);
+    });
+  });
+});
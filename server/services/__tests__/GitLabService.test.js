@@ -0,0 +1,245 @@
+/**
+ * Tests for GitLabService against recorded GitLab API v4 responses
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import axios from 'axios';
+import GitLabService from '../gitlabService.js';
+import GitHubService from '../githubService.js';
+import TemporalDataProcessor from '../llm/TemporalDataProcessor.js';
+import { GitLabConnector } from '../connectors/index.js';
+
+vi.mock('axios', () => ({
+  default: { get: vi.fn() }
+}));
+
+const fixture = (name) => JSON.parse(
+  fs.readFileSync(new URL(`./fixtures/gitlab/${name}.json`, import.meta.url), 'utf-8')
+);
+
+const ok = (data, headers = {}) => ({ data, headers });
+
+const API = 'https://gitlab.acme.dev/api/v4/projects/platform%2Fapi';
+
+// Serve the recorded project; MR !18 has no approvals or notes and a failed pipeline
+const routes = () => ({
+  [`${API}/repository/commits`]: fixture('commits'),
+  [`${API}/merge_requests`]: fixture('merge-requests'),
+  [`${API}/pipelines`]: fixture('pipelines'),
+  [`${API}/merge_requests/17/approvals`]: fixture('mr17-approvals'),
+  [`${API}/merge_requests/17/notes`]: fixture('mr17-notes'),
+  [`${API}/merge_requests/17/pipelines`]: fixture('mr17-pipelines'),
+  [`${API}/merge_requests/18/approvals`]: { approved: false, approvals_required: 1, approved_by: [] },
+  [`${API}/merge_requests/18/notes`]: [],
+  [`${API}/merge_requests/18/pipelines`]: [fixture('pipelines')[0]]
+});
+
+describe('GitLabService', () => {
+  let service;
+  let sleep;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    sleep = vi.fn().mockResolvedValue();
+    service = new GitLabService('glpat-token', { baseUrl: 'https://gitlab.acme.dev/', sleep });
+
+    const served = routes();
+    axios.get.mockImplementation(async (url) => {
+      if (!(url in served)) throw new Error(`Unexpected request: ${url}`);
+      return ok(served[url]);
+    });
+  });
+
+  describe('getTeamActivity', () => {
+    it('filters commits, merge requests and pipelines by date on the server', async () => {
+      await service.getTeamActivity('2024-01-01T00:00:00Z', '2024-01-07T23:59:59Z', 'platform/api');
+
+      const params = (url) => axios.get.mock.calls.find(([called]) => called === url)[1];
+      expect(params(`${API}/repository/commits`).headers).toEqual({ 'PRIVATE-TOKEN': 'glpat-token' });
+      expect(params(`${API}/repository/commits`).params).toEqual({
+        since: '2024-01-01T00:00:00.000Z',
+        until: '2024-01-07T23:59:59.000Z',
+        with_stats: true,
+        per_page: 100
+      });
+      expect(params(`${API}/merge_requests`).params).toMatchObject({
+        state: 'all',
+        scope: 'all',
+        updated_after: '2024-01-01T00:00:00.000Z',
+        updated_before: '2024-01-07T23:59:59.000Z'
+      });
+      expect(params(`${API}/pipelines`).params).toMatchObject({ updated_after: '2024-01-01T00:00:00.000Z' });
+    });
+
+    it('maps commits and merge requests to the GitHub shapes', async () => {
+      const { commits, pullRequests, pipelines } = await service.getTeamActivity('2024-01-01', '2024-01-07', ['platform/api']);
+
+      expect(commits[0]).toMatchObject({
+        sha: '9f1c2b7a4e5d6c8b0a1f2e3d4c5b6a7980716253',
+        html_url: 'https://gitlab.acme.dev/platform/api/-/commit/9f1c2b7a4e5d6c8b0a1f2e3d4c5b6a7980716253',
+        author: null,
+        commit: {
+          message: 'Fix token refresh race\n\nRetry once when the refresh token was rotated concurrently.',
+          author: { name: 'Alice Smith', email: 'alice@acme.com', date: '2024-01-03T10:15:00.000+01:00' }
+        },
+        stats: { additions: 42, deletions: 7, total: 49 },
+        repo: 'platform/api'
+      });
+
+      const [merged, draft] = pullRequests;
+      expect(merged).toMatchObject({
+        number: 17,
+        title: 'Fix token refresh race',
+        state: 'closed',
+        html_url: 'https://gitlab.acme.dev/platform/api/-/merge_requests/17',
+        user: { login: 'alice' },
+        merged_at: '2024-01-03T11:30:00.000Z',
+        closed_at: '2024-01-03T11:30:00.000Z',
+        merged_by: { login: 'bob' },
+        requested_reviewers: [{ login: 'bob' }],
+        approvals: { approved: true, required: 1, approvedBy: ['bob'] },
+        comments: 1,
+        review_comments: 2,
+        checks: { total: 1, failed: 0, pending: 0, state: 'success' },
+        repo: 'platform/api'
+      });
+      // The author's own diff reply and the "added 1 commit" system note are not reviews
+      expect(merged.reviews).toEqual([
+        { user: 'bob', state: 'COMMENTED', submitted_at: '2024-01-02T13:00:00.000Z', commit_id: '1a2b3c4d' },
+        { user: 'bob', state: 'COMMENTED', submitted_at: '2024-01-03T09:00:00.000Z', commit_id: null },
+        { user: 'bob', state: 'APPROVED', submitted_at: '2024-01-03T09:01:00.000Z', commit_id: null }
+      ]);
+
+      expect(draft).toMatchObject({ state: 'open', draft: true, merged_by: null, reviews: [], checks: { state: 'failure' } });
+      expect(pipelines.map(p => [p.id, p.state])).toEqual([[3310, 'failure'], [3302, 'success'], [3301, 'success']]);
+    });
+
+    it('computes review metrics like GitHub pull requests', async () => {
+      const { reviewMetrics, pipelineMetrics } = await service.getTeamActivity('2024-01-01', '2024-01-07', ['platform/api']);
+
+      expect(reviewMetrics).toMatchObject({
+        totalPRs: 2,
+        prsWithReviewData: 2,
+        reviewedPRs: 1,
+        reviewRate: 50,
+        avgTimeToFirstReviewHours: 4,
+        avgTimeToMergeHours: 26.5,
+        avgReviewRounds: 1,
+        prsAwaitingReview: 1,
+        prsWithCI: 2,
+        ciFailureRate: 50
+      });
+      expect(pipelineMetrics).toEqual({
+        totalPipelines: 3,
+        finishedPipelines: 3,
+        failedPipelines: 1,
+        pipelineFailureRate: 33.3
+      });
+    });
+
+    it('produces activity the temporal processor can place on the timeline', async () => {
+      const { commits, pullRequests } = await service.getTeamActivity('2024-01-01', '2024-01-07', ['platform/api']);
+
+      const processed = new TemporalDataProcessor().processTeamData({ github: { commits, pullRequests } }, {
+        start: '2024-01-01T00:00:00Z',
+        end: '2024-01-07T23:59:59Z'
+      });
+      const types = processed.chunks.flatMap(chunk => chunk.events.map(e => e.type));
+
+      expect(processed.filteredEvents).toBe(5);
+      expect(types).toEqual(expect.arrayContaining(['github_commit', 'github_pr_created', 'github_pr_merged']));
+    });
+
+    it('keeps the activity it has when MR details are capped', async () => {
+      service = new GitLabService('glpat-token', { baseUrl: 'https://gitlab.acme.dev', maxMrDetails: 1, sleep });
+
+      const { pullRequests, truncatedRepos } = await service.getTeamActivity('2024-01-01', '2024-01-07', 'platform/api');
+
+      expect(pullRequests[0].reviews).toHaveLength(3);
+      expect(pullRequests[1].reviews).toBeUndefined();
+      expect(truncatedRepos).toEqual([
+        { repo: 'platform/api', commits: null, pullRequests: null, pipelines: null, prDetails: 'max_pr_details' }
+      ]);
+    });
+  });
+
+  describe('analyzeActivityForRetro', () => {
+    it('applies the GitHub rules, labeled as GitLab, and flags failing pipelines', () => {
+      const commits = [service.normalizeCommit(fixture('commits')[0]), service.normalizeCommit(fixture('commits')[1])];
+      const pipelines = Array.from({ length: 6 }, (_, i) => ({ state: i < 3 ? 'failure' : 'success' }));
+
+      const result = service.analyzeActivityForRetro(commits, [], GitHubService.computeReviewMetrics([]), pipelines);
+
+      expect(result.wentWell[0]).toMatchObject({ title: '2 commits from 2 contributors', source: 'gitlab' });
+      expect(result.didntGoWell).toContainEqual(expect.objectContaining({
+        title: '50.0% of pipelines failed',
+        source: 'gitlab'
+      }));
+      expect(result.actionItems.map(a => a.title)).toContain('Investigate failing pipelines');
+    });
+  });
+
+  describe('requests', () => {
+    it('waits out 429 responses using Retry-After', async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '3' }, data: { message: 'Retry later' } };
+      axios.get.mockReset();
+      axios.get
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce(ok(fixture('user')));
+
+      const user = await service.getCurrentUser();
+
+      expect(user.username).toBe('alice');
+      expect(axios.get.mock.calls[0][0]).toBe('https://gitlab.acme.dev/api/v4/user');
+      expect(sleep).toHaveBeenCalledWith(3000);
+    });
+
+    it('follows Link headers across pages', async () => {
+      axios.get.mockReset();
+      axios.get
+        .mockResolvedValueOnce(ok([{ id: 1 }], { link: `<${API}/pipelines?page=2&per_page=100>; rel="next"` }))
+        .mockResolvedValueOnce(ok([{ id: 2 }]));
+
+      const result = await service.paginate('/projects/platform%2Fapi/pipelines', { ref: 'main' });
+
+      expect(result).toEqual({ items: [{ id: 1 }, { id: 2 }], truncated: false, reason: null });
+      expect(axios.get.mock.calls[1][0]).toBe(`${API}/pipelines?page=2&per_page=100`);
+      expect(axios.get.mock.calls[1][1].params).toEqual({});
+    });
+
+    it('reports GitLab error messages without retrying client errors', async () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404, headers: {}, data: { message: '404 Project Not Found' } };
+      axios.get.mockReset();
+      axios.get.mockRejectedValueOnce(error);
+
+      await expect(service.makeRequest('/projects/nope%2Fnope')).rejects.toThrow('GitLab API Error: 404 Project Not Found');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GitLabConnector', () => {
+    it('scopes to the requested projects, falling back to GITLAB_PROJECTS', () => {
+      const env = { GITLAB_PROJECTS: 'platform/api, platform/web ,platform/api' };
+
+      expect(GitLabConnector.scopeFromRequest({}, env)).toEqual({ gitlabProjects: ['platform/api', 'platform/web'] });
+      expect(GitLabConnector.scopeFromRequest({ gitlabProjects: ['mobile/app'] }, env)).toEqual({ gitlabProjects: ['mobile/app'] });
+    });
+
+    it('fetches activity for the scoped projects and analyzes its pipelines', async () => {
+      const connector = new GitLabConnector({ GITLAB_TOKEN: 'glpat-token', GITLAB_BASE_URL: 'https://gitlab.acme.dev' });
+
+      const result = await connector.fetch({ start: '2024-01-01', end: '2024-01-07' }, { gitlabProjects: ['platform/api'] });
+
+      expect(Object.keys(result.data)).toEqual(['commits', 'pullRequests', 'reviewMetrics']);
+      expect(result.pipelines).toHaveLength(3);
+      expect(result.context).toEqual({ repositories: ['platform/api'] });
+      expect(result.warnings).toEqual([]);
+      expect(connector.analyze(result).wentWell[0].source).toBe('gitlab');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for IdentityResolver
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import IdentityResolver from '../IdentityResolver.js';
+
+const commit = (login, name, email) => ({
+  sha: 'abc',
+  author: { login },
+  commit: { author: { name, email, date: '2024-01-02T10:00:00Z' }, message: 'Fix login' }
+});
+
+describe('IdentityResolver', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identities-'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('loads people from a mapping file and resolves every alias to the same person', async () => {
+    const filePath = path.join(tmpDir, 'identities.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      people: [{ name: 'Alice Smith', emails: ['alice@acme.com'], github: 'alice', slack: ['U1'], linear: ['Alice S.'] }]
+    }));
+
+    const resolver = await IdentityResolver.load(filePath);
+
+    const person = resolver.resolve('github', 'alice');
+    expect(person.name).toBe('Alice Smith');
+    expect(resolver.resolve('slack', 'U1')).toBe(person);
+    expect(resolver.resolve('linear', { name: 'Alice S.', email: 'other@acme.com' })).toBe(person);
+    expect(resolver.resolve('email', 'ALICE@acme.com')).toBe(person);
+  });
+
+  it('treats a missing mapping file as empty and rejects a malformed one', async () => {
+    const missing = await IdentityResolver.load(path.join(tmpDir, 'missing.json'));
+    expect(missing.people).toEqual([]);
+
+    const broken = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(broken, '{ not json');
+    await expect(IdentityResolver.load(broken)).rejects.toThrow('Invalid identity mapping file');
+  });
+
+  it('links Slack, GitHub and Linear identities through shared emails', async () => {
+    const slackService = {
+      getUsers: vi.fn().mockResolvedValue([
+        { id: 'U1', real_name: 'Alice Smith', profile: { email: 'alice@acme.com' } },
+        { id: 'U2', real_name: 'Old Account', deleted: true },
+        { id: 'B1', name: 'deploybot', is_bot: true }
+      ]),
+      getUserInfo: vi.fn().mockResolvedValue({ id: 'U9', real_name: 'Guest User', profile: {} })
+    };
+    const resolver = new IdentityResolver();
+
+    await resolver.loadSlackUsers(slackService, ['U1', 'U9']);
+    resolver.observeTeamData({
+      github: { commits: [commit('alice', 'alice', 'alice@acme.com')] },
+      linear: { issues: [{ id: 'i1', assignee: { name: 'Alice Smith', email: 'alice@acme.com' } }] }
+    });
+
+    expect(slackService.getUserInfo).toHaveBeenCalledTimes(1);
+    expect(slackService.getUserInfo).toHaveBeenCalledWith('U9');
+    expect(resolver.resolve('slack', 'U2')).toBeNull();
+    expect(resolver.people.map(p => p.name)).toEqual(['Alice Smith', 'Guest User']);
+    expect(resolver.resolve('github', 'alice')).toMatchObject({
+      name: 'Alice Smith',
+      emails: ['alice@acme.com'],
+      github: ['alice'],
+      slack: ['U1']
+    });
+  });
+
+  it('falls back to matching on names when records share no account or email', () => {
+    const resolver = new IdentityResolver({ people: [{ name: 'Bob Jones', slack: ['U3'] }] });
+
+    resolver.observeTeamData({ github: { commits: [commit('bobj', 'Bob Jones', 'bob@users.noreply.github.com')] } });
+
+    expect(resolver.resolve('github', 'bobj')).toBe(resolver.resolve('slack', 'U3'));
+  });
+
+  it('names someone first seen by login once a real name shows up', () => {
+    const resolver = new IdentityResolver();
+
+    resolver.observeTeamData({
+      github: {
+        pullRequests: [{ number: 1, user: { login: 'carol' } }],
+        commits: [commit('carol', 'Carol King', 'carol@acme.com')]
+      }
+    });
+
+    expect(resolver.people).toHaveLength(1);
+    expect(resolver.resolve('github', 'carol').name).toBe('Carol King');
+  });
+
+  it('turns team members given in any form into Linear assignee emails', () => {
+    const resolver = new IdentityResolver({
+      people: [
+        { name: 'Alice Smith', emails: ['alice@acme.com'], github: ['alice'], slack: ['U1'] },
+        { name: 'Dan Brown', slack: ['U4'] }
+      ]
+    });
+
+    expect(resolver.emailsForMembers(['@alice', 'U1', 'Dan Brown', 'eve@acme.com', 'unknown'])).toEqual([
+      'alice@acme.com',
+      'eve@acme.com'
+    ]);
+  });
+
+  it('annotates team data with canonical names', () => {
+    const resolver = new IdentityResolver({
+      people: [{ name: 'Alice Smith', emails: ['alice@acme.com'], github: ['alice'], slack: ['U1'] }]
+    });
+
+    const annotated = resolver.annotateTeamData({
+      github: { pullRequests: [{ number: 7, user: { login: 'alice' } }] },
+      slack: { messages: [{ user: 'U1', text: 'Blocked', replies: [{ user: 'U5', text: 'Same' }] }] }
+    });
+
+    expect(annotated.github.pullRequests[0].person).toBe('Alice Smith');
+    expect(annotated.slack.messages[0].person).toBe('Alice Smith');
+    expect(annotated.slack.messages[0].replies[0].person).toBeUndefined();
+  });
+});
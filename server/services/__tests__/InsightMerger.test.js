@@ -584,6 +584,23 @@ describe('InsightMerger', () => {
       expect(merged.sourceInsights[0].originalId).toBeDefined();
       expect(merged.sourceInsights[0].confidence).toBeDefined();
     });
+
+    it('should record which analysis produced each card', () => {
+      const ruleInsight = { title: 'Sprint completed', details: 'All tasks done', source: 'linear' };
+      const aiInsight = { title: 'Sprint finished successfully', details: 'Tasks completed well', source: 'ai' };
+      const ruleOnly = { title: 'Deploys were frequent', details: 'Twelve releases', source: 'github' };
+      const aiOnly = { title: 'Reviews waited on one person', details: 'Most reviews went to Bob', source: 'ai' };
+
+      const result = merger.mergeInsights(
+        { wentWell: [ruleInsight, ruleOnly], didntGoWell: [], actionItems: [] },
+        { wentWell: [aiInsight], didntGoWell: [aiOnly], actionItems: [] }
+      );
+
+      const provenance = Object.fromEntries(result.wentWell.map(insight => [insight.title, insight.provenance]));
+      expect(provenance).toEqual({ 'Sprint finished successfully': 'merged', 'Deploys were frequent': 'rules' });
+      expect(result.didntGoWell[0].provenance).toBe('ai');
+      expect(result.wentWell[0].sourceInsights.map(insight => insight.provenance).sort()).toEqual(['ai', 'rules']);
+    });
   });
 
   describe('Categorization Integration', () => {
@@ -0,0 +1,203 @@
+/**
+ * Tests for JiraService against recorded Jira Cloud (API v3) and Server (API v2) responses
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import axios from 'axios';
+import JiraService from '../jiraService.js';
+import LinearService from '../linearService.js';
+import { JiraConnector } from '../connectors/index.js';
+
+vi.mock('axios', () => ({
+  default: { get: vi.fn() }
+}));
+
+const fixture = (name) => JSON.parse(
+  fs.readFileSync(new URL(`./fixtures/jira/${name}.json`, import.meta.url), 'utf-8')
+);
+
+const ok = (data) => ({ data, headers: {} });
+
+describe('JiraService', () => {
+  let sleep;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    sleep = vi.fn().mockResolvedValue();
+  });
+
+  describe('Jira Cloud', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new JiraService('https://acme.atlassian.net/', 'api-token', {
+        email: 'alice@acme.com',
+        jql: 'project = ENG',
+        storyPointsField: 'customfield_10016',
+        sleep
+      });
+    });
+
+    it('pages through /search/jql with the changelog and basic auth', async () => {
+      axios.get
+        .mockResolvedValueOnce(ok(fixture('cloud-search-page1')))
+        .mockResolvedValueOnce(ok(fixture('cloud-search-page2')));
+
+      const result = await service.fetchIssuesInDateRange('2024-01-01T00:00:00Z', '2024-01-14T23:59:59Z');
+
+      const [url, config] = axios.get.mock.calls[0];
+      expect(url).toBe('https://acme.atlassian.net/rest/api/3/search/jql');
+      expect(config.headers.Authorization).toBe(`Basic ${Buffer.from('alice@acme.com:api-token').toString('base64')}`);
+      expect(config.params).toMatchObject({
+        jql: '(project = ENG) AND updated >= "2024-01-01 00:00" AND updated <= "2024-01-14 23:59" ORDER BY updated DESC',
+        expand: 'changelog'
+      });
+      expect(config.params.fields).toContain('customfield_10016');
+      expect(axios.get.mock.calls[1][1].params.nextPageToken).toBe('CAEaAggB');
+      expect(result).toMatchObject({ truncated: false, reason: null });
+      expect(result.issues.map(i => i.identifier)).toEqual(['ENG-42', 'ENG-43', 'ENG-44']);
+    });
+
+    it('maps issues to the Linear issue shape', async () => {
+      axios.get
+        .mockResolvedValueOnce(ok(fixture('cloud-search-page1')))
+        .mockResolvedValueOnce(ok(fixture('cloud-search-page2')));
+
+      const { issues } = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+      const [bug, story, dropped] = issues;
+
+      expect(bug).toMatchObject({
+        id: '10042',
+        title: 'Fix login redirect loop',
+        description: 'Users bounce between /login and /home.\n@Alice Smith can reproduce it.',
+        url: 'https://acme.atlassian.net/browse/ENG-42',
+        state: { name: 'Done', type: 'completed' },
+        assignee: { id: '5b10a2844c20165700ede21g', name: 'Alice Smith', email: 'alice@acme.com' },
+        createdAt: '2024-01-02T09:00:00.000Z',
+        startedAt: '2024-01-03T10:00:00.000Z',
+        completedAt: '2024-01-05T16:20:00.000Z',
+        canceledAt: null,
+        estimate: 3,
+        priority: 3,
+        project: { name: 'Auth revamp' },
+        projectMilestone: { name: '2024.1', targetDate: '2024-01-31' },
+        team: { name: 'Engineering' }
+      });
+      expect(bug.labels.nodes.map(l => l.name)).toEqual(['Bug', 'auth']);
+      expect(bug.comments.nodes[0]).toEqual({
+        body: 'Verified on staging.',
+        createdAt: '2024-01-05T15:00:00.000Z',
+        user: { name: 'Bob Jones' }
+      });
+      expect(bug.history.nodes.map(h => [h.fromState?.name, h.toState.name, h.toState.type])).toEqual([
+        ['To Do', 'In Progress', 'started'],
+        ['In Progress', 'Done', 'completed']
+      ]);
+
+      expect(story).toMatchObject({ state: { type: 'started' }, priority: 2, completedAt: null, estimate: null });
+      // "Won't Do" resolutions count as canceled, not completed
+      expect(dropped).toMatchObject({ state: { name: 'Closed', type: 'canceled' }, canceledAt: '2024-01-09T12:00:00.000Z', assignee: null });
+    });
+
+    it('feeds mapped issues through the Linear rules, labeled as Jira', async () => {
+      axios.get
+        .mockResolvedValueOnce(ok(fixture('cloud-search-page1')))
+        .mockResolvedValueOnce(ok(fixture('cloud-search-page2')));
+      const { issues } = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      const result = service.analyzeIssuesForRetro(issues);
+      const expected = new LinearService('key').analyzeIssuesForRetro(issues);
+
+      expect(result.wentWell.map(i => i.title)).toEqual(expected.wentWell.map(i => i.title));
+      expect(result.wentWell[0]).toMatchObject({ title: 'Completed 1 issues this sprint', source: 'jira' });
+      expect(result.didntGoWell.map(i => i.title)).toContain('1 issues were blocked or cancelled');
+    });
+
+    it('stops at maxIssues and reports truncation', async () => {
+      service = new JiraService('https://acme.atlassian.net', 'api-token', { email: 'a@acme.com', maxIssues: 2, sleep });
+      axios.get.mockResolvedValueOnce(ok(fixture('cloud-search-page1')));
+
+      const result = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][1].params.maxResults).toBe(2);
+      expect(result).toMatchObject({ truncated: true, reason: 'max_issues' });
+    });
+  });
+
+  describe('Jira Server', () => {
+    it('uses API v2 with a bearer token and startAt paging', async () => {
+      const service = new JiraService('https://jira.acme.internal', 'pat', { sleep });
+      axios.get.mockResolvedValueOnce(ok(fixture('server-search')));
+
+      const { issues } = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      const [url, config] = axios.get.mock.calls[0];
+      expect(service.deployment).toBe('server');
+      expect(url).toBe('https://jira.acme.internal/rest/api/2/search');
+      expect(config.headers.Authorization).toBe('Bearer pat');
+      expect(config.params.startAt).toBe(0);
+      expect(issues[0]).toMatchObject({
+        identifier: 'OPS-7',
+        description: 'Certificates for *.internal expire on the 15th.\nRenew via the PKI runbook.',
+        assignee: { id: 'JIRAUSER10100', name: 'Dan Nguyen', email: 'dan@acme.com' },
+        completedAt: '2024-01-04T16:45:12.000Z',
+        priority: 3
+      });
+    });
+  });
+
+  describe('requests', () => {
+    it('waits out 429 responses using Retry-After', async () => {
+      const service = new JiraService('https://acme.atlassian.net', 'token', { email: 'a@acme.com', sleep });
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '2' }, data: {} };
+      axios.get
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce(ok(fixture('myself-cloud')));
+
+      const user = await service.getCurrentUser();
+
+      expect(user.displayName).toBe('Alice Smith');
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('reports Jira error messages without retrying client errors', async () => {
+      const service = new JiraService('https://acme.atlassian.net', 'token', { email: 'a@acme.com', sleep });
+      const error = new Error('Request failed with status code 400');
+      error.response = {
+        status: 400,
+        headers: {},
+        data: { errorMessages: ["The value 'NOPE' does not exist for the field 'project'."], errors: {} }
+      };
+      axios.get.mockRejectedValueOnce(error);
+
+      await expect(service.searchIssues('project = NOPE')).rejects.toThrow(
+        "Jira API Error: The value 'NOPE' does not exist for the field 'project'."
+      );
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('JiraConnector', () => {
+    it('tests the connection with /myself', async () => {
+      axios.get.mockResolvedValueOnce(ok(fixture('myself-cloud')));
+      const connector = new JiraConnector({
+        JIRA_BASE_URL: 'https://acme.atlassian.net',
+        JIRA_EMAIL: 'alice@acme.com',
+        JIRA_API_TOKEN: 'token'
+      });
+
+      const details = await connector.testConnection();
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://acme.atlassian.net/rest/api/3/myself');
+      expect(details).toEqual({
+        user: { id: '5b10a2844c20165700ede21g', name: 'Alice Smith', email: 'alice@acme.com' },
+        deployment: 'cloud'
+      });
+    });
+  });
+});
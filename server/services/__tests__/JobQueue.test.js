@@ -0,0 +1,228 @@
+/**
+ * Tests for JobQueue and JobStore: background generations that survive restarts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JobQueue from '../JobQueue.js';
+import JobStore from '../JobStore.js';
+
+const request = { dateRange: { start: '2024-01-01', end: '2024-01-07' } };
+
+// A runner whose jobs finish only when the test says so, or stop when aborted
+const controllableRunner = () => {
+  const jobs = new Map();
+  const runner = vi.fn((job, signal) => new Promise((resolve, reject) => {
+    jobs.set(job.id, { resolve, reject });
+    signal.addEventListener('abort', () => {
+      const error = new Error('aborted');
+      error.code = 'CANCELLED';
+      reject(error);
+    });
+  }));
+  const started = (id) => vi.waitFor(() => expect(jobs.has(id)).toBe(true));
+  return { runner, jobs, started };
+};
+
+describe('JobQueue', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    store = new JobStore({ dir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('runs a job and stores its result on disk', async () => {
+    const runner = vi.fn(async () => ({ wentWell: [{ title: 'Shipped' }] }));
+    const queue = new JobQueue({ store, runner });
+
+    const queued = await queue.enqueue('sess_1', request);
+    expect(queued).toMatchObject({ id: 'sess_1', status: 'queued', attempts: 0 });
+    await queue.onIdle();
+
+    expect(runner).toHaveBeenCalledWith(expect.objectContaining({ id: 'sess_1', request, status: 'running' }), expect.any(AbortSignal));
+    const job = await new JobStore({ dir: tmpDir }).get('sess_1');
+    expect(job).toMatchObject({ status: 'completed', attempts: 1, result: { wentWell: [{ title: 'Shipped' }] } });
+    expect(job.startedAt).toBeTruthy();
+    expect(job.finishedAt).toBeTruthy();
+  });
+
+  it('records a failed job and retries it with the same request', async () => {
+    const runner = vi.fn()
+      .mockRejectedValueOnce(new Error('GitHub is down'))
+      .mockResolvedValueOnce({ wentWell: [] });
+    const queue = new JobQueue({ store, runner });
+
+    await queue.enqueue('sess_1', request);
+    await queue.onIdle();
+    expect(await queue.get('sess_1')).toMatchObject({ status: 'failed', error: 'GitHub is down', attempts: 1 });
+
+    await expect(queue.retry('sess_1')).resolves.toMatchObject({ status: 'queued', error: null });
+    await queue.onIdle();
+
+    expect(runner).toHaveBeenCalledTimes(2);
+    expect(runner.mock.calls[1][0].request).toEqual(request);
+    expect(await queue.get('sess_1')).toMatchObject({ status: 'completed', attempts: 2, result: { wentWell: [] } });
+  });
+
+  it('runs no more jobs at once than the concurrency limit', async () => {
+    const { runner, jobs, started } = controllableRunner();
+    const queue = new JobQueue({ store, runner, maxConcurrency: 1 });
+
+    await queue.enqueue('first', request);
+    await queue.enqueue('second', request);
+    await started('first');
+
+    expect(runner).toHaveBeenCalledTimes(1);
+    expect((await queue.list({ status: 'queued' })).map(job => job.id)).toEqual(['second']);
+
+    jobs.get('first').resolve({});
+    await started('second');
+    jobs.get('second').resolve({});
+    await queue.onIdle();
+    expect((await queue.list({ status: 'completed' })).length).toBe(2);
+  });
+
+  it('cancels a running job by aborting its signal', async () => {
+    const { runner, started } = controllableRunner();
+    const queue = new JobQueue({ store, runner });
+
+    await queue.enqueue('sess_1', request);
+    await started('sess_1');
+    const signal = runner.mock.calls[0][1];
+
+    await expect(queue.cancel('sess_1')).resolves.toMatchObject({ status: 'cancelled' });
+    await queue.onIdle();
+
+    expect(signal.aborted).toBe(true);
+    expect(await queue.get('sess_1')).toMatchObject({ status: 'cancelled', error: 'Generation was cancelled' });
+    await expect(queue.cancel('sess_1')).rejects.toMatchObject({ code: 'JOB_FINISHED' });
+    expect(await queue.cancel('missing')).toBeNull();
+  });
+
+  it('emits finished once for a cancelled job', async () => {
+    const { runner, started } = controllableRunner();
+    const queue = new JobQueue({ store, runner });
+    const finished = vi.fn();
+    queue.on('finished', finished);
+
+    await queue.enqueue('sess_1', request);
+    await started('sess_1');
+    await queue.cancel('sess_1');
+    await queue.onIdle();
+
+    expect(finished).toHaveBeenCalledTimes(1);
+    expect(finished).toHaveBeenCalledWith(expect.objectContaining({ id: 'sess_1', status: 'cancelled' }));
+  });
+
+  it('keeps the result of a job that completes while it is being cancelled', async () => {
+    const { runner, jobs, started } = controllableRunner();
+    const queue = new JobQueue({ store, runner });
+    const finished = vi.fn();
+    queue.on('finished', finished);
+
+    await queue.enqueue('sess_1', request);
+    await started('sess_1');
+    jobs.get('sess_1').resolve({ wentWell: [{ title: 'Shipped' }] });
+
+    await expect(queue.cancel('sess_1')).rejects.toMatchObject({ code: 'JOB_FINISHED' });
+    await queue.onIdle();
+
+    expect(await queue.get('sess_1')).toMatchObject({ status: 'completed', result: { wentWell: [{ title: 'Shipped' }] } });
+    expect(finished).toHaveBeenCalledTimes(1);
+  });
+
+  it('never starts a job cancelled while queued', async () => {
+    const { runner, jobs, started } = controllableRunner();
+    const queue = new JobQueue({ store, runner, maxConcurrency: 1 });
+
+    await queue.enqueue('first', request);
+    await queue.enqueue('second', request);
+    await started('first');
+    await queue.cancel('second');
+    jobs.get('first').resolve({});
+    await queue.onIdle();
+
+    expect(runner).toHaveBeenCalledTimes(1);
+    expect(await queue.get('second')).toMatchObject({ status: 'cancelled', attempts: 0 });
+  });
+
+  it('refuses to queue a job twice or retry one that has not failed', async () => {
+    const { runner, jobs, started } = controllableRunner();
+    const queue = new JobQueue({ store, runner });
+
+    await queue.enqueue('sess_1', request);
+    await expect(queue.enqueue('sess_1', request)).rejects.toMatchObject({ code: 'JOB_EXISTS' });
+    await started('sess_1');
+    await expect(queue.retry('sess_1')).rejects.toMatchObject({ code: 'JOB_NOT_RETRYABLE' });
+
+    jobs.get('sess_1').resolve({});
+    await queue.onIdle();
+    await expect(queue.retry('sess_1')).rejects.toMatchObject({ code: 'JOB_NOT_RETRYABLE' });
+  });
+
+  it('resumes jobs a restart interrupted and drops expired finished jobs', async () => {
+    const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    await store.save({ id: 'interrupted', status: 'running', request, attempts: 1, createdAt: '2024-01-01T00:00:00Z' });
+    await store.save({ id: 'waiting', status: 'queued', request, attempts: 0, createdAt: '2024-01-02T00:00:00Z' });
+    await store.save({ id: 'expired', status: 'completed', result: {}, createdAt: old, finishedAt: old });
+    await store.save({ id: 'recent', status: 'failed', error: 'x', createdAt: new Date().toISOString() });
+    const runner = vi.fn(async () => ({}));
+    const queue = new JobQueue({ store, runner, maxConcurrency: 1 });
+
+    await expect(queue.recover()).resolves.toBe(2);
+    await queue.onIdle();
+
+    expect(runner.mock.calls.map(([job]) => job.id)).toEqual(['interrupted', 'waiting']);
+    expect(await queue.get('interrupted')).toMatchObject({ status: 'completed', attempts: 2 });
+    expect(await queue.get('expired')).toBeNull();
+    expect(await queue.get('recent')).toMatchObject({ status: 'failed' });
+  });
+
+  it('reads its settings from the environment', () => {
+    const queue = JobQueue.fromEnvironment({ JOB_STORE_DIR: tmpDir, GENERATION_MAX_CONCURRENCY: '4' }, vi.fn());
+    expect(queue.maxConcurrency).toBe(4);
+    expect(queue.store.dir).toBe(tmpDir);
+    expect(JobQueue.fromEnvironment({ GENERATION_MAX_CONCURRENCY: 'lots' }).maxConcurrency).toBe(2);
+  });
+});
+
+describe('JobStore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lists jobs newest first without their results', async () => {
+    const store = new JobStore({ dir: tmpDir });
+    await store.save({ id: 'older', status: 'completed', result: { wentWell: [] }, createdAt: '2024-01-01T00:00:00Z' });
+    await store.save({ id: 'newer', status: 'queued', createdAt: '2024-01-02T00:00:00Z' });
+    fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'ignored');
+
+    const jobs = await store.list();
+
+    expect(jobs.map(job => job.id)).toEqual(['newer', 'older']);
+    expect(jobs[1]).not.toHaveProperty('result');
+    expect(fs.readdirSync(tmpDir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('rejects ids that could escape its directory', async () => {
+    const store = new JobStore({ dir: tmpDir });
+    await expect(store.save({ id: '../escape' })).rejects.toMatchObject({ code: 'INVALID_ID' });
+    expect(await store.get('../escape')).toBeNull();
+    expect(await store.delete('../escape')).toBe(false);
+  });
+});
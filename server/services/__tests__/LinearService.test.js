@@ -0,0 +1,274 @@
+/**
+ * Tests for LinearService pagination, rate-limit handling and cycle insights
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import axios from 'axios';
+import LinearService from '../linearService.js';
+
+vi.mock('axios', () => ({
+  default: { post: vi.fn() }
+}));
+
+const issue = (id, extra = {}) => ({
+  id,
+  title: `Issue ${id}`,
+  updatedAt: '2024-01-05T00:00:00Z',
+  ...extra
+});
+
+const page = (nodes, endCursor = null) => ({
+  data: {
+    data: {
+      issues: {
+        nodes,
+        pageInfo: { hasNextPage: Boolean(endCursor), endCursor }
+      }
+    }
+  },
+  headers: {}
+});
+
+const rateLimited = (headers = {}) => {
+  const error = new Error('Request failed with status code 400');
+  error.response = {
+    status: 400,
+    headers,
+    data: { errors: [{ message: 'Rate limit exceeded', extensions: { code: 'RATELIMITED' } }] }
+  };
+  return error;
+};
+
+describe('LinearService', () => {
+  let service;
+  let sleep;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    sleep = vi.fn().mockResolvedValue();
+    service = new LinearService('key', { sleep, retryDelay: 10, pageSize: 2 });
+  });
+
+  describe('fetchIssuesInDateRange', () => {
+    it('follows cursors until hasNextPage is false', async () => {
+      axios.post
+        .mockResolvedValueOnce(page([issue('a'), issue('b')], 'cursor-1'))
+        .mockResolvedValueOnce(page([issue('c')]));
+
+      const result = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      expect(result.issues.map(i => i.id)).toEqual(['a', 'b', 'c']);
+      expect(result.truncated).toBe(false);
+      expect(axios.post.mock.calls[0][1].variables).toMatchObject({ first: 2, after: null });
+      expect(axios.post.mock.calls[1][1].variables).toMatchObject({ first: 2, after: 'cursor-1' });
+    });
+
+    it('stops at the issue ceiling and reports truncation', async () => {
+      service = new LinearService('key', { sleep, pageSize: 2, maxIssues: 3 });
+      axios.post
+        .mockResolvedValueOnce(page([issue('a'), issue('b')], 'cursor-1'))
+        .mockResolvedValueOnce(page([issue('c')], 'cursor-2'));
+
+      const result = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      expect(axios.post.mock.calls[1][1].variables.first).toBe(1);
+      expect(result).toMatchObject({ truncated: true, reason: 'max_issues' });
+      expect(result.issues).toHaveLength(3);
+    });
+
+    it('keeps only state transitions in issue history, oldest first', async () => {
+      axios.post.mockResolvedValueOnce(page([issue('a', {
+        history: {
+          nodes: [
+            { createdAt: '2024-01-03T00:00:00Z', fromState: { name: 'In Progress' }, toState: { name: 'Done' } },
+            { createdAt: '2024-01-02T00:00:00Z', fromState: null, toState: null },
+            { createdAt: '2024-01-01T00:00:00Z', fromState: { name: 'Todo' }, toState: { name: 'In Progress' } }
+          ]
+        }
+      })]));
+
+      const { issues } = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      expect(issues[0].history.nodes.map(h => h.toState.name)).toEqual(['In Progress', 'Done']);
+    });
+
+    it('returns the pages already fetched when the rate limit cannot be waited out', async () => {
+      const reset = String(Date.now() + 3600 * 1000);
+      axios.post
+        .mockResolvedValueOnce(page([issue('a'), issue('b')], 'cursor-1'))
+        .mockRejectedValueOnce(rateLimited({ 'x-ratelimit-complexity-reset': reset }));
+
+      const result = await service.fetchIssuesInDateRange('2024-01-01', '2024-01-14');
+
+      expect(result).toMatchObject({ truncated: true, reason: 'rate_limited' });
+      expect(result.issues).toHaveLength(2);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('filters by assignee email when team members are given', async () => {
+      axios.post.mockResolvedValueOnce(page([]));
+
+      await service.getIssuesInDateRange('2024-01-01', '2024-01-14', ['dev@example.com']);
+
+      expect(axios.post.mock.calls[0][1].variables.filter.assignee).toEqual({
+        email: { in: ['dev@example.com'] }
+      });
+    });
+  });
+
+  describe('getCycles', () => {
+    it('returns started cycles, most recent first', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          data: {
+            cycles: {
+              nodes: [
+                { id: 'c1', number: 1, startsAt: '2024-01-01T00:00:00Z' },
+                { id: 'c3', number: 3, startsAt: '2024-01-29T00:00:00Z' },
+                { id: 'c2', number: 2, startsAt: '2024-01-15T00:00:00Z' }
+              ]
+            }
+          }
+        },
+        headers: {}
+      });
+
+      const cycles = await service.getCycles({ teamId: 'team-1', limit: 2 });
+
+      expect(cycles.map(c => c.number)).toEqual([3, 2]);
+      const { filter } = axios.post.mock.calls[0][1].variables;
+      expect(filter.team).toEqual({ id: { eq: 'team-1' } });
+      expect(filter.startsAt.lte).toBeDefined();
+    });
+  });
+
+  describe('cycle insights', () => {
+    const cycle = {
+      id: 'c7',
+      number: 7,
+      startsAt: '2024-01-01T00:00:00Z',
+      endsAt: '2024-01-14T23:59:59Z',
+      completedAt: '2024-01-15T00:00:00Z',
+      issueCountHistory: [8, 9, 10, 11]
+    };
+    const done = (id) => issue(id, { identifier: `ENG-${id}`, state: { type: 'completed' }, completedAt: '2024-01-10T00:00:00Z' });
+    const open = (id) => issue(id, { identifier: `ENG-${id}`, state: { type: 'started' } });
+    const canceled = (id) => issue(id, { identifier: `ENG-${id}`, state: { type: 'canceled' } });
+
+    it('computes completion, scope added and carry-over', () => {
+      const issues = [done(1), done(2), done(3), done(4), done(5), done(6), open(7), open(8), open(9), open(10), canceled(11)];
+
+      expect(LinearService.computeCycleMetrics(cycle, issues)).toMatchObject({
+        cycleNumber: 7,
+        cycleName: 'Cycle 7',
+        ended: true,
+        totalIssues: 10,
+        completedIssues: 6,
+        canceledIssues: 1,
+        completionRate: 60,
+        startingScope: 8,
+        scopeAdded: 3,
+        carryOver: 4,
+        carryOverIssues: ['ENG-7', 'ENG-8', 'ENG-9', 'ENG-10']
+      });
+    });
+
+    it('does not report carry-over for a cycle still in progress', () => {
+      const active = { ...cycle, completedAt: null, endsAt: new Date(Date.now() + 86400000).toISOString() };
+
+      const metrics = LinearService.computeCycleMetrics(active, [done(1), open(2)]);
+
+      expect(metrics.ended).toBe(false);
+      expect(metrics.carryOver).toBeNull();
+      expect(metrics.remainingIssues).toBe(1);
+    });
+
+    it('falls back to issues created mid-cycle when there is no scope history', () => {
+      const metrics = LinearService.computeCycleMetrics({ ...cycle, issueCountHistory: undefined }, [
+        issue(1, { createdAt: '2023-12-20T00:00:00Z' }),
+        issue(2, { createdAt: '2024-01-05T00:00:00Z' })
+      ]);
+
+      expect(metrics.scopeAdded).toBe(1);
+    });
+
+    it('turns scope creep and carry-over into rule-based insights', () => {
+      const issues = [done(1), done(2), done(3), done(4), done(5), open(6), open(7), open(8), open(9), open(10)];
+
+      const result = service.analyzeCycleForRetro(cycle, issues);
+
+      expect(result.didntGoWell.map(i => i.title)).toEqual([
+        'Cycle 7: 50% of issues completed',
+        '3 issues added to Cycle 7 after it started',
+        '5 issues carried over from Cycle 7'
+      ]);
+      expect(result.actionItems.map(i => i.title)).toEqual([
+        'Protect cycle scope after planning',
+        'Plan the next cycle with less committed scope'
+      ]);
+    });
+
+    it('celebrates a fully finished cycle', () => {
+      const result = service.analyzeCycleForRetro({ ...cycle, issueCountHistory: [4, 4] }, [done(1), done(2), done(3), done(4)]);
+
+      expect(result.wentWell.map(i => i.title)).toEqual([
+        'Cycle 7: 100% of issues completed',
+        'Nothing carried over from Cycle 7'
+      ]);
+      expect(result.didntGoWell).toEqual([]);
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('waits for the complexity reset on rate-limit errors and retries', async () => {
+      const reset = String(Date.now() + 2000);
+      axios.post
+        .mockRejectedValueOnce(rateLimited({ 'x-ratelimit-complexity-reset': reset }))
+        .mockResolvedValueOnce({ data: { data: { viewer: { id: 'u1' } } }, headers: {} });
+
+      const data = await service.makeRequest('query { viewer { id } }');
+
+      expect(data).toEqual({ viewer: { id: 'u1' } });
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep.mock.calls[0][0]).toBeGreaterThan(0);
+      expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(2000);
+    });
+
+    it('detects rate limits reported in a successful response body', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: { errors: [{ message: 'Rate limit exceeded', extensions: { code: 'RATELIMITED' } }] },
+          headers: {}
+        })
+        .mockResolvedValueOnce({ data: { data: { ok: true } }, headers: {} });
+
+      await expect(service.makeRequest('query')).resolves.toEqual({ ok: true });
+      expect(sleep).toHaveBeenCalledWith(10);
+    });
+
+    it('does not retry other GraphQL errors', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { errors: [{ message: 'Cannot query field "foo"' }] },
+        headers: {}
+      });
+
+      await expect(service.makeRequest('query')).rejects.toThrow('Linear API Error: Cannot query field "foo"');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('backs off on server errors', async () => {
+      const serverError = new Error('Request failed with status code 502');
+      serverError.response = { status: 502, headers: {}, data: {} };
+      axios.post
+        .mockRejectedValueOnce(serverError)
+        .mockResolvedValueOnce({ data: { data: { ok: true } }, headers: {} });
+
+      await service.makeRequest('query');
+
+      expect(sleep).toHaveBeenCalledWith(10);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for ProgressStream: generation progress and results as Server-Sent Events
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import ProgressStream from '../ProgressStream.js';
+import JobQueue from '../JobQueue.js';
+import JobStore from '../JobStore.js';
+import { ProgressManager } from '../llm/ProgressTracker.js';
+
+const steps = [{ name: 'Data Collection' }, { name: 'Analysis' }];
+
+// Parse an event-stream body into { id, event, data } records, skipping comments
+const parseEvents = (text) => text
+  .split('\n\n')
+  .map(block => Object.fromEntries(
+    block.split('\n').filter(line => /^(id|event|data):/.test(line)).map(line => {
+      const [field, ...rest] = line.split(': ');
+      return [field, field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ')];
+    })
+  ))
+  .filter(event => event.event);
+
+describe('ProgressStream', () => {
+  let tmpDir;
+  let progressManager;
+  let app;
+
+  const mount = (jobQueue = null, options = {}) => {
+    const stream = new ProgressStream({ progressManager, jobQueue, ...options });
+    app = express();
+    app.get('/api/progress/:sessionId/stream', (req, res) => stream.handle(req, res));
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'progress-stream-'));
+    progressManager = new ProgressManager();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('streams tracker events and ends when the tracker completes', async () => {
+    mount();
+    const tracker = progressManager.createTracker('s1', steps);
+    tracker.startStep(0);
+    tracker.completeStep(0);
+
+    const pending = request(app).get('/api/progress/s1/stream');
+    setTimeout(() => {
+      tracker.startStep(1);
+      tracker.chunkAnalyzed({ chunkIndex: 0, totalChunks: 1, summary: 'Reviews slowed down mid-week' });
+      tracker.completeStep(1);
+    }, 20);
+    const res = await pending;
+
+    expect(res.headers['content-type']).toMatch('text/event-stream');
+    const events = parseEvents(res.text);
+    expect(events.map(event => event.event)).toEqual([
+      'initialized', 'step_started', 'step_completed', 'step_started', 'chunk_summary', 'step_completed', 'completed',
+    ]);
+    expect(events.map(event => event.id)).toEqual([1, 2, 3, 4, 5, 6, 7].map(id => `${tracker.createdAt}-${id}`));
+    expect(events[4].data).toMatchObject({ sessionId: 's1', summary: 'Reviews slowed down mid-week' });
+  });
+
+  it('sends only the events after Last-Event-ID', async () => {
+    mount();
+    const tracker = progressManager.createTracker('s1', steps);
+    tracker.startStep(0);
+    tracker.completeStep(0);
+    tracker.fail(new Error('Slack is down'));
+
+    const res = await request(app).get('/api/progress/s1/stream').set('Last-Event-ID', `${tracker.createdAt}-2`);
+
+    const events = parseEvents(res.text);
+    expect(events.map(event => event.event)).toEqual(['step_completed', 'failed']);
+    expect(events[1].data.error).toBe('Slack is down');
+
+    // An id from an earlier tracker for the session, e.g. before a retry
+    const replay = await request(app).get('/api/progress/s1/stream?lastEventId=1-3');
+    expect(parseEvents(replay.text)).toHaveLength(4);
+  });
+
+  it('waits for a queued job to start, then sends its result', async () => {
+    const store = new JobStore({ dir: tmpDir });
+    let startJob;
+    const runner = vi.fn((job) => new Promise((resolve) => {
+      startJob = () => {
+        const tracker = progressManager.createTracker(job.id, steps);
+        tracker.startStep(0);
+        tracker.completeStep(0);
+        tracker.startStep(1);
+        tracker.completeStep(1);
+        resolve({ wentWell: [{ title: 'Shipped' }] });
+      };
+    }));
+    const jobQueue = new JobQueue({ store, runner });
+    mount(jobQueue);
+    await jobQueue.enqueue('s1', {});
+
+    const pending = request(app).get('/api/progress/s1/stream');
+    await vi.waitFor(() => expect(startJob).toBeDefined());
+    setTimeout(() => startJob(), 20);
+    const res = await pending;
+
+    const events = parseEvents(res.text);
+    expect(events[0]).toMatchObject({ event: 'job', data: { status: expect.any(String) } });
+    expect(events.map(event => event.event)).toContain('completed');
+    expect(events.at(-1)).toMatchObject({
+      event: 'result',
+      data: { status: 'completed', retroData: { wentWell: [{ title: 'Shipped' }] } },
+    });
+    expect(events.at(-1).id).toBeUndefined();
+  });
+
+  it('sends the stored result of a finished job, even after its tracker is gone', async () => {
+    const store = new JobStore({ dir: tmpDir });
+    await store.save({ id: 's1', status: 'failed', error: 'GitHub is down', createdAt: new Date().toISOString() });
+    mount(new JobQueue({ store, runner: vi.fn() }));
+
+    const res = await request(app).get('/api/progress/s1/stream');
+
+    expect(parseEvents(res.text)).toEqual([{ event: 'result', data: { status: 'failed', error: 'GitHub is down' } }]);
+  });
+
+  it('gives up on a session that never starts', async () => {
+    mount(null, { waitMs: 20 });
+
+    const res = await request(app).get('/api/progress/unknown/stream');
+
+    expect(parseEvents(res.text)).toEqual([{ event: 'not_found', data: { sessionId: 'unknown' } }]);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Tests for RetroPipeline: the stages shared by both generation endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { BaseConnector } from '../connectors/index.js';
+import RetroPipeline from '../RetroPipeline.js';
+
+const env = { IDENTITY_MAP_PATH: '/nonexistent/identities.json' };
+const dateRange = { start: '2024-01-01', end: '2024-01-07' };
+
+class FakeIssues extends BaseConnector {
+  static id = 'issues';
+  static label = 'Issues';
+  static kind = 'issues';
+
+  async fetch() {
+    return { data: [{ id: 'ENG-1', title: 'Fix login' }], context: { project: 'web' }, warnings: ['issues warning'] };
+  }
+
+  analyze() {
+    return {
+      wentWell: [{ title: 'Closed the login bug', details: 'Fixed a bug in the api', source: 'linear' }],
+      didntGoWell: [],
+      actionItems: [{ title: 'Plan the sprint', details: 'Review the sprint process', priority: 'high', source: 'linear' }],
+    };
+  }
+}
+
+const llmInsights = {
+  wentWell: [{ title: 'Strong collaboration', details: 'The team worked well together', source: 'ai' }],
+  didntGoWell: [{ title: 'Slow reviews', details: 'Code review took days', source: 'ai' }],
+  actionItems: [],
+  analysisMetadata: { provider: 'openai', model: 'gpt-4o' },
+};
+
+const fakeAnalyzer = ({ enabled = true, result = llmInsights } = {}) => ({
+  config: { enabled, privacyLevel: 'moderate' },
+  prepareTeamData: vi.fn((github, linear, slack) => ({
+    teamData: { linear: { issues: linear } },
+    sanitizedData: { linear: { issues: linear } },
+    sanitized: true,
+    identities: null,
+  })),
+  analyzePreparedData: vi.fn(async () => (result instanceof Error ? Promise.reject(result) : result)),
+});
+
+const run = (pipeline, request = {}) => pipeline.run({ dateRange, teamMembers: [], ...request });
+
+describe('RetroPipeline', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('uses only the LLM insights in llm mode and records every stage', async () => {
+    const llmAnalyzer = fakeAnalyzer();
+    const pipeline = new RetroPipeline({ llmAnalyzer, env, connectors: [new FakeIssues(env)] });
+
+    const retro = await run(pipeline, { analysisMode: 'llm' });
+
+    expect(retro.wentWell.map(insight => insight.title)).toEqual(['Strong collaboration']);
+    expect(retro.wentWell[0]).toMatchObject({ provenance: 'ai', category: 'teamDynamics' });
+    expect(llmAnalyzer.analyzePreparedData).toHaveBeenCalledWith(
+      expect.objectContaining({ sanitized: true }),
+      dateRange,
+      expect.objectContaining({ project: 'web' }),
+      null
+    );
+    const { stages, ...metadata } = retro.analysisMetadata;
+    expect(metadata).toMatchObject({
+      provider: 'openai',
+      llmAnalysisUsed: true,
+      ruleBasedAnalysisUsed: false,
+      dataSources: { issues: 'real' },
+      warnings: ['issues warning'],
+      llmEnabled: true,
+      analysisMode: 'llm',
+    });
+    expect(Object.keys(stages)).toEqual(RetroPipeline.STAGES);
+    expect(stages.sanitize).toMatchObject({ status: 'completed', privacyLevel: 'moderate', sanitized: true });
+    expect(stages.rules).toMatchObject({ status: 'completed', sources: ['issues'], insightCount: 2 });
+    expect(stages.llm).toMatchObject({ status: 'completed', model: 'gpt-4o', insightCount: 2 });
+    expect(stages.merge).toMatchObject({ strategy: 'llm', provenance: { ai: 2 }, fallbackContent: false });
+  });
+
+  it('merges rule and LLM insights by default, marking cards both found', async () => {
+    const sameFinding = {
+      ...llmInsights,
+      wentWell: [{ title: 'Closed the login bug quickly', details: 'Fixed a login bug in the api', source: 'ai' }],
+    };
+    const pipeline = new RetroPipeline({ llmAnalyzer: fakeAnalyzer({ result: sameFinding }), env, connectors: [new FakeIssues(env)] });
+
+    const retro = await run(pipeline);
+
+    expect(retro.wentWell).toHaveLength(1);
+    expect(retro.wentWell[0]).toMatchObject({ provenance: 'merged', category: 'technical' });
+    expect(retro.didntGoWell[0].provenance).toBe('ai');
+    expect(retro.actionItems[0]).toMatchObject({ provenance: 'rules', priority: 'high' });
+    expect(retro.analysisMetadata).toMatchObject({
+      analysisMode: 'hybrid',
+      llmAnalysisUsed: true,
+      ruleBasedAnalysisUsed: true,
+      model: 'gpt-4o',
+    });
+    expect(retro.analysisMetadata.stages.merge).toMatchObject({
+      strategy: 'hybrid',
+      provenance: { merged: 1, ai: 1, rules: 1 },
+      duplicatesFound: 1,
+    });
+  });
+
+  it('asks the analyzer to skip cached results only when forced', async () => {
+    const llmAnalyzer = fakeAnalyzer();
+    const pipeline = new RetroPipeline({ llmAnalyzer, env, connectors: [new FakeIssues(env)] });
+
+    await run(pipeline);
+    await run(pipeline, { force: true });
+
+    const forced = llmAnalyzer.analyzePreparedData.mock.calls.map(([, , context]) => context.force);
+    expect(forced).toEqual([false, true]);
+  });
+
+  it('skips the LLM when only the rules are requested', async () => {
+    const llmAnalyzer = fakeAnalyzer();
+    const pipeline = new RetroPipeline({ llmAnalyzer, env, connectors: [new FakeIssues(env)] });
+
+    const retro = await run(pipeline, { analysisMode: 'rules' });
+
+    expect(llmAnalyzer.analyzePreparedData).not.toHaveBeenCalled();
+    expect(retro.wentWell[0].provenance).toBe('rules');
+    expect(retro.analysisMetadata.stages.llm).toEqual({ status: 'skipped', reason: 'Rules-only analysis was requested' });
+  });
+
+  it('falls back to the rules when the LLM fails, keeping action item priorities', async () => {
+    const pipeline = new RetroPipeline({
+      llmAnalyzer: fakeAnalyzer({ result: new Error('rate limited') }),
+      env,
+      connectors: [new FakeIssues(env)],
+    });
+
+    const retro = await run(pipeline);
+
+    expect(retro.wentWell.map(insight => insight.title)).toEqual(['Closed the login bug']);
+    expect(retro.actionItems[0]).toMatchObject({ priority: 'high', category: expect.any(String) });
+    expect(retro.analysisMetadata).toMatchObject({ analysisMode: 'hybrid', llmAnalysisUsed: false, ruleBasedAnalysisUsed: true });
+    expect(retro.analysisMetadata.stages.llm).toMatchObject({ status: 'failed', error: 'rate limited' });
+    expect(retro.analysisMetadata.stages.merge.strategy).toBe('rules');
+  });
+
+  it('runs only the rules, without sanitizing, when the LLM is disabled', async () => {
+    const llmAnalyzer = fakeAnalyzer({ enabled: false });
+    const tracker = { startStep: vi.fn(), completeStep: vi.fn(), complete: vi.fn(), fail: vi.fn() };
+    const pipeline = new RetroPipeline({ llmAnalyzer, env, connectors: [new FakeIssues(env)], progressTracker: tracker });
+
+    const retro = await run(pipeline, { analysisMode: 'hybrid' });
+
+    expect(llmAnalyzer.prepareTeamData).not.toHaveBeenCalled();
+    expect(retro.analysisMetadata.warnings[0]).toBe('Rules + AI analysis was requested but no LLM is configured, so only the rules ran');
+    expect(retro.analysisMetadata.stages.sanitize.status).toBe('skipped');
+    expect(retro.analysisMetadata.stages.llm.status).toBe('skipped');
+    expect(retro.analysisMetadata).toMatchObject({ analysisMode: 'rules', ruleBasedAnalysisUsed: true });
+    expect(tracker.completeStep).toHaveBeenCalledTimes(RetroPipeline.progressSteps('rules').length);
+    expect(tracker.complete).toHaveBeenCalled();
+  });
+
+  it('adds placeholder cards when there is nothing to show', async () => {
+    class Quiet extends FakeIssues {
+      analyze() {
+        return { wentWell: [], didntGoWell: [], actionItems: [] };
+      }
+    }
+    const pipeline = new RetroPipeline({ llmAnalyzer: fakeAnalyzer({ enabled: false }), env, connectors: [new Quiet(env)] });
+
+    const retro = await run(pipeline);
+
+    expect(retro.wentWell[0].source).toBe('system');
+    expect(retro.actionItems[0].priority).toBe('medium');
+    expect(retro.analysisMetadata.stages.merge.fallbackContent).toBe(true);
+  });
+
+  it('returns the demo insights on request, or when nothing is configured', async () => {
+    const demo = await run(new RetroPipeline({ llmAnalyzer: fakeAnalyzer(), env, connectors: [new FakeIssues(env)] }), {
+      useDemo: true,
+      demoVariant: 'small',
+    });
+    expect(demo.analysisMetadata).toMatchObject({ demoMode: true, demoVariant: 'small', analysisType: 'demo_insights' });
+    expect(demo.wentWell.length).toBeGreaterThan(0);
+
+    const unconfigured = await run(new RetroPipeline({ llmAnalyzer: fakeAnalyzer({ enabled: false }), env, connectors: [] }));
+    expect(unconfigured.analysisMetadata).toMatchObject({ demoMode: true, demoVariant: 'fallback' });
+  });
+
+  it('never sends data that failed to sanitize to the LLM', async () => {
+    const llmAnalyzer = fakeAnalyzer();
+    llmAnalyzer.prepareTeamData.mockImplementation(() => {
+      throw new Error('bad data');
+    });
+    const pipeline = new RetroPipeline({ llmAnalyzer, env, connectors: [new FakeIssues(env)] });
+
+    const retro = await run(pipeline);
+
+    expect(llmAnalyzer.analyzePreparedData).not.toHaveBeenCalled();
+    expect(retro.analysisMetadata.stages.sanitize).toMatchObject({ status: 'failed', error: 'bad data' });
+    expect(retro.analysisMetadata.stages.llm.status).toBe('skipped');
+    expect(retro.analysisMetadata.ruleBasedAnalysisUsed).toBe(true);
+  });
+
+  it('stops when cancelled, instead of falling back to the rules', async () => {
+    const controller = new AbortController();
+    const llmAnalyzer = { ...fakeAnalyzer(), setAbortSignal: vi.fn() };
+    llmAnalyzer.analyzePreparedData.mockImplementation(async () => {
+      controller.abort();
+      const error = new Error('Analysis was cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    });
+    const tracker = { startStep: vi.fn(), completeStep: vi.fn(), complete: vi.fn(), fail: vi.fn() };
+    const pipeline = new RetroPipeline({
+      llmAnalyzer,
+      env,
+      connectors: [new FakeIssues(env)],
+      progressTracker: tracker,
+      signal: controller.signal,
+    });
+
+    await expect(run(pipeline)).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(llmAnalyzer.setAbortSignal).toHaveBeenCalledWith(controller.signal);
+    expect(pipeline.stages.llm.status).toBe('cancelled');
+    expect(pipeline.stages.merge).toBeUndefined();
+    expect(tracker.fail).toHaveBeenCalled();
+  });
+
+  it('fails the progress tracker when collecting fails', async () => {
+    class Broken extends FakeIssues {
+      async loadIdentities() {
+        throw new Error('directory unavailable');
+      }
+    }
+    const tracker = { startStep: vi.fn(), completeStep: vi.fn(), complete: vi.fn(), fail: vi.fn() };
+    const pipeline = new RetroPipeline({ llmAnalyzer: fakeAnalyzer(), env, connectors: [new Broken(env)], progressTracker: tracker });
+
+    await expect(run(pipeline)).rejects.toThrow('directory unavailable');
+    expect(tracker.fail).toHaveBeenCalled();
+    expect(tracker.complete).not.toHaveBeenCalled();
+    expect(pipeline.stages.collect).toMatchObject({ status: 'failed', error: 'directory unavailable' });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for RetroStore
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RetroStore from '../RetroStore.js';
+
+describe('RetroStore', () => {
+  let tmpDir;
+  let store;
+
+  const board = {
+    wentWell: [{ id: '1', text: 'Shipped the release', source: 'ai' }],
+    didntGoWell: [],
+    actionItems: []
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retro-store-'));
+    store = new RetroStore({ filePath: path.join(tmpDir, 'nested', 'retros.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('keeps the default store in server/data as a file path, not a URL path', () => {
+    expect(RetroStore.fromEnvironment({}).filePath).toBe(fileURLToPath(new URL('../../data/retros.json', import.meta.url)));
+  });
+
+  it('returns an empty list when the store file does not exist', async () => {
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('creates and fetches a retro', async () => {
+    const created = await store.create({ title: 'Sprint 12', dateRange: { start: '2024-01-01', end: '2024-01-14' }, board });
+
+    expect(created.id).toMatch(/^r-/);
+    expect(created.savedAt).toBeDefined();
+    expect(await store.get(created.id)).toEqual(created);
+  });
+
+  it('persists retros to disk across instances', async () => {
+    const created = await store.create({ id: 'r-1', board });
+    const reopened = new RetroStore({ filePath: store.filePath });
+
+    expect(await reopened.get('r-1')).toEqual(created);
+  });
+
+  it('rejects duplicate ids on create', async () => {
+    await store.create({ id: 'r-1', board });
+    await expect(store.create({ id: 'r-1', board })).rejects.toMatchObject({ code: 'RETRO_EXISTS' });
+  });
+
+  it('updates existing retros and keeps createdAt', async () => {
+    const created = await store.create({ id: 'r-1', title: 'Old', board });
+    const { retro, created: wasCreated } = await store.update('r-1', { title: 'New' });
+
+    expect(wasCreated).toBe(false);
+    expect(retro.title).toBe('New');
+    expect(retro.board).toEqual(board);
+    expect(retro.createdAt).toBe(created.createdAt);
+  });
+
+  it('creates the retro on update when it does not exist', async () => {
+    const { retro, created } = await store.update('r-new', { title: 'Fresh', board });
+
+    expect(created).toBe(true);
+    expect(retro.id).toBe('r-new');
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  it('lists retros most recently saved first', async () => {
+    await store.importMany([
+      { id: 'older', board, savedAt: '2024-01-01T00:00:00.000Z' },
+      { id: 'newer', board, savedAt: '2024-02-01T00:00:00.000Z' }
+    ]);
+
+    expect((await store.list()).map(r => r.id)).toEqual(['newer', 'older']);
+  });
+
+  it('deletes retros', async () => {
+    await store.create({ id: 'r-1', board });
+
+    expect(await store.delete('r-1')).toBe(true);
+    expect(await store.delete('r-1')).toBe(false);
+    expect(await store.get('r-1')).toBeNull();
+  });
+
+  it('imports legacy localStorage retros and skips existing ids', async () => {
+    await store.create({ id: 'r-1', board });
+
+    const result = await store.importMany([
+      { id: 'r-1', board },
+      { key: 'legacy-key', rangeLabel: 'Jan 1 - Jan 14', board, savedAt: '2024-01-14T00:00:00.000Z' },
+      null
+    ]);
+
+    expect(result).toEqual({ imported: 1, skipped: 2 });
+    const legacy = await store.get('legacy-key');
+    expect(legacy.title).toBe('Jan 1 - Jan 14');
+    expect(legacy.savedAt).toBe('2024-01-14T00:00:00.000Z');
+  });
+
+  it('serializes concurrent writes without losing retros', async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => store.create({ id: `r-${i}`, board }))
+    );
+
+    expect(await store.list()).toHaveLength(10);
+  });
+});
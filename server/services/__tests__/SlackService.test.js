@@ -0,0 +1,201 @@
+/**
+ * Tests for SlackService pagination, thread expansion and conversation analysis
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import axios from 'axios';
+import SlackService from '../slackService.js';
+
+vi.mock('axios', () => ({
+  default: { get: vi.fn() }
+}));
+
+const ok = (body, headers = {}) => ({ data: { ok: true, ...body }, headers });
+
+const message = (ts, text, extra = {}) => ({ type: 'message', user: 'U1', ts, text, ...extra });
+
+describe('SlackService', () => {
+  let service;
+  let sleep;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    sleep = vi.fn().mockResolvedValue();
+    service = new SlackService('xoxb-token', { sleep, retryDelay: 10 });
+  });
+
+  describe('paginate', () => {
+    it('follows next_cursor until it is empty', async () => {
+      axios.get
+        .mockResolvedValueOnce(ok({ channels: [{ id: 'C1' }], response_metadata: { next_cursor: 'abc' } }))
+        .mockResolvedValueOnce(ok({ channels: [{ id: 'C2' }], response_metadata: { next_cursor: '' } }));
+
+      const channels = await service.getChannels();
+
+      expect(channels.map(c => c.id)).toEqual(['C1', 'C2']);
+      expect(axios.get.mock.calls[0][1].params.cursor).toBeUndefined();
+      expect(axios.get.mock.calls[1][1].params.cursor).toBe('abc');
+    });
+
+    it('reports truncation when the page cap is reached', async () => {
+      service = new SlackService('xoxb-token', { sleep, maxPages: 1 });
+      axios.get.mockResolvedValueOnce(ok({ messages: [message('1.0', 'hi')], response_metadata: { next_cursor: 'abc' } }));
+
+      const result = await service.paginate('conversations.history', { channel: 'C1' }, 'messages');
+
+      expect(result).toMatchObject({ truncated: true, reason: 'max_pages' });
+      expect(result.items).toHaveLength(1);
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('honors Retry-After on 429 responses', async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '3' }, data: {} };
+      axios.get
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce(ok({ team: 'acme' }));
+
+      const data = await service.makeRequest('auth.test');
+
+      expect(data.team).toBe('acme');
+      expect(sleep).toHaveBeenCalledWith(3000);
+    });
+
+    it('does not retry API errors such as not_in_channel', async () => {
+      axios.get.mockResolvedValueOnce({ data: { ok: false, error: 'not_in_channel' }, headers: {} });
+
+      await expect(service.makeRequest('conversations.history')).rejects.toThrow('Slack API Error: not_in_channel');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getChannelMessages', () => {
+    it('nests thread replies under their parent and counts reactions', async () => {
+      axios.get
+        .mockResolvedValueOnce(ok({
+          messages: [
+            message('100.1', 'Blocked on the deploy', {
+              thread_ts: '100.1',
+              reply_count: 2,
+              reactions: [{ name: 'eyes', count: 2 }, { name: '+1', count: 1 }]
+            }),
+            message('100.5', 'Reply also sent to channel', { thread_ts: '100.1', subtype: 'thread_broadcast' }),
+            message('200.1', 'Standalone update')
+          ]
+        }))
+        .mockResolvedValueOnce(ok({
+          messages: [
+            message('100.1', 'Blocked on the deploy', { thread_ts: '100.1' }),
+            message('100.5', 'Reply also sent to channel', { thread_ts: '100.1', user: 'U2' }),
+            message('100.3', 'Looking into it', { thread_ts: '100.1', user: 'U3' })
+          ]
+        }));
+
+      const conversations = await service.getChannelMessages('C1', '2024-01-01', '2024-01-14');
+
+      expect(axios.get.mock.calls[1][0]).toBe('https://slack.com/api/conversations.replies');
+      expect(axios.get.mock.calls[1][1].params).toMatchObject({ channel: 'C1', ts: '100.1' });
+      expect(conversations).toHaveLength(2);
+      const thread = conversations.find(c => c.ts === '100.1');
+      expect(thread.reaction_count).toBe(3);
+      expect(thread.replies.map(r => r.ts)).toEqual(['100.3', '100.5']);
+    });
+  });
+
+  describe('channel selection', () => {
+    const channels = [
+      { id: 'C1', name: 'general', is_member: true },
+      { id: 'C2', name: 'incidents', is_member: true },
+      { id: 'C3', name: 'random', is_member: false },
+      { id: 'C4', name: 'eng-private', is_private: true }
+    ];
+
+    it('parses SLACK_CHANNELS style lists', () => {
+      expect(SlackService.parseChannelList(' #incidents, C1,,incidents ')).toEqual(['incidents', 'C1']);
+      expect(SlackService.parseChannelList(['C2', null, '#dev'])).toEqual(['C2', 'dev']);
+    });
+
+    it('matches requested channels by ID or name and reports the rest as skipped', () => {
+      const { targets, skipped } = service.selectChannels(channels, ['C2', 'eng-private', 'random', 'missing']);
+
+      expect(targets.map(ch => ch.id)).toEqual(['C2', 'C4']);
+      expect(skipped).toEqual([
+        { channel: 'random', reason: 'not_member' },
+        { channel: 'missing', reason: 'not_found' }
+      ]);
+    });
+
+    it('uses every channel the bot is in when nothing is selected, up to maxChannels', () => {
+      service = new SlackService('xoxb-token', { sleep, maxChannels: 2 });
+
+      const { targets, skipped } = service.selectChannels(channels);
+
+      expect(targets.map(ch => ch.name)).toEqual(['general', 'incidents']);
+      expect(skipped).toEqual([{ channel: 'eng-private', reason: 'max_channels' }]);
+    });
+
+    it('skips channels whose history cannot be read', async () => {
+      axios.get
+        .mockResolvedValueOnce(ok({ channels }))
+        .mockResolvedValueOnce(ok({ messages: [message('1.0', 'Incident resolved')] }))
+        .mockResolvedValueOnce({ data: { ok: false, error: 'missing_scope' }, headers: {} });
+
+      const result = await service.fetchTeamChannelMessages('2024-01-01', '2024-01-14', ['incidents', 'C4']);
+
+      expect(result.channels).toEqual(['incidents']);
+      expect(result.messages[0]).toMatchObject({ channel: 'incidents', channelId: 'C2' });
+      expect(result.skipped).toEqual([{ channel: 'eng-private', reason: 'missing_scope' }]);
+    });
+  });
+
+  describe('groupThreads', () => {
+    it('folds flat replies into their parent and keeps orphans as their own conversation', () => {
+      const grouped = SlackService.groupThreads([
+        message('1.0', 'parent', { thread_ts: '1.0', reply_count: 1 }),
+        message('1.5', 'reply', { thread_ts: '1.0' }),
+        message('0.5', 'reply to a parent outside the range', { thread_ts: '0.1' })
+      ]);
+
+      expect(grouped.map(c => c.ts)).toEqual(['1.0', '0.5']);
+      expect(grouped[0].replies.map(r => r.text)).toEqual(['reply']);
+    });
+  });
+
+  describe('userIds', () => {
+    it('collects posters from messages and thread replies', () => {
+      const ids = SlackService.userIds([
+        message('1.0', 'parent', { replies: [message('1.1', 'reply', { user: 'U2' })] }),
+        message('2.0', 'standalone', { user: 'U2' })
+      ]);
+
+      expect(ids).toEqual(['U1', 'U2']);
+    });
+  });
+
+  describe('analyzeMessagesForRetro', () => {
+    it('treats a thread as one conversation when judging sentiment', () => {
+      const thread = message('1.0', 'Deploy is blocked again', {
+        channel: 'dev',
+        replies: [
+          message('1.1', 'still broken for me', { user: 'U2' }),
+          message('1.2', 'stuck here too', { user: 'U3' }),
+          message('1.3', 'failed on retry', { user: 'U4' })
+        ]
+      });
+      const others = Array.from({ length: 9 }, (_, i) =>
+        message(`${i + 2}.0`, 'Morning update posted', { channel: 'dev' }));
+
+      const result = service.analyzeMessagesForRetro([thread, ...others]);
+
+      // 1 negative conversation out of 10 is below the frustration threshold,
+      // even though 4 of the 13 messages are negative
+      expect(result.didntGoWell.map(i => i.title)).not.toContain('High frustration signals in team chat');
+      const blockers = result.didntGoWell.find(i => i.title === '1 long threads about blockers');
+      expect(blockers.data.threads[0]).toMatchObject({ replies: 3, participants: 4 });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for TeamRoster
+ */
+
+import { describe, it, expect } from 'vitest';
+import TeamRoster from '../TeamRoster.js';
+import IdentityResolver from '../IdentityResolver.js';
+
+const commit = (login, name, email) => ({
+  sha: `${login}-sha`,
+  author: { login },
+  commit: { author: { name, email, date: '2024-01-02T10:00:00Z' }, message: 'Work' }
+});
+
+const pr = (number, login, extra = {}) => ({ number, user: { login }, created_at: '2024-01-02T10:00:00Z', ...extra });
+
+describe('TeamRoster', () => {
+  it('reads plain string members by their shape', () => {
+    expect(TeamRoster.normalize(['alice@acme.com', 'U0123ABC', 'Bob Jones', '@carol', '', null])).toEqual([
+      { emails: ['alice@acme.com'] },
+      { slack: ['U0123ABC'] },
+      { name: 'Bob Jones' },
+      { github: ['carol'] }
+    ]);
+  });
+
+  it('does not filter anything when the roster is empty', () => {
+    const roster = new TeamRoster([]);
+    const activity = { commits: [commit('x', 'X', 'x@acme.com')], pullRequests: [] };
+
+    expect(roster.isEmpty).toBe(true);
+    expect(roster.filterGitHubActivity(activity)).toBe(activity);
+    expect(roster.linearEmails()).toEqual([]);
+  });
+
+  it('keeps only GitHub activity by roster members and recomputes review metrics', () => {
+    const roster = new TeamRoster([{ name: 'Alice Smith', emails: ['alice@acme.com'] }]);
+
+    const result = roster.filterGitHubActivity({
+      commits: [commit('alice', 'Alice Smith', 'alice@acme.com'), commit('mallory', 'Mallory', 'm@other.com')],
+      pullRequests: [pr(1, 'alice'), pr(2, 'mallory')],
+      reviewMetrics: { totalPRs: 2 },
+      truncatedRepos: []
+    });
+
+    expect(result.commits.map(c => c.author.login)).toEqual(['alice']);
+    expect(result.pullRequests.map(p => p.number)).toEqual([1]);
+    expect(result.reviewMetrics.totalPRs).toBe(1);
+    expect(result.truncatedRepos).toEqual([]);
+  });
+
+  it('filters Linear issues by assignee and only uses the API filter when every member has an email', () => {
+    const withEmails = new TeamRoster(['alice@acme.com']);
+    expect(withEmails.linearEmails()).toEqual(['alice@acme.com']);
+
+    const roster = new TeamRoster(['alice@acme.com', 'Bob Jones']);
+    expect(roster.linearEmails()).toEqual([]);
+
+    const issues = roster.filterIssues([
+      { id: '1', assignee: { name: 'Alice Smith', email: 'alice@acme.com' } },
+      { id: '2', assignee: { name: 'Bob Jones', email: 'bob@acme.com' } },
+      { id: '3', assignee: { name: 'Eve', email: 'eve@acme.com' } },
+      { id: '4', assignee: null }
+    ]);
+    expect(issues.map(i => i.id)).toEqual(['1', '2']);
+  });
+
+  it('keeps Slack threads a teammate took part in, matched through shared identities', () => {
+    const identities = new IdentityResolver({
+      people: [{ name: 'Alice Smith', emails: ['alice@acme.com'], slack: ['U1'] }]
+    });
+    const roster = new TeamRoster(['alice@acme.com'], identities);
+
+    const messages = roster.filterMessages([
+      { ts: '1.0', user: 'U9', text: 'Deploy is stuck', replies: [{ ts: '1.1', user: 'U1', text: 'Looking' }] },
+      { ts: '2.0', user: 'U9', text: 'Lunch?' },
+      { ts: '3.0', user: 'U1', text: 'Shipped' }
+    ]);
+
+    expect(messages.map(m => m.ts)).toEqual(['1.0', '3.0']);
+    expect(messages[0].replies).toHaveLength(1);
+  });
+});
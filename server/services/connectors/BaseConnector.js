@@ -0,0 +1,152 @@
+/**
+ * Base Data Source Connector
+ * Defines the interface every integration (GitHub, Linear, Slack, ...) implements so
+ * the generation pipeline can iterate over sources instead of wiring each one by hand
+ *
+ * A connector fetches one source's data in one of three shapes, picked by `kind`:
+ *   - 'code'   → { commits, pullRequests, reviewMetrics }  (analyzed as "github")
+ *   - 'issues' → Issue[]                                    (analyzed as "linear")
+ *   - 'chat'   → Conversation[]                             (analyzed as "slack")
+ */
+
+import fs from 'fs/promises';
+
+const SAMPLE_DATA_DIR = new URL('../../sample-data/', import.meta.url);
+
+export class BaseConnector {
+  /** Registry name, e.g. 'github' */
+  static id = null;
+  /** Human-readable name used in status and warning messages */
+  static label = null;
+  /** 'code' | 'issues' | 'chat' */
+  static kind = null;
+  /** Every environment variable the connector reads */
+  static configKeys = [];
+  /** Environment variables that must be set for the connector to be enabled */
+  static requiredKeys = [];
+  /** Sample data file in server/sample-data used when the source isn't configured */
+  static sampleFile = null;
+  /** Property of the sample file holding the data, when it isn't the whole file */
+  static sampleKey = null;
+  /** LLM context used alongside sample data */
+  static sampleContext = {};
+  /**
+   * Whether the connector reads data uploaded to this server rather than a live API.
+   * Alongside a live source it runs only when the request selects its data.
+   */
+  static storedData = false;
+
+  /**
+   * @param {Object} env - Environment variables
+   * @param {Object} options - Connector-specific options (e.g. service overrides for tests)
+   */
+  constructor(env = process.env, options = {}) {
+    this.env = env;
+    this.options = options;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  get kind() {
+    return this.constructor.kind;
+  }
+
+  /**
+   * Required configuration keys that are missing from the environment
+   * @param {Object} env - Environment variables
+   * @returns {string[]} Missing keys
+   */
+  static missingKeys(env = process.env) {
+    return this.requiredKeys.filter(key => !env[key]);
+  }
+
+  /**
+   * Whether the connector has everything it needs to run
+   * @param {Object} env - Environment variables
+   * @returns {boolean}
+   */
+  static isConfigured(env = process.env) {
+    return this.missingKeys(env).length === 0;
+  }
+
+  /**
+   * Pick this connector's part of the generation scope from a request body,
+   * falling back to environment defaults (e.g. GITHUB_REPOS)
+   * @param {Object} body - Request body
+   * @param {Object} env - Environment variables
+   * @returns {Object} Scope fields, merged with every other connector's
+   */
+  static scopeFromRequest(body = {}, env = process.env) {
+    return {};
+  }
+
+  /**
+   * Whether the generation scope selects any of this connector's stored data
+   * @param {Object} scope - Merged scope
+   * @returns {boolean}
+   */
+  static isSelected(scope = {}) {
+    return false;
+  }
+
+  /**
+   * Load the bundled sample data in the same shape `fetch` returns
+   * @returns {Promise<Object>} { data, context, warnings }
+   */
+  static async loadSample() {
+    if (!this.sampleFile) {
+      throw new Error(`${this.label} has no sample data`);
+    }
+    const json = JSON.parse(await fs.readFile(new URL(this.sampleFile, SAMPLE_DATA_DIR), 'utf-8'));
+    return {
+      data: this.sampleKey ? json[this.sampleKey] : json,
+      context: this.sampleContext,
+      warnings: [],
+    };
+  }
+
+  /**
+   * Verify the credentials with a cheap API call
+   * @returns {Promise<Object>} Details to show the user (account, workspace, ...)
+   */
+  async testConnection() {
+    throw new Error('testConnection method must be implemented by connector');
+  }
+
+  /**
+   * Register the source's people with the shared identity resolver before fetching
+   * @param {IdentityResolver} identities - Resolver shared by the generation
+   * @returns {Promise<string[]>} Warnings
+   */
+  async loadIdentities(identities) {
+    return [];
+  }
+
+  /**
+   * Fetch the source's data for a generation
+   * @param {{start: string, end: string}} dateRange - ISO timestamps bounding the retro
+   * @param {Object} scope - Merged scope (repositories, channels, cycleId, identities, roster, ...)
+   * @returns {Promise<Object>} { data, context, warnings } plus anything `analyze` needs
+   */
+  async fetch(dateRange, scope = {}) {
+    throw new Error('fetch method must be implemented by connector');
+  }
+
+  /**
+   * Rule-based insights for fetched data
+   * @param {Object} result - What `fetch` returned
+   * @param {Object} scope - Merged scope
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  analyze(result, scope = {}) {
+    return { wentWell: [], didntGoWell: [], actionItems: [] };
+  }
+}
+
+export default BaseConnector;
@@ -0,0 +1,37 @@
+import { BaseConnector } from './BaseConnector.js';
+import SlackService from '../slackService.js';
+
+/**
+ * Base for chat sources (Slack, imported Teams/Discord/Slack exports, ...)
+ *
+ * Chat connectors return conversations in Slack's shape so they share the chat
+ * rules and LLMAnalyzer's Slack input:
+ *   { ts, user, text, reactions, reaction_count, channel, channelId, replies: [...] }
+ * `ts` is a "seconds.micros" string and `user` an ID the identity resolver knows.
+ */
+export class ChatConnector extends BaseConnector {
+  static kind = 'chat';
+
+  /**
+   * Keep the conversations a roster member took part in
+   * @param {Array} messages - Conversations
+   * @param {Object} scope - Merged scope
+   * @returns {Array} Filtered conversations
+   */
+  filterConversations(messages, scope = {}) {
+    return scope.roster ? scope.roster.filterMessages(messages) : messages;
+  }
+
+  /**
+   * Chat rules, with insights labeled by the source they came from
+   * @param {Object} result - What `fetch` returned; `insightLabel` overrides the label
+   */
+  analyze(result) {
+    return SlackService.prototype.analyzeMessagesForRetro.call(this, result.data, {
+      source: this.id,
+      label: result.insightLabel || this.label,
+    });
+  }
+}
+
+export default ChatConnector;
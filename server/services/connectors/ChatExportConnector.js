@@ -0,0 +1,121 @@
+import { ChatConnector } from './ChatConnector.js';
+import SlackService from '../slackService.js';
+import ChatExportStore from '../ChatExportStore.js';
+import { PLATFORM_LABELS } from '../ChatExportImporter.js';
+
+/**
+ * Chat export connector - conversations from uploaded Slack, Discord or Teams export
+ * archives, for teams whose chat the server can't reach. Enabled once an export has
+ * been uploaded.
+ */
+export class ChatExportConnector extends ChatConnector {
+  static id = 'chat-export';
+  static label = 'Chat export';
+  static configKeys = ['CHAT_EXPORT_DIR'];
+  static requiredKeys = [];
+  static storedData = true;
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.store = options.chatExportStore || ChatExportStore.fromEnvironment(env);
+    this.imports = null;
+  }
+
+  static isConfigured(env = process.env) {
+    return ChatExportStore.fromEnvironment(env).hasImports();
+  }
+
+  /**
+   * Exports for a generation: the request's selection, else every import when no
+   * live source is configured (see ConnectorRegistry.forScope)
+   * @returns {{chatExports: string[]}} Import ids
+   */
+  static scopeFromRequest(body = {}) {
+    const ids = Array.isArray(body.chatExports) ? body.chatExports : [];
+    return { chatExports: ids.filter(id => typeof id === 'string' && id) };
+  }
+
+  static isSelected(scope = {}) {
+    return (scope.chatExports || []).length > 0;
+  }
+
+  /**
+   * Conversations with a message inside the range, keeping only the messages in range.
+   * Replies whose parent is outside the range become conversations of their own.
+   * @param {Array} messages - Conversations from one import
+   * @param {number} start - Range start, epoch seconds
+   * @param {number} end - Range end, epoch seconds
+   * @returns {Array} Conversations in range
+   */
+  static messagesInRange(messages = [], start, end) {
+    const inRange = (message) => {
+      const ts = parseFloat(message.ts);
+      return ts >= start && ts <= end;
+    };
+
+    // Slack timestamps are only unique within a channel, so regroup channel by channel
+    const byChannel = new Map();
+    for (const { replies = [], ...root } of messages) {
+      const key = root.channelId || root.channel;
+      if (!byChannel.has(key)) byChannel.set(key, []);
+      const flat = [root, ...replies.map(reply => ({
+        ...reply,
+        thread_ts: root.ts,
+        channel: root.channel,
+        channelId: root.channelId,
+      }))];
+      byChannel.get(key).push(...flat.filter(inRange));
+    }
+
+    return [...byChannel.values()].flatMap(channelMessages => SlackService.groupThreads(channelMessages));
+  }
+
+  async testConnection() {
+    const imports = await this.store.list();
+    return {
+      imports: imports.length,
+      messages: imports.reduce((sum, entry) => sum + (entry.messageCount || 0), 0),
+    };
+  }
+
+  async loadIdentities(identities) {
+    this.imports = await this.store.getMany();
+    this.imports.forEach(entry => identities.addChatUsers(entry.users));
+    return [];
+  }
+
+  async fetch(dateRange, scope = {}) {
+    const ids = scope.chatExports || [];
+    const all = this.imports || await this.store.getMany();
+    const imports = ids.length > 0 ? all.filter(entry => ids.includes(entry.id)) : all;
+    const warnings = ids
+      .filter(id => !imports.some(entry => entry.id === id))
+      .map(id => `Chat export ${id} was not found`);
+
+    const { start, end } = dateRange;
+    const startSeconds = new Date(start).getTime() / 1000;
+    const endSeconds = new Date(end).getTime() / 1000;
+    const conversations = imports.flatMap(entry =>
+      ChatExportConnector.messagesInRange(entry.messages, startSeconds, endSeconds).map(message => ({
+        ...message,
+        platform: entry.platform,
+      }))
+    );
+
+    if (imports.length > 0 && conversations.length === 0) {
+      warnings.push(`No messages in the uploaded chat exports fall within ${start.slice(0, 10)} to ${end.slice(0, 10)}`);
+    }
+
+    const messages = this.filterConversations(conversations, scope);
+    const platforms = [...new Set(imports.map(entry => entry.platform))];
+    console.log(`Found ${messages.length} conversations in ${imports.length} chat exports`);
+    return {
+      data: messages,
+      context: { channels: [...new Set(messages.map(message => message.channel).filter(Boolean))] },
+      warnings,
+      insightLabel: platforms.length === 1 ? PLATFORM_LABELS[platforms[0]] : 'team chat',
+    };
+  }
+}
+
+export default ChatExportConnector;
@@ -0,0 +1,238 @@
+import { BaseConnector } from './BaseConnector.js';
+import GitHubService from '../githubService.js';
+
+// Which LLMAnalyzer input each connector kind feeds
+const KIND_TO_SOURCE = { code: 'github', issues: 'linear', chat: 'slack' };
+
+const emptyRetroData = () => ({ wentWell: [], didntGoWell: [], actionItems: [] });
+
+/**
+ * Connector Registry
+ * Keeps the available data-source connectors and runs them for a generation:
+ * fetch every enabled source, combine the results into the shape LLMAnalyzer
+ * expects, and gather their rule-based insights
+ */
+export class ConnectorRegistry {
+  static connectors = new Map();
+
+  /**
+   * Registers a connector class
+   * @param {string} id - Connector name (e.g., 'github', 'linear', 'slack')
+   * @param {class} ConnectorClass - Connector class that extends BaseConnector
+   */
+  static register(id, ConnectorClass) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Connector id must be a non-empty string');
+    }
+
+    if (!ConnectorClass || !(ConnectorClass.prototype instanceof BaseConnector)) {
+      throw new Error('Connector class must extend BaseConnector');
+    }
+
+    if (!KIND_TO_SOURCE[ConnectorClass.kind]) {
+      throw new Error(
+        `Connector ${id} has unknown kind "${ConnectorClass.kind}". Expected one of: ${Object.keys(KIND_TO_SOURCE).join(', ')}`
+      );
+    }
+
+    this.connectors.set(id.toLowerCase(), ConnectorClass);
+  }
+
+  /**
+   * @param {string} id - Connector name
+   * @returns {class|undefined} Connector class
+   */
+  static get(id) {
+    return this.connectors.get(String(id).toLowerCase());
+  }
+
+  /**
+   * @returns {Array<class>} Registered connector classes, in registration order
+   */
+  static list() {
+    return Array.from(this.connectors.values());
+  }
+
+  /**
+   * Status of every registered connector, without making API calls
+   * @param {Object} env - Environment variables
+   * @returns {Array<Object>} { id, label, kind, configKeys, configured, missingKeys }
+   */
+  static describe(env = process.env) {
+    return this.list().map(Connector => ({
+      id: Connector.id,
+      label: Connector.label,
+      kind: Connector.kind,
+      configKeys: Connector.configKeys,
+      configured: Connector.isConfigured(env),
+      missingKeys: Connector.missingKeys(env),
+    }));
+  }
+
+  /**
+   * Instantiate every connector whose required keys are set
+   * @param {Object} env - Environment variables
+   * @param {Object} options - Options passed to each connector
+   * @returns {BaseConnector[]} Connector instances
+   */
+  static createConfigured(env = process.env, options = {}) {
+    return this.list()
+      .filter(Connector => Connector.isConfigured(env))
+      .map(Connector => new Connector(env, options));
+  }
+
+  /**
+   * Connectors to run for a generation. Stored-data connectors (uploads, chat exports)
+   * join live sources only when the scope selects their data, so uploaded activity
+   * is never counted alongside the same activity fetched live. With no live source
+   * configured they all run.
+   * @param {BaseConnector[]} connectors - Enabled connector instances
+   * @param {Object} scope - Merged scope
+   * @returns {BaseConnector[]} Connectors to fetch from
+   */
+  static forScope(connectors, scope = {}) {
+    const live = connectors.some(connector => !connector.constructor.storedData);
+    if (!live) return connectors;
+    return connectors.filter(connector => !connector.constructor.storedData || connector.constructor.isSelected(scope));
+  }
+
+  /**
+   * Build the generation scope from a request body by asking every connector for its part
+   * @param {Object} body - Request body
+   * @param {Object} env - Environment variables
+   * @returns {Object} Merged scope
+   */
+  static scopeFromRequest(body = {}, env = process.env) {
+    return this.list().reduce(
+      (scope, Connector) => ({ ...scope, ...Connector.scopeFromRequest(body || {}, env) }),
+      {}
+    );
+  }
+
+  /**
+   * Fetch data from the given connectors. A failing connector becomes a warning
+   * instead of failing the generation.
+   * @param {BaseConnector[]} connectors - Enabled connector instances
+   * @param {{start: string, end: string}} dateRange - ISO timestamps bounding the retro
+   * @param {Object} scope - Merged scope with identities and roster
+   * @param {Object} options
+   * @param {boolean} options.samples - Fill every kind no connector returned data for
+   *   with the sample data of the first registered connector of that kind
+   * @returns {Promise<Object>} { results, warnings, dataSources, teamData, context }
+   */
+  static async collect(connectors, dateRange, scope = {}, { samples = false } = {}) {
+    const results = [];
+    const warnings = [];
+    const describe = (Connector, connector, source) => ({
+      id: Connector.id,
+      label: Connector.label,
+      kind: Connector.kind,
+      connector,
+      source,
+    });
+
+    for (const connector of connectors) {
+      const Connector = connector.constructor;
+      try {
+        const result = { ...describe(Connector, connector, 'real'), ...(await connector.fetch(dateRange, scope)) };
+        console.log(`Fetched ${Connector.label} data`);
+        warnings.push(...(result.warnings || []));
+        results.push(result);
+      } catch (error) {
+        console.warn(`${Connector.label} fetch failed:`, error.message);
+        warnings.push(`${Connector.label} data is missing: ${error.message}`);
+      }
+    }
+
+    if (samples) {
+      const covered = new Set(results.map(result => result.kind));
+      for (const Connector of this.list()) {
+        if (covered.has(Connector.kind) || !Connector.sampleFile) continue;
+        try {
+          const connector = connectors.find(candidate => candidate.constructor === Connector) || null;
+          const result = { ...describe(Connector, connector, 'sample'), ...(await Connector.loadSample()) };
+          console.log(`Using ${Connector.label} sample data`);
+          covered.add(Connector.kind);
+          results.push(result);
+        } catch (error) {
+          console.warn(`${Connector.label} sample data failed to load:`, error.message);
+        }
+      }
+    }
+
+    return {
+      results,
+      warnings,
+      dataSources: Object.fromEntries(results.map(result => [result.id, result.source])),
+      ...this.combine(results),
+    };
+  }
+
+  /**
+   * Merge fetched data by kind into LLMAnalyzer's { github, linear, slack } inputs and
+   * merge each connector's LLM context (array values are concatenated)
+   * @param {Array<Object>} results - Results from `collect`
+   * @returns {{teamData: Object, context: Object}}
+   */
+  static combine(results = []) {
+    const teamData = { github: null, linear: null, slack: null };
+    const context = {};
+
+    for (const { kind, data, context: extra = {} } of results) {
+      const key = KIND_TO_SOURCE[kind];
+      if (kind === 'code') {
+        teamData.github = teamData.github ? this._mergeActivity(teamData.github, data) : data;
+      } else if (data) {
+        teamData[key] = [...(teamData[key] || []), ...data];
+      }
+
+      for (const [name, value] of Object.entries(extra)) {
+        if (value === undefined) continue;
+        context[name] = Array.isArray(value) && Array.isArray(context[name])
+          ? [...context[name], ...value]
+          : value;
+      }
+    }
+
+    return { teamData, context };
+  }
+
+  /**
+   * Combine the rule-based insights of every fetched (non-sample) result
+   * @param {Array<Object>} results - Results from `collect`
+   * @param {Object} scope - Merged scope
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  static analyze(results = [], scope = {}) {
+    const combined = emptyRetroData();
+
+    for (const result of results) {
+      if (result.source !== 'real' || !result.connector) continue;
+      try {
+        const insights = result.connector.analyze(result, scope) || emptyRetroData();
+        combined.wentWell.push(...(insights.wentWell || []));
+        combined.didntGoWell.push(...(insights.didntGoWell || []));
+        combined.actionItems.push(...(insights.actionItems || []));
+      } catch (error) {
+        console.warn(`${result.label} analysis failed:`, error.message);
+      }
+    }
+
+    return combined;
+  }
+
+  /**
+   * @private
+   */
+  static _mergeActivity(current, next = {}) {
+    const pullRequests = [...(current.pullRequests || []), ...(next.pullRequests || [])];
+    return {
+      ...current,
+      commits: [...(current.commits || []), ...(next.commits || [])],
+      pullRequests,
+      reviewMetrics: GitHubService.computeReviewMetrics(pullRequests),
+    };
+  }
+}
+
+export default ConnectorRegistry;
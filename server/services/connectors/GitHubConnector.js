@@ -0,0 +1,83 @@
+import { BaseConnector } from './BaseConnector.js';
+import GitHubService from '../githubService.js';
+
+/**
+ * GitHub connector - commits, pull requests and review metrics for the selected repositories
+ */
+export class GitHubConnector extends BaseConnector {
+  static id = 'github';
+  static label = 'GitHub';
+  static kind = 'code';
+  static configKeys = ['GITHUB_TOKEN', 'GITHUB_REPOS'];
+  static requiredKeys = ['GITHUB_TOKEN'];
+  static sampleFile = 'github.activity.sample.large.json';
+  static sampleContext = { repositories: ['sample/app'] };
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.service = options.githubService || new GitHubService(env.GITHUB_TOKEN);
+  }
+
+  /**
+   * Repositories for a generation: the request's selection, else GITHUB_REPOS
+   * @returns {{repositories: string[], rejectedRepositories: string[]}} Repositories as
+   *   "owner/name", and the entries skipped for not being in that form
+   */
+  static scopeFromRequest(body = {}, env = process.env) {
+    const fromRequest = GitHubService.parseRepoList(
+      Array.isArray(body.repositories) ? body.repositories : []
+    );
+    const { repos, rejected } = fromRequest.repos.length > 0
+      ? fromRequest
+      : GitHubService.parseRepoList(env.GITHUB_REPOS);
+    return {
+      repositories: repos.map(({ owner, name }) => `${owner}/${name}`),
+      rejectedRepositories: [...new Set([...fromRequest.rejected, ...rejected])],
+    };
+  }
+
+  /**
+   * Turn GitHub truncation details into user-facing warnings
+   * @param {Array} truncatedRepos - Truncation details from GitHubService.getTeamActivity
+   * @returns {string[]} Warnings
+   */
+  static describeTruncation(truncatedRepos = []) {
+    return truncatedRepos.map(({ repo, commits, pullRequests, prDetails }) => {
+      const parts = [];
+      if (commits) parts.push(`commits (${commits})`);
+      if (pullRequests) parts.push(`pull requests (${pullRequests})`);
+      if (prDetails) parts.push(`PR reviews and checks (${prDetails})`);
+      return `GitHub data for ${repo} is incomplete: ${parts.join(', ')} were truncated`;
+    });
+  }
+
+  async testConnection() {
+    const data = await this.service.makeRequest('/user');
+    return { user: data.login, name: data.name };
+  }
+
+  async fetch(dateRange, scope = {}) {
+    const repositories = scope.repositories || [];
+    let activity = await this.service.getTeamActivity(dateRange.start, dateRange.end, repositories);
+    if (scope.roster) activity = scope.roster.filterGitHubActivity(activity);
+
+    const { commits, pullRequests, reviewMetrics, truncatedRepos } = activity;
+    console.log(`Found ${commits.length} commits and ${pullRequests.length} PRs`);
+    const rejected = scope.rejectedRepositories || [];
+    return {
+      data: { commits, pullRequests, reviewMetrics },
+      context: { repositories },
+      warnings: [
+        ...(rejected.length > 0 ? [`Skipped GitHub repositories that are not "owner/name": ${rejected.join(', ')}`] : []),
+        ...GitHubConnector.describeTruncation(truncatedRepos),
+      ],
+    };
+  }
+
+  analyze(result) {
+    const { commits, pullRequests, reviewMetrics } = result.data;
+    return this.service.analyzeActivityForRetro(commits, pullRequests, reviewMetrics);
+  }
+}
+
+export default GitHubConnector;
@@ -0,0 +1,78 @@
+import { BaseConnector } from './BaseConnector.js';
+import GitLabService from '../gitlabService.js';
+
+/**
+ * GitLab connector - commits, merge requests and pipelines for the selected projects,
+ * on GitLab.com or a self-managed instance
+ */
+export class GitLabConnector extends BaseConnector {
+  static id = 'gitlab';
+  static label = 'GitLab';
+  static kind = 'code';
+  static configKeys = ['GITLAB_TOKEN', 'GITLAB_BASE_URL', 'GITLAB_PROJECTS'];
+  static requiredKeys = ['GITLAB_TOKEN'];
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.service = options.gitlabService || new GitLabService(env.GITLAB_TOKEN, {
+      baseUrl: env.GITLAB_BASE_URL,
+    });
+  }
+
+  /**
+   * Projects for a generation: the request's selection, else GITLAB_PROJECTS
+   * @returns {{gitlabProjects: string[]}} Projects as "group/project" paths
+   */
+  static scopeFromRequest(body = {}, env = process.env) {
+    const fromRequest = GitLabService.parseProjectList(
+      Array.isArray(body.gitlabProjects) ? body.gitlabProjects : []
+    );
+    return {
+      gitlabProjects: fromRequest.length > 0 ? fromRequest : GitLabService.parseProjectList(env.GITLAB_PROJECTS),
+    };
+  }
+
+  /**
+   * Turn GitLab truncation details into user-facing warnings
+   * @param {Array} truncatedRepos - Truncation details from GitLabService.getTeamActivity
+   * @returns {string[]} Warnings
+   */
+  static describeTruncation(truncatedRepos = []) {
+    return truncatedRepos.map(({ repo, commits, pullRequests, pipelines, prDetails }) => {
+      const parts = [];
+      if (commits) parts.push(`commits (${commits})`);
+      if (pullRequests) parts.push(`merge requests (${pullRequests})`);
+      if (pipelines) parts.push(`pipelines (${pipelines})`);
+      if (prDetails) parts.push(`MR approvals, notes and pipelines (${prDetails})`);
+      return `GitLab data for ${repo} is incomplete: ${parts.join(', ')} were truncated`;
+    });
+  }
+
+  async testConnection() {
+    const user = await this.service.getCurrentUser();
+    return { user: user.username, name: user.name };
+  }
+
+  async fetch(dateRange, scope = {}) {
+    const projects = scope.gitlabProjects || [];
+    let activity = await this.service.getTeamActivity(dateRange.start, dateRange.end, projects);
+    // MRs and commits are in GitHub's shape, so the roster's GitHub rules apply
+    if (scope.roster) activity = scope.roster.filterGitHubActivity(activity);
+
+    const { commits, pullRequests, reviewMetrics, pipelines, truncatedRepos } = activity;
+    console.log(`Found ${commits.length} commits, ${pullRequests.length} MRs and ${pipelines.length} pipelines`);
+    return {
+      data: { commits, pullRequests, reviewMetrics },
+      pipelines,
+      context: { repositories: projects },
+      warnings: GitLabConnector.describeTruncation(truncatedRepos),
+    };
+  }
+
+  analyze(result) {
+    const { commits, pullRequests, reviewMetrics } = result.data;
+    return this.service.analyzeActivityForRetro(commits, pullRequests, reviewMetrics, result.pipelines);
+  }
+}
+
+export default GitLabConnector;
@@ -0,0 +1,76 @@
+import { BaseConnector } from './BaseConnector.js';
+import JiraService from '../jiraService.js';
+
+/**
+ * Jira connector - Jira Cloud or Server issues updated in the retro window, as an
+ * alternative (or addition) to Linear
+ */
+export class JiraConnector extends BaseConnector {
+  static id = 'jira';
+  static label = 'Jira';
+  static kind = 'issues';
+  static configKeys = [
+    'JIRA_BASE_URL',
+    'JIRA_API_TOKEN',
+    'JIRA_EMAIL',
+    'JIRA_JQL',
+    'JIRA_MAX_ISSUES',
+    'JIRA_STORY_POINTS_FIELD',
+  ];
+  static requiredKeys = ['JIRA_BASE_URL', 'JIRA_API_TOKEN'];
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.service = options.jiraService || new JiraService(env.JIRA_BASE_URL, env.JIRA_API_TOKEN, {
+      email: env.JIRA_EMAIL,
+      jql: env.JIRA_JQL,
+      maxIssues: parseInt(env.JIRA_MAX_ISSUES, 10) || undefined,
+      storyPointsField: env.JIRA_STORY_POINTS_FIELD,
+    });
+  }
+
+  /**
+   * Turn Jira truncation details into user-facing warnings
+   * @param {Object} result - { issues, truncated, reason } from JiraService
+   * @returns {string[]} Warnings
+   */
+  static describeTruncation({ issues = [], truncated, reason } = {}) {
+    if (!truncated) return [];
+    const cause = reason === 'max_issues'
+      ? 'the JIRA_MAX_ISSUES limit was reached'
+      : 'the Jira rate limit was hit';
+    return [
+      `Jira data is incomplete: only the first ${issues.length} issues were analyzed because ${cause}`,
+    ];
+  }
+
+  async testConnection() {
+    const user = await this.service.getCurrentUser();
+    return {
+      user: {
+        id: user.accountId || user.key || user.name,
+        name: user.displayName,
+        email: user.emailAddress,
+      },
+      deployment: this.service.deployment,
+    };
+  }
+
+  async fetch(dateRange, scope = {}) {
+    const result = await this.service.fetchIssuesInDateRange(dateRange.start, dateRange.end);
+    // Jira Cloud hides emails from JQL, so the roster is applied to the fetched issues
+    const issues = scope.roster ? scope.roster.filterIssues(result.issues) : result.issues;
+    console.log(`Found ${issues.length} Jira issues`);
+    return {
+      data: issues,
+      context: {},
+      warnings: JiraConnector.describeTruncation(result),
+    };
+  }
+
+  analyze(result) {
+    return this.service.analyzeIssuesForRetro(result.data);
+  }
+}
+
+export default JiraConnector;
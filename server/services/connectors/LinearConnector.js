@@ -0,0 +1,138 @@
+import { BaseConnector } from './BaseConnector.js';
+import LinearService from '../linearService.js';
+
+const emptyRetroData = () => ({ wentWell: [], didntGoWell: [], actionItems: [] });
+
+/**
+ * Linear connector - issues updated in the retro window, plus cycle-level facts
+ * when the retro covers a Linear cycle
+ */
+export class LinearConnector extends BaseConnector {
+  static id = 'linear';
+  static label = 'Linear';
+  static kind = 'issues';
+  static configKeys = ['LINEAR_API_KEY', 'LINEAR_TEAM_ID', 'LINEAR_MAX_ISSUES'];
+  static requiredKeys = ['LINEAR_API_KEY'];
+  static sampleFile = 'linear.issues.sample.large.json';
+  static sampleKey = 'issues';
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.service = options.linearService || new LinearService(env.LINEAR_API_KEY, LinearConnector.serviceOptions(env));
+  }
+
+  /**
+   * Linear client options from the environment
+   * @param {Object} env - Environment variables
+   * @returns {Object} LinearService options
+   */
+  static serviceOptions(env = process.env) {
+    return {
+      maxIssues: parseInt(env.LINEAR_MAX_ISSUES, 10) || undefined,
+    };
+  }
+
+  static scopeFromRequest(body = {}) {
+    return { cycleId: body.cycleId };
+  }
+
+  /**
+   * Turn Linear truncation details into user-facing warnings
+   * @param {Object} result - { issues, truncated, reason } from LinearService
+   * @returns {string[]} Warnings
+   */
+  static describeTruncation({ issues = [], truncated, reason } = {}) {
+    if (!truncated) return [];
+    const cause = reason === 'max_issues'
+      ? 'the LINEAR_MAX_ISSUES limit was reached'
+      : 'the Linear rate limit was hit';
+    return [
+      `Linear data is incomplete: only the first ${issues.length} issues were analyzed because ${cause}`,
+    ];
+  }
+
+  async testConnection() {
+    const data = await this.service.makeRequest(`
+      query {
+        viewer {
+          id
+          name
+          email
+        }
+      }
+    `);
+    return { user: data.viewer };
+  }
+
+  async fetch(dateRange, scope = {}) {
+    const { roster } = scope;
+    const result = await this.service.fetchIssuesInDateRange(
+      dateRange.start,
+      dateRange.end,
+      roster ? roster.linearEmails() : []
+    );
+    const issues = roster ? roster.filterIssues(result.issues) : result.issues;
+    const warnings = LinearConnector.describeTruncation(result);
+    console.log(`Found ${issues.length} Linear issues`);
+
+    const cycle = await this.analyzeCycle(scope.cycleId);
+    if (cycle) warnings.push(...cycle.warnings);
+
+    return {
+      data: issues,
+      context: { cycle: cycle?.metrics || undefined },
+      warnings,
+      cycle,
+    };
+  }
+
+  analyze(result) {
+    const retroData = this.service.analyzeIssuesForRetro(result.data);
+    if (result.cycle) {
+      // Cycle-level facts lead the Linear insights
+      retroData.wentWell.unshift(...result.cycle.retroData.wentWell);
+      retroData.didntGoWell.unshift(...result.cycle.retroData.didntGoWell);
+      retroData.actionItems.unshift(...result.cycle.retroData.actionItems);
+    }
+    return retroData;
+  }
+
+  /**
+   * Fetch a Linear cycle and all of its issues, and derive cycle-level insights
+   * @param {string} cycleId - Cycle picked for the retro
+   * @returns {Promise<Object|null>} { metrics, retroData, warnings }, or null when no cycle was picked
+   */
+  async analyzeCycle(cycleId) {
+    if (!cycleId) return null;
+
+    try {
+      const cycle = await this.service.getCycle(cycleId);
+      if (!cycle) {
+        return {
+          metrics: null,
+          retroData: emptyRetroData(),
+          warnings: [`Linear cycle ${cycleId} was not found; cycle insights were skipped`],
+        };
+      }
+
+      const result = await this.service.fetchIssuesInCycle(cycleId);
+      const warnings = result.truncated
+        ? [`Linear cycle data is incomplete: only the first ${result.issues.length} issues in the cycle were analyzed`]
+        : [];
+      return {
+        metrics: LinearService.computeCycleMetrics(cycle, result.issues),
+        retroData: this.service.analyzeCycleForRetro(cycle, result.issues),
+        warnings,
+      };
+    } catch (error) {
+      console.warn('Linear cycle analysis failed:', error.message);
+      return {
+        metrics: null,
+        retroData: emptyRetroData(),
+        warnings: [`Linear cycle insights are missing: ${error.message}`],
+      };
+    }
+  }
+}
+
+export default LinearConnector;
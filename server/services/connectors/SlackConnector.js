@@ -0,0 +1,94 @@
+import { ChatConnector } from './ChatConnector.js';
+import SlackService from '../slackService.js';
+
+const SKIP_REASONS = {
+  not_found: 'not found',
+  not_member: 'the bot is not a member',
+  max_channels: 'over the channel limit; select channels or set SLACK_CHANNELS',
+};
+
+/**
+ * Slack connector - conversations (threads folded into their parent) from the selected channels
+ */
+export class SlackConnector extends ChatConnector {
+  static id = 'slack';
+  static label = 'Slack';
+  static configKeys = ['SLACK_BOT_TOKEN', 'SLACK_CHANNELS'];
+  static requiredKeys = ['SLACK_BOT_TOKEN'];
+  static sampleFile = 'slack.messages.sample.large.json';
+  static sampleKey = 'messages';
+  static sampleContext = { channels: ['dev', 'general'] };
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.service = options.slackService || new SlackService(env.SLACK_BOT_TOKEN);
+  }
+
+  /**
+   * Channels for a generation: the request's selection, else SLACK_CHANNELS
+   * @returns {{channels: string[]}} Channel IDs or names; empty means every channel the bot is in
+   */
+  static scopeFromRequest(body = {}, env = process.env) {
+    const fromRequest = SlackService.parseChannelList(
+      Array.isArray(body.channels) ? body.channels : []
+    );
+    return {
+      channels: fromRequest.length > 0
+        ? fromRequest
+        : SlackService.parseChannelList(env.SLACK_CHANNELS),
+    };
+  }
+
+  /**
+   * Turn skipped Slack channels into user-facing warnings
+   * @param {Array} skipped - { channel, reason } from SlackService.fetchTeamChannelMessages
+   * @returns {string[]} Warnings
+   */
+  static describeSkipped(skipped = []) {
+    return skipped.map(
+      ({ channel, reason }) => `Slack channel #${channel} was skipped: ${SKIP_REASONS[reason] || reason}`
+    );
+  }
+
+  async testConnection() {
+    const data = await this.service.makeRequest('auth.test');
+    return { team: data.team, user: data.user };
+  }
+
+  async loadIdentities(identities) {
+    try {
+      await identities.loadSlackUsers(this.service);
+      return [];
+    } catch (error) {
+      console.warn('Slack user directory failed to load:', error.message);
+      return [`Slack users could not be resolved to names: ${error.message}`];
+    }
+  }
+
+  async fetch(dateRange, scope = {}) {
+    const result = await this.service.fetchTeamChannelMessages(
+      dateRange.start,
+      dateRange.end,
+      scope.channels || []
+    );
+
+    // Look up people who posted but were missing from the directory (e.g. guests)
+    if (scope.identities) {
+      try {
+        await scope.identities.loadSlackUsers(this.service, SlackService.userIds(result.messages));
+      } catch (error) {
+        console.warn('Slack user lookup failed:', error.message);
+      }
+    }
+
+    const messages = this.filterConversations(result.messages, scope);
+    console.log(`Found ${messages.length} Slack conversations`);
+    return {
+      data: messages,
+      context: { channels: result.channels },
+      warnings: SlackConnector.describeSkipped(result.skipped),
+    };
+  }
+}
+
+export default SlackConnector;
@@ -0,0 +1,200 @@
+import { BaseConnector } from './BaseConnector.js';
+import { ChatExportConnector } from './ChatExportConnector.js';
+import GitHubService from '../githubService.js';
+import LinearService from '../linearService.js';
+import SlackService from '../slackService.js';
+import DataUploadStore from '../DataUploadStore.js';
+
+/**
+ * Uploaded data connectors - GitHub activity, issues and Slack messages uploaded as
+ * JSON (in the sample-data shapes) or CSV, for teams running without API keys.
+ * There is one connector per kind, each enabled once a file of its kind has been
+ * uploaded, and each runs the same rules as the API-backed connector for that data.
+ */
+export class UploadConnector extends BaseConnector {
+  /** DataUploadParser kind this connector reads: 'github' | 'linear' | 'slack' */
+  static uploadKind = null;
+  static configKeys = ['DATA_UPLOAD_DIR'];
+  static requiredKeys = [];
+  static storedData = true;
+
+  constructor(env = process.env, options = {}) {
+    super(env, options);
+    this.store = options.dataUploadStore || DataUploadStore.fromEnvironment(env);
+  }
+
+  static isConfigured(env = process.env) {
+    return DataUploadStore.fromEnvironment(env).hasImports(DataUploadStore.kindPrefix(this.uploadKind));
+  }
+
+  /**
+   * Uploads for a generation: the request's selection, else every upload when no
+   * live source is configured (see ConnectorRegistry.forScope)
+   * @returns {{uploads: string[]}} Upload ids
+   */
+  static scopeFromRequest(body = {}) {
+    const ids = Array.isArray(body.uploads) ? body.uploads : [];
+    return { uploads: ids.filter(id => typeof id === 'string' && id) };
+  }
+
+  static isSelected(scope = {}) {
+    const prefix = DataUploadStore.kindPrefix(this.uploadKind);
+    return (scope.uploads || []).some(id => id.startsWith(prefix));
+  }
+
+  async testConnection() {
+    const uploads = this._uploadsOfKind(await this.store.list());
+    return {
+      uploads: uploads.length,
+      records: uploads.reduce((sum, upload) => sum + (upload.recordCount || 0), 0),
+    };
+  }
+
+  /**
+   * This connector's uploads for a generation
+   * @param {Object} scope - Merged scope
+   * @returns {Promise<{uploads: Array, warnings: string[]}>}
+   */
+  async loadUploads(scope = {}) {
+    const prefix = DataUploadStore.kindPrefix(this.constructor.uploadKind);
+    const ids = (scope.uploads || []).filter(id => id.startsWith(prefix));
+    // A selection of other kinds only leaves this kind out
+    if ((scope.uploads || []).length > 0 && ids.length === 0) {
+      return { uploads: [], warnings: [] };
+    }
+
+    const uploads = await this.store.getMany(ids, prefix);
+    const warnings = ids
+      .filter(id => !uploads.some(upload => upload.id === id))
+      .map(id => `Upload ${id} was not found`);
+    return { uploads, warnings };
+  }
+
+  /**
+   * Predicate for timestamps inside the retro's date range
+   * @param {{start: string, end: string}} dateRange - ISO timestamps
+   * @returns {Function} (value) => boolean
+   */
+  static withinRange({ start, end }) {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    return (value) => {
+      const time = new Date(value).getTime();
+      return time >= from && time <= to;
+    };
+  }
+
+  /**
+   * Warning for uploads that have nothing in the retro's date range
+   * @returns {string[]}
+   */
+  describeEmptyRange(uploads, count, { start, end }) {
+    if (uploads.length === 0 || count > 0) return [];
+    return [`${this.label} has nothing within ${start.slice(0, 10)} to ${end.slice(0, 10)}`];
+  }
+
+  /**
+   * @private
+   */
+  _uploadsOfKind(uploads) {
+    const prefix = DataUploadStore.kindPrefix(this.constructor.uploadKind);
+    return uploads.filter(upload => upload.id.startsWith(prefix));
+  }
+}
+
+/**
+ * Uploaded GitHub activity: { commits, pullRequests }
+ */
+export class GitHubUploadConnector extends UploadConnector {
+  static id = 'github-upload';
+  static label = 'Uploaded GitHub activity';
+  static kind = 'code';
+  static uploadKind = 'github';
+
+  async fetch(dateRange, scope = {}) {
+    const { uploads, warnings } = await this.loadUploads(scope);
+    const inRange = UploadConnector.withinRange(dateRange);
+
+    let activity = {
+      commits: uploads.flatMap(upload => upload.data.commits).filter(commit => inRange(commit.commit.author.date)),
+      pullRequests: uploads.flatMap(upload => upload.data.pullRequests).filter(pr => inRange(pr.updated_at)),
+    };
+    warnings.push(...this.describeEmptyRange(uploads, activity.commits.length + activity.pullRequests.length, dateRange));
+    if (scope.roster) activity = scope.roster.filterGitHubActivity(activity);
+
+    const { commits, pullRequests } = activity;
+    console.log(`Found ${commits.length} commits and ${pullRequests.length} PRs in ${uploads.length} uploads`);
+    return {
+      data: { commits, pullRequests, reviewMetrics: GitHubService.computeReviewMetrics(pullRequests) },
+      context: {
+        repositories: [...new Set([...commits, ...pullRequests].map(item => item.repo).filter(Boolean))],
+      },
+      warnings,
+    };
+  }
+
+  analyze(result) {
+    const { commits, pullRequests, reviewMetrics } = result.data;
+    return GitHubService.prototype.analyzeActivityForRetro.call(this, commits, pullRequests, reviewMetrics);
+  }
+}
+
+/**
+ * Uploaded issues: Linear-shaped JSON, or CSV exports converted to that shape
+ */
+export class LinearUploadConnector extends UploadConnector {
+  static id = 'linear-upload';
+  static label = 'Uploaded issues';
+  static kind = 'issues';
+  static uploadKind = 'linear';
+
+  async fetch(dateRange, scope = {}) {
+    const { uploads, warnings } = await this.loadUploads(scope);
+    const inRange = UploadConnector.withinRange(dateRange);
+
+    let issues = uploads.flatMap(upload => upload.data).filter(issue => inRange(issue.updatedAt));
+    warnings.push(...this.describeEmptyRange(uploads, issues.length, dateRange));
+    if (scope.roster) issues = scope.roster.filterIssues(issues);
+
+    console.log(`Found ${issues.length} issues in ${uploads.length} uploads`);
+    return { data: issues, context: {}, warnings };
+  }
+
+  analyze(result) {
+    return LinearService.prototype.analyzeIssuesForRetro.call(this, result.data);
+  }
+}
+
+/**
+ * Uploaded Slack messages: conversations.history messages with channel names
+ */
+export class SlackUploadConnector extends UploadConnector {
+  static id = 'slack-upload';
+  static label = 'Uploaded Slack messages';
+  static kind = 'chat';
+  static uploadKind = 'slack';
+
+  async fetch(dateRange, scope = {}) {
+    const { uploads, warnings } = await this.loadUploads(scope);
+    const startSeconds = new Date(dateRange.start).getTime() / 1000;
+    const endSeconds = new Date(dateRange.end).getTime() / 1000;
+
+    let messages = uploads.flatMap(upload =>
+      ChatExportConnector.messagesInRange(upload.data, startSeconds, endSeconds));
+    warnings.push(...this.describeEmptyRange(uploads, messages.length, dateRange));
+    if (scope.roster) messages = scope.roster.filterMessages(messages);
+
+    console.log(`Found ${messages.length} Slack conversations in ${uploads.length} uploads`);
+    return {
+      data: messages,
+      context: { channels: [...new Set(messages.map(message => message.channel).filter(Boolean))] },
+      warnings,
+    };
+  }
+
+  analyze(result) {
+    return SlackService.prototype.analyzeMessagesForRetro.call(this, result.data);
+  }
+}
+
+export default UploadConnector;
@@ -0,0 +1,40 @@
+/**
+ * Data Source Connectors
+ * Registers the built-in connectors. Rule-based insights are listed in registration order.
+ * To add a source, extend BaseConnector (or ChatConnector for chat) and register it here.
+ */
+
+import { ConnectorRegistry } from './ConnectorRegistry.js';
+import { LinearConnector } from './LinearConnector.js';
+import { JiraConnector } from './JiraConnector.js';
+import { SlackConnector } from './SlackConnector.js';
+import { ChatExportConnector } from './ChatExportConnector.js';
+import { GitHubConnector } from './GitHubConnector.js';
+import { GitLabConnector } from './GitLabConnector.js';
+import { GitHubUploadConnector, LinearUploadConnector, SlackUploadConnector } from './UploadConnector.js';
+
+ConnectorRegistry.register('linear', LinearConnector);
+ConnectorRegistry.register('jira', JiraConnector);
+ConnectorRegistry.register('linear-upload', LinearUploadConnector);
+ConnectorRegistry.register('slack', SlackConnector);
+ConnectorRegistry.register('chat-export', ChatExportConnector);
+ConnectorRegistry.register('slack-upload', SlackUploadConnector);
+ConnectorRegistry.register('github', GitHubConnector);
+ConnectorRegistry.register('gitlab', GitLabConnector);
+ConnectorRegistry.register('github-upload', GitHubUploadConnector);
+
+export { BaseConnector } from './BaseConnector.js';
+export { ChatConnector } from './ChatConnector.js';
+export { ConnectorRegistry } from './ConnectorRegistry.js';
+export { LinearConnector } from './LinearConnector.js';
+export { JiraConnector } from './JiraConnector.js';
+export { SlackConnector } from './SlackConnector.js';
+export { ChatExportConnector } from './ChatExportConnector.js';
+export { GitHubConnector } from './GitHubConnector.js';
+export { GitLabConnector } from './GitLabConnector.js';
+export {
+  UploadConnector,
+  GitHubUploadConnector,
+  LinearUploadConnector,
+  SlackUploadConnector,
+} from './UploadConnector.js';
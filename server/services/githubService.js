@@ -1,90 +1,406 @@
 import axios from 'axios';
 
+const FAILED_CHECK_CONCLUSIONS = new Set(['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure']);
+
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / 36e5;
+const round = (value) => Math.round(value * 10) / 10;
+const average = (values) => values.length > 0 ? round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+const formatHours = (hours) => hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)} days`;
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+};
+
 class GitHubService {
-  constructor(token) {
+  constructor(token, options = {}) {
     this.token = token;
     this.baseURL = 'https://api.github.com';
+    this.options = {
+      perPage: options.perPage || 100,
+      maxPages: options.maxPages || 10, // per endpoint, per repo
+      maxRetries: options.maxRetries ?? 3,
+      retryDelay: options.retryDelay || 1000,
+      maxRateLimitWait: options.maxRateLimitWait || 60000, // give up instead of waiting longer than this
+      includePrDetails: options.includePrDetails ?? true,
+      maxPrDetails: options.maxPrDetails ?? 100, // PRs per repo to fetch reviews and checks for
+    };
+    this.sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
   }
 
   async makeRequest(endpoint, params = {}) {
-    try {
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
-        headers: {
-          'Authorization': `token ${this.token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        },
-        params
-      });
+    const response = await this.request(`${this.baseURL}${endpoint}`, params);
+    return response.data;
+  }
 
-      return response.data;
-    } catch (error) {
-      console.error('GitHub API request failed:', error.message);
-      if (error.response?.data) {
-        console.error('GitHub API error details:', error.response.data);
+  /**
+   * Perform a GET request, waiting out rate limits and retrying transient failures
+   * @param {string} url - Absolute URL (pagination links already carry their query)
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(url, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.get(url, {
+          headers: {
+            'Authorization': `token ${this.token}`,
+            'Accept': 'application/vnd.github.v3+json'
+          },
+          params
+        });
+      } catch (error) {
+        const delay = this._getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.options.maxRetries) {
+          console.error('GitHub API request failed:', error.message);
+          if (error.response?.data) {
+            console.error('GitHub API error details:', error.response.data);
+          }
+          throw error;
+        }
+
+        console.warn(`GitHub API request throttled or failed (${error.response?.status || error.code}), retrying in ${delay}ms`);
+        await this.sleep(delay);
       }
-      throw error;
     }
   }
 
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @returns {number|null} Delay in ms, or null if the request should not be retried
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const status = error.response?.status;
+    const headers = error.response?.headers || {};
+    const backoff = this.options.retryDelay * Math.pow(2, attempt);
+
+    const isRateLimited = status === 429 ||
+      (status === 403 && (headers['retry-after'] || headers['x-ratelimit-remaining'] === '0'));
+
+    if (isRateLimited) {
+      let delay = backoff;
+      if (headers['retry-after']) {
+        delay = parseInt(headers['retry-after'], 10) * 1000;
+      } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        delay = parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now();
+      }
+      delay = Math.max(delay, 0);
+      if (delay > this.options.maxRateLimitWait) {
+        error.rateLimited = true;
+        return null;
+      }
+      return delay;
+    }
+
+    // Retry transient server and network errors
+    if ((status && status >= 500) || (!status && error.code)) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Follow `Link: rel="next"` headers until exhausted, stopped or capped
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters for the first page
+   * @param {Function} shouldStop - Called with each page; return true to stop after it
+   * @returns {Promise<{items: Array, truncated: boolean, reason: string|null}>}
+   */
+  async paginate(endpoint, params = {}, shouldStop = () => false) {
+    const items = [];
+    let url = `${this.baseURL}${endpoint}`;
+    let pageParams = { ...params, per_page: this.options.perPage };
+    let pages = 0;
+
+    while (url) {
+      if (pages >= this.options.maxPages) {
+        return { items, truncated: true, reason: 'max_pages' };
+      }
+
+      let response;
+      try {
+        response = await this.request(url, pageParams);
+      } catch (error) {
+        // Keep what we already have if we were cut off by the rate limit mid-way
+        if (error.rateLimited && pages > 0) {
+          return { items, truncated: true, reason: 'rate_limited' };
+        }
+        throw error;
+      }
+
+      const page = Array.isArray(response.data) ? response.data : [];
+      items.push(...page);
+      pages++;
+
+      if (shouldStop(page)) break;
+
+      url = this._getNextLink(response.headers?.link);
+      pageParams = {}; // the next link already carries the query string
+
+      // Out of quota: wait for the reset window before asking for the next page
+      const headers = response.headers || {};
+      if (url && headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        const wait = Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0);
+        if (wait > this.options.maxRateLimitWait) {
+          return { items, truncated: true, reason: 'rate_limited' };
+        }
+        await this.sleep(wait);
+      }
+    }
+
+    return { items, truncated: false, reason: null };
+  }
+
+  /**
+   * Extract the rel="next" URL from a Link header
+   * @private
+   */
+  _getNextLink(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader
+      .split(',')
+      .map(part => part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/))
+      .find(m => m && m[2] === 'next');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parse a repository list into `{ owner, name }` pairs
+   * @param {string|Array} repos - "owner/name,owner/name" (e.g. GITHUB_REPOS), or an array
+   *   of "owner/name" strings or `{ owner, name }` objects
+   * @returns {{repos: Array<{owner: string, name: string}>, rejected: string[]}} Parsed,
+   *   de-duplicated repositories, and the entries that were not exactly "owner/name"
+   */
+  static parseRepoList(repos) {
+    const entries = Array.isArray(repos) ? repos : String(repos || '').split(',');
+    const seen = new Set();
+    const parsed = [];
+    const rejected = [];
+
+    for (const entry of entries) {
+      const parts = entry && typeof entry === 'object'
+        ? [entry.owner, entry.name].map(part => String(part ?? ''))
+        : String(entry ?? '').split('/');
+      const text = parts.map(part => part.trim()).join('/');
+      if (!text) continue;
+
+      const [owner, name] = parts.map(part => part.trim());
+      if (!owner || !name || text.split('/').length !== 2) {
+        rejected.push(text);
+        continue;
+      }
+
+      const key = `${owner}/${name}`.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      parsed.push({ owner, name });
+    }
+
+    return { repos: parsed, rejected };
+  }
+
   async getUserRepos() {
-    const data = await this.makeRequest('/user/repos', {
+    const { items } = await this.paginate('/user/repos', {
       sort: 'updated',
-      per_page: 20,
       affiliation: 'owner,collaborator,organization_member'
     });
-    return data;
+    return items;
   }
 
   async getRepoActivity(owner, repo, startDate, endDate) {
     const since = new Date(startDate).toISOString();
     const until = new Date(endDate).toISOString();
+    const start = new Date(startDate);
+    const end = new Date(endDate);
 
-    // Get commits
-    const commits = await this.makeRequest(`/repos/${owner}/${repo}/commits`, {
+    // Get commits - the API filters these by date for us
+    const commitResult = await this.paginate(`/repos/${owner}/${repo}/commits`, {
       since,
-      until,
-      per_page: 50
+      until
     });
 
-    // Get pull requests - GitHub API doesn't support date filtering for PRs
-    // So we get recent ones and filter, but we should get more to ensure coverage
-    const pullRequests = await this.makeRequest(`/repos/${owner}/${repo}/pulls`, {
+    // GitHub API doesn't support date filtering for PRs, so walk them newest-updated
+    // first and stop once a page reaches PRs last updated before the range
+    const prResult = await this.paginate(`/repos/${owner}/${repo}/pulls`, {
       state: 'all',
-      sort: 'updated', 
-      direction: 'desc',
-      per_page: 50 // Reduced for high-activity teams
-    });
+      sort: 'updated',
+      direction: 'desc'
+    }, (page) => page.length > 0 && new Date(page[page.length - 1].updated_at) < start);
 
-    // Filter PRs by date range
-    const filteredPRs = pullRequests.filter(pr => {
+    const pullRequests = prResult.items.filter(pr => {
       const updatedAt = new Date(pr.updated_at);
-      return updatedAt >= new Date(startDate) && updatedAt <= new Date(endDate);
+      return updatedAt >= start && updatedAt <= end;
     });
 
-    console.log(`GitHub ${owner}/${repo}: ${commits.length} commits, ${filteredPRs.length}/${pullRequests.length} PRs in date range`);
+    const detailsReason = this.options.includePrDetails
+      ? await this.attachPullRequestDetails(owner, repo, pullRequests)
+      : null;
+
+    const truncated = commitResult.truncated || prResult.truncated || Boolean(detailsReason);
+    console.log(`GitHub ${owner}/${repo}: ${commitResult.items.length} commits, ${pullRequests.length}/${prResult.items.length} PRs in date range${truncated ? ' (truncated)' : ''}`);
+
+    return {
+      commits: commitResult.items,
+      pullRequests,
+      truncated,
+      truncation: {
+        commits: commitResult.reason,
+        pullRequests: prResult.reason,
+        prDetails: detailsReason
+      }
+    };
+  }
+
+  /**
+   * Fetch reviews and CI results for each PR and attach them as `reviews` and `checks`.
+   * Requested reviewers already come with the list-pulls payload.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} pullRequests - PRs to enrich in place
+   * @returns {Promise<string|null>} Truncation reason if some PRs were left without details
+   */
+  async attachPullRequestDetails(owner, repo, pullRequests) {
+    const limit = Math.min(pullRequests.length, this.options.maxPrDetails);
+
+    for (let i = 0; i < limit; i++) {
+      const pr = pullRequests[i];
+      try {
+        const reviews = await this.paginate(`/repos/${owner}/${repo}/pulls/${pr.number}/reviews`);
+        pr.reviews = reviews.items.map(review => ({
+          user: review.user?.login,
+          state: review.state,
+          submitted_at: review.submitted_at,
+          commit_id: review.commit_id
+        }));
+        pr.checks = pr.head?.sha ? await this.getCommitChecks(owner, repo, pr.head.sha) : null;
+      } catch (error) {
+        if (error.rateLimited) {
+          return 'rate_limited';
+        }
+        console.warn(`Failed to fetch review details for ${owner}/${repo}#${pr.number}:`, error.message);
+      }
+    }
+
+    return limit < pullRequests.length ? 'max_pr_details' : null;
+  }
+
+  /**
+   * Summarize check runs and commit statuses for a commit
+   * @returns {Promise<{total: number, failed: number, pending: number, state: string|null}>}
+   *   state is 'failure', 'pending', 'success', or null when no CI reported on the commit
+   */
+  async getCommitChecks(owner, repo, sha) {
+    const [checkRuns, status] = await Promise.all([
+      this.makeRequest(`/repos/${owner}/${repo}/commits/${sha}/check-runs`, { per_page: 100 }),
+      this.makeRequest(`/repos/${owner}/${repo}/commits/${sha}/status`)
+    ]);
+
+    const results = [
+      ...(checkRuns?.check_runs || []).map(run =>
+        run.status !== 'completed' ? 'pending' : FAILED_CHECK_CONCLUSIONS.has(run.conclusion) ? 'failure' : 'success'),
+      ...(status?.statuses || []).map(s =>
+        s.state === 'pending' ? 'pending' : (s.state === 'failure' || s.state === 'error') ? 'failure' : 'success')
+    ];
+
+    const failed = results.filter(r => r === 'failure').length;
+    const pending = results.filter(r => r === 'pending').length;
+    let state = null;
+    if (results.length > 0) {
+      state = failed > 0 ? 'failure' : pending > 0 ? 'pending' : 'success';
+    }
+
+    return { total: results.length, failed, pending, state };
+  }
+
+  /**
+   * Compute review and CI metrics for a set of PRs. PRs without fetched details
+   * (no `reviews` array) are left out of the review figures.
+   * @param {Array} pullRequests - PRs, ideally enriched by attachPullRequestDetails
+   * @returns {Object} Review latency, merge time, review rounds and CI failure rate
+   */
+  static computeReviewMetrics(pullRequests = []) {
+    const withDetails = pullRequests.filter(pr => Array.isArray(pr.reviews));
+    const firstReviewHours = [];
+    const mergeHours = [];
+    const rounds = [];
+    let reviewed = 0;
+
+    for (const pr of withDetails) {
+      const author = pr.user?.login;
+      // Ignore the author's own replies and pending (unsubmitted) reviews
+      const reviews = pr.reviews
+        .filter(r => r.submitted_at && r.state !== 'PENDING' && (!author || r.user !== author))
+        .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+
+      if (reviews.length > 0) {
+        reviewed++;
+        firstReviewHours.push(hoursBetween(pr.created_at, reviews[0].submitted_at));
+        // Each distinct head commit that got reviewed is one round of review
+        const reviewedCommits = new Set(reviews.map(r => r.commit_id).filter(Boolean));
+        rounds.push(Math.max(reviewedCommits.size, 1));
+      }
+    }
 
-    return { commits, pullRequests: filteredPRs };
+    for (const pr of pullRequests) {
+      if (pr.merged_at && pr.created_at) {
+        mergeHours.push(hoursBetween(pr.created_at, pr.merged_at));
+      }
+    }
+
+    const withChecks = pullRequests.filter(pr => pr.checks?.state && pr.checks.state !== 'pending');
+    const ciFailures = withChecks.filter(pr => pr.checks.state === 'failure');
+    const awaitingReview = withDetails.filter(pr =>
+      pr.state === 'open' && (pr.requested_reviewers?.length || 0) > 0 && pr.reviews.length === 0);
+
+    return {
+      totalPRs: pullRequests.length,
+      prsWithReviewData: withDetails.length,
+      reviewedPRs: reviewed,
+      reviewRate: withDetails.length > 0 ? round((reviewed / withDetails.length) * 100) : null,
+      avgTimeToFirstReviewHours: average(firstReviewHours),
+      medianTimeToFirstReviewHours: median(firstReviewHours),
+      avgTimeToMergeHours: average(mergeHours),
+      medianTimeToMergeHours: median(mergeHours),
+      avgReviewRounds: average(rounds),
+      prsAwaitingReview: awaitingReview.length,
+      prsWithCI: withChecks.length,
+      ciFailedPRs: ciFailures.length,
+      ciFailureRate: withChecks.length > 0 ? round((ciFailures.length / withChecks.length) * 100) : null
+    };
   }
 
   async getTeamActivity(startDate, endDate, teamRepos = []) {
     let allCommits = [];
     let allPullRequests = [];
+    const truncatedRepos = [];
 
-    // If no specific repos provided, use both Metal repos
-    let repos = teamRepos;
+    const { repos, rejected } = GitHubService.parseRepoList(teamRepos);
+    if (rejected.length > 0) {
+      console.warn(`Skipping GitHub repositories that are not "owner/name": ${rejected.join(', ')}`);
+    }
     if (repos.length === 0) {
-      repos = [
-        { owner: 'getmetal', name: 'metal-backend' },
-        { owner: 'getmetal', name: 'wizard-web' }
-      ];
+      console.warn('No GitHub repositories selected; set GITHUB_REPOS or pick repositories in setup');
+      return {
+        commits: [],
+        pullRequests: [],
+        reviewMetrics: GitHubService.computeReviewMetrics([]),
+        truncated: false,
+        truncatedRepos: []
+      };
     }
 
     console.log(`Fetching GitHub activity from ${repos.length} repositories`);
 
     for (const repo of repos) {
       try {
-        const { commits, pullRequests } = await this.getRepoActivity(repo.owner, repo.name, startDate, endDate);
-        
+        const { commits, pullRequests, truncated, truncation } = await this.getRepoActivity(repo.owner, repo.name, startDate, endDate);
+        if (truncated) {
+          truncatedRepos.push({ repo: `${repo.owner}/${repo.name}`, ...truncation });
+        }
+
         allCommits.push(...commits.map(commit => ({
           ...commit,
           repo: `${repo.owner}/${repo.name}`
@@ -99,10 +415,16 @@ class GitHubService {
       }
     }
 
-    return { commits: allCommits, pullRequests: allPullRequests };
+    return {
+      commits: allCommits,
+      pullRequests: allPullRequests,
+      reviewMetrics: GitHubService.computeReviewMetrics(allPullRequests),
+      truncated: truncatedRepos.length > 0,
+      truncatedRepos
+    };
   }
 
-  analyzeActivityForRetro(commits, pullRequests) {
+  analyzeActivityForRetro(commits, pullRequests, reviewMetrics = GitHubService.computeReviewMetrics(pullRequests)) {
     const wentWell = [];
     const didntGoWell = [];
     const actionItems = [];
@@ -110,7 +432,8 @@ class GitHubService {
     console.log(`GitHub analysis: ${commits.length} commits, ${pullRequests.length} PRs`);
 
     // Analyze commits
-    const uniqueAuthors = new Set(commits.map(c => c.author?.login).filter(Boolean)).size;
+    // Commits not linked to an account are counted by author email
+    const uniqueAuthors = new Set(commits.map(c => c.author?.login || c.commit?.author?.email).filter(Boolean)).size;
     const avgCommitsPerAuthor = commits.length / (uniqueAuthors || 1);
 
     // Analyze commit patterns
@@ -128,8 +451,8 @@ class GitHubService {
     const openPRs = pullRequests.filter(pr => pr.state === 'open');
     const closedPRs = pullRequests.filter(pr => pr.state === 'closed' && !pr.merged_at);
 
-    // PR review analysis
-    const prsWithReviews = pullRequests.filter(pr => pr.comments > 0 || pr.review_comments > 0);
+    // PR review analysis, based on the reviews fetched for each PR
+    const { reviewRate, reviewedPRs, prsWithReviewData } = reviewMetrics;
     const largePRs = pullRequests.filter(pr => pr.additions + pr.deletions > 500);
 
     // Positive insights
@@ -152,16 +475,71 @@ class GitHubService {
     }
 
     // Check for good review practices
-    const reviewRate = (prsWithReviews.length / pullRequests.length) * 100;
-    if (reviewRate > 70 && pullRequests.length > 0) {
+    if (reviewRate !== null && reviewRate > 70) {
       wentWell.push({
         title: `Strong code review culture`,
-        details: `${reviewRate.toFixed(1)}% of PRs had reviews or discussions`,
+        details: `${reviewRate.toFixed(1)}% of PRs were reviewed` +
+          (reviewMetrics.avgReviewRounds ? `, averaging ${reviewMetrics.avgReviewRounds} rounds of review` : ''),
         source: 'github',
-        data: { reviewRate, reviewedPRs: prsWithReviews.length }
+        data: { reviewRate, reviewedPRs, avgReviewRounds: reviewMetrics.avgReviewRounds }
       });
     }
 
+    const firstReview = reviewMetrics.medianTimeToFirstReviewHours;
+    if (firstReview !== null && reviewedPRs >= 3) {
+      if (firstReview <= 4) {
+        wentWell.push({
+          title: 'Fast review turnaround',
+          details: `PRs got a first review in ${formatHours(firstReview)} (median)`,
+          source: 'github',
+          data: { medianTimeToFirstReviewHours: firstReview, reviewedPRs }
+        });
+      } else if (firstReview > 24) {
+        didntGoWell.push({
+          title: 'Slow review turnaround',
+          details: `PRs waited ${formatHours(firstReview)} for a first review (median)`,
+          source: 'github',
+          data: {
+            medianTimeToFirstReviewHours: firstReview,
+            medianTimeToMergeHours: reviewMetrics.medianTimeToMergeHours,
+            prsAwaitingReview: reviewMetrics.prsAwaitingReview
+          }
+        });
+
+        actionItems.push({
+          title: 'Shorten time to first review',
+          priority: 'medium',
+          assignee: 'team',
+          details: 'Agree on a review SLA or set aside daily review time'
+        });
+      }
+    }
+
+    if (reviewMetrics.ciFailureRate !== null && reviewMetrics.prsWithCI >= 3) {
+      if (reviewMetrics.ciFailureRate > 25) {
+        didntGoWell.push({
+          title: `CI failing on ${reviewMetrics.ciFailureRate.toFixed(1)}% of PRs`,
+          details: `${reviewMetrics.ciFailedPRs} of ${reviewMetrics.prsWithCI} PRs have failing checks on their latest commit`,
+          source: 'github',
+          data: { ciFailureRate: reviewMetrics.ciFailureRate, ciFailedPRs: reviewMetrics.ciFailedPRs, prsWithCI: reviewMetrics.prsWithCI }
+        });
+
+        actionItems.push({
+          title: 'Stabilize the CI pipeline',
+          priority: 'high',
+          assignee: 'team',
+          details: 'Investigate flaky or frequently failing checks'
+        });
+      } else if (reviewMetrics.ciFailureRate === 0) {
+        wentWell.push({
+          title: 'CI green across all PRs',
+          details: `All ${reviewMetrics.prsWithCI} PRs with checks are passing`,
+          source: 'github',
+          data: { ciFailureRate: 0, prsWithCI: reviewMetrics.prsWithCI }
+        });
+      }
+    }
+
     // Negative insights
     if (openPRs.length > mergedPRs.length && openPRs.length > 3) {
       didntGoWell.push({
@@ -195,12 +573,12 @@ class GitHubService {
       });
     }
 
-    if (reviewRate < 50 && pullRequests.length > 2) {
+    if (reviewRate !== null && reviewRate < 50 && prsWithReviewData > 2) {
       didntGoWell.push({
         title: `Low code review engagement`,
         details: `Only ${reviewRate.toFixed(1)}% of PRs had reviews`,
         source: 'github',
-        data: { reviewRate, totalPRs: pullRequests.length }
+        data: { reviewRate, totalPRs: prsWithReviewData }
       });
 
       actionItems.push({
@@ -0,0 +1,515 @@
+import axios from 'axios';
+import GitHubService from './githubService.js';
+
+// GitLab pipeline statuses as the check states computeReviewMetrics understands
+const PIPELINE_STATES = {
+  failed: 'failure',
+  canceled: 'failure',
+  success: 'success',
+  created: 'pending',
+  waiting_for_resource: 'pending',
+  preparing: 'pending',
+  pending: 'pending',
+  running: 'pending',
+  scheduled: 'pending',
+};
+
+// System notes GitLab writes for review actions
+const APPROVED_NOTE = /^approved this merge request/i;
+const CHANGES_REQUESTED_NOTE = /^requested changes/i;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * GitLab.com and self-managed GitLab client. Commits and merge requests are mapped
+ * to the commit and pull request shapes GitHubService returns, so review metrics,
+ * rule-based insights, prompts and the timeline treat them like GitHub activity.
+ */
+class GitLabService {
+  /**
+   * @param {string} token - Personal, group or project access token with read_api scope
+   * @param {Object} options - { baseUrl, perPage, maxPages, includeMrDetails, maxMrDetails, ... }
+   */
+  constructor(token, options = {}) {
+    this.token = token;
+    this.baseURL = `${(options.baseUrl || 'https://gitlab.com').replace(/\/+$/, '')}/api/v4`;
+    this.options = {
+      perPage: options.perPage || 100,
+      maxPages: options.maxPages || 10, // per endpoint, per project
+      maxRetries: options.maxRetries ?? 3,
+      retryDelay: options.retryDelay || 1000,
+      maxRateLimitWait: options.maxRateLimitWait || 60000, // give up instead of waiting longer than this
+      includeMrDetails: options.includeMrDetails ?? true,
+      maxMrDetails: options.maxMrDetails ?? 100, // MRs per project to fetch approvals, notes and pipelines for
+    };
+    this.sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  async makeRequest(endpoint, params = {}) {
+    const response = await this.request(`${this.baseURL}${endpoint}`, params);
+    return response.data;
+  }
+
+  /**
+   * Perform a GET request, waiting out rate limits and retrying transient failures
+   * @param {string} url - Absolute URL (pagination links already carry their query)
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(url, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.get(url, {
+          headers: { 'PRIVATE-TOKEN': this.token },
+          params
+        });
+      } catch (error) {
+        const delay = this._getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.options.maxRetries) {
+          throw this._createApiError(error);
+        }
+
+        console.warn(`GitLab API request throttled or failed (${error.response?.status || error.code}), retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Surface GitLab's error message instead of the bare HTTP status
+   * @private
+   */
+  _createApiError(error) {
+    const data = error.response?.data;
+    const message = data?.message || data?.error_description || data?.error;
+    if (!message) return error;
+
+    const apiError = new Error(`GitLab API Error: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+    apiError.status = error.response.status;
+    apiError.rateLimited = error.rateLimited;
+    return apiError;
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @returns {number|null} Delay in ms, or null if the request should not be retried
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const status = error.response?.status;
+    const headers = error.response?.headers || {};
+    const backoff = this.options.retryDelay * Math.pow(2, attempt);
+
+    if (status === 429) {
+      let delay = backoff;
+      if (headers['retry-after']) {
+        delay = parseInt(headers['retry-after'], 10) * 1000;
+      } else if (headers['ratelimit-reset']) {
+        delay = parseInt(headers['ratelimit-reset'], 10) * 1000 - Date.now();
+      }
+      delay = Math.max(delay, 0);
+      if (delay > this.options.maxRateLimitWait) {
+        error.rateLimited = true;
+        return null;
+      }
+      return delay;
+    }
+
+    // Retry transient server and network errors
+    if ((status && status >= 500) || (!status && error.code)) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Follow `Link: rel="next"` headers until exhausted, stopped or capped
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters for the first page
+   * @param {Function} shouldStop - Called with each page; return true to stop after it
+   * @returns {Promise<{items: Array, truncated: boolean, reason: string|null}>}
+   */
+  async paginate(endpoint, params = {}, shouldStop = () => false) {
+    const items = [];
+    let url = `${this.baseURL}${endpoint}`;
+    let pageParams = { ...params, per_page: this.options.perPage };
+    let pages = 0;
+
+    while (url) {
+      if (pages >= this.options.maxPages) {
+        return { items, truncated: true, reason: 'max_pages' };
+      }
+
+      let response;
+      try {
+        response = await this.request(url, pageParams);
+      } catch (error) {
+        // Keep what we already have if we were cut off by the rate limit mid-way
+        if (error.rateLimited && pages > 0) {
+          return { items, truncated: true, reason: 'rate_limited' };
+        }
+        throw error;
+      }
+
+      const page = Array.isArray(response.data) ? response.data : [];
+      items.push(...page);
+      pages++;
+
+      if (shouldStop(page)) break;
+
+      url = GitHubService.prototype._getNextLink(response.headers?.link);
+      pageParams = {}; // the next link already carries the query string
+    }
+
+    return { items, truncated: false, reason: null };
+  }
+
+  /**
+   * Parse a project list into project paths
+   * @param {string|Array} projects - "group/project,group/sub/project" (e.g. GITLAB_PROJECTS),
+   *   or an array of paths or numeric project ids
+   * @returns {string[]} Trimmed, de-duplicated project paths or ids
+   */
+  static parseProjectList(projects) {
+    const entries = Array.isArray(projects) ? projects : String(projects || '').split(',');
+    const seen = new Set();
+    const parsed = [];
+
+    for (const entry of entries) {
+      const project = String(entry ?? '').trim().replace(/^\/+|\/+$/g, '');
+      if (!project) continue;
+      const key = project.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      parsed.push(project);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * API path for a project given its full path or numeric id
+   * @private
+   */
+  _projectPath(project) {
+    return `/projects/${encodeURIComponent(project)}`;
+  }
+
+  async getCurrentUser() {
+    return this.makeRequest('/user');
+  }
+
+  async getUserProjects() {
+    const { items } = await this.paginate('/projects', {
+      membership: true,
+      order_by: 'last_activity_at',
+      simple: true
+    });
+    return items;
+  }
+
+  async getProjectActivity(project, startDate, endDate) {
+    const since = new Date(startDate).toISOString();
+    const until = new Date(endDate).toISOString();
+    const projectPath = this._projectPath(project);
+
+    // Unlike GitHub, GitLab filters all three by date on the server
+    const commitResult = await this.paginate(`${projectPath}/repository/commits`, {
+      since,
+      until,
+      with_stats: true
+    });
+
+    const mrResult = await this.paginate(`${projectPath}/merge_requests`, {
+      state: 'all',
+      scope: 'all',
+      updated_after: since,
+      updated_before: until,
+      order_by: 'updated_at',
+      sort: 'desc'
+    });
+
+    const pipelineResult = await this.paginate(`${projectPath}/pipelines`, {
+      updated_after: since,
+      updated_before: until,
+      order_by: 'updated_at',
+      sort: 'desc'
+    });
+
+    const pullRequests = mrResult.items.map(mr => this.normalizeMergeRequest(mr));
+    const detailsReason = this.options.includeMrDetails
+      ? await this.attachMergeRequestDetails(project, pullRequests)
+      : null;
+
+    const truncated = commitResult.truncated || mrResult.truncated || pipelineResult.truncated || Boolean(detailsReason);
+    console.log(`GitLab ${project}: ${commitResult.items.length} commits, ${pullRequests.length} MRs, ${pipelineResult.items.length} pipelines in date range${truncated ? ' (truncated)' : ''}`);
+
+    return {
+      commits: commitResult.items.map(commit => this.normalizeCommit(commit)),
+      pullRequests,
+      pipelines: pipelineResult.items.map(pipeline => this.normalizePipeline(pipeline)),
+      truncated,
+      truncation: {
+        commits: commitResult.reason,
+        pullRequests: mrResult.reason,
+        pipelines: pipelineResult.reason,
+        prDetails: detailsReason
+      }
+    };
+  }
+
+  /**
+   * Fetch approvals, notes and the latest pipeline for each MR and attach them as
+   * `approvals`, `reviews`, `comments` counts and `checks`
+   * @param {string} project - Project path or id
+   * @param {Array} pullRequests - Normalized MRs to enrich in place
+   * @returns {Promise<string|null>} Truncation reason if some MRs were left without details
+   */
+  async attachMergeRequestDetails(project, pullRequests) {
+    const projectPath = this._projectPath(project);
+    const limit = Math.min(pullRequests.length, this.options.maxMrDetails);
+
+    for (let i = 0; i < limit; i++) {
+      const pr = pullRequests[i];
+      const mrPath = `${projectPath}/merge_requests/${pr.number}`;
+      try {
+        const [approvals, notes, pipelines] = await Promise.all([
+          this.makeRequest(`${mrPath}/approvals`),
+          this.paginate(`${mrPath}/notes`, { sort: 'asc', order_by: 'created_at' }),
+          this.makeRequest(`${mrPath}/pipelines`, { per_page: 1 })
+        ]);
+
+        const userNotes = notes.items.filter(note => !note.system);
+        pr.approvals = {
+          approved: Boolean(approvals?.approved),
+          required: approvals?.approvals_required ?? null,
+          approvedBy: (approvals?.approved_by || []).map(({ user }) => user?.username).filter(Boolean)
+        };
+        pr.reviews = GitLabService.reviewsFromNotes(notes.items, pr.user?.login);
+        pr.comments = userNotes.filter(note => note.type !== 'DiffNote').length;
+        pr.review_comments = userNotes.filter(note => note.type === 'DiffNote').length;
+        pr.checks = GitLabService.pipelineChecks(Array.isArray(pipelines) ? pipelines[0] : null);
+      } catch (error) {
+        if (error.rateLimited) {
+          return 'rate_limited';
+        }
+        console.warn(`Failed to fetch review details for ${project}!${pr.number}:`, error.message);
+      }
+    }
+
+    return limit < pullRequests.length ? 'max_pr_details' : null;
+  }
+
+  /**
+   * Turn MR notes into GitHub-style reviews: approval and "requested changes" system
+   * notes, plus comments from anyone but the author. Diff comments carry the commit
+   * they were left on, so each reviewed commit counts as a round of review.
+   * @param {Array} notes - MR notes, oldest first
+   * @param {string} author - MR author username
+   * @returns {Array<{user, state, submitted_at, commit_id}>}
+   */
+  static reviewsFromNotes(notes = [], author = null) {
+    const reviews = [];
+
+    for (const note of notes) {
+      const user = note.author?.username;
+      if (!user) continue;
+
+      let state = null;
+      if (note.system) {
+        if (APPROVED_NOTE.test(note.body || '')) state = 'APPROVED';
+        else if (CHANGES_REQUESTED_NOTE.test(note.body || '')) state = 'CHANGES_REQUESTED';
+      } else if (user !== author) {
+        state = 'COMMENTED';
+      }
+      if (!state) continue;
+
+      reviews.push({
+        user,
+        state,
+        submitted_at: note.created_at,
+        commit_id: note.position?.head_sha || null
+      });
+    }
+
+    return reviews;
+  }
+
+  /**
+   * Summarize an MR's latest pipeline like GitHubService.getCommitChecks
+   * @param {Object|null} pipeline - Latest MR pipeline
+   * @returns {{total: number, failed: number, pending: number, state: string|null}|null}
+   */
+  static pipelineChecks(pipeline) {
+    if (!pipeline) return null;
+    const state = PIPELINE_STATES[pipeline.status] || null;
+    if (!state) return { total: 0, failed: 0, pending: 0, state: null };
+    return {
+      total: 1,
+      failed: state === 'failure' ? 1 : 0,
+      pending: state === 'pending' ? 1 : 0,
+      state
+    };
+  }
+
+  /**
+   * Map a GitLab commit to GitHub's commit shape. GitLab doesn't link commits to
+   * accounts, so authors are known by name and email only.
+   */
+  normalizeCommit(commit) {
+    return {
+      sha: commit.id,
+      html_url: commit.web_url,
+      author: null,
+      commit: {
+        message: commit.message || commit.title || '',
+        author: {
+          name: commit.author_name,
+          email: commit.author_email,
+          date: commit.authored_date || commit.created_at
+        },
+        committer: {
+          name: commit.committer_name,
+          email: commit.committer_email,
+          date: commit.committed_date
+        }
+      },
+      stats: commit.stats
+        ? { additions: commit.stats.additions, deletions: commit.stats.deletions, total: commit.stats.total }
+        : undefined
+    };
+  }
+
+  /**
+   * Map a GitLab merge request to GitHub's pull request shape
+   */
+  normalizeMergeRequest(mr) {
+    const login = (user) => (user?.username ? { login: user.username } : null);
+    return {
+      id: mr.id,
+      number: mr.iid,
+      title: mr.title,
+      body: mr.description || '',
+      state: mr.state === 'opened' ? 'open' : 'closed',
+      draft: Boolean(mr.draft ?? mr.work_in_progress),
+      html_url: mr.web_url,
+      user: login(mr.author),
+      created_at: mr.created_at,
+      updated_at: mr.updated_at,
+      merged_at: mr.merged_at || null,
+      closed_at: mr.closed_at || mr.merged_at || null,
+      merged_by: login(mr.merge_user || mr.merged_by),
+      requested_reviewers: (mr.reviewers || []).map(login).filter(Boolean),
+      labels: (mr.labels || []).map(name => ({ name })),
+      head: { ref: mr.source_branch, sha: mr.sha },
+      base: { ref: mr.target_branch },
+      comments: mr.user_notes_count || 0,
+      changed_files: parseInt(mr.changes_count, 10) || undefined
+    };
+  }
+
+  normalizePipeline(pipeline) {
+    return {
+      id: pipeline.id,
+      status: pipeline.status,
+      state: PIPELINE_STATES[pipeline.status] || null,
+      ref: pipeline.ref,
+      sha: pipeline.sha,
+      source: pipeline.source,
+      html_url: pipeline.web_url,
+      created_at: pipeline.created_at,
+      updated_at: pipeline.updated_at
+    };
+  }
+
+  /**
+   * Pass rate of finished pipelines
+   * @param {Array} pipelines - Normalized pipelines
+   * @returns {Object} { totalPipelines, finishedPipelines, failedPipelines, pipelineFailureRate }
+   */
+  static computePipelineMetrics(pipelines = []) {
+    const finished = pipelines.filter(p => p.state === 'success' || p.state === 'failure');
+    const failed = finished.filter(p => p.state === 'failure');
+    return {
+      totalPipelines: pipelines.length,
+      finishedPipelines: finished.length,
+      failedPipelines: failed.length,
+      pipelineFailureRate: finished.length > 0 ? round((failed.length / finished.length) * 100) : null
+    };
+  }
+
+  async getTeamActivity(startDate, endDate, teamProjects = []) {
+    const allCommits = [];
+    const allPullRequests = [];
+    const allPipelines = [];
+    const truncatedRepos = [];
+
+    const projects = GitLabService.parseProjectList(teamProjects);
+    if (projects.length === 0) {
+      console.warn('No GitLab projects selected; set GITLAB_PROJECTS');
+    } else {
+      console.log(`Fetching GitLab activity from ${projects.length} projects`);
+    }
+
+    for (const project of projects) {
+      try {
+        const { commits, pullRequests, pipelines, truncated, truncation } = await this.getProjectActivity(project, startDate, endDate);
+        if (truncated) {
+          truncatedRepos.push({ repo: project, ...truncation });
+        }
+
+        allCommits.push(...commits.map(commit => ({ ...commit, repo: project })));
+        allPullRequests.push(...pullRequests.map(pr => ({ ...pr, repo: project })));
+        allPipelines.push(...pipelines.map(pipeline => ({ ...pipeline, repo: project })));
+      } catch (error) {
+        console.warn(`Failed to fetch activity from ${project}:`, error.message);
+      }
+    }
+
+    return {
+      commits: allCommits,
+      pullRequests: allPullRequests,
+      pipelines: allPipelines,
+      reviewMetrics: GitHubService.computeReviewMetrics(allPullRequests),
+      pipelineMetrics: GitLabService.computePipelineMetrics(allPipelines),
+      truncated: truncatedRepos.length > 0,
+      truncatedRepos
+    };
+  }
+
+  /**
+   * Rule-based insights; commits and MRs are in GitHub's shape, so GitHub's rules apply,
+   * plus the pass rate of every pipeline in the range
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  analyzeActivityForRetro(commits, pullRequests, reviewMetrics, pipelines = []) {
+    const retroData = GitHubService.prototype.analyzeActivityForRetro.call(this, commits, pullRequests, reviewMetrics);
+    const relabel = (items) => items.map(item => (item.source === 'github' ? { ...item, source: 'gitlab' } : item));
+    const result = {
+      wentWell: relabel(retroData.wentWell),
+      didntGoWell: relabel(retroData.didntGoWell),
+      actionItems: relabel(retroData.actionItems)
+    };
+
+    const { pipelineFailureRate, finishedPipelines, failedPipelines } = GitLabService.computePipelineMetrics(pipelines);
+    if (pipelineFailureRate !== null && finishedPipelines >= 5 && pipelineFailureRate > 25) {
+      result.didntGoWell.push({
+        title: `${pipelineFailureRate.toFixed(1)}% of pipelines failed`,
+        details: `${failedPipelines} of ${finishedPipelines} finished GitLab pipelines failed`,
+        source: 'gitlab',
+        data: { pipelineFailureRate, failedPipelines, finishedPipelines }
+      });
+      result.actionItems.push({
+        title: 'Investigate failing pipelines',
+        priority: pipelineFailureRate > 50 ? 'high' : 'medium',
+        assignee: 'team',
+        details: 'Look for flaky jobs and recurring failures in the pipeline history'
+      });
+    }
+
+    return result;
+  }
+}
+
+export default GitLabService;
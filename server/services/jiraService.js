@@ -0,0 +1,397 @@
+import axios from 'axios';
+import LinearService from './linearService.js';
+
+const ISSUE_FIELDS = [
+  'summary',
+  'description',
+  'status',
+  'assignee',
+  'created',
+  'updated',
+  'resolutiondate',
+  'resolution',
+  'priority',
+  'labels',
+  'issuetype',
+  'project',
+  'fixVersions',
+  'parent',
+  'comment'
+];
+
+// Jira priority names on the 0-4 scale analyzeIssuesForRetro uses (higher is more urgent)
+export const PRIORITY_SCALE = {
+  urgent: 4,
+  blocker: 4,
+  highest: 4,
+  critical: 4,
+  high: 3,
+  major: 3,
+  medium: 2,
+  low: 1,
+  minor: 1,
+  lowest: 1,
+  trivial: 1
+};
+
+// Resolutions that mean the work was dropped rather than done
+const CANCELED_RESOLUTION = /won'?t (do|fix)|duplicate|cannot reproduce|declined|obsolete|cancel/i;
+
+// Jira status categories as Linear state types
+const CATEGORY_TO_STATE_TYPE = { new: 'unstarted', indeterminate: 'started', done: 'completed' };
+
+/**
+ * Jira timestamps look like 2024-01-05T10:00:00.000+0000; make them plain ISO strings
+ */
+const toISO = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * JQL date literal ("yyyy-MM-dd HH:mm"), in UTC
+ */
+const toJqlDate = (value) => new Date(value).toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Jira Cloud and Jira Server/Data Center client. Issues are mapped to the shape
+ * LinearService returns, so the rest of the pipeline treats them like Linear issues.
+ *
+ * Jira Cloud uses API v3 with basic auth (account email + API token) and the
+ * token-paginated /search/jql endpoint. Jira Server uses API v2 with a personal
+ * access token and startAt pagination.
+ */
+class JiraService {
+  /**
+   * @param {string} baseUrl - Site URL, e.g. https://acme.atlassian.net
+   * @param {string} token - API token (Cloud) or personal access token (Server)
+   * @param {Object} options - { email, deployment: 'cloud'|'server', jql, storyPointsField, ... }
+   */
+  constructor(baseUrl, token, options = {}) {
+    this.baseURL = (baseUrl || '').replace(/\/+$/, '');
+    this.token = token;
+    this.email = options.email || null;
+    this.deployment = options.deployment ||
+      (this.email || /\.atlassian\.net$/i.test(this.baseURL) ? 'cloud' : 'server');
+    this.options = {
+      pageSize: options.pageSize || 50,
+      maxIssues: options.maxIssues || 1000, // hard ceiling across all pages
+      maxRetries: options.maxRetries ?? 3,
+      retryDelay: options.retryDelay || 1000,
+      maxRateLimitWait: options.maxRateLimitWait || 60000, // give up instead of waiting longer than this
+      jql: options.jql || '', // extra filter, e.g. "project = ENG"
+      storyPointsField: options.storyPointsField || null, // e.g. customfield_10016
+    };
+    this.sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  get apiBase() {
+    return `${this.baseURL}/rest/api/${this.deployment === 'cloud' ? 3 : 2}`;
+  }
+
+  /**
+   * GET an API endpoint, waiting out rate limits and retrying transient failures
+   * @param {string} endpoint - Path under /rest/api/{2|3}
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async makeRequest(endpoint, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(`${this.apiBase}${endpoint}`, {
+          headers: this._headers(),
+          params
+        });
+        return response.data;
+      } catch (error) {
+        const delay = this._getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.options.maxRetries) {
+          throw this._createApiError(error);
+        }
+
+        console.warn(`Jira API request ${error.rateLimited ? 'rate limited' : 'failed'}, retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _headers() {
+    const authorization = this.deployment === 'cloud' && this.email
+      ? `Basic ${Buffer.from(`${this.email}:${this.token}`).toString('base64')}`
+      : `Bearer ${this.token}`;
+    return { Authorization: authorization, Accept: 'application/json' };
+  }
+
+  /**
+   * Surface Jira's errorMessages instead of the bare HTTP status
+   * @private
+   */
+  _createApiError(error) {
+    const data = error.response?.data;
+    const messages = [
+      ...(data?.errorMessages || []),
+      ...Object.values(data?.errors || {})
+    ];
+    if (messages.length === 0) return error;
+
+    const apiError = new Error(`Jira API Error: ${messages[0]}`);
+    apiError.status = error.response.status;
+    apiError.rateLimited = error.rateLimited;
+    apiError.jiraErrors = messages;
+    return apiError;
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @returns {number|null} Delay in ms, or null if the request should not be retried
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const status = error.response?.status;
+    const backoff = this.options.retryDelay * Math.pow(2, attempt);
+
+    if (status === 429) {
+      error.rateLimited = true;
+      const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+      const delay = Number.isNaN(retryAfter) ? backoff : retryAfter * 1000;
+      return delay > this.options.maxRateLimitWait ? null : delay;
+    }
+
+    // Retry transient server and network errors
+    if ((status && status >= 500) || (!status && error.code)) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * The user the credentials belong to
+   * @returns {Promise<Object>} Jira user
+   */
+  async getCurrentUser() {
+    return this.makeRequest('/myself');
+  }
+
+  /**
+   * JQL for issues updated in a date range, within the configured filter
+   * @param {string} startDate - Range start
+   * @param {string} endDate - Range end
+   * @returns {string} JQL
+   */
+  buildJql(startDate, endDate) {
+    const clauses = [
+      `updated >= "${toJqlDate(startDate)}"`,
+      `updated <= "${toJqlDate(endDate)}"`
+    ];
+    if (this.options.jql) clauses.unshift(`(${this.options.jql})`);
+    return `${clauses.join(' AND ')} ORDER BY updated DESC`;
+  }
+
+  /**
+   * Page through every issue updated in a date range, with its changelog, up to the configured ceiling
+   * @param {string} startDate - Range start
+   * @param {string} endDate - Range end
+   * @returns {Promise<{issues: Array, truncated: boolean, reason: string|null}>}
+   *   reason is 'max_issues' or 'rate_limited' when not every issue was fetched
+   */
+  async fetchIssuesInDateRange(startDate, endDate) {
+    const jql = this.buildJql(startDate, endDate);
+    console.log(`Jira JQL: ${jql}`);
+    return this.searchIssues(jql);
+  }
+
+  /**
+   * Page through the issues matching a JQL query
+   * @param {string} jql - JQL query
+   * @returns {Promise<{issues: Array, truncated: boolean, reason: string|null}>}
+   */
+  async searchIssues(jql) {
+    const raw = [];
+    const fields = [...ISSUE_FIELDS, this.options.storyPointsField].filter(Boolean).join(',');
+    let nextPageToken = null;
+    let truncated = false;
+    let reason = null;
+
+    while (true) {
+      const maxResults = Math.min(this.options.pageSize, this.options.maxIssues - raw.length);
+      const params = { jql, fields, expand: 'changelog', maxResults };
+      if (this.deployment === 'cloud') {
+        if (nextPageToken) params.nextPageToken = nextPageToken;
+      } else {
+        params.startAt = raw.length;
+      }
+
+      let data;
+      try {
+        data = await this.makeRequest(this.deployment === 'cloud' ? '/search/jql' : '/search', params);
+      } catch (error) {
+        // Keep the pages we already have if the rate limit cut us off mid-way
+        if (error.rateLimited && raw.length > 0) {
+          truncated = true;
+          reason = 'rate_limited';
+          break;
+        }
+        throw error;
+      }
+
+      const page = data.issues || [];
+      raw.push(...page);
+
+      const hasMore = this.deployment === 'cloud'
+        ? Boolean(data.nextPageToken) && !data.isLast
+        : page.length > 0 && (data.startAt || 0) + page.length < (data.total || 0);
+      if (!hasMore) break;
+
+      if (raw.length >= this.options.maxIssues) {
+        truncated = true;
+        reason = 'max_issues';
+        break;
+      }
+      nextPageToken = data.nextPageToken;
+    }
+
+    const statusTypes = JiraService.statusTypes(raw);
+    const issues = raw.map(issue => this.normalizeIssue(issue, statusTypes));
+    console.log(`Jira: Retrieved ${issues.length} issues${truncated ? ` (truncated: ${reason})` : ''}`);
+
+    return { issues, truncated, reason };
+  }
+
+  /**
+   * Map status names to Linear state types using the statuses the fetched issues are in;
+   * changelog entries only carry status names
+   * @param {Array} rawIssues - Issues as returned by Jira
+   * @returns {Map<string, string>} Lowercased status name -> state type
+   */
+  static statusTypes(rawIssues = []) {
+    const types = new Map();
+    for (const issue of rawIssues) {
+      const status = issue.fields?.status;
+      const type = CATEGORY_TO_STATE_TYPE[status?.statusCategory?.key];
+      if (status?.name && type) types.set(status.name.toLowerCase(), type);
+    }
+    return types;
+  }
+
+  /**
+   * Map a Jira issue to the shape LinearService returns
+   * @param {Object} issue - Issue with fields and changelog
+   * @param {Map<string, string>} statusTypes - From statusTypes()
+   * @returns {Object} Linear-shaped issue
+   */
+  normalizeIssue(issue, statusTypes = new Map()) {
+    const fields = issue.fields || {};
+    const typeOf = (name) => (name ? statusTypes.get(name.toLowerCase()) : undefined);
+
+    let stateType = CATEGORY_TO_STATE_TYPE[fields.status?.statusCategory?.key] || typeOf(fields.status?.name);
+    if (stateType === 'completed' && CANCELED_RESOLUTION.test(fields.resolution?.name || '')) {
+      stateType = 'canceled';
+    }
+
+    // Status transitions, oldest first, in Linear's history shape
+    const history = (issue.changelog?.histories || [])
+      .flatMap(entry => (entry.items || [])
+        .filter(item => item.field === 'status')
+        .map(item => ({
+          createdAt: toISO(entry.created),
+          actor: entry.author ? { name: entry.author.displayName } : null,
+          fromState: item.fromString ? { name: item.fromString, type: typeOf(item.fromString) } : null,
+          toState: { name: item.toString, type: typeOf(item.toString) }
+        })))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const lastTransitionTo = (type) => [...history].reverse().find(entry => entry.toState.type === type)?.createdAt;
+    const resolvedAt = toISO(fields.resolutiondate);
+    const estimate = this.options.storyPointsField ? fields[this.options.storyPointsField] : null;
+    const parent = fields.parent;
+    const fixVersion = (fields.fixVersions || [])[0];
+
+    return {
+      id: issue.id,
+      identifier: issue.key,
+      title: fields.summary || '',
+      description: JiraService.toPlainText(fields.description),
+      url: this.baseURL ? `${this.baseURL}/browse/${issue.key}` : undefined,
+      state: { name: fields.status?.name || 'Unknown', type: stateType },
+      assignee: fields.assignee
+        ? {
+          id: fields.assignee.accountId || fields.assignee.key || fields.assignee.name,
+          name: fields.assignee.displayName,
+          email: fields.assignee.emailAddress
+        }
+        : null,
+      createdAt: toISO(fields.created),
+      updatedAt: toISO(fields.updated),
+      startedAt: history.find(entry => entry.toState.type === 'started')?.createdAt || null,
+      completedAt: stateType === 'completed' ? resolvedAt || lastTransitionTo('completed') || null : null,
+      canceledAt: stateType === 'canceled' ? resolvedAt || lastTransitionTo('completed') || null : null,
+      estimate: typeof estimate === 'number' ? estimate : null,
+      priority: PRIORITY_SCALE[fields.priority?.name?.toLowerCase()] ?? 0,
+      priorityLabel: fields.priority?.name || null,
+      // Issue type goes in with the labels so bugs are recognized like Linear "Bug" labels
+      labels: {
+        nodes: [fields.issuetype?.name, ...(fields.labels || [])]
+          .filter(Boolean)
+          .map(name => ({ name, color: null }))
+      },
+      cycle: null,
+      project: parent && parent.fields?.issuetype?.name === 'Epic'
+        ? { id: parent.id, name: parent.fields.summary, targetDate: null }
+        : null,
+      projectMilestone: fixVersion
+        ? { id: fixVersion.id, name: fixVersion.name, targetDate: fixVersion.releaseDate || null }
+        : null,
+      team: fields.project ? { id: fields.project.id, name: fields.project.name } : null,
+      comments: {
+        nodes: (fields.comment?.comments || []).map(comment => ({
+          body: JiraService.toPlainText(comment.body),
+          createdAt: toISO(comment.created),
+          user: { name: comment.author?.displayName }
+        }))
+      },
+      history: { nodes: history }
+    };
+  }
+
+  /**
+   * Flatten an Atlassian Document Format value (API v3) to text; strings pass through
+   * @param {string|Object} value - Description or comment body
+   * @returns {string} Plain text
+   */
+  static toPlainText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+
+    const blocks = new Set(['paragraph', 'heading', 'listItem', 'blockquote', 'codeBlock']);
+    const walk = (node) => {
+      if (node.type === 'text') return node.text || '';
+      if (node.type === 'hardBreak') return '\n';
+      if (node.type === 'mention') return node.attrs?.text || '';
+      const text = (node.content || []).map(walk).join('');
+      return blocks.has(node.type) ? `${text}\n` : text;
+    };
+    return walk(value).trim();
+  }
+
+  /**
+   * Rule-based insights; issues are in Linear's shape, so Linear's rules apply as-is
+   * @param {Array} issues - Normalized issues
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  analyzeIssuesForRetro(issues) {
+    const retroData = LinearService.prototype.analyzeIssuesForRetro.call(this, issues);
+    const relabel = (items) => items.map(item => (item.source === 'linear' ? { ...item, source: 'jira' } : item));
+    return {
+      wentWell: relabel(retroData.wentWell),
+      didntGoWell: relabel(retroData.didntGoWell),
+      actionItems: relabel(retroData.actionItems)
+    };
+  }
+}
+
+export default JiraService;
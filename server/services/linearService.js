@@ -1,12 +1,128 @@
 import axios from "axios";
 
+const ISSUES_QUERY = `
+  query GetIssues($filter: IssueFilter, $first: Int!, $after: String) {
+    issues(filter: $filter, first: $first, after: $after) {
+      nodes {
+        id
+        identifier
+        title
+        description
+        state {
+          name
+          type
+        }
+        assignee {
+          name
+          email
+        }
+        createdAt
+        updatedAt
+        startedAt
+        completedAt
+        canceledAt
+        estimate
+        priority
+        priorityLabel
+        labels(first: 20) {
+          nodes {
+            name
+            color
+          }
+        }
+        cycle {
+          id
+          number
+          name
+          startsAt
+          endsAt
+        }
+        project {
+          id
+          name
+          targetDate
+        }
+        projectMilestone {
+          id
+          name
+          targetDate
+        }
+        team {
+          id
+          name
+        }
+        comments(first: 20) {
+          nodes {
+            body
+            createdAt
+            user {
+              name
+            }
+          }
+        }
+        history(first: 25) {
+          nodes {
+            createdAt
+            actor {
+              name
+            }
+            fromState {
+              name
+              type
+            }
+            toState {
+              name
+              type
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
 class LinearService {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
     this.baseURL = "https://api.linear.app/graphql";
+    this.options = {
+      pageSize: options.pageSize || 50,
+      maxIssues: options.maxIssues || 1000, // hard ceiling across all pages
+      maxRetries: options.maxRetries ?? 3,
+      retryDelay: options.retryDelay || 1000,
+      maxRateLimitWait: options.maxRateLimitWait || 60000, // give up instead of waiting longer than this
+    };
+    this.sleep =
+      options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
   }
 
   async makeRequest(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._post(query, variables);
+      } catch (error) {
+        const delay = this._getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.options.maxRetries) {
+          throw error;
+        }
+
+        console.warn(
+          `Linear API request ${error.rateLimited ? "rate limited" : "failed"}, retrying in ${delay}ms`
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a single GraphQL request
+   * @private
+   */
+  async _post(query, variables) {
     try {
       const response = await axios.post(
         this.baseURL,
@@ -24,78 +140,95 @@ class LinearService {
 
       if (response.data.errors) {
         console.error("Linear API errors:", response.data.errors);
-        throw new Error(`Linear API Error: ${response.data.errors[0].message}`);
+        throw this._createApiError(response.data.errors, response.headers);
       }
 
       return response.data.data;
     } catch (error) {
+      if (error.linearErrors) throw error;
       if (error.response?.data?.errors) {
         console.error("Linear API errors:", error.response.data.errors);
-        throw new Error(
-          `Linear API Error: ${error.response.data.errors[0].message}`
+        const apiError = this._createApiError(
+          error.response.data.errors,
+          error.response.headers
         );
+        apiError.status = error.response.status;
+        throw apiError;
       }
       console.error("Linear API request failed:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Wrap GraphQL errors, flagging Linear's request/complexity rate limits
+   * @private
+   */
+  _createApiError(errors, headers = {}) {
+    const error = new Error(`Linear API Error: ${errors[0].message}`);
+    error.linearErrors = errors;
+    error.rateLimited = errors.some(
+      (e) => e.extensions?.code === "RATELIMITED"
+    );
+    error.headers = headers || {};
+    return error;
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @returns {number|null} Delay in ms, or null if the request should not be retried
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const status = error.status || error.response?.status;
+    const backoff = this.options.retryDelay * Math.pow(2, attempt);
+
+    if (error.rateLimited || status === 429) {
+      // Reset headers are epoch milliseconds; complexity and request limits reset separately
+      const headers = error.headers || error.response?.headers || {};
+      const resets = [
+        headers["x-ratelimit-complexity-reset"],
+        headers["x-ratelimit-requests-reset"],
+      ]
+        .map((value) => parseInt(value, 10))
+        .filter((value) => !Number.isNaN(value));
+      const delay =
+        resets.length > 0 ? Math.max(Math.max(...resets) - Date.now(), 0) : backoff;
+      return delay > this.options.maxRateLimitWait ? null : delay;
+    }
+
+    // GraphQL errors (bad query, auth) won't succeed on retry
+    if (error.linearErrors) return null;
+
+    if ((status && status >= 500) || (!status && error.code)) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch issues updated in a date range
+   * @returns {Promise<Array>} Issues
+   */
   async getIssuesInDateRange(startDate, endDate, teamMembers = []) {
-    const query = `
-      query GetIssues($filter: IssueFilter) {
-        issues(filter: $filter, first: 25) {
-          nodes {
-            id
-            title
-            description
-            state {
-              name
-              type
-            }
-            assignee {
-              name
-              email
-            }
-            createdAt
-            updatedAt
-            completedAt
-            estimate
-            priority
-            priorityLabel
-            labels {
-              nodes {
-                name
-                color
-              }
-            }
-            project {
-              id
-              name
-              targetDate
-            }
-            projectMilestone {
-              id
-              name
-              targetDate
-            }
-            team {
-              id
-              name
-            }
-            comments {
-              nodes {
-                body
-                createdAt
-                user {
-                  name
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
+    const { issues } = await this.fetchIssuesInDateRange(
+      startDate,
+      endDate,
+      teamMembers
+    );
+    return issues;
+  }
 
+  /**
+   * Page through every issue updated in a date range, up to the configured ceiling
+   * @param {string} startDate - Range start
+   * @param {string} endDate - Range end
+   * @param {Array<string>} teamMembers - Assignee emails to filter on
+   * @returns {Promise<{issues: Array, truncated: boolean, reason: string|null}>}
+   *   reason is 'max_issues' or 'rate_limited' when not every issue was fetched
+   */
+  async fetchIssuesInDateRange(startDate, endDate, teamMembers = []) {
     const filter = {
       updatedAt: {
         gte: startDate,
@@ -111,16 +244,277 @@ class LinearService {
     }
 
     console.log(`Linear filter: ${JSON.stringify(filter)}`);
-    const data = await this.makeRequest(query, { filter });
-    console.log(`Linear: Retrieved ${data.issues.nodes.length} issues`);
-    
+    const result = await this._fetchIssues(filter);
+
     // Debug: Check date range of retrieved issues
-    if (data.issues.nodes.length > 0) {
-      const dates = data.issues.nodes.map(issue => issue.updatedAt).sort();
+    if (result.issues.length > 0) {
+      const dates = result.issues.map((issue) => issue.updatedAt).sort();
       console.log(`Linear date range: ${dates[0]} to ${dates[dates.length - 1]}`);
     }
-    
-    return data.issues.nodes;
+
+    return result;
+  }
+
+  /**
+   * Page through every issue in a cycle, including ones nobody touched during it
+   * @param {string} cycleId - Linear cycle id
+   * @returns {Promise<{issues: Array, truncated: boolean, reason: string|null}>}
+   */
+  async fetchIssuesInCycle(cycleId) {
+    return this._fetchIssues({ cycle: { id: { eq: cycleId } } });
+  }
+
+  /**
+   * Page through issues matching a filter, up to the configured ceiling
+   * @private
+   */
+  async _fetchIssues(filter) {
+    const issues = [];
+    let after = null;
+    let truncated = false;
+    let reason = null;
+
+    while (true) {
+      const first = Math.min(
+        this.options.pageSize,
+        this.options.maxIssues - issues.length
+      );
+
+      let data;
+      try {
+        data = await this.makeRequest(ISSUES_QUERY, { filter, first, after });
+      } catch (error) {
+        // Keep the pages we already have if the rate limit cut us off mid-way
+        if (error.rateLimited && issues.length > 0) {
+          truncated = true;
+          reason = "rate_limited";
+          break;
+        }
+        throw error;
+      }
+
+      issues.push(...data.issues.nodes.map((issue) => this._normalizeIssue(issue)));
+      const { hasNextPage, endCursor } = data.issues.pageInfo || {};
+      if (!hasNextPage || !endCursor) break;
+
+      if (issues.length >= this.options.maxIssues) {
+        truncated = true;
+        reason = "max_issues";
+        break;
+      }
+      after = endCursor;
+    }
+
+    console.log(
+      `Linear: Retrieved ${issues.length} issues${truncated ? ` (truncated: ${reason})` : ""}`
+    );
+
+    return { issues, truncated, reason };
+  }
+
+  /**
+   * List cycles that have already started, most recent first
+   * @param {Object} options - Optional `teamId` filter and `limit`
+   * @returns {Promise<Array>} Cycles with id, number, name, bounds, progress and team
+   */
+  async getCycles({ teamId, limit = 12 } = {}) {
+    const query = `
+      query GetCycles($filter: CycleFilter, $first: Int!) {
+        cycles(filter: $filter, first: $first, orderBy: createdAt) {
+          nodes {
+            id
+            number
+            name
+            startsAt
+            endsAt
+            completedAt
+            progress
+            team {
+              id
+              name
+              key
+            }
+          }
+        }
+      }
+    `;
+
+    const filter = { startsAt: { lte: new Date().toISOString() } };
+    if (teamId) {
+      filter.team = { id: { eq: teamId } };
+    }
+
+    // Fetch a little more than asked since ordering is by creation, not start date
+    const data = await this.makeRequest(query, { filter, first: limit * 2 });
+    return data.cycles.nodes
+      .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a single cycle with its daily scope history
+   * @param {string} cycleId - Linear cycle id
+   * @returns {Promise<Object|null>} Cycle or null if not found
+   */
+  async getCycle(cycleId) {
+    const query = `
+      query GetCycle($id: String!) {
+        cycle(id: $id) {
+          id
+          number
+          name
+          startsAt
+          endsAt
+          completedAt
+          progress
+          issueCountHistory
+          completedIssueCountHistory
+          team {
+            id
+            name
+            key
+          }
+        }
+      }
+    `;
+
+    const data = await this.makeRequest(query, { id: cycleId });
+    return data.cycle || null;
+  }
+
+  /**
+   * Compute cycle-level facts from a cycle and the issues in it
+   * @param {Object} cycle - Cycle from getCycle
+   * @param {Array} issues - Issues in the cycle (fetchIssuesInCycle)
+   * @returns {Object} Completion, scope change and carry-over figures
+   */
+  static computeCycleMetrics(cycle, issues = []) {
+    const isCompleted = (issue) => issue.state?.type === "completed" || Boolean(issue.completedAt);
+    const isCanceled = (issue) => issue.state?.type === "canceled" || Boolean(issue.canceledAt);
+
+    const active = issues.filter((issue) => !isCanceled(issue));
+    const completed = active.filter(isCompleted);
+    const incomplete = active.filter((issue) => !isCompleted(issue));
+    const ended = Boolean(cycle.completedAt) || new Date(cycle.endsAt) < new Date();
+
+    // Prefer Linear's daily issue counts; fall back to issues created after the cycle began
+    const history = Array.isArray(cycle.issueCountHistory) ? cycle.issueCountHistory : [];
+    const startingScope = history.length > 0 ? history[0] : null;
+    const scopeAdded = history.length > 1
+      ? Math.max(0, history[history.length - 1] - history[0])
+      : issues.filter((issue) => new Date(issue.createdAt) > new Date(cycle.startsAt)).length;
+
+    return {
+      cycleNumber: cycle.number,
+      cycleName: cycle.name || `Cycle ${cycle.number}`,
+      startsAt: cycle.startsAt,
+      endsAt: cycle.endsAt,
+      ended,
+      totalIssues: active.length,
+      completedIssues: completed.length,
+      canceledIssues: issues.length - active.length,
+      completionRate: active.length > 0 ? Math.round((completed.length / active.length) * 1000) / 10 : null,
+      startingScope,
+      scopeAdded,
+      carryOver: ended ? incomplete.length : null,
+      carryOverIssues: ended ? incomplete.map((issue) => issue.identifier || issue.title) : [],
+      remainingIssues: incomplete.length,
+    };
+  }
+
+  /**
+   * Rule-based insights about a cycle as a whole
+   * @param {Object} cycle - Cycle from getCycle
+   * @param {Array} issues - Issues in the cycle
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  analyzeCycleForRetro(cycle, issues) {
+    const wentWell = [];
+    const didntGoWell = [];
+    const actionItems = [];
+    const metrics = LinearService.computeCycleMetrics(cycle, issues);
+    const label = metrics.cycleName;
+
+    if (metrics.completionRate !== null) {
+      const completion = {
+        title: `${label}: ${metrics.completionRate}% of issues completed`,
+        details: `${metrics.completedIssues}/${metrics.totalIssues} issues done${
+          metrics.ended ? "" : " so far (cycle still in progress)"
+        }`,
+        source: "linear",
+        data: metrics,
+      };
+      if (metrics.completionRate >= 80) {
+        wentWell.push(completion);
+      } else if (metrics.ended && metrics.completionRate < 60) {
+        didntGoWell.push(completion);
+      }
+    }
+
+    // Scope growth of more than a fifth of the starting scope is worth discussing
+    const baseline = metrics.startingScope || metrics.totalIssues - metrics.scopeAdded;
+    if (metrics.scopeAdded > 0 && metrics.scopeAdded >= Math.max(2, baseline * 0.2)) {
+      didntGoWell.push({
+        title: `${metrics.scopeAdded} issues added to ${label} after it started`,
+        details: `Scope grew mid-cycle${
+          baseline > 0 ? ` from ${baseline} to ${baseline + metrics.scopeAdded} issues` : ""
+        }`,
+        source: "linear",
+        data: { scopeAdded: metrics.scopeAdded, startingScope: baseline },
+      });
+
+      actionItems.push({
+        title: "Protect cycle scope after planning",
+        priority: "medium",
+        assignee: "team",
+        details: "Route new requests to the next cycle unless they are urgent",
+      });
+    }
+
+    if (metrics.carryOver > 0) {
+      didntGoWell.push({
+        title: `${metrics.carryOver} issues carried over from ${label}`,
+        details: `Unfinished: ${metrics.carryOverIssues.slice(0, 5).join(", ")}${
+          metrics.carryOverIssues.length > 5 ? "..." : ""
+        }`,
+        source: "linear",
+        data: { carryOver: metrics.carryOver, issues: metrics.carryOverIssues },
+      });
+
+      if (metrics.carryOver >= Math.max(3, metrics.totalIssues * 0.25)) {
+        actionItems.push({
+          title: "Plan the next cycle with less committed scope",
+          priority: "high",
+          assignee: "team",
+          details: `${metrics.carryOver} of ${metrics.totalIssues} issues did not finish in ${label}`,
+        });
+      }
+    } else if (metrics.carryOver === 0 && metrics.totalIssues > 0) {
+      wentWell.push({
+        title: `Nothing carried over from ${label}`,
+        details: `All ${metrics.totalIssues} planned issues were finished or descoped`,
+        source: "linear",
+        data: { carryOver: 0, totalIssues: metrics.totalIssues },
+      });
+    }
+
+    return { wentWell, didntGoWell, actionItems };
+  }
+
+  /**
+   * Keep only state transitions in an issue's history, oldest first
+   * @private
+   */
+  _normalizeIssue(issue) {
+    if (!issue.history?.nodes) return issue;
+    return {
+      ...issue,
+      history: {
+        nodes: issue.history.nodes
+          .filter((entry) => entry.toState)
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+      },
+    };
   }
 
   analyzeIssuesForRetro(issues) {
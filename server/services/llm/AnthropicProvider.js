@@ -1,6 +1,10 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { BaseLLMProvider } from './BaseLLMProvider.js';
 import { PromptBuilder } from './PromptBuilder.js';
+import { RetroSchema } from './RetroSchema.js';
+
+// Tool the model is made to call, whose input is the retro output
+const RETRO_TOOL_NAME = 'record_retro_insights';
 
 /**
  * Anthropic LLM Provider
@@ -20,7 +24,8 @@ export class AnthropicProvider extends BaseLLMProvider {
     this.promptBuilder = new PromptBuilder({
       maxTokens: this.config.maxTokens || 4000,
       systemPromptTokens: 800,
-      reserveTokens: 200
+      reserveTokens: 200,
+      insightLimits: this.insightLimits()
     });
   }
 
@@ -92,15 +97,22 @@ export class AnthropicProvider extends BaseLLMProvider {
       const estimatedInputTokens = this.estimateTokenCount(prompt.system + prompt.user);
       requestId = this.startPerformanceTracking(estimatedInputTokens);
       
-      // Make request with retry logic
-      const response = await this._makeRequestWithRetry(prompt);
+      // Make request with retry logic, re-prompting once if the output breaks the schema
+      const { response, repairs, problems } = await this.repairToSchema(
+        await this._makeRequestWithRetry(prompt),
+        {
+          extract: (reply) => this._responseOutput(reply),
+          reprompt: (instructions) => this._makeRequestWithRetry({ ...prompt, user: `${prompt.user}\n\n${instructions}` })
+        }
+      );
       
       // Complete performance tracking with success
       const outputTokens = response.usage?.output_tokens || 0;
       this.completePerformanceTracking(requestId, outputTokens, 'success');
       
       // Parse and validate response
-      return this._parseResponse(response, prompt);
+      const insights = this._parseResponse(response, prompt);
+      return this.finalizeInsights(insights, { repairs, problems });
       
     } catch (error) {
       // Complete performance tracking with error
@@ -128,16 +140,29 @@ export class AnthropicProvider extends BaseLLMProvider {
           { role: 'user', content: this._formatPromptForAnthropic(prompt) }
         ];
 
-        const response = await this.client.messages.create({
+        const request = {
           model: this.config.model || 'claude-3-sonnet-20240229',
           max_tokens: this.config.maxTokens || 4000,
           temperature: this.config.temperature || 0.7,
           messages: messages,
           system: prompt.system || undefined
-        });
+        };
+
+        // Claude 3 models return structured output by calling a tool whose input schema is the retro schema
+        if (this._supportsToolUse()) {
+          request.tools = [{
+            name: RETRO_TOOL_NAME,
+            description: 'Record the retrospective insights found in the team data',
+            input_schema: this.outputSchema()
+          }];
+          request.tool_choice = { type: 'tool', name: RETRO_TOOL_NAME };
+        }
+
+        const response = await this.client.messages.create(...this.requestArgs(request));
 
         return response;
       } catch (error) {
+        this.throwIfAborted();
         lastError = error;
         
         if (this._isRateLimitError(error)) {
@@ -162,6 +187,25 @@ export class AnthropicProvider extends BaseLLMProvider {
     throw lastError;
   }
 
+  /**
+   * Whether the configured model supports tool use
+   * @private
+   */
+  _supportsToolUse() {
+    return (this.config.model || 'claude-3-sonnet-20240229').startsWith('claude-3');
+  }
+
+  /**
+   * Gets the model output from a response: the retro tool's input when the
+   * model called it, otherwise the text it returned
+   * @private
+   */
+  _responseOutput(response) {
+    const blocks = Array.isArray(response?.content) ? response.content : [];
+    const toolUse = blocks.find(block => block?.type === 'tool_use' && block.name === RETRO_TOOL_NAME);
+    return toolUse?.input ?? blocks.find(block => typeof block?.text === 'string')?.text ?? null;
+  }
+
   /**
    * Formats prompt for Anthropic's message format
    * @private
@@ -188,20 +232,18 @@ export class AnthropicProvider extends BaseLLMProvider {
       throw new Error('Invalid response from Anthropic');
     }
 
-    const content = response.content[0]?.text;
-    if (!content) {
+    const output = this._responseOutput(response);
+    if (!output) {
       throw new Error('Empty response from Anthropic');
     }
+    const content = typeof output === 'string' ? output : JSON.stringify(output);
 
     try {
-      // Try to extract JSON from the response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      const jsonContent = jsonMatch ? jsonMatch[0] : content;
-      
-      const parsed = JSON.parse(jsonContent);
+      // Tool input is already parsed; text may wrap the JSON in prose
+      const parsed = typeof output === 'string' ? RetroSchema.extractJson(output) : output;
       
       // Validate structure - if missing sections, throw to trigger fallback
-      if (!parsed.wentWell || !parsed.didntGoWell || !parsed.actionItems) {
+      if (!parsed?.wentWell || !parsed?.didntGoWell || !parsed?.actionItems) {
         throw new Error('Response missing required sections');
       }
 
@@ -2,6 +2,13 @@
  * Base LLM Provider Interface
  * Defines common interface for all LLM providers to ensure consistent behavior
  */
+
+import { RetroSchema, RETRO_SECTIONS } from './RetroSchema.js';
+
+// Sections of a chunk summary's provisional findings, and how many each may have
+export const CHUNK_FINDING_SECTIONS = ['wentWell', 'didntGoWell', 'actionItems'];
+const MAX_CHUNK_FINDINGS = 2;
+
 export class BaseLLMProvider {
   constructor(config, performanceMonitor = null) {
     this.config = config;
@@ -32,6 +39,127 @@ export class BaseLLMProvider {
     throw new Error('generateInsights method must be implemented by provider');
   }
 
+  /**
+   * Sets the signal that cancels in-flight requests, or clears it
+   * @param {AbortSignal|null} signal - Signal from the job running the analysis
+   */
+  setAbortSignal(signal) {
+    this.abortSignal = signal || null;
+  }
+
+  /**
+   * Arguments for an SDK call: the request body, plus the abort signal when one is set
+   * @param {Object} body - Request body
+   * @returns {Array} Arguments to spread into the SDK method
+   */
+  requestArgs(body) {
+    return this.abortSignal ? [body, { signal: this.abortSignal }] : [body];
+  }
+
+  /**
+   * Throws a CANCELLED error if the abort signal has fired
+   * @throws {Error} If the request was cancelled
+   */
+  throwIfAborted() {
+    if (this.abortSignal?.aborted) {
+      const error = new Error('Request was cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * Min and max insights per section, shared by every provider
+   * @returns {{min: number, max: number}} Limits from minInsightsPerSection / maxInsightsPerSection
+   */
+  insightLimits() {
+    return RetroSchema.limitsFromConfig(this.config);
+  }
+
+  /**
+   * Schema to request through the provider's structured-output feature. It
+   * caps each section at the maximum; the minimum is only asked for in the
+   * prompt and checked afterwards, so constrained decoding never has to
+   * invent insights to reach it.
+   * @returns {Object} JSON Schema
+   */
+  outputSchema() {
+    return RetroSchema.forLimits(this.insightLimits(), { includeMinimum: false });
+  }
+
+  /**
+   * Checks a retro response against the canonical schema and the insight
+   * limits and, while it does not match, re-prompts the model with the
+   * problems found, which also re-queries sections with too few insights.
+   * The response with the fewest problems is kept, so a failed or worse
+   * repair never loses a usable answer.
+   * @param {*} response - Provider response to check
+   * @param {Object} handlers - Provider-specific hooks
+   * @param {Function} handlers.extract - Gets the model output (text, or parsed tool input) from a response
+   * @param {Function} handlers.reprompt - async (instructions) => response to the prompt with repair instructions appended
+   * @param {number} handlers.maxRepairs - Repair prompts allowed; defaults to config.schemaRepairAttempts, or 1
+   * @returns {Promise<{response: *, repairs: number, problems: Array}>} Best response, repair prompts sent, and its remaining problems
+   */
+  async repairToSchema(response, { extract, reprompt, maxRepairs = this.config.schemaRepairAttempts ?? 1 }) {
+    const schema = RetroSchema.forLimits(this.insightLimits());
+    // A reply with no JSON at all ranks below any parseable one
+    const assess = (reply) => {
+      const output = extract(reply);
+      const { value, problems } = RetroSchema.check(output, schema);
+      return { response: reply, output, problems, score: value === null ? Infinity : problems.length };
+    };
+    let best = assess(response);
+    let repairs = 0;
+
+    while (best.problems.length > 0 && repairs < maxRepairs) {
+      repairs++;
+      console.warn(`${this.getProviderName()} response does not match the retro schema (${best.problems.length} problems), requesting a repair`);
+      try {
+        const instructions = RetroSchema.repairInstructions(best.output, best.problems, this.outputSchema());
+        const repaired = assess(await reprompt(instructions));
+        if (repaired.score <= best.score) {
+          best = repaired;
+        }
+      } catch (error) {
+        this.throwIfAborted();
+        console.warn(`${this.getProviderName()} repair request failed, keeping the previous response:`, error.message);
+        break;
+      }
+    }
+
+    return { response: best.response, repairs, problems: best.problems };
+  }
+
+  /**
+   * Applies the insight limits to parsed insights and records how the
+   * response fared: sections over the maximum are cut to it, and sections
+   * under the minimum are reported in metadata.insightShortfall rather
+   * than padded
+   * @param {Object} insights - Parsed { wentWell, didntGoWell, actionItems, metadata }
+   * @param {Object} repair - Result of repairToSchema
+   * @returns {Object} The insights, with schemaRepairs, schemaValid and any insightShortfall in metadata
+   */
+  finalizeInsights(insights, { repairs = 0, problems = [] } = {}) {
+    const { min, max } = this.insightLimits();
+    const insightShortfall = {};
+
+    RETRO_SECTIONS.forEach(section => {
+      const items = Array.isArray(insights[section]) ? insights[section].slice(0, max) : [];
+      if (!insights.metadata?.parseError && items.length < min) {
+        insightShortfall[section] = { found: items.length, minimum: min };
+      }
+      insights[section] = items;
+    });
+
+    insights.metadata = {
+      ...insights.metadata,
+      schemaRepairs: repairs,
+      schemaValid: problems.length === 0,
+      ...(Object.keys(insightShortfall).length > 0 ? { insightShortfall } : {})
+    };
+    return insights;
+  }
+
   /**
    * Starts performance monitoring for a request
    * @param {number} inputTokens - Estimated input tokens
@@ -136,6 +264,45 @@ export class BaseLLMProvider {
     return str;
   }
 
+  /**
+   * Parses a chunk summary response: JSON { summary, findings }, or plain text
+   * taken as the summary
+   * @param {string} text - Model output, possibly in code fences
+   * @param {Object} context - Chunk context with source and part
+   * @returns {Object} { summary, findings, source, part }; findings has up to
+   *   two { title, details } per section, empty when the model gave none
+   */
+  parseChunkSummary(text, context = {}) {
+    const cleaned = String(text || '').trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/```\s*$/, '')
+      .trim();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(cleaned);
+    } catch (_) {
+      // Plain text summary
+    }
+
+    const findings = Object.fromEntries(CHUNK_FINDING_SECTIONS.map(section => {
+      const items = Array.isArray(parsed?.findings?.[section]) ? parsed.findings[section] : [];
+      return [section, items
+        .filter(item => typeof item?.title === 'string' && item.title.trim())
+        .slice(0, MAX_CHUNK_FINDINGS)
+        .map(item => ({
+          title: item.title.trim().slice(0, 200),
+          details: typeof item.details === 'string' ? item.details.trim().slice(0, 1000) : ''
+        }))];
+    }));
+
+    return {
+      summary: (parsed?.summary ? String(parsed.summary) : cleaned).slice(0, 4000),
+      findings,
+      source: context?.source,
+      part: context?.part
+    };
+  }
+
   /**
    * Gets the provider name
    * @returns {string} Provider name
@@ -425,6 +425,24 @@ export class LLMErrorHandler {
     return fallbackTypes.includes(error.type);
   }
 
+  /**
+   * Check if error should move the request to the next provider in the fallback chain
+   * @param {LLMError} error - LLM error object
+   * @returns {boolean} Whether another provider may succeed
+   */
+  static shouldTryNextProvider(error) {
+    const providerFailureTypes = [
+      this.ERROR_TYPES.RATE_LIMIT,
+      this.ERROR_TYPES.QUOTA_EXCEEDED,
+      this.ERROR_TYPES.TIMEOUT,
+      this.ERROR_TYPES.NETWORK_ERROR,
+      this.ERROR_TYPES.CONNECTION_FAILED,
+      this.ERROR_TYPES.TEMPORARY_UNAVAILABLE
+    ];
+
+    return providerFailureTypes.includes(error.type);
+  }
+
   /**
    * Get retry strategy for error
    * @param {LLMError} error - LLM error object
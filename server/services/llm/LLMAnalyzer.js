@@ -6,17 +6,26 @@
  */
 
 import { LLMServiceFactory } from './LLMServiceFactory.js';
-import { PromptBuilder } from './PromptBuilder.js';
+import { PromptBuilder, PROMPT_TEMPLATE_VERSION } from './PromptBuilder.js';
 import ResponseParser from './ResponseParser.js';
+import { RetroSchema } from './RetroSchema.js';
+import { ResponseCache } from './ResponseCache.js';
 import DataSanitizer from '../DataSanitizer.js';
+import SlackService from '../slackService.js';
 import PerformanceMonitor from './PerformanceMonitor.js';
 import PerformanceOptimizer from './PerformanceOptimizer.js';
 import { LLMErrorHandler, LLMError } from './ErrorHandler.js';
 import { ProgressTracker, DEFAULT_LLM_STEPS } from './ProgressTracker.js';
 import { TemporalDataProcessor } from './TemporalDataProcessor.js';
+import { CHUNK_FINDING_SECTIONS } from './BaseLLMProvider.js';
 
 export class LLMAnalyzer {
-  constructor(config = {}) {
+  /**
+   * @param {Object} config - LLM configuration
+   * @param {Object} options
+   * @param {ResponseCache} options.responseCache - Shared cache of analysis results; none when omitted
+   */
+  constructor(config = {}, { responseCache = null } = {}) {
     this.config = {
       timeout: config.timeout || 30000,
       retryAttempts: config.retryAttempts || 3,
@@ -28,6 +37,11 @@ export class LLMAnalyzer {
     };
 
     this.provider = null;
+    this.fallbackProviders = [];
+    this.activeProviderIndex = 0;
+    this.providerFallbacks = [];
+    this.responseCache = responseCache;
+    this.forceRefresh = false;
     this.promptBuilder = null;
     this.dataSanitizer = null;
     
@@ -57,6 +71,7 @@ export class LLMAnalyzer {
     try {
       // Create LLM provider with performance monitor
       this.provider = LLMServiceFactory.createProvider(this.config, this.performanceMonitor);
+      this.fallbackProviders = this._createFallbackProviders();
       
       // Create prompt builder with explicit provider/model so logs and limits match actual usage
       this.promptBuilder = new PromptBuilder({
@@ -67,26 +82,54 @@ export class LLMAnalyzer {
         reserveTokens: 200,
         safetyMargin: this.config.inputMargin, // user-data safety
         totalHeadroom: this.config.totalHeadroom, // final total headroom
-        targetUtilization: this.config.targetUtilization // aim under data budget
+        targetUtilization: this.config.targetUtilization, // aim under data budget
+        insightLimits: RetroSchema.limitsFromConfig(this.config)
       });
       
       // Create data sanitizer for privacy protection
       this.dataSanitizer = new DataSanitizer(this.config.privacyLevel);
       
-      console.log(`LLMAnalyzer initialized with ${this.config.provider} provider`);
+      const fallbackNames = this.fallbackProviders.map(fallback => fallback.name);
+      console.log(`LLMAnalyzer initialized with ${[this.config.provider, ...fallbackNames].join(' -> ')} provider${fallbackNames.length ? 's' : ''}`);
     } catch (error) {
       console.error('Failed to initialize LLM components:', error.message);
       this.config.enabled = false;
     }
   }
 
+  /**
+   * Create the providers to fall back to, in order, from config.fallbackProviders.
+   * Each inherits the primary's timeouts and limits; one that cannot be created
+   * is left out of the chain.
+   * @private
+   */
+  _createFallbackProviders() {
+    const { provider, apiKey, model, fallbackProviders = [], ...rest } = this.config;
+    if (fallbackProviders.length === 0) return [];
+    const shared = Object.fromEntries(
+      Object.entries(rest).filter(([key]) => !LLMServiceFactory.connectionSettings.includes(key))
+    );
+    return fallbackProviders.flatMap(fallbackConfig => {
+      try {
+        return [{
+          name: fallbackConfig.provider,
+          provider: LLMServiceFactory.createProvider({ ...shared, ...fallbackConfig }, this.performanceMonitor)
+        }];
+      } catch (error) {
+        console.warn(`Skipping fallback provider ${fallbackConfig.provider}:`, error.message);
+        return [];
+      }
+    });
+  }
+
   /**
    * Analyze team data and generate insights using LLM
    * @param {Object} githubData - GitHub activity data
    * @param {Object} linearData - Linear issues data  
    * @param {Object} slackData - Slack messages data
    * @param {Object} dateRange - Analysis date range
-   * @param {Object} context - Additional context (team size, repositories, etc.)
+   * @param {Object} context - Additional context (team size, repositories, etc.); may
+   *   carry an `identityResolver` to attribute activity to canonical people
    * @param {ProgressTracker} progressTracker - Optional progress tracker
    * @returns {Promise<Object>} LLM-generated insights or null if failed
    */
@@ -97,33 +140,87 @@ export class LLMAnalyzer {
       return null;
     }
 
+    let prepared;
+    try {
+      prepared = this.prepareTeamData(githubData, linearData, slackData, context.identityResolver, progressTracker);
+    } catch (error) {
+      return this._handleAnalysisError(error, progressTracker);
+    }
+    return this.analyzePreparedData(prepared, dateRange, context, progressTracker);
+  }
+
+  /**
+   * Step 1 of the analysis: shape the collected data, attribute it to people and
+   * sanitize it. Exposed so a caller can record what was sent before analyzing it.
+   * @param {Object} githubData - GitHub activity data
+   * @param {Object} linearData - Linear issues data
+   * @param {Object} slackData - Slack messages data
+   * @param {IdentityResolver} identityResolver - Optional resolver for canonical people
+   * @param {ProgressTracker} progressTracker - Optional progress tracker
+   * @returns {{teamData: Object, sanitizedData: Object, sanitized: boolean, identities: IdentityResolver|null}}
+   */
+  prepareTeamData(githubData, linearData, slackData, identityResolver = null, progressTracker = null) {
+    if (progressTracker) {
+      progressTracker.startStep(0, { 
+        githubItems: githubData ? (githubData.commits?.length || 0) + (githubData.pullRequests?.length || 0) : 0,
+        linearItems: Array.isArray(linearData) ? linearData.length : (linearData ? 1 : 0),
+        slackItems: Array.isArray(slackData) ? slackData.length : (slackData ? 1 : 0)
+      });
+    }
+
+    // Names are resolved before sanitization, while emails are still intact; strict
+    // privacy keeps people anonymous so the resolver is not used at all
+    const identities = this.config.privacyLevel === 'strict' ? null : identityResolver || null;
+    let teamData = this._prepareTeamData(githubData, linearData, slackData);
+    if (identities) {
+      identities.observeTeamData(teamData);
+      teamData = identities.annotateTeamData(teamData);
+    }
+    
+    if (progressTracker) {
+      progressTracker.updateStepProgress(0, 0.5, 'Data collected, sanitizing...');
+    }
+    
+    const sanitizedData = this._sanitizeData(teamData);
+    const sanitized = sanitizedData !== teamData;
+    
+    if (progressTracker) {
+      progressTracker.completeStep(0, { 
+        dataSize: JSON.stringify(sanitizedData).length,
+        sanitized
+      });
+    }
+
+    return { teamData, sanitizedData, sanitized, identities };
+  }
+
+  /**
+   * Analyze data returned by prepareTeamData
+   * @param {Object} prepared - Result of prepareTeamData
+   * @param {Object} dateRange - Analysis date range
+   * @param {Object} context - Additional context (team size, repositories, etc.); `force: true`
+   *   skips cached results and replaces them with fresh ones
+   * @param {ProgressTracker} progressTracker - Optional progress tracker
+   * @returns {Promise<Object>} LLM-generated insights or null if failed
+   */
+  async analyzePreparedData(prepared, dateRange, context = {}, progressTracker = null) {
+    if (!this.config.enabled || !this.provider) {
+      console.log('LLM analysis disabled or not configured, skipping');
+      return null;
+    }
+
+    // Every analysis starts from the first provider in the chain
+    this.activeProviderIndex = 0;
+    this.providerFallbacks = [];
+    this.forceRefresh = context.force === true;
+
     try {
       console.log('Starting LLM analysis...');
       const startTime = Date.now();
+      const { sanitizedData, sanitized, identities } = prepared;
+      const { identityResolver, force, ...promptContext } = context;
 
-      // Initialize progress tracking if provided
       if (progressTracker) {
-        progressTracker.startStep(0, { 
-          githubItems: githubData ? (githubData.commits?.length || 0) + (githubData.pullRequests?.length || 0) : 0,
-          linearItems: Array.isArray(linearData) ? linearData.length : (linearData ? 1 : 0),
-          slackItems: Array.isArray(slackData) ? slackData.length : (slackData ? 1 : 0)
-        });
-      }
-
-      // Step 1: Prepare and sanitize data
-      const teamData = this._prepareTeamData(githubData, linearData, slackData);
-      
-      if (progressTracker) {
-        progressTracker.updateStepProgress(0, 0.5, 'Data collected, sanitizing...');
-      }
-      
-      const sanitizedData = this._sanitizeData(teamData);
-      
-      if (progressTracker) {
-        progressTracker.completeStep(0, { 
-          dataSize: JSON.stringify(sanitizedData).length,
-          sanitized: sanitizedData !== teamData
-        });
         progressTracker.startStep(1);
       }
       
@@ -156,8 +253,26 @@ export class LLMAnalyzer {
         teamSize: context.teamSize,
         repositories: context.repositories || [],
         channels: context.channels || [],
-        ...context
+        ...promptContext
       };
+
+      const cacheKey = this._cacheKey('retro', { teamData: sanitizedData, context: analysisContext });
+      const cached = this._cacheLookup(cacheKey);
+      if (cached) {
+        console.log(`Using cached LLM analysis from ${new Date(cached.storedAt).toISOString()}`);
+        if (progressTracker) {
+          progressTracker.completeStep(1, { cached: true });
+          [2, 3, 4].forEach(step => {
+            progressTracker.startStep(step);
+            progressTracker.completeStep(step, { cached: true });
+          });
+        }
+        return {
+          ...cached.value,
+          analysisMetadata: { ...cached.value.analysisMetadata, cacheHit: true, cachedAt: new Date(cached.storedAt).toISOString() }
+        };
+      }
+
       const directEstimated = this.provider.estimateTokenCount(
         JSON.stringify(sanitizedData).slice(0, 2_000_000) // guard
       );
@@ -170,7 +285,7 @@ export class LLMAnalyzer {
       if (useProgressive) {
         console.log(`Using progressive analysis (estimated ${directEstimated} tokens > ${progressiveThreshold})`);
         if (progressTracker) progressTracker.updateStepProgress(1, 0.7, 'Running progressive chunk summaries...');
-        llmResponse = await this._analyzeTeamDataProgressive(sanitizedData, analysisContext, progressTracker);
+        llmResponse = await this._analyzeTeamDataProgressive(sanitizedData, analysisContext, progressTracker, identities);
       } else {
         // Generate optimized prompt and call LLM once
         let prompt = this.promptBuilder.generateRetroPrompt(sanitizedData, analysisContext);
@@ -205,8 +320,8 @@ export class LLMAnalyzer {
             optimized: !!promptOptimization.optimized
           });
           progressTracker.startStep(2, {
-            provider: this.config.provider,
-            model: this.provider.getModel()
+            provider: this._activeProvider().name,
+            model: this._activeProvider().provider.getModel()
           });
         }
         llmResponse = await this._callLLMWithRetry(sanitizedData, analysisContext, progressTracker);
@@ -234,17 +349,25 @@ export class LLMAnalyzer {
       const duration = Date.now() - startTime;
       console.log(`LLM analysis completed in ${duration}ms`);
       
-      // Add metadata to insights including performance data
+      // Add metadata to insights including performance data, crediting the
+      // provider that actually answered
+      const answeredBy = this._activeProvider();
       const result = this._addAnalysisMetadata(insights, {
-        provider: this.config.provider,
-        model: this.provider.getModel(),
+        provider: answeredBy.name,
+        model: answeredBy.provider.getModel(),
+        fallbacks: this.providerFallbacks,
+        schemaRepairs: llmResponse?.metadata?.schemaRepairs,
+        insightShortfall: llmResponse?.metadata?.insightShortfall,
         duration,
         dataSize,
         modelRecommendation,
         promptOptimization: promptOptimization.optimized ? promptOptimization : null,
         tokenUsage: finalPrompt ? this.promptBuilder.getTokenUsage(finalPrompt) : null,
-        sanitized: sanitizedData !== teamData
+        sanitized
       });
+      if (!llmResponse?.metadata?.parseError) {
+        this._cacheStore(cacheKey, result);
+      }
 
       if (progressTracker) {
         progressTracker.completeStep(4, {
@@ -255,28 +378,84 @@ export class LLMAnalyzer {
       return result;
 
     } catch (error) {
-      console.error('LLM analysis failed:', error.message);
-      
-      // Create structured error
-      const llmError = LLMErrorHandler.createError(error, 'analyzeTeamData');
-      
-      if (progressTracker) {
-        progressTracker.fail(llmError);
-      }
-      
-      // Check if we should fallback or throw
-      if (LLMErrorHandler.shouldFallback(llmError)) {
-        console.log('Falling back to rule-based analysis due to:', llmError.message);
-        return null;
-      }
-      
-      // Re-throw for recoverable errors that should be retried
-      throw llmError;
+      return this._handleAnalysisError(error, progressTracker);
     }
   }
 
+  /**
+   * Response cache key for an analysis or chunk summary request. Covers the
+   * configured provider and model, the prompt template version and the insight
+   * limits, so changing any of them misses the cache.
+   * @private
+   * @param {string} kind - 'retro' or 'chunk'
+   * @param {Object} input - Sanitized data and context sent to the LLM
+   * @returns {string|null} Key, or null when there is no enabled cache
+   */
+  _cacheKey(kind, input) {
+    if (!this.responseCache?.enabled) return null;
+    return ResponseCache.key({
+      kind,
+      provider: this.config.provider,
+      model: this.config.model,
+      promptVersion: PROMPT_TEMPLATE_VERSION,
+      insightLimits: RetroSchema.limitsFromConfig(this.config),
+      input
+    });
+  }
+
+  /**
+   * Look up a cached response and count the hit or miss. A forced run skips
+   * the lookup so it always calls the LLM.
+   * @private
+   * @returns {{value: *, storedAt: number}|null} Cached entry, or null to call the LLM
+   */
+  _cacheLookup(key) {
+    if (!key || this.forceRefresh) return null;
+    const entry = this.responseCache.get(key);
+    this.performanceMonitor.recordCacheLookup(!!entry);
+    return entry;
+  }
+
+  /**
+   * Cache a response under its key. Keys name the primary provider, so a
+   * response a fallback provider gave is not kept: it would later be served
+   * as the primary's answer.
+   * @private
+   */
+  _cacheStore(key, value) {
+    if (key && this.providerFallbacks.length === 0) this.responseCache.set(key, value);
+  }
+
+  /**
+   * Fail the current progress step and fall back (null) or rethrow, as the error
+   * calls for. Only the step fails: the caller may still finish the generation
+   * with the rules, and decides whether the whole run failed.
+   * @private
+   */
+  _handleAnalysisError(error, progressTracker = null) {
+    // A cancelled job must stop, not fall back to the rules
+    this._throwIfAborted();
+    console.error('LLM analysis failed:', error.message);
+    
+    // Create structured error
+    const llmError = LLMErrorHandler.createError(error, 'analyzeTeamData');
+    
+    if (progressTracker) {
+      progressTracker.failStep(progressTracker.currentStep, llmError);
+    }
+    
+    // Check if we should fallback or throw
+    if (LLMErrorHandler.shouldFallback(llmError)) {
+      console.log('Falling back to rule-based analysis due to:', llmError.message);
+      return null;
+    }
+    
+    // Re-throw for recoverable errors that should be retried
+    throw llmError;
+  }
+
   // Temporal progressive analysis: organize by time, chunk chronologically, then aggregate
-  async _analyzeTeamDataProgressive(teamData, analysisContext, progressTracker = null) {
+  async _analyzeTeamDataProgressive(teamData, analysisContext, progressTracker = null, identityResolver = null) {
     console.log('Starting temporal progressive analysis...');
     
     if (progressTracker) {
@@ -284,7 +463,7 @@ export class LLMAnalyzer {
     }
     
     // Step 1: Process data temporally
-    const temporalData = this.temporalProcessor.processTeamData(teamData, analysisContext.dateRange);
+    const temporalData = this.temporalProcessor.processTeamData(teamData, analysisContext.dateRange, identityResolver);
     console.log(`Created ${temporalData.chunks.length} temporal chunks from ${temporalData.totalEvents} events`);
     
     if (progressTracker) {
@@ -297,6 +476,7 @@ export class LLMAnalyzer {
     
     for (let i = 0; i < totalChunks; i++) {
       const chunk = temporalData.chunks[i];
+      this._throwIfAborted();
       
       if (progressTracker) {
         const progress = 0.3 + (0.6 * (i / totalChunks));
@@ -319,8 +499,17 @@ export class LLMAnalyzer {
         // Convert chunk events back to structured data for LLM
         const chunkData = this._convertChunkToStructuredData(chunk);
         
-        // Generate insights for this temporal chunk
-        const chunkInsight = await this.provider.generateChunkSummary(chunkData, chunkContext);
+        // Generate insights for this temporal chunk, reusing an earlier summary of the same data
+        const chunkCacheKey = this._cacheKey('chunk', { chunk: chunkData, context: chunkContext });
+        let chunkInsight = this._cacheLookup(chunkCacheKey)?.value;
+        if (!chunkInsight) {
+          chunkInsight = await this._withProviderFallback(
+            provider => provider.generateChunkSummary(chunkData, chunkContext),
+            progressTracker,
+            { supports: provider => typeof provider.generateChunkSummary === 'function' }
+          );
+          if (chunkInsight?.summary) this._cacheStore(chunkCacheKey, chunkInsight);
+        }
         
         chunkInsights.push({
           chunkId: chunk.id,
@@ -331,6 +520,17 @@ export class LLMAnalyzer {
           activityMetrics: chunk.activityMetrics
         });
         
+        if (progressTracker) {
+          progressTracker.chunkAnalyzed({
+            chunkIndex: i,
+            totalChunks,
+            timeRange: chunk.summary.timeRange,
+            eventCount: chunk.eventCount,
+            summary: chunkInsight?.summary ?? chunkInsight,
+            insights: this._provisionalInsights(chunkInsight, chunk, i)
+          });
+        }
+
         console.log(`Completed analysis for chunk ${i + 1}/${totalChunks}: ${chunk.eventCount} events`);
         
       } catch (error) {
@@ -353,6 +553,10 @@ export class LLMAnalyzer {
     
     // Step 3: Aggregate temporal insights into final analysis
     const aggregatedData = this._buildTemporalAggregation(chunkInsights, temporalData);
+    // Review and CI metrics span the whole range, so they go to the final pass rather than the chunks
+    if (teamData.github?.reviewMetrics) {
+      aggregatedData.githubReviewMetrics = teamData.github.reviewMetrics;
+    }
     
     // Step 4: Generate final comprehensive insights
     const finalInsights = await this._callLLMWithRetry(aggregatedData, {
@@ -365,6 +569,27 @@ export class LLMAnalyzer {
     return finalInsights;
   }
 
+  /**
+   * A chunk's findings as provisional insights, shown until the aggregated
+   * insights replace them
+   * @private
+   */
+  _provisionalInsights(chunkInsight, chunk, chunkIndex) {
+    const findings = chunkInsight?.findings || {};
+    return Object.fromEntries(CHUNK_FINDING_SECTIONS.map(section => [
+      section,
+      (findings[section] || []).map(finding => ({
+        title: finding.title,
+        details: finding.details,
+        source: 'ai',
+        provenance: 'ai',
+        provisional: true,
+        chunkIndex,
+        timeRange: chunk.summary.timeRange
+      }))
+    ]));
+  }
+
   /**
    * Convert temporal chunk back to structured data format for LLM analysis
    * @private
@@ -619,9 +844,13 @@ export class LLMAnalyzer {
     }
     if (clone.slack) {
       if (Array.isArray(clone.slack.messages)) {
-        clone.slack.messages = clone.slack.messages.map(m => ({
+        const trimText = (m) => ({
           ...m,
           text: m?.text && String(m.text).length > maxLen ? String(m.text).slice(0, maxLen) + '…' : m?.text
+        });
+        clone.slack.messages = clone.slack.messages.map(m => ({
+          ...trimText(m),
+          ...(Array.isArray(m?.replies) ? { replies: m.replies.map(trimText) } : {})
         }));
       }
     }
@@ -641,6 +870,9 @@ export class LLMAnalyzer {
         commits: githubData.commits || [],
         pullRequests: githubData.pullRequests || []
       };
+      if (githubData.reviewMetrics) {
+        teamData.github.reviewMetrics = githubData.reviewMetrics;
+      }
     }
     
     // Add Linear data if available
@@ -650,10 +882,10 @@ export class LLMAnalyzer {
       };
     }
     
-    // Add Slack data if available
+    // Add Slack data if available, with each thread folded into one conversation
     if (slackData && slackData.length > 0) {
       teamData.slack = {
-        messages: Array.isArray(slackData) ? slackData : [slackData]
+        messages: SlackService.groupThreads(Array.isArray(slackData) ? slackData : [slackData])
       };
     }
     
@@ -687,10 +919,80 @@ export class LLMAnalyzer {
   }
 
   /**
-   * Call LLM with retry logic and timeout handling
+   * Call LLM with retry logic and timeout handling, moving down the provider
+   * chain when a provider keeps failing
    * @private
    */
   async _callLLMWithRetry(teamData, context, progressTracker = null) {
+    return this._withProviderFallback(
+      provider => this._callProviderWithRetry(provider, teamData, context, progressTracker),
+      progressTracker
+    );
+  }
+
+  /**
+   * Run a request against the active provider. When it fails in a way another
+   * provider may not (rate limit, quota, outage), the next provider in the chain
+   * becomes active for the rest of the analysis and the request is run again.
+   * Providers that cannot serve the request (see options.supports) are passed
+   * over for it without becoming inactive.
+   * @private
+   * @param {Function} request - async (provider) => result
+   * @param {ProgressTracker} progressTracker - Optional progress tracker
+   * @param {Object} options
+   * @param {Function} options.supports - (provider) => whether it can serve the request
+   */
+  async _withProviderFallback(request, progressTracker = null, { supports = () => true } = {}) {
+    const chain = this._providerChain();
+    const nextSupporting = (from) => chain.findIndex((entry, index) => index >= from && supports(entry.provider));
+    for (;;) {
+      const index = nextSupporting(this.activeProviderIndex);
+      if (index === -1) {
+        throw new Error('No configured LLM provider supports this request');
+      }
+      const { name, provider } = chain[index];
+      try {
+        return await request(provider);
+      } catch (error) {
+        this._throwIfAborted();
+        const nextIndex = nextSupporting(index + 1);
+        const next = chain[nextIndex];
+        const llmError = LLMErrorHandler.createError(error, `provider_${name}`);
+        if (!next || !LLMErrorHandler.shouldTryNextProvider(llmError)) {
+          throw error;
+        }
+
+        console.warn(`LLM provider ${name} failed (${llmError.type}), falling back to ${next.name}`);
+        this.providerFallbacks.push({ from: name, to: next.name, reason: llmError.type, error: error.message });
+        this.activeProviderIndex = nextIndex;
+        if (progressTracker) {
+          progressTracker.updateStepProgress(2, 0.1, `${name} is unavailable, trying ${next.name}...`);
+        }
+      }
+    }
+  }
+
+  /**
+   * The primary provider followed by its fallbacks, as { name, provider }
+   * @private
+   */
+  _providerChain() {
+    return [{ name: this.config.provider, provider: this.provider }, ...this.fallbackProviders];
+  }
+
+  /**
+   * The provider requests currently go to
+   * @private
+   */
+  _activeProvider() {
+    return this._providerChain()[this.activeProviderIndex] || this._providerChain()[0];
+  }
+
+  /**
+   * Call one provider with retry logic and timeout handling
+   * @private
+   */
+  async _callProviderWithRetry(provider, teamData, context, progressTracker = null) {
     let lastError;
     
     for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
@@ -708,7 +1010,7 @@ export class LLMAnalyzer {
         });
         
         // Race between LLM call and timeout
-        const llmPromise = this.provider.generateInsights(teamData, context);
+        const llmPromise = provider.generateInsights(teamData, context);
         const response = await Promise.race([llmPromise, timeoutPromise]);
         
         if (!response) {
@@ -722,6 +1024,7 @@ export class LLMAnalyzer {
         return response;
         
       } catch (error) {
+        this._throwIfAborted();
         lastError = error;
         console.warn(`LLM call attempt ${attempt} failed:`, error.message);
         
@@ -838,6 +1141,9 @@ export class LLMAnalyzer {
       analysisMetadata: {
         provider: metadata.provider,
         model: metadata.model,
+        ...(metadata.fallbacks?.length ? { providerFallbacks: metadata.fallbacks } : {}),
+        ...(metadata.schemaRepairs !== undefined ? { schemaRepairs: metadata.schemaRepairs } : {}),
+        ...(metadata.insightShortfall ? { insightShortfall: metadata.insightShortfall } : {}),
         duration: metadata.duration,
         tokenUsage: metadata.tokenUsage,
         dataSanitized: metadata.sanitized,
@@ -934,6 +1240,7 @@ export class LLMAnalyzer {
       model: this.provider?.getModel(),
       privacyLevel: this.config.privacyLevel,
       timeout: this.config.timeout,
+      fallbackProviders: this.fallbackProviders.map(fallback => fallback.name),
       initialized: !!this.provider,
       components: {
         provider: !!this.provider,
@@ -943,6 +1250,28 @@ export class LLMAnalyzer {
     };
   }
 
+  /**
+   * Cancel in-flight and future provider requests when the signal fires
+   * @param {AbortSignal|null} signal - Signal from the job running the analysis
+   */
+  setAbortSignal(signal) {
+    this.abortSignal = signal || null;
+    this.provider?.setAbortSignal(this.abortSignal);
+    this.fallbackProviders.forEach(fallback => fallback.provider.setAbortSignal(this.abortSignal));
+  }
+
+  /**
+   * Throws a CANCELLED error once the abort signal has fired
+   * @private
+   */
+  _throwIfAborted() {
+    if (this.abortSignal?.aborted) {
+      const error = new Error('Analysis was cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
+
   /**
    * Update configuration and reinitialize components
    * @param {Object} newConfig - New configuration options
@@ -954,6 +1283,7 @@ export class LLMAnalyzer {
       this._initializeComponents();
     } else {
       this.provider = null;
+      this.fallbackProviders = [];
       this.promptBuilder = null;
       this.dataSanitizer = null;
     }
@@ -962,26 +1292,28 @@ export class LLMAnalyzer {
   /**
    * Create LLMAnalyzer from environment variables
    * @param {Object} env - Environment variables
+   * @param {Object} options - Constructor options, e.g. a shared responseCache
    * @returns {LLMAnalyzer} Configured analyzer instance
    */
-  static fromEnvironment(env) {
+  static fromEnvironment(env, options = {}) {
     const config = LLMServiceFactory.createConfigFromEnv(env);
     
     if (!config) {
       // Return disabled analyzer if no LLM configuration found
-      return new LLMAnalyzer({ enabled: false });
+      return new LLMAnalyzer({ enabled: false }, options);
     }
 
-    return new LLMAnalyzer(config);
+    return new LLMAnalyzer(config, options);
   }
 
   /**
    * Create LLMAnalyzer with custom configuration
    * @param {Object} config - Custom configuration
+   * @param {Object} options - Constructor options, e.g. a shared responseCache
    * @returns {LLMAnalyzer} Configured analyzer instance
    */
-  static withConfig(config) {
-    return new LLMAnalyzer(config);
+  static withConfig(config, options = {}) {
+    return new LLMAnalyzer(config, options);
   }
 
   /**
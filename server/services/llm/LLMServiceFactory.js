@@ -14,6 +14,12 @@ export class LLMServiceFactory {
     retryDelay: 1000,
   };
 
+  // Providers that may run without an API key, e.g. a local server
+  static keylessProviders = ["local", "openai-compatible"];
+
+  // Where and how a provider is reached, passed through to the provider as given
+  static connectionSettings = ["endpoint", "authHeader", "azureDeployment", "apiVersion", "jsonMode"];
+
   /**
    * Registers a provider class with the factory
    * @param {string} name - Provider name (e.g., 'openai', 'anthropic', 'local')
@@ -93,7 +99,7 @@ export class LLMServiceFactory {
 
     // Validate API key for external providers
     if (
-      provider !== "local" &&
+      !this.keylessProviders.includes(provider) &&
       (!config.apiKey || typeof config.apiKey !== "string")
     ) {
       throw new Error(`API key is required for ${provider} provider`);
@@ -141,6 +147,16 @@ export class LLMServiceFactory {
       validatedConfig.retryAttempts = config.retryAttempts;
     if (config.retryDelay !== undefined)
       validatedConfig.retryDelay = config.retryDelay;
+    if (config.schemaRepairAttempts !== undefined)
+      validatedConfig.schemaRepairAttempts = config.schemaRepairAttempts;
+    if (config.minInsightsPerSection !== undefined)
+      validatedConfig.minInsightsPerSection = config.minInsightsPerSection;
+    if (config.maxInsightsPerSection !== undefined)
+      validatedConfig.maxInsightsPerSection = config.maxInsightsPerSection;
+
+    this.connectionSettings.forEach((setting) => {
+      if (config[setting] !== undefined) validatedConfig[setting] = config[setting];
+    });
 
     return validatedConfig;
   }
@@ -183,7 +199,12 @@ export class LLMServiceFactory {
    * @returns {Object|null} Configuration object or null if not configured
    */
   static createConfigFromEnv(env) {
-    let provider = env.LLM_PROVIDER;
+    // LLM_PROVIDERS is an ordered fallback chain, e.g. "anthropic,openai,local"
+    const chain = (env.LLM_PROVIDERS || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    let provider = chain[0] || env.LLM_PROVIDER;
 
     // If provider not explicitly set, infer from available API keys/endpoints (prefer Gemini)
     if (!provider) {
@@ -191,6 +212,7 @@ export class LLMServiceFactory {
       else if (env.OPENAI_API_KEY) provider = 'openai';
       else if (env.ANTHROPIC_API_KEY) provider = 'anthropic';
       else if (env.LOCAL_LLM_ENDPOINT) provider = 'local';
+      else if (env.OPENAI_COMPATIBLE_BASE_URL) provider = 'openai-compatible';
     }
 
     if (!provider) {
@@ -201,26 +223,14 @@ export class LLMServiceFactory {
       provider: provider.toLowerCase(),
       enabled: env.LLM_ENABLED !== "false",
       privacyMode: env.LLM_PRIVACY_MODE === "true",
+      ...this._providerSettingsFromEnv(provider.toLowerCase(), env),
     };
 
-    // Set API key based on provider
-    switch (config.provider) {
-      case "openai":
-        config.apiKey = env.OPENAI_API_KEY;
-        config.model = env.OPENAI_MODEL || "gpt-4o";
-        break;
-      case "anthropic":
-        config.apiKey = env.ANTHROPIC_API_KEY;
-        config.model = env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229";
-        break;
-      case "gemini":
-        config.apiKey = env.GEMINI_API_KEY;
-        config.model = env.GOOGLE_MODEL || env.GEMINI_MODEL || "gemini-2.5-flash";
-        break;
-      case "local":
-        config.model = env.LOCAL_MODEL || "llama2";
-        config.endpoint = env.LOCAL_LLM_ENDPOINT || "http://localhost:11434";
-        break;
+    if (chain.length > 1) {
+      config.fallbackProviders = chain.slice(1).map((name) => ({
+        provider: name,
+        ...this._providerSettingsFromEnv(name, env),
+      }));
     }
 
     // Optional numeric configurations
@@ -236,6 +246,23 @@ export class LLMServiceFactory {
       config.temperature = parseFloat(env.LLM_TEMPERATURE);
     }
 
+    // Re-prompts allowed when a response does not match the retro schema (0 disables)
+    if (env.LLM_SCHEMA_REPAIR_ATTEMPTS) {
+      const v = parseInt(env.LLM_SCHEMA_REPAIR_ATTEMPTS, 10);
+      if (!Number.isNaN(v) && v >= 0) config.schemaRepairAttempts = v;
+    }
+
+    // Insights per section, shared by every provider; fewer real insights are
+    // re-queried and then reported, never padded
+    if (env.LLM_MIN_INSIGHTS_PER_SECTION) {
+      const v = parseInt(env.LLM_MIN_INSIGHTS_PER_SECTION, 10);
+      if (!Number.isNaN(v) && v >= 0) config.minInsightsPerSection = v;
+    }
+    if (env.LLM_MAX_INSIGHTS_PER_SECTION) {
+      const v = parseInt(env.LLM_MAX_INSIGHTS_PER_SECTION, 10);
+      if (!Number.isNaN(v) && v > 0) config.maxInsightsPerSection = v;
+    }
+
     // Optional prompt budgeting controls
     if (env.LLM_INPUT_MARGIN) {
       const v = parseFloat(env.LLM_INPUT_MARGIN);
@@ -262,6 +289,47 @@ export class LLMServiceFactory {
     return config;
   }
 
+  /**
+   * Gets a provider's API key, model and endpoint from environment variables
+   * @private
+   */
+  static _providerSettingsFromEnv(provider, env) {
+    switch (provider) {
+      case "openai":
+        return { apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL || "gpt-4o" };
+      case "anthropic":
+        return {
+          apiKey: env.ANTHROPIC_API_KEY,
+          model: env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229",
+        };
+      case "gemini":
+        return {
+          apiKey: env.GEMINI_API_KEY,
+          model: env.GOOGLE_MODEL || env.GEMINI_MODEL || "gemini-2.5-flash",
+        };
+      case "local":
+        return {
+          model: env.LOCAL_MODEL || "llama2",
+          endpoint: env.LOCAL_LLM_ENDPOINT || "http://localhost:11434",
+        };
+      case "openai-compatible":
+        return {
+          apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+          model: env.OPENAI_COMPATIBLE_MODEL || env.OPENAI_COMPATIBLE_AZURE_DEPLOYMENT,
+          endpoint: env.OPENAI_COMPATIBLE_BASE_URL,
+          authHeader: env.OPENAI_COMPATIBLE_AUTH_HEADER,
+          azureDeployment: env.OPENAI_COMPATIBLE_AZURE_DEPLOYMENT,
+          apiVersion: env.OPENAI_COMPATIBLE_API_VERSION,
+          jsonMode:
+            env.OPENAI_COMPATIBLE_JSON_MODE === "object"
+              ? "object"
+              : env.OPENAI_COMPATIBLE_JSON_MODE !== "false",
+        };
+      default:
+        return {};
+    }
+  }
+
   /**
    * Tests a provider configuration
    * @param {Object} config - Configuration to test
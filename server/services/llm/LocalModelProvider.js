@@ -1,5 +1,6 @@
 import { BaseLLMProvider } from './BaseLLMProvider.js';
 import { PromptBuilder } from './PromptBuilder.js';
+import { RetroSchema } from './RetroSchema.js';
 
 /**
  * Local Model Provider
@@ -16,7 +17,8 @@ export class LocalModelProvider extends BaseLLMProvider {
     this.promptBuilder = new PromptBuilder({
       maxTokens: this.config.maxTokens || 4000,
       systemPromptTokens: 800,
-      reserveTokens: 200
+      reserveTokens: 200,
+      insightLimits: this.insightLimits()
     });
   }
 
@@ -162,8 +164,14 @@ export class LocalModelProvider extends BaseLLMProvider {
       const estimatedInputTokens = this.estimateTokenCount(prompt.system + prompt.user);
       requestId = this.startPerformanceTracking(estimatedInputTokens);
       
-      // Make request with retry logic
-      const response = await this._generateWithRetry(prompt);
+      // Make request with retry logic, re-prompting once if the output breaks the schema
+      const { response, repairs, problems } = await this.repairToSchema(
+        await this._generateWithRetry(prompt),
+        {
+          extract: (reply) => reply,
+          reprompt: (instructions) => this._generateWithRetry({ ...prompt, user: `${prompt.user}\n\n${instructions}` })
+        }
+      );
       
       // Complete performance tracking with success
       // Local models typically don't provide token counts, so estimate
@@ -171,7 +179,8 @@ export class LocalModelProvider extends BaseLLMProvider {
       this.completePerformanceTracking(requestId, outputTokens, 'success');
       
       // Parse and validate response
-      return this._parseResponse(response, prompt);
+      const insights = this._parseResponse(response, prompt);
+      return this.finalizeInsights(insights, { repairs, problems });
       
     } catch (error) {
       // Complete performance tracking with error
@@ -198,7 +207,7 @@ export class LocalModelProvider extends BaseLLMProvider {
         const response = await this._generateText(fullPrompt, {
           max_tokens: this.config.maxTokens || 4000,
           temperature: this.config.temperature || 0.7,
-          format: 'json'
+          format: this.outputSchema()
         });
 
         if (response === null) {
@@ -243,9 +252,9 @@ export class LocalModelProvider extends BaseLLMProvider {
       }
     };
 
-    // Add format specification for JSON output if supported
-    if (options.format === 'json') {
-      requestBody.format = 'json';
+    // Ollama constrains output to 'json', or to a JSON Schema given as an object
+    if (options.format) {
+      requestBody.format = options.format;
     }
 
     const response = await this._makeRequest('/api/generate', 'POST', requestBody);
@@ -269,8 +278,11 @@ export class LocalModelProvider extends BaseLLMProvider {
     
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    this.abortSignal?.addEventListener('abort', cancel, { once: true });
     
     try {
+      this.throwIfAborted();
       const options = {
         method,
         headers: {
@@ -289,12 +301,15 @@ export class LocalModelProvider extends BaseLLMProvider {
       return response;
     } catch (error) {
       clearTimeout(timeoutId);
+      this.throwIfAborted();
       
       if (error.name === 'AbortError') {
         throw new Error(`Request timeout after ${timeout}ms`);
       }
       
       throw error;
+    } finally {
+      this.abortSignal?.removeEventListener('abort', cancel);
     }
   }
 
@@ -308,11 +323,11 @@ export class LocalModelProvider extends BaseLLMProvider {
     }
 
     try {
-      // Try to parse as JSON first
-      const parsed = JSON.parse(response);
+      // Parse the JSON, tolerating text around it
+      const parsed = RetroSchema.extractJson(response);
       
       // Validate structure - if missing sections, throw to trigger fallback
-      if (!parsed.wentWell || !parsed.didntGoWell || !parsed.actionItems) {
+      if (!parsed?.wentWell || !parsed?.didntGoWell || !parsed?.actionItems) {
         throw new Error('Response missing required sections');
       }
 
@@ -1,6 +1,7 @@
 import OpenAI from 'openai';
 import { BaseLLMProvider } from './BaseLLMProvider.js';
 import { PromptBuilder } from './PromptBuilder.js';
+import { RetroSchema } from './RetroSchema.js';
 
 /**
  * OpenAI LLM Provider
@@ -20,7 +21,8 @@ export class OpenAIProvider extends BaseLLMProvider {
     this.promptBuilder = new PromptBuilder({
       provider: 'openai',
       model: this.config.model || 'gpt-4o',
-      systemPromptTokens: 800
+      systemPromptTokens: 800,
+      insightLimits: this.insightLimits()
     });
   }
 
@@ -120,8 +122,14 @@ export class OpenAIProvider extends BaseLLMProvider {
         approxInputTokens: estimatedInputTokens
       });
       
-      // Make request with retry logic
-      const response = await this._makeRequestWithRetry(prompt);
+      // Make request with retry logic, re-prompting once if the output breaks the schema
+      const { response, repairs, problems } = await this.repairToSchema(
+        await this._makeRequestWithRetry(prompt),
+        {
+          extract: (reply) => this._extractResponseText(reply),
+          reprompt: (instructions) => this._makeRequestWithRetry({ ...prompt, user: `${prompt.user}\n\n${instructions}` })
+        }
+      );
       console.log('OpenAI response received', {
         hasOutputText: !!response?.output_text,
         outputLen: Array.isArray(response?.output) ? response.output.length : undefined,
@@ -136,7 +144,7 @@ export class OpenAIProvider extends BaseLLMProvider {
       
       // Parse and validate response
       const parsed = this._parseResponse(response, prompt);
-      return parsed;
+      return this.finalizeInsights(parsed, { repairs, problems });
       
     } catch (error) {
       // Complete performance tracking with error
@@ -178,74 +186,16 @@ export class OpenAIProvider extends BaseLLMProvider {
               verbosity: this.config.verbosity || 'high',
               format: {
                 type: 'json_schema',
-                name: 'ComprehensiveRetroInsights',
+                name: RetroSchema.schemaName,
                 strict: true,
-                schema: {
-                  type: 'object',
-                  additionalProperties: false,
-                  required: ['wentWell', 'didntGoWell', 'actionItems'],
-                  properties: {
-                    wentWell: {
-                      type: 'array',
-                      minItems: 10,
-                      items: {
-                        type: 'object',
-                        additionalProperties: false,
-                        required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
-                        properties: {
-                          title: { type: 'string' },
-                          details: { type: 'string' },
-                          source: { type: 'string', enum: ['ai'] },
-                          confidence: { type: 'number', minimum: 0, maximum: 1 },
-                          category: { type: 'string', enum: ['technical', 'process', 'team-dynamics', 'communication'] },
-                          reasoning: { type: 'string' }
-                        }
-                      }
-                    },
-                    didntGoWell: {
-                      type: 'array',
-                      minItems: 10,
-                      items: {
-                        type: 'object',
-                        additionalProperties: false,
-                        required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
-                        properties: {
-                          title: { type: 'string' },
-                          details: { type: 'string' },
-                          source: { type: 'string', enum: ['ai'] },
-                          confidence: { type: 'number', minimum: 0, maximum: 1 },
-                          category: { type: 'string', enum: ['technical', 'process', 'team-dynamics', 'communication'] },
-                          reasoning: { type: 'string' }
-                        }
-                      }
-                    },
-                    actionItems: {
-                      type: 'array',
-                      minItems: 4,
-                      maxItems: 4,
-                      items: {
-                        type: 'object',
-                        additionalProperties: false,
-                        required: ['title', 'details', 'source', 'priority', 'category', 'reasoning'],
-                        properties: {
-                          title: { type: 'string' },
-                          details: { type: 'string' },
-                          source: { type: 'string', enum: ['ai'] },
-                          priority: { type: 'string', enum: ['high', 'medium', 'low'] },
-                          category: { type: 'string', enum: ['technical', 'process', 'team-dynamics', 'communication'] },
-                          reasoning: { type: 'string' }
-                        }
-                      }
-                    }
-                  }
-                }
+                schema: this.outputSchema()
               }
             },
             // Increase output tokens significantly for comprehensive insights
             max_output_tokens: Math.min(16000, this.config.maxTokens || 16000)
           };
           
-          response = await this.client.responses.create(requestConfig);
+          response = await this.client.responses.create(...this.requestArgs(requestConfig));
           // If reasoning-only output (no message text), reissue without any optional knobs
           const maybeText = this._extractResponseText(response);
           if (!maybeText) {
@@ -259,150 +209,27 @@ export class OpenAIProvider extends BaseLLMProvider {
                 verbosity: 'low',
                 format: {
                   type: 'json_schema',
-                  name: 'RetroTitles',
+                  name: RetroSchema.schemaName,
                   strict: true,
-                  schema: {
-                    type: 'object',
-                    additionalProperties: false,
-                    required: ['wentWell', 'didntGoWell', 'actionItems'],
-                    properties: {
-                      wentWell: {
-                        type: 'array',
-                        minItems: 10,
-                        items: {
-                          type: 'object',
-                          additionalProperties: false,
-                          required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
-                          properties: {
-                            title: { type: 'string' },
-                            details: { type: 'string' },
-                            source: { type: 'string' },
-                            confidence: { type: 'number' },
-                            category: { type: 'string' },
-                            reasoning: { type: 'string' }
-                          }
-                        }
-                      },
-                      didntGoWell: {
-                        type: 'array',
-                        minItems: 10,
-                        items: {
-                          type: 'object',
-                          additionalProperties: false,
-                          required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
-                          properties: {
-                            title: { type: 'string' },
-                            details: { type: 'string' },
-                            source: { type: 'string' },
-                            confidence: { type: 'number' },
-                            category: { type: 'string' },
-                            reasoning: { type: 'string' }
-                          }
-                        }
-                      },
-                      actionItems: {
-                        type: 'array',
-                        minItems: 4,
-                        maxItems: 4,
-                        items: {
-                          type: 'object',
-                          additionalProperties: false,
-                          required: ['title', 'details', 'source', 'priority', 'category', 'reasoning'],
-                          properties: {
-                            title: { type: 'string' },
-                            details: { type: 'string' },
-                            source: { type: 'string' },
-                            priority: { type: 'string' },
-                            category: { type: 'string' },
-                            reasoning: { type: 'string' }
-                          }
-                        }
-                      }
-                    }
-                  }
+                  schema: this.outputSchema()
                 }
               },
               max_output_tokens: Math.min(16000, this.config.maxTokens || 16000)
             };
-            response = await this.client.responses.create(fallbackConfig);
+            response = await this.client.responses.create(...this.requestArgs(fallbackConfig));
             // One more fallback: if still no text, route to Chat Completions on gpt-4o for final aggregation
             const maybeText2 = this._extractResponseText(response);
             if (!maybeText2) {
               console.warn('OpenAI GPT-5 still reasoning-only; falling back to gpt-4o chat for final JSON...');
-              const chatFallback = await this.client.chat.completions.create({
+              const chatFallback = await this.client.chat.completions.create(...this.requestArgs({
                 model: 'gpt-4o',
                 messages: [
                   { role: 'system', content: 'You are a helpful assistant that returns comprehensive retrospective insights in JSON format with keys: wentWell, didntGoWell, actionItems. Generate detailed insights with full context and evidence.' },
                   { role: 'user', content: `${prompt.system}\n\n${prompt.user}` }
                 ],
                 temperature: 0.2,
-                response_format: {
-                  type: 'json_schema',
-                  json_schema: {
-                    name: 'ComprehensiveRetroInsights',
-                    strict: true,
-                    schema: {
-                      type: 'object',
-                      additionalProperties: false,
-                      required: ['wentWell', 'didntGoWell', 'actionItems'],
-                      properties: {
-                        wentWell: {
-                          type: 'array',
-                          minItems: 10,
-                          items: {
-                            type: 'object',
-                            additionalProperties: false,
-                            required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
-                            properties: {
-                              title: { type: 'string' },
-                              details: { type: 'string' },
-                              source: { type: 'string' },
-                              confidence: { type: 'number' },
-                              category: { type: 'string' },
-                              reasoning: { type: 'string' }
-                            }
-                          }
-                        },
-                        didntGoWell: {
-                          type: 'array',
-                          minItems: 10,
-                          items: {
-                            type: 'object',
-                            additionalProperties: false,
-                            required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
-                            properties: {
-                              title: { type: 'string' },
-                              details: { type: 'string' },
-                              source: { type: 'string' },
-                              confidence: { type: 'number' },
-                              category: { type: 'string' },
-                              reasoning: { type: 'string' }
-                            }
-                          }
-                        },
-                        actionItems: {
-                          type: 'array',
-                          minItems: 4,
-                          maxItems: 4,
-                          items: {
-                            type: 'object',
-                            additionalProperties: false,
-                            required: ['title', 'details', 'source', 'priority', 'category', 'reasoning'],
-                            properties: {
-                              title: { type: 'string' },
-                              details: { type: 'string' },
-                              source: { type: 'string' },
-                              priority: { type: 'string' },
-                              category: { type: 'string' },
-                              reasoning: { type: 'string' }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              });
+                response_format: this._jsonSchemaFormat()
+              }));
               return chatFallback;
             }
           }
@@ -422,14 +249,17 @@ export class OpenAIProvider extends BaseLLMProvider {
           // Add parameters that o1 models don't support
           if (!isO1Model) {
             requestConfig.temperature = this.config.temperature || 0.7;
-            requestConfig.response_format = { type: 'json_object' };
+            requestConfig.response_format = this._supportsJsonSchema(model)
+              ? this._jsonSchemaFormat()
+              : { type: 'json_object' };
           }
           
-          response = await this.client.chat.completions.create(requestConfig);
+          response = await this.client.chat.completions.create(...this.requestArgs(requestConfig));
         }
 
         return response;
       } catch (error) {
+        this.throwIfAborted();
         lastError = error;
         
         if (this._isRateLimitError(error)) {
@@ -454,6 +284,26 @@ export class OpenAIProvider extends BaseLLMProvider {
     throw lastError;
   }
 
+  /**
+   * Whether a Chat Completions model accepts a json_schema response format;
+   * older models only support json_object
+   * @private
+   */
+  _supportsJsonSchema(model) {
+    return model.startsWith('gpt-4o') || model.startsWith('gpt-5');
+  }
+
+  /**
+   * Chat Completions response format holding the canonical retro schema
+   * @private
+   */
+  _jsonSchemaFormat() {
+    return {
+      type: 'json_schema',
+      json_schema: { name: RetroSchema.schemaName, strict: true, schema: this.outputSchema() }
+    };
+  }
+
   /**
    * Parses and validates OpenAI response
    * @private
@@ -499,19 +349,10 @@ export class OpenAIProvider extends BaseLLMProvider {
       let cleaned = content.trim();
       if (cleaned.startsWith('```')) cleaned = cleaned.replace(/^```json\s*/i, '').replace(/^```\s*/i, '');
       if (cleaned.endsWith('```')) cleaned = cleaned.replace(/```\s*$/i, '');
-      // If still not valid JSON, try to extract the largest JSON block
-      let parsed;
-      try {
-        parsed = JSON.parse(cleaned);
-      } catch (_) {
-        const first = cleaned.indexOf('{');
-        const last = cleaned.lastIndexOf('}');
-        if (first !== -1 && last !== -1 && last > first) {
-          const candidate = cleaned.slice(first, last + 1);
-          parsed = JSON.parse(candidate);
-        } else {
-          throw new Error('No JSON block found');
-        }
+      // If still not valid JSON, extract the JSON embedded in the text
+      const parsed = RetroSchema.extractJson(cleaned);
+      if (!parsed) {
+        throw new Error('No JSON block found');
       }
       console.log('OpenAI parsed JSON keys:', Object.keys(parsed || {}));
       
@@ -723,12 +564,12 @@ export class OpenAIProvider extends BaseLLMProvider {
     try {
       let text;
       if (isGPT5Model) {
-        const response = await this.client.responses.create({
+        const response = await this.client.responses.create(...this.requestArgs({
           model,
           input: prompt,
           reasoning: { effort: 'low' },
           text: { verbosity: 'low' }
-        });
+        }));
         text = response?.output_text || this._extractResponseText(response);
       } else {
         const requestConfig = {
@@ -742,31 +583,24 @@ export class OpenAIProvider extends BaseLLMProvider {
           max_tokens: 1000
         };
         if (!isO1Model) requestConfig.response_format = { type: 'json_object' };
-        const response = await this.client.chat.completions.create(requestConfig);
+        const response = await this.client.chat.completions.create(...this.requestArgs(requestConfig));
         text = response?.choices?.[0]?.message?.content;
       }
 
-      if (!text) return { summary: '', source: context.source, part: context.part };
-      let cleaned = text.trim();
-      if (cleaned.startsWith('```')) cleaned = cleaned.replace(/^```json\s*/i, '').replace(/^```\s*/i, '');
-      if (cleaned.endsWith('```')) cleaned = cleaned.replace(/```\s*$/i, '');
-      try {
-        const parsed = JSON.parse(cleaned);
-        if (parsed && typeof parsed === 'object' && parsed.summary) {
-          return { summary: String(parsed.summary).slice(0, 4000), source: context.source, part: context.part };
-        }
-      } catch (_) {}
-      return { summary: cleaned.slice(0, 4000), source: context.source, part: context.part };
+      return this.parseChunkSummary(text, context);
     } catch (error) {
+      this.throwIfAborted();
       console.warn('OpenAI chunk summary failed:', error?.message || String(error));
-      return { summary: '', source: context.source, part: context.part };
+      throw error;
     }
   }
 
   _buildChunkSummaryPrompt(chunkData, context) {
-    const header = `Summarize the following data chunk as compact JSON with shape { "summary": string }.
+    const header = `Summarize the following data chunk as compact JSON with shape
+{ "summary": string, "findings": { "wentWell": [{ "title": string, "details": string }], "didntGoWell": [...], "actionItems": [...] } }.
 Rules:
-- 3-5 sentences with key patterns, metrics, and themes.
+- summary: 3-5 sentences with key patterns, metrics, and themes.
+- findings: at most 2 per section, only what this chunk's data shows; leave a section empty otherwise.
 - Team-level perspective; avoid PII.
 - Return ONLY JSON.`;
     const body = JSON.stringify(chunkData, null, 2);
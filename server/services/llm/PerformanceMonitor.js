@@ -1,6 +1,6 @@
 /**
  * Performance monitoring service for LLM operations
- * Tracks token usage, costs, response times, and provides optimization recommendations
+ * Tracks token usage, costs, response times and response cache hits, and provides optimization recommendations
  */
 class PerformanceMonitor {
   constructor() {
@@ -10,7 +10,9 @@ class PerformanceMonitor {
       totalCost: 0,
       averageResponseTime: 0,
       requestHistory: [],
-      providerStats: {}
+      providerStats: {},
+      cacheHits: 0,
+      cacheMisses: 0
     };
     
     // Token pricing per 1K tokens (approximate rates as of 2024)
@@ -106,6 +108,18 @@ class PerformanceMonitor {
     providerStats.averageResponseTime = this.calculateProviderAverageResponseTime(request.provider);
   }
 
+  /**
+   * Count a response cache lookup
+   * @param {boolean} hit - Whether a cached response was used instead of calling the LLM
+   */
+  recordCacheLookup(hit) {
+    if (hit) {
+      this.metrics.cacheHits++;
+    } else {
+      this.metrics.cacheMisses++;
+    }
+  }
+
   /**
    * Calculate cost for a request
    * @param {string} provider - Provider name
@@ -288,7 +302,9 @@ class PerformanceMonitor {
       totalCost: 0,
       averageResponseTime: 0,
       requestHistory: [],
-      providerStats: {}
+      providerStats: {},
+      cacheHits: 0,
+      cacheMisses: 0
     };
   }
 
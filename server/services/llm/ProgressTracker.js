@@ -5,10 +5,17 @@
 
 import { EventEmitter } from 'events';
 
+// Events kept per tracker for streams that connect late or reconnect
+const MAX_EVENTS = 500;
+
 export class ProgressTracker extends EventEmitter {
   constructor(sessionId) {
     super();
     this.sessionId = sessionId;
+    this.createdAt = Date.now();
+    this.provisionalInsights = { wentWell: [], didntGoWell: [], actionItems: [] };
+    this.events = [];
+    this.lastEventId = 0;
     this.startTime = null;
     this.currentStep = 0;
     this.totalSteps = 0;
@@ -37,7 +44,7 @@ export class ProgressTracker extends EventEmitter {
     this.startTime = Date.now();
     this.currentStep = 0;
     
-    this.emit('initialized', {
+    this._publish('initialized', {
       sessionId: this.sessionId,
       totalSteps: this.totalSteps,
       steps: this.steps.map(s => ({ name: s.name, description: s.description }))
@@ -63,7 +70,7 @@ export class ProgressTracker extends EventEmitter {
 
     const progress = this.calculateProgress();
     
-    this.emit('step_started', {
+    this._publish('step_started', {
       sessionId: this.sessionId,
       stepIndex,
       step: {
@@ -92,7 +99,7 @@ export class ProgressTracker extends EventEmitter {
 
     const progress = this.calculateProgress();
     
-    this.emit('step_completed', {
+    this._publish('step_completed', {
       sessionId: this.sessionId,
       stepIndex,
       step: {
@@ -127,7 +134,7 @@ export class ProgressTracker extends EventEmitter {
 
     const progress = this.calculateProgress();
     
-    this.emit('step_failed', {
+    this._publish('step_failed', {
       sessionId: this.sessionId,
       stepIndex,
       step: {
@@ -157,7 +164,7 @@ export class ProgressTracker extends EventEmitter {
 
     const progress = this.calculateProgress();
     
-    this.emit('step_progress', {
+    this._publish('step_progress', {
       sessionId: this.sessionId,
       stepIndex,
       stepProgress: step.stepProgress,
@@ -170,10 +177,12 @@ export class ProgressTracker extends EventEmitter {
    * Complete the entire process
    */
   complete() {
+    // Completing the last step already completes the process
+    if (this.completed) return;
     this.completed = true;
     const totalDuration = Date.now() - this.startTime;
     
-    this.emit('completed', {
+    this._publish('completed', {
       sessionId: this.sessionId,
       totalDuration,
       steps: this.steps.map(s => ({
@@ -192,7 +201,7 @@ export class ProgressTracker extends EventEmitter {
     this.error = error;
     this.completed = true;
     
-    this.emit('failed', {
+    this._publish('failed', {
       sessionId: this.sessionId,
       error: error.message,
       completedSteps: this.steps.filter(s => s.status === 'completed').length,
@@ -200,6 +209,46 @@ export class ProgressTracker extends EventEmitter {
     });
   }
 
+  /**
+   * Publish the summary of one chunk of a progressive analysis, before the
+   * chunks are aggregated into the final insights. Its findings are added to
+   * the provisional insights in getStatus().
+   * @param {Object} chunk - { chunkIndex, totalChunks, timeRange, eventCount, summary, insights }
+   */
+  chunkAnalyzed(chunk) {
+    for (const [section, insights] of Object.entries(this.provisionalInsights)) {
+      insights.push(...(chunk.insights?.[section] || []));
+    }
+    this._publish('chunk_summary', {
+      sessionId: this.sessionId,
+      ...chunk,
+      progress: this.calculateProgress()
+    });
+  }
+
+  /**
+   * Events published after the given id, oldest first. Only the last
+   * MAX_EVENTS are kept.
+   * @param {number} lastEventId - Id of the last event the caller has seen
+   * @returns {Array} { id, type, data } events
+   */
+  eventsSince(lastEventId = 0) {
+    return this.events.filter(event => event.id > lastEventId);
+  }
+
+  /**
+   * Emit an event under its own name, numbered and kept for eventsSince(), and
+   * as an 'event' carrying { id, type, data } for streams
+   * @private
+   */
+  _publish(type, data) {
+    const event = { id: ++this.lastEventId, type, data };
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+    this.emit(type, data);
+    this.emit('event', event);
+  }
+
   /**
    * Calculate overall progress
    * @returns {Object} Progress information
@@ -294,6 +343,7 @@ export class ProgressTracker extends EventEmitter {
       completed: this.completed,
       error: this.error?.message,
       progress: this.calculateProgress(),
+      provisionalInsights: this.provisionalInsights,
       currentStep: this.currentStep < this.steps.length ? {
         index: this.currentStep,
         name: this.steps[this.currentStep].name,
@@ -324,9 +374,12 @@ export class ProgressTracker extends EventEmitter {
 /**
  * Progress Manager for handling multiple concurrent progress trackers
  */
-export class ProgressManager {
+export class ProgressManager extends EventEmitter {
   constructor() {
+    super();
     this.trackers = new Map();
+    // Every open progress stream may be waiting for its tracker
+    this.setMaxListeners(0);
   }
 
   /**
@@ -340,14 +393,18 @@ export class ProgressManager {
     tracker.initialize(steps);
     
     this.trackers.set(sessionId, tracker);
+    this.emit('created', tracker);
     
-    // Clean up tracker when completed or failed
+    // Clean up tracker when completed or failed, unless a retry has replaced it
+    const cleanup = () => {
+      if (this.trackers.get(sessionId) === tracker) this.trackers.delete(sessionId);
+    };
     tracker.on('completed', () => {
-      setTimeout(() => this.trackers.delete(sessionId), 60000); // Keep for 1 minute
+      setTimeout(cleanup, 60000); // Keep for 1 minute
     });
     
     tracker.on('failed', () => {
-      setTimeout(() => this.trackers.delete(sessionId), 60000); // Keep for 1 minute
+      setTimeout(cleanup, 60000); // Keep for 1 minute
     });
     
     return tracker;
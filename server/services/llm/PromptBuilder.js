@@ -1,4 +1,9 @@
 import { ModelTokenLimits } from "./ModelTokenLimits.js";
+import { RetroSchema } from "./RetroSchema.js";
+
+// Bump when the prompt templates change, so cached responses to the old
+// prompts are not reused
+export const PROMPT_TEMPLATE_VERSION = 1;
 
 /**
  * PromptBuilder Class
@@ -16,6 +21,10 @@ export class PromptBuilder {
     // Initialize ModelTokenLimits for dynamic token management
     this.tokenLimits = new ModelTokenLimits();
 
+    // Insights per section the prompt asks for, shared with the provider's schema
+    this.insightLimits =
+      config.insightLimits || RetroSchema.limitsFromConfig(config);
+
     // Default model configuration (can be overridden per request)
     this.defaultProvider = config.provider || "openai";
     this.defaultModel = config.model || "gpt-4o";
@@ -256,9 +265,9 @@ Analysis Guidelines:
 - Focus on actionable recommendations that address root causes, not just symptoms`,
 
       dataInstructions: `Analyze the following team data comprehensively:
-- GitHub: commits, pull requests, reviews, and repository activity
+- GitHub: commits, pull requests, reviews, and repository activity (github.reviewMetrics has time to first review, time to merge, review rounds and CI failure rate)
 - Linear: issues, project progress, completion patterns, and workflow efficiency
-- Slack: team communication, collaboration patterns, and discussion topics`,
+- Slack: team communication, collaboration patterns, and discussion topics (a message with "replies" is a whole thread: treat it as one conversation)`,
     };
   }
 
@@ -344,7 +353,7 @@ Analysis Guidelines:
 - Provide specific recommendations for improving development workflows`,
 
       dataInstructions: `Analyze the development and project data:
-- GitHub: development activity, code reviews, and repository changes
+- GitHub: development activity, code reviews, and repository changes (github.reviewMetrics has time to first review, time to merge, review rounds and CI failure rate)
 - Linear: project progress, issue tracking, and delivery metrics`,
     };
   }
@@ -371,8 +380,8 @@ Analysis Guidelines:
 - Assess team collaboration on technical challenges and solutions`,
 
       dataInstructions: `Analyze the development and communication data:
-- GitHub: code changes, development activity, and technical progress
-- Slack: team discussions, technical communication, and collaboration patterns`,
+- GitHub: code changes, development activity, and technical progress (github.reviewMetrics has time to first review, time to merge, review rounds and CI failure rate)
+- Slack: team discussions, technical communication, and collaboration patterns (a message with "replies" is a whole thread: treat it as one conversation)`,
     };
   }
 
@@ -399,7 +408,7 @@ Analysis Guidelines:
 
       dataInstructions: `Analyze the project management and communication data:
 - Linear: project progress, issue tracking, and delivery patterns
-- Slack: team discussions, project communication, and coordination patterns`,
+- Slack: team discussions, project communication, and coordination patterns (a message with "replies" is a whole thread: treat it as one conversation)`,
     };
   }
 
@@ -425,7 +434,7 @@ Analysis Guidelines:
 - Provide actionable recommendations based solely on development activity`,
 
       dataInstructions: `Analyze the development activity data:
-- GitHub: commits, pull requests, code reviews, and repository changes`,
+- GitHub: commits, pull requests, code reviews, and repository changes (github.reviewMetrics has time to first review, time to merge, review rounds and CI failure rate)`,
     };
   }
 
@@ -477,7 +486,7 @@ Analysis Guidelines:
 - Provide recommendations for enhancing team communication and collaboration`,
 
       dataInstructions: `Analyze the team communication data:
-- Slack: team discussions, communication patterns, and collaboration indicators`,
+- Slack: team discussions, communication patterns, and collaboration indicators (a message with "replies" is a whole thread: treat it as one conversation)`,
     };
   }
 
@@ -506,6 +515,15 @@ Analysis Guidelines:
     };
   }
 
+  /**
+   * Prompt rule for how many insights each section should have
+   * @private
+   */
+  _insightCountRule() {
+    const { min, max } = this.insightLimits;
+    return `- Include ${min} to ${max} items in each of "wentWell", "didntGoWell", and "actionItems", and never more than ${max}. Only include insights the data supports: if it supports fewer than ${min} in a section, return fewer rather than inventing filler.`;
+  }
+
   /**
    * Builds the system prompt with context and options
    * @private
@@ -533,6 +551,20 @@ Context Information:
 - Repositories: ${repositories?.join(", ") || "Not specified"}
 - Communication Channels: ${channels?.join(", ") || "Not specified"}`;
 
+    // Add sprint (Linear cycle) facts when the retro covers a cycle
+    if (context.cycle) {
+      const cycle = context.cycle;
+      contextInfo += `
+- Linear Cycle: ${cycle.cycleName} (${cycle.startsAt?.slice(0, 10)} to ${cycle.endsAt?.slice(0, 10)})${
+        cycle.ended ? "" : ", still in progress"
+      }
+- Cycle Facts: ${cycle.completedIssues}/${cycle.totalIssues} issues completed (${
+        cycle.completionRate ?? 0
+      }%), ${cycle.scopeAdded} issues added mid-cycle${
+        cycle.carryOver !== null ? `, ${cycle.carryOver} carried over` : ""
+      }`;
+    }
+
     // Add temporal context if available
     if (context.temporalChunk) {
       contextInfo += `
@@ -627,10 +659,10 @@ Quality Requirements for Insights:
 - Focus on actionable patterns that the team can learn from or improve upon
 - Avoid generic advice - make insights specific to this team's actual behavior and data
 - Generate the most impactful and actionable insights based on significant patterns in the data
-- When supported by the data, include at least 10 items in "wentWell", 10 in "didntGoWell", and 3 in "actionItems". If the data does not support that many high-quality items, include as many as are well-supported without fabrication.
+${this._insightCountRule()}
 - Prioritize insights that will drive meaningful team discussions and concrete improvements
 - Each insight should be substantial enough to warrant discussion in a retrospective meeting
-- No artificial limits on number of insights, but emphasize relevance, specificity, and actionability over volume
+- Emphasize relevance, specificity, and actionability over volume
 - Remember: Every "details" field must be exactly 2 sentences - this is mandatory`;
 
     if (isGPT5 || isGemini) {
@@ -671,7 +703,7 @@ Provide your analysis as a JSON object with the following structure:
   ]
 }`;
 
-      const comprehensiveRules = `\n\nOutput Requirements:\n- Return ONLY valid JSON. No markdown, no prose, no code fences.\n- Focus on the most impactful insights that will drive meaningful team discussions and improvements\n- Prioritize insights with strong evidence and clear actionability over volume\n- Each insight must be backed by specific data points from the provided team data\n- Include concrete examples (commit messages, issue titles, Slack discussions, etc.)\n- Provide quantitative context where possible (numbers, timeframes, frequencies)\n- Focus on actionable patterns that reveal team dynamics and productivity insights\n- Make insights specific to this team's actual behavior and data patterns\n- Use a Paul Graham–like essay style: clear, direct, conversational; short sentences; simple words; concrete examples; minimal jargon.\n- When supported by the data, include at least 10 items in \"wentWell\" and 10 in \"didntGoWell\".\n- Provide exactly 4 high-quality \"actionItems\".\n- Prioritize quality and depth over quantity, but don't artificially limit the number of insights`;
+      const comprehensiveRules = `\n\nOutput Requirements:\n- Return ONLY valid JSON. No markdown, no prose, no code fences.\n- Focus on the most impactful insights that will drive meaningful team discussions and improvements\n- Prioritize insights with strong evidence and clear actionability over volume\n- Each insight must be backed by specific data points from the provided team data\n- Include concrete examples (commit messages, issue titles, Slack discussions, etc.)\n- Provide quantitative context where possible (numbers, timeframes, frequencies)\n- Focus on actionable patterns that reveal team dynamics and productivity insights\n- Make insights specific to this team's actual behavior and data patterns\n- Use a Paul Graham–like essay style: clear, direct, conversational; short sentences; simple words; concrete examples; minimal jargon.\n${this._insightCountRule()}\n- Prioritize quality and depth over quantity`;
 
       return `${basePrompt}
 
@@ -893,6 +925,14 @@ Please analyze this data according to the instructions and provide comprehensive
         .map((message) => ({
           ...message,
           text: this._truncateText(message.text, 200),
+          ...(Array.isArray(message.replies)
+            ? {
+                replies: message.replies.map((reply) => ({
+                  ...reply,
+                  text: this._truncateText(reply.text, 200),
+                })),
+              }
+            : {}),
         }));
     }
 
@@ -0,0 +1,113 @@
+/**
+ * ResponseCache - In-memory cache of LLM analysis results
+ *
+ * Entries are content-addressed: the key is a hash of everything that decides
+ * the model's answer (provider, model, prompt template version, sanitized data),
+ * so regenerating a retro over unchanged data reuses the earlier answer instead
+ * of paying for it again. Entries expire after a TTL and the least recently
+ * used entry is evicted once the cache is full.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 100;
+
+// JSON with object keys sorted, so equal data always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+export class ResponseCache {
+  constructor(config = {}) {
+    this.ttlMs = config.ttlMs ?? DEFAULT_TTL_MS;
+    this.maxEntries = config.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.now = config.now || Date.now;
+    this.entries = new Map(); // key -> { value, storedAt }, least recently used first
+  }
+
+  /**
+   * Create a cache using environment configuration. LLM_CACHE_MAX_ENTRIES=0
+   * or LLM_CACHE_TTL_MS=0 disables caching.
+   * @param {Object} env - Environment variables
+   * @returns {ResponseCache} Cache instance
+   */
+  static fromEnvironment(env = process.env) {
+    const ttlMs = parseInt(env.LLM_CACHE_TTL_MS, 10);
+    const maxEntries = parseInt(env.LLM_CACHE_MAX_ENTRIES, 10);
+    return new ResponseCache({
+      ttlMs: Number.isNaN(ttlMs) || ttlMs < 0 ? DEFAULT_TTL_MS : ttlMs,
+      maxEntries: Number.isNaN(maxEntries) || maxEntries < 0 ? DEFAULT_MAX_ENTRIES : maxEntries
+    });
+  }
+
+  /**
+   * Cache key for the parts that decide a response
+   * @param {Object} parts - e.g. { provider, model, promptVersion, teamData }
+   * @returns {string} SHA-256 hex digest
+   */
+  static key(parts) {
+    return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  /**
+   * Look up a cached value
+   * @param {string} key - Cache key
+   * @returns {{value: *, storedAt: number}|null} A copy of the entry, or null when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (this.now() - entry.storedAt >= this.ttlMs) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so the entry becomes the most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { value: structuredClone(entry.value), storedAt: entry.storedAt };
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries over the size cap
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store; a copy is kept so callers may mutate theirs
+   */
+  set(key, value) {
+    if (!this.enabled) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), storedAt: this.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Current size and limits
+   * @returns {{entries: number, maxEntries: number, ttlMs: number}}
+   */
+  stats() {
+    return { entries: this.entries.size, maxEntries: this.maxEntries, ttlMs: this.ttlMs };
+  }
+}
+
+export default ResponseCache;
@@ -1,3 +1,5 @@
+import { RetroSchema } from './RetroSchema.js';
+
 /**
  * ResponseParser - Converts LLM text responses to structured insights
  * 
@@ -47,37 +49,10 @@ class ResponseParser {
    * @returns {Object|null} Parsed insights or null if not valid JSON
    */
   static parseJsonResponse(response, provider) {
-    let parsed;
-    
-    // First try to parse the entire response as JSON
-    try {
-      parsed = JSON.parse(response);
-    } catch (error) {
-      // Try to extract JSON from response (handle cases where LLM adds extra text)
-      // Look for balanced braces or brackets
-      let jsonStr = null;
-      
-      // Try to find object JSON
-      const objectMatch = response.match(/\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}/);
-      if (objectMatch) {
-        jsonStr = objectMatch[0];
-      } else {
-        // Try to find array JSON
-        const arrayMatch = response.match(/\[[^\[\]]*(?:\[[^\[\]]*\][^\[\]]*)*\]/);
-        if (arrayMatch) {
-          jsonStr = arrayMatch[0];
-        }
-      }
-      
-      if (!jsonStr) {
-        return null;
-      }
-
-      try {
-        parsed = JSON.parse(jsonStr);
-      } catch (parseError) {
-        return null;
-      }
+    // Parse the whole response, or the first JSON object or array embedded in it
+    const parsed = RetroSchema.extractJson(response);
+    if (parsed === null) {
+      return null;
     }
 
     // Validate and normalize the structure
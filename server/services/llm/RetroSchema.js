@@ -0,0 +1,273 @@
+/**
+ * Retro Output Schema
+ * The single JSON Schema every provider is asked to fill in, plus the helpers
+ * used to pull JSON out of a model reply, check it against the schema and ask
+ * the model to repair it
+ */
+
+export const RETRO_SCHEMA_NAME = 'RetroInsights';
+export const INSIGHT_CATEGORIES = ['technical', 'process', 'team-dynamics', 'communication'];
+export const ACTION_PRIORITIES = ['high', 'medium', 'low'];
+export const RETRO_SECTIONS = ['wentWell', 'didntGoWell', 'actionItems'];
+
+// Insights asked for per section unless configured otherwise
+export const DEFAULT_INSIGHT_LIMITS = { min: 3, max: 10 };
+
+// Number of schema problems listed in a repair prompt; the rest are summarized
+const MAX_LISTED_PROBLEMS = 20;
+// Characters of the rejected reply echoed back in a repair prompt
+const MAX_ECHOED_OUTPUT = 8000;
+
+const insightSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'details', 'source', 'confidence', 'category', 'reasoning'],
+  properties: {
+    title: { type: 'string' },
+    details: { type: 'string' },
+    source: { type: 'string', enum: ['ai'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    category: { type: 'string', enum: INSIGHT_CATEGORIES },
+    reasoning: { type: 'string' }
+  }
+};
+
+const actionItemSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'details', 'source', 'priority', 'category', 'reasoning'],
+  properties: {
+    title: { type: 'string' },
+    details: { type: 'string' },
+    source: { type: 'string', enum: ['ai'] },
+    priority: { type: 'string', enum: ACTION_PRIORITIES },
+    category: { type: 'string', enum: INSIGHT_CATEGORIES },
+    reasoning: { type: 'string' }
+  }
+};
+
+/**
+ * Canonical schema for a retro analysis. Written in the subset of JSON Schema
+ * that OpenAI strict mode, Anthropic tool input, Gemini and Ollama all accept:
+ * every property is required and no extra properties are allowed.
+ */
+export const RETRO_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['wentWell', 'didntGoWell', 'actionItems'],
+  properties: {
+    wentWell: { type: 'array', items: insightSchema },
+    didntGoWell: { type: 'array', items: insightSchema },
+    actionItems: { type: 'array', items: actionItemSchema }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+export class RetroSchema {
+  static schemaName = RETRO_SCHEMA_NAME;
+  static schema = RETRO_SCHEMA;
+
+  /**
+   * Min and max insights per section from provider or analyzer configuration
+   * @param {Object} config - Configuration with optional minInsightsPerSection and maxInsightsPerSection
+   * @returns {{min: number, max: number}} Limits, with max never below min
+   */
+  static limitsFromConfig(config = {}) {
+    const min = Number.isInteger(config.minInsightsPerSection) && config.minInsightsPerSection >= 0
+      ? config.minInsightsPerSection
+      : DEFAULT_INSIGHT_LIMITS.min;
+    const max = Number.isInteger(config.maxInsightsPerSection) && config.maxInsightsPerSection > 0
+      ? config.maxInsightsPerSection
+      : DEFAULT_INSIGHT_LIMITS.max;
+    return { min, max: Math.max(min, max) };
+  }
+
+  /**
+   * The retro schema with per-section item limits
+   * @param {{min: number, max: number}} limits - Insights per section
+   * @param {Object} options
+   * @param {boolean} options.includeMinimum - Add minItems. Left out of schemas sent to
+   *   providers, whose constrained decoding would otherwise invent items to reach it
+   * @returns {Object} JSON Schema
+   */
+  static forLimits({ min, max }, { includeMinimum = true } = {}) {
+    const properties = Object.fromEntries(RETRO_SECTIONS.map(section => [section, {
+      ...RETRO_SCHEMA.properties[section],
+      ...(includeMinimum && min > 0 ? { minItems: min } : {}),
+      maxItems: max
+    }]));
+    return { ...RETRO_SCHEMA, properties };
+  }
+
+  /**
+   * Validates a value against a JSON Schema. Supports the keywords used by
+   * RETRO_SCHEMA: type, required, properties, additionalProperties, items,
+   * enum, minimum, maximum, minItems and maxItems.
+   * @param {*} value - Value to validate
+   * @param {Object} schema - Schema to validate against
+   * @param {string} path - JSON path of the value, used in problem reports
+   * @returns {Array<{path: string, message: string}>} Problems found, empty when valid
+   */
+  static validate(value, schema = RETRO_SCHEMA, path = '$') {
+    if (schema.type && !matchesType(value, schema.type)) {
+      return [{ path, message: `expected ${schema.type} but got ${typeOf(value)}` }];
+    }
+
+    const problems = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          problems.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        const childSchema = schema.properties?.[key];
+        if (childSchema) {
+          problems.push(...this.validate(child, childSchema, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          problems.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        }
+      });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        problems.push({ path, message: `must have at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        problems.push({ path, message: `must have at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          problems.push(...this.validate(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Extracts the first JSON object or array from model output, tolerating
+   * code fences and prose around it and any depth of nesting
+   * @param {string} text - Raw model output
+   * @returns {Object|Array|null} Parsed JSON, or null when none was found
+   */
+  static extractJson(text) {
+    if (typeof text !== 'string') return null;
+    const cleaned = text.trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/```\s*$/, '')
+      .trim();
+
+    try {
+      return JSON.parse(cleaned);
+    } catch (_) {
+      // Look for JSON embedded in prose
+    }
+
+    for (let start = 0; start < cleaned.length; start++) {
+      if (cleaned[start] !== '{' && cleaned[start] !== '[') continue;
+      const end = this._findClosingBracket(cleaned, start);
+      if (end === -1) continue;
+      try {
+        return JSON.parse(cleaned.slice(start, end + 1));
+      } catch (_) {
+        // Not JSON after all, keep scanning
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks model output against the retro schema
+   * @param {string|Object} output - Raw text, or an already parsed object such as tool input
+   * @param {Object} schema - Schema to check against
+   * @returns {{ value: Object|null, problems: Array<{path: string, message: string}> }}
+   */
+  static check(output, schema = RETRO_SCHEMA) {
+    const value = typeof output === 'string' ? this.extractJson(output) : (output ?? null);
+    if (value === null) {
+      return { value, problems: [{ path: '$', message: 'no JSON object found in the response' }] };
+    }
+    return { value, problems: this.validate(value, schema) };
+  }
+
+  /**
+   * Builds the follow-up instructions asking a model to fix a response that
+   * did not match the retro schema
+   * @param {string|Object} output - The rejected response
+   * @param {Array<{path: string, message: string}>} problems - Schema problems found
+   * @param {Object} schema - Schema the corrected response must match
+   * @returns {string} Text to append to the original user prompt
+   */
+  static repairInstructions(output, problems, schema = RETRO_SCHEMA) {
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS).map(p => `- ${p.path} ${p.message}`);
+    if (problems.length > MAX_LISTED_PROBLEMS) {
+      listed.push(`- ...and ${problems.length - MAX_LISTED_PROBLEMS} more`);
+    }
+    const previous = typeof output === 'string' ? output : JSON.stringify(output);
+
+    return `Your previous response did not match the required JSON schema:
+${listed.join('\n')}
+
+Previous response:
+${String(previous || '').slice(0, MAX_ECHOED_OUTPUT)}
+
+If a section has too few items, add only insights the data supports; if it supports no more, return the section as it is. Never invent filler.
+Return ONLY the corrected JSON object. It must match this schema exactly:
+${JSON.stringify(schema)}`;
+  }
+
+  /**
+   * Finds the end of the balanced JSON object or array starting at `start`,
+   * skipping brackets inside strings
+   * @private
+   */
+  static _findClosingBracket(text, start) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+      else if (char === '}' || char === ']') {
+        if (stack.pop() !== char) return -1;
+        if (stack.length === 0) return i;
+      }
+    }
+    return -1;
+  }
+}
+
+export default RetroSchema;
@@ -21,15 +21,16 @@ export class TemporalDataProcessor {
    * Process and organize team data chronologically
    * @param {Object} teamData - Raw team data from all sources
    * @param {Object} dateRange - Analysis date range
+   * @param {IdentityResolver} identityResolver - Optional; attributes events to canonical people
    * @returns {Object} Processed temporal data structure
    */
-  processTeamData(teamData, dateRange) {
+  processTeamData(teamData, dateRange, identityResolver = null) {
     console.log(
       "TemporalDataProcessor: Starting chronological data processing..."
     );
 
     // Step 1: Extract and normalize all events with timestamps
-    const allEvents = this._extractAllEvents(teamData);
+    const allEvents = this._extractAllEvents(teamData, identityResolver);
     console.log(`Extracted ${allEvents.length} total events from all sources`);
 
     // Step 2: Sort events chronologically
@@ -71,8 +72,12 @@ export class TemporalDataProcessor {
    * Extract all events from team data with normalized timestamps
    * @private
    */
-  _extractAllEvents(teamData) {
+  _extractAllEvents(teamData, identityResolver = null) {
     const events = [];
+    // Canonical name of whoever is behind a source identity, so the same teammate
+    // is recognizable across GitHub, Linear and Slack
+    const personFor = (source, identity, record) =>
+      identityResolver?.resolve(source, identity)?.name || record?.person;
 
     // Extract GitHub events
     if (teamData.github) {
@@ -89,6 +94,7 @@ export class TemporalDataProcessor {
               sha: commit.sha,
               message: commit.commit?.message || commit.message,
               author: commit.commit?.author?.name || commit.author?.login,
+              person: personFor("github", commit, commit),
               url: commit.html_url,
               repo: commit.repo,
               additions: commit.stats?.additions,
@@ -112,6 +118,7 @@ export class TemporalDataProcessor {
               number: pr.number,
               title: pr.title,
               author: pr.user?.login,
+              person: personFor("github", pr.user, pr),
               state: pr.state,
               url: pr.html_url,
               repo: pr.repo,
@@ -120,6 +127,9 @@ export class TemporalDataProcessor {
               commits: pr.commits,
               comments: pr.comments,
               reviewComments: pr.review_comments,
+              requestedReviewers: pr.requested_reviewers?.map((r) => r.login),
+              reviews: pr.reviews?.length,
+              ciState: pr.checks?.state,
             },
             rawData: pr,
           });
@@ -134,6 +144,7 @@ export class TemporalDataProcessor {
                 number: pr.number,
                 title: pr.title,
                 author: pr.user?.login,
+                person: personFor("github", pr.user, pr),
                 mergedBy: pr.merged_by?.login,
                 url: pr.html_url,
                 repo: pr.repo,
@@ -149,6 +160,7 @@ export class TemporalDataProcessor {
                 number: pr.number,
                 title: pr.title,
                 author: pr.user?.login,
+                person: personFor("github", pr.user, pr),
                 url: pr.html_url,
                 repo: pr.repo,
               },
@@ -172,11 +184,13 @@ export class TemporalDataProcessor {
             title: issue.title,
             description: issue.description,
             assignee: issue.assignee?.name,
+            person: personFor("linear", issue.assignee, issue),
             state: issue.state?.name,
             priority: issue.priority,
             estimate: issue.estimate,
             team: issue.team?.name,
             project: issue.project?.name,
+            cycle: issue.cycle?.number,
             labels: issue.labels?.nodes?.map((l) => l.name) || [],
           },
           rawData: issue,
@@ -192,6 +206,7 @@ export class TemporalDataProcessor {
               id: issue.id,
               title: issue.title,
               assignee: issue.assignee?.name,
+              person: personFor("linear", issue.assignee, issue),
               state: issue.state?.name,
               team: issue.team?.name,
               project: issue.project?.name,
@@ -200,6 +215,24 @@ export class TemporalDataProcessor {
           });
         }
 
+        // State transitions from the issue history
+        (issue.history?.nodes || []).forEach((entry) => {
+          if (!entry.toState) return;
+          events.push({
+            type: "linear_issue_state_changed",
+            source: "linear",
+            timestamp: this._parseTimestamp(entry.createdAt),
+            data: {
+              id: issue.id,
+              title: issue.title,
+              from: entry.fromState?.name,
+              to: entry.toState.name,
+              actor: entry.actor?.name,
+            },
+            rawData: entry,
+          });
+        });
+
         // Issue updates (using updatedAt if different from createdAt)
         const created = this._parseTimestamp(issue.createdAt);
         const updated = this._parseTimestamp(issue.updatedAt);
@@ -212,6 +245,7 @@ export class TemporalDataProcessor {
               id: issue.id,
               title: issue.title,
               assignee: issue.assignee?.name,
+              person: personFor("linear", issue.assignee, issue),
               state: issue.state?.name,
               team: issue.team?.name,
               project: issue.project?.name,
@@ -236,6 +270,7 @@ export class TemporalDataProcessor {
           data: {
             text: message.text,
             user: message.user,
+            person: personFor("slack", message.user, message),
             channel: message.channel,
             channelId: message.channelId,
             reactions:
@@ -244,7 +279,23 @@ export class TemporalDataProcessor {
                 count: r.count,
               })) || [],
             threadTs: message.thread_ts,
-            replyCount: message.reply_count,
+            replyCount: message.replies?.length || message.reply_count,
+            // The whole thread travels with its parent so it reads as one conversation
+            replies:
+              message.replies?.map((reply) => ({
+                text: reply.text,
+                user: reply.user,
+                person: personFor("slack", reply.user, reply),
+                reactionCount: reply.reaction_count,
+              })) || [],
+            participants: message.replies?.length
+              ? new Set(
+                  [message, ...message.replies].map(
+                    (m) => personFor("slack", m.user, m) || m.user
+                  )
+                ).size
+              : undefined,
+            reactionCount: message.reaction_count,
           },
           rawData: message,
         });
@@ -462,7 +513,11 @@ export class TemporalDataProcessor {
 
     events.forEach((event) => {
       // Track unique users
-      const user = event.data.author || event.data.assignee || event.data.user;
+      const user =
+        event.data.person ||
+        event.data.author ||
+        event.data.assignee ||
+        event.data.user;
       if (user) metrics.uniqueUsers.add(user);
 
       // Categorize activity
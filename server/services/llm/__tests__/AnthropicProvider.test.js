@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { AnthropicProvider } from '../AnthropicProvider.js';
+import { RetroSchema } from '../RetroSchema.js';
+import { thinFixtureLimits } from './fixtures/providerConfig.js';
 
 // Mock the Anthropic module
 vi.mock('@anthropic-ai/sdk', () => {
@@ -29,7 +31,8 @@ describe('AnthropicProvider', () => {
       maxTokens: 4000,
       temperature: 0.7,
       retryAttempts: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      ...thinFixtureLimits
     };
 
     // Get the mocked Anthropic constructor
@@ -347,6 +350,69 @@ describe('AnthropicProvider', () => {
       expect(callArgs.messages[0].content).toContain('System:');
       expect(callArgs.messages[0].content).toContain('Human:');
     });
+
+    it('should request the retro schema as a forced tool call and parse its input', async () => {
+      const toolInput = {
+        wentWell: [{ title: 'Fast reviews', details: 'Reviewed within a day', source: 'ai', confidence: 0.8, category: 'process', reasoning: 'Review times' }],
+        didntGoWell: [],
+        actionItems: [{ title: 'Fix CI', details: 'Quarantine flaky tests', source: 'ai', priority: 'high', category: 'technical', reasoning: 'CI failures' }]
+      };
+      mockAnthropic.messages.create.mockResolvedValue({
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'record_retro_insights', input: toolInput }],
+        usage: { input_tokens: 100, output_tokens: 50 }
+      });
+
+      const result = await provider.generateInsights({ github: {}, linear: {}, slack: {} }, { dateRange: { start: '2024-01-01', end: '2024-01-07' } });
+
+      const callArgs = mockAnthropic.messages.create.mock.calls[0][0];
+      expect(callArgs.tools).toEqual([expect.objectContaining({ name: 'record_retro_insights', input_schema: RetroSchema.forLimits({ min: 0, max: 10 }, { includeMinimum: false }) })]);
+      expect(callArgs.tool_choice).toEqual({ type: 'tool', name: 'record_retro_insights' });
+      expect(mockAnthropic.messages.create).toHaveBeenCalledTimes(1);
+      expect(result.wentWell[0]).toMatchObject({ title: 'Fast reviews', llmProvider: 'anthropic' });
+      expect(result.actionItems[0].priority).toBe('high');
+      expect(result.metadata).toMatchObject({ schemaRepairs: 0, schemaValid: true });
+    });
+
+    it('should re-prompt with the schema problems when the output does not match', async () => {
+      mockAnthropic.messages.create
+        .mockResolvedValueOnce({ content: [{ text: '{"wentWell": [{"title": "Test"}]}' }], usage: { input_tokens: 100, output_tokens: 20 } })
+        .mockResolvedValueOnce({ content: [{ text: JSON.stringify({ wentWell: [], didntGoWell: [], actionItems: [] }) }], usage: { input_tokens: 150, output_tokens: 10 } });
+
+      const result = await provider.generateInsights({ github: {}, linear: {}, slack: {} }, { dateRange: { start: '2024-01-01', end: '2024-01-07' } });
+
+      expect(mockAnthropic.messages.create).toHaveBeenCalledTimes(2);
+      const repairArgs = mockAnthropic.messages.create.mock.calls[1][0];
+      expect(repairArgs.messages[0].content).toContain('$.didntGoWell is required');
+      expect(result.metadata).toMatchObject({ schemaRepairs: 1, schemaValid: true });
+    });
+
+    it('should re-query sections below the default minimum', async () => {
+      provider = new AnthropicProvider({ ...mockConfig, minInsightsPerSection: undefined });
+      mockAnthropic.messages.create.mockResolvedValue({
+        content: [{ text: JSON.stringify({ wentWell: [], didntGoWell: [], actionItems: [] }) }],
+        usage: { input_tokens: 100, output_tokens: 10 }
+      });
+
+      const result = await provider.generateInsights({ github: {}, linear: {}, slack: {} }, { dateRange: { start: '2024-01-01', end: '2024-01-07' } });
+
+      expect(mockAnthropic.messages.create).toHaveBeenCalledTimes(2);
+      expect(mockAnthropic.messages.create.mock.calls[1][0].messages[0].content).toContain('$.wentWell must have at least 3 items');
+      expect(result.metadata.insightShortfall).toMatchObject({ wentWell: { found: 0, minimum: 3 } });
+    });
+
+    it('should not send tools to models without tool use', async () => {
+      provider = new AnthropicProvider({ ...mockConfig, model: 'claude-2.1' });
+      mockAnthropic.messages.create.mockResolvedValue({
+        content: [{ text: JSON.stringify({ wentWell: [], didntGoWell: [], actionItems: [] }) }],
+        usage: { input_tokens: 100, output_tokens: 50 }
+      });
+
+      await provider.generateInsights({ github: {}, linear: {}, slack: {} }, { dateRange: { start: '2024-01-01', end: '2024-01-07' } });
+
+      const callArgs = mockAnthropic.messages.create.mock.calls[0][0];
+      expect(callArgs.tools).toBeUndefined();
+      expect(callArgs.tool_choice).toBeUndefined();
+    });
   });
 
   describe('Rate Limiting and Retry Logic', () => {
@@ -174,4 +174,61 @@ describe('BaseLLMProvider', () => {
       expect(available).toBe(false);
     });
   });
+
+  describe('chunk summaries', () => {
+    beforeEach(() => {
+      provider = new MockLLMProvider(config);
+    });
+
+    it('should parse the summary and up to two findings per section', () => {
+      const text = '```json\n' + JSON.stringify({
+        summary: 'Reviews were fast',
+        findings: {
+          wentWell: [{ title: 'Fast reviews', details: 'Within hours' }, { title: 'Two' }, { title: 'Three' }],
+          didntGoWell: [{ details: 'No title' }],
+        },
+      }) + '\n```';
+
+      const parsed = provider.parseChunkSummary(text, { source: 'temporal_chunk', part: 'c1' });
+
+      expect(parsed).toEqual({
+        summary: 'Reviews were fast',
+        findings: {
+          wentWell: [{ title: 'Fast reviews', details: 'Within hours' }, { title: 'Two', details: '' }],
+          didntGoWell: [],
+          actionItems: [],
+        },
+        source: 'temporal_chunk',
+        part: 'c1',
+      });
+    });
+
+    it('should take plain text as the summary', () => {
+      expect(provider.parseChunkSummary('Quiet week.')).toMatchObject({ summary: 'Quiet week.', findings: { wentWell: [] } });
+    });
+  });
+
+  describe('cancellation', () => {
+    beforeEach(() => {
+      provider = new MockLLMProvider(config);
+    });
+
+    it('should pass the abort signal to SDK calls only when one is set', () => {
+      const body = { model: 'test-model' };
+      expect(provider.requestArgs(body)).toEqual([body]);
+
+      const controller = new AbortController();
+      provider.setAbortSignal(controller.signal);
+      expect(provider.requestArgs(body)).toEqual([body, { signal: controller.signal }]);
+    });
+
+    it('should throw a cancelled error once the signal aborts', () => {
+      const controller = new AbortController();
+      provider.setAbortSignal(controller.signal);
+      expect(() => provider.throwIfAborted()).not.toThrow();
+
+      controller.abort();
+      expect(() => provider.throwIfAborted()).toThrow(expect.objectContaining({ code: 'CANCELLED' }));
+    });
+  });
 });
\ No newline at end of file
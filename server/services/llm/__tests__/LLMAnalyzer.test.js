@@ -10,6 +10,8 @@ import { LLMServiceFactory } from '../LLMServiceFactory.js';
 import { PromptBuilder } from '../PromptBuilder.js';
 import ResponseParser from '../ResponseParser.js';
 import DataSanitizer from '../../DataSanitizer.js';
+import { ProgressTracker, DEFAULT_LLM_STEPS } from '../ProgressTracker.js';
+import { ResponseCache } from '../ResponseCache.js';
 
 // Mock the dependencies
 vi.mock('../LLMServiceFactory.js');
@@ -285,6 +287,28 @@ describe('LLMAnalyzer', () => {
       expect(result).toBeNull();
     });
 
+    test('should fail only the current step, so a rule-based fallback can still complete', async () => {
+      mockProvider.generateInsights.mockRejectedValue(new Error('API Error'));
+      const tracker = new ProgressTracker('session');
+      tracker.initialize(DEFAULT_LLM_STEPS);
+
+      const result = await analyzer.analyzeTeamData(
+        sampleData.github,
+        sampleData.linear,
+        sampleData.slack,
+        { start: '2024-01-01', end: '2024-01-07' },
+        {},
+        tracker
+      );
+      tracker.complete();
+
+      const types = tracker.eventsSince(0).map(event => event.type);
+      expect(result).toBeNull();
+      expect(types).toContain('step_failed');
+      expect(types).not.toContain('failed');
+      expect(types[types.length - 1]).toBe('completed');
+    });
+
     test('should handle data sanitization failure', async () => {
       mockDataSanitizer.sanitizeTeamData.mockImplementation(() => {
         throw new Error('Sanitization failed');
@@ -563,4 +587,108 @@ describe('LLMAnalyzer', () => {
       expect(LLMServiceFactory.createProvider).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('Progressive analysis', () => {
+    test('should publish each chunk\'s findings as provisional insights', async () => {
+      const analyzer = new LLMAnalyzer({ provider: 'openai', apiKey: 'test-key', enabled: true });
+      const chunk = { id: 'c1', eventCount: 12, summary: { timeRange: 'Jan 1 - Jan 3' }, patterns: {}, activityMetrics: {} };
+      analyzer.temporalProcessor = {
+        processTeamData: vi.fn().mockReturnValue({ chunks: [chunk], totalEvents: 12, processingMetadata: {} })
+      };
+      vi.spyOn(analyzer, '_convertChunkToStructuredData').mockReturnValue({});
+      vi.spyOn(analyzer, '_buildTemporalAggregation').mockReturnValue({});
+      vi.spyOn(analyzer, '_callLLMWithRetry').mockResolvedValue({ wentWell: [], didntGoWell: [], actionItems: [] });
+      mockProvider.generateChunkSummary = vi.fn().mockResolvedValue({
+        summary: 'Reviews were fast',
+        findings: { wentWell: [{ title: 'Fast reviews', details: 'PRs reviewed within hours' }], didntGoWell: [], actionItems: [] }
+      });
+      const tracker = new ProgressTracker('session');
+      tracker.initialize(DEFAULT_LLM_STEPS);
+
+      await analyzer._analyzeTeamDataProgressive({}, { dateRange: {} }, tracker);
+
+      const [event] = tracker.eventsSince(0).filter(e => e.type === 'chunk_summary');
+      expect(event.data).toMatchObject({ chunkIndex: 0, totalChunks: 1, summary: 'Reviews were fast' });
+      expect(tracker.getStatus().provisionalInsights.wentWell).toEqual([
+        expect.objectContaining({ title: 'Fast reviews', provisional: true, provenance: 'ai', timeRange: 'Jan 1 - Jan 3' })
+      ]);
+    });
+  });
+
+  describe('Response cache', () => {
+    const dateRange = { start: '2024-01-01', end: '2024-01-07' };
+    const prepared = { sanitizedData: { github: { commits: [{ message: 'Fix login' }] } }, sanitized: true, identities: null };
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new LLMAnalyzer({ provider: 'openai', apiKey: 'test-key', enabled: true }, { responseCache: new ResponseCache() });
+      mockProvider.estimateTokenCount = vi.fn().mockReturnValue(100);
+      mockPromptBuilder.generateRetroPrompt.mockReturnValue({ system: 'System', user: 'User', metadata: {} });
+      vi.spyOn(analyzer, '_callLLMWithRetry').mockResolvedValue({
+        wentWell: [{ title: 'Fast reviews', details: 'PRs reviewed within hours' }],
+        didntGoWell: [],
+        actionItems: [],
+        metadata: {}
+      });
+    });
+
+    test('should reuse the analysis of unchanged data and count hits and misses', async () => {
+      const first = await analyzer.analyzePreparedData(prepared, dateRange, {});
+      const second = await analyzer.analyzePreparedData(prepared, dateRange, {});
+
+      expect(analyzer._callLLMWithRetry).toHaveBeenCalledTimes(1);
+      expect(second.wentWell).toEqual(first.wentWell);
+      expect(first.analysisMetadata.cacheHit).toBeUndefined();
+      expect(second.analysisMetadata).toMatchObject({ provider: 'openai', cacheHit: true, cachedAt: expect.any(String) });
+      expect(analyzer.getPerformanceMetrics()).toMatchObject({ cacheHits: 1, cacheMisses: 1 });
+
+      await analyzer.analyzePreparedData({ ...prepared, sanitizedData: { github: { commits: [] } } }, dateRange, {});
+      expect(analyzer._callLLMWithRetry).toHaveBeenCalledTimes(2);
+    });
+
+    test('should call the LLM when forced and keep the fresh analysis', async () => {
+      await analyzer.analyzePreparedData(prepared, dateRange, {});
+      analyzer._callLLMWithRetry.mockResolvedValue({ wentWell: [{ title: 'Faster reviews' }], didntGoWell: [], actionItems: [], metadata: {} });
+
+      const forced = await analyzer.analyzePreparedData(prepared, dateRange, { force: true });
+      const next = await analyzer.analyzePreparedData(prepared, dateRange, {});
+
+      expect(analyzer._callLLMWithRetry).toHaveBeenCalledTimes(2);
+      expect(forced.wentWell[0].title).toBe('Faster reviews');
+      expect(next.wentWell[0].title).toBe('Faster reviews');
+      expect(analyzer.getPerformanceMetrics()).toMatchObject({ cacheHits: 1, cacheMisses: 1 });
+    });
+
+    test('should not cache an analysis a fallback provider gave', async () => {
+      analyzer._callLLMWithRetry.mockImplementation(async () => {
+        analyzer.providerFallbacks.push({ from: 'openai', to: 'anthropic', reason: 'RATE_LIMIT' });
+        return { wentWell: [{ title: 'From the fallback' }], didntGoWell: [], actionItems: [], metadata: {} };
+      });
+
+      await analyzer.analyzePreparedData(prepared, dateRange, {});
+      const next = await analyzer.analyzePreparedData(prepared, dateRange, {});
+
+      expect(analyzer._callLLMWithRetry).toHaveBeenCalledTimes(2);
+      expect(next.analysisMetadata.cacheHit).toBeUndefined();
+      expect(analyzer.getPerformanceMetrics()).toMatchObject({ cacheHits: 0, cacheMisses: 2 });
+    });
+
+    test('should reuse chunk summaries, but not empty ones', async () => {
+      const chunk = { id: 'c1', eventCount: 12, summary: { timeRange: 'Jan 1 - Jan 3' }, patterns: {}, activityMetrics: {} };
+      analyzer.temporalProcessor = {
+        processTeamData: vi.fn().mockReturnValue({ chunks: [chunk], totalEvents: 12, processingMetadata: {} })
+      };
+      vi.spyOn(analyzer, '_convertChunkToStructuredData').mockReturnValue({ events: ['Fix login'] });
+      vi.spyOn(analyzer, '_buildTemporalAggregation').mockReturnValue({});
+      mockProvider.generateChunkSummary = vi.fn()
+        .mockResolvedValueOnce({ summary: '', findings: { wentWell: [], didntGoWell: [], actionItems: [] } })
+        .mockResolvedValue({ summary: 'Reviews were fast', findings: { wentWell: [], didntGoWell: [], actionItems: [] } });
+
+      await analyzer._analyzeTeamDataProgressive({}, { dateRange });
+      await analyzer._analyzeTeamDataProgressive({}, { dateRange });
+      await analyzer._analyzeTeamDataProgressive({}, { dateRange });
+
+      expect(mockProvider.generateChunkSummary).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -220,6 +220,26 @@ describe('LLMServiceFactory', () => {
       expect(config.enabled).toBe(false);
       expect(config.privacyMode).toBe(true);
     });
+
+    it('should read an ordered fallback chain from LLM_PROVIDERS', () => {
+      const env = {
+        LLM_PROVIDER: 'gemini',
+        LLM_PROVIDERS: 'Anthropic, openai,local',
+        ANTHROPIC_API_KEY: 'ant-test123',
+        OPENAI_API_KEY: 'sk-test123',
+        OPENAI_MODEL: 'gpt-4o-mini',
+        LLM_TIMEOUT: '5000'
+      };
+
+      const config = LLMServiceFactory.createConfigFromEnv(env);
+      expect(config.provider).toBe('anthropic');
+      expect(config.apiKey).toBe('ant-test123');
+      expect(config.timeout).toBe(5000);
+      expect(config.fallbackProviders).toEqual([
+        { provider: 'openai', apiKey: 'sk-test123', model: 'gpt-4o-mini' },
+        { provider: 'local', model: 'llama2', endpoint: 'http://localhost:11434' }
+      ]);
+    });
   });
 
   describe('provider testing', () => {
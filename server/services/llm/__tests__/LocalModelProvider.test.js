@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { LocalModelProvider } from '../LocalModelProvider.js';
+import { thinFixtureLimits } from './fixtures/providerConfig.js';
 
 // Mock fetch globally
 global.fetch = vi.fn();
@@ -19,7 +20,8 @@ describe('LocalModelProvider', () => {
       maxTokens: 4000,
       temperature: 0.7,
       retryAttempts: 3,
-      retryDelay: 2000
+      retryDelay: 2000,
+      ...thinFixtureLimits
     };
   });
 
@@ -356,6 +358,20 @@ describe('LocalModelProvider', () => {
       });
     });
 
+    it('should re-query sections below the default minimum', async () => {
+      provider = new LocalModelProvider({ ...mockConfig, minInsightsPerSection: undefined });
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ response: JSON.stringify({ wentWell: [], didntGoWell: [], actionItems: [] }) })
+      });
+
+      const result = await provider.generateInsights({ github: {}, linear: {}, slack: {} }, { dateRange: { start: '2024-01-01', end: '2024-01-07' } });
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][1].body).toContain('$.wentWell must have at least 3 items');
+      expect(result.metadata.insightShortfall).toMatchObject({ wentWell: { found: 0, minimum: 3 } });
+    });
+
     it('should handle malformed JSON response', async () => {
       const mockResponse = {
         response: 'Invalid JSON response from local model'
@@ -725,7 +741,7 @@ describe('LocalModelProvider', () => {
       expect(requestBody).toMatchObject({
         model: 'llama2',
         stream: false,
-        format: 'json',
+        format: provider.outputSchema(),
         options: {
           temperature: 0.7,
           num_predict: 4000,
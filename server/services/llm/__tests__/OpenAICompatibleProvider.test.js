@@ -0,0 +1,304 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { OpenAICompatibleProvider } from '../providers/OpenAICompatibleProvider.js';
+import { LLMServiceFactory } from '../LLMServiceFactory.js';
+import '../index.js'; // registers providers
+
+const completion = (content) => ({
+  ok: true,
+  json: async () => ({
+    choices: [{ message: { role: 'assistant', content } }],
+    usage: { completion_tokens: 42, total_tokens: 120 }
+  })
+});
+
+const failure = (status, statusText) => ({
+  ok: false,
+  status,
+  statusText,
+  text: async () => `{"error":"${statusText}"}`
+});
+
+const insight = (title, details) => ({ title, details, source: 'ai', confidence: 0.8, category: 'process', reasoning: 'Seen in the data' });
+
+const action = (title, details) => ({ title, details, source: 'ai', priority: 'high', category: 'technical', reasoning: 'CI failures' });
+
+// Three per section, the default minimum
+const insightsJson = JSON.stringify({
+  wentWell: [
+    insight('Reviews were quick', 'Most PRs were reviewed within a day'),
+    insight('Small PRs', 'Median PR touched four files'),
+    insight('Steady releases', 'Two releases shipped on schedule')
+  ],
+  didntGoWell: [
+    insight('Flaky CI', 'Builds failed intermittently'),
+    insight('Late scope changes', 'Three issues were re-scoped mid-sprint'),
+    insight('Long-lived branches', 'One branch stayed open for nine days')
+  ],
+  actionItems: [
+    action('Quarantine flaky tests', 'Move them to a separate job'),
+    action('Freeze scope mid-sprint', 'Route new asks to the next sprint'),
+    action('Merge branches daily', 'Rebase and merge behind feature flags')
+  ]
+});
+
+const teamData = { github: { commits: [], pullRequests: [] }, linear: { issues: [] }, slack: { messages: [] } };
+const context = { dateRange: { start: '2024-01-01', end: '2024-01-07' }, teamSize: 3 };
+
+describe('OpenAICompatibleProvider', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('configuration', () => {
+    it('requires a valid base URL and a model id', () => {
+      expect(() => new OpenAICompatibleProvider({ provider: 'openai-compatible', model: 'm' }))
+        .toThrow('A valid base URL is required');
+      expect(() => new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'not a url', model: 'm' }))
+        .toThrow('A valid base URL is required');
+      expect(() => new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://vllm:8000/v1' }))
+        .toThrow('A model id is required');
+    });
+
+    it('requires an API key for Azure, but not otherwise', () => {
+      expect(() => new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'https://team.openai.azure.com',
+        azureDeployment: 'retro-gpt4o'
+      })).toThrow('API key is required for Azure OpenAI');
+
+      const provider = new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'http://localhost:8080/v1/',
+        model: 'qwen2.5-7b-instruct'
+      });
+      expect(provider.getEndpoint()).toBe('http://localhost:8080/v1');
+      expect(provider.getModel()).toBe('qwen2.5-7b-instruct');
+    });
+
+    it('is created by the factory from OPENAI_COMPATIBLE_* variables, without an API key', () => {
+      const config = LLMServiceFactory.createConfigFromEnv({
+        OPENAI_COMPATIBLE_BASE_URL: 'http://vllm.internal:8000/v1',
+        OPENAI_COMPATIBLE_MODEL: 'meta-llama/Llama-3.1-70B-Instruct',
+        OPENAI_COMPATIBLE_JSON_MODE: 'false'
+      });
+
+      const provider = LLMServiceFactory.createProvider(config);
+
+      expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(provider.getProviderName()).toBe('openai-compatible');
+      expect(provider.getModel()).toBe('meta-llama/Llama-3.1-70B-Instruct');
+      expect(provider.getEndpoint()).toBe('http://vllm.internal:8000/v1');
+      expect(provider.config.jsonMode).toBe(false);
+    });
+  });
+
+  describe('requests', () => {
+    it('posts chat completions with a bearer token and parses the insights', async () => {
+      const provider = new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'http://vllm.internal:8000/v1',
+        apiKey: 'internal-token',
+        model: 'meta-llama/Llama-3.1-70B-Instruct'
+      });
+      fetchMock.mockResolvedValue(completion(`\`\`\`json\n${insightsJson}\n\`\`\``));
+
+      const insights = await provider.generateInsights(teamData, context);
+
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toBe('http://vllm.internal:8000/v1/chat/completions');
+      expect(options.headers.Authorization).toBe('Bearer internal-token');
+      const body = JSON.parse(options.body);
+      expect(body).toMatchObject({
+        model: 'meta-llama/Llama-3.1-70B-Instruct',
+        response_format: { type: 'json_schema', json_schema: { name: 'RetroInsights', strict: true, schema: provider.outputSchema() } }
+      });
+      expect(body.messages.map(message => message.role)).toEqual(['system', 'user']);
+
+      expect(insights.wentWell[0]).toMatchObject({
+        title: 'Reviews were quick',
+        source: 'ai',
+        llmProvider: 'openai-compatible',
+        model: 'meta-llama/Llama-3.1-70B-Instruct'
+      });
+      expect(insights.actionItems[0].priority).toBe('high');
+      expect(insights.metadata).toMatchObject({ provider: 'openai-compatible', tokensUsed: 120, schemaRepairs: 0, schemaValid: true });
+    });
+
+    it('sends no auth header without a key, and the raw key in a custom header', async () => {
+      fetchMock.mockResolvedValue(completion(insightsJson));
+
+      const keyless = new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://localhost:1234/v1', model: 'local-model', jsonMode: false });
+      await keyless.generateInsights(teamData, context);
+      const [, keylessOptions] = fetchMock.mock.calls[0];
+      expect(keylessOptions.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(keylessOptions.body).response_format).toBeUndefined();
+
+      const gateway = new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'https://llm-gateway.internal/v1',
+        model: 'mixtral',
+        apiKey: 'gateway-key',
+        authHeader: 'X-API-Key'
+      });
+      await gateway.generateInsights(teamData, context);
+      const [, gatewayOptions] = fetchMock.mock.calls[1];
+      expect(gatewayOptions.headers['X-API-Key']).toBe('gateway-key');
+      expect(gatewayOptions.headers.Authorization).toBeUndefined();
+    });
+
+    it('sends json_object instead of a schema when jsonMode is object', async () => {
+      fetchMock.mockResolvedValue(completion(insightsJson));
+      const provider = new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://llama:8080/v1', model: 'm', jsonMode: 'object' });
+
+      await provider.generateInsights(teamData, context);
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).response_format).toEqual({ type: 'json_object' });
+      expect(LLMServiceFactory.createConfigFromEnv({
+        OPENAI_COMPATIBLE_BASE_URL: 'http://llama:8080/v1',
+        OPENAI_COMPATIBLE_JSON_MODE: 'object'
+      }).jsonMode).toBe('object');
+    });
+
+    it('re-prompts once with the schema problems when the output does not match', async () => {
+      const provider = new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://vllm.internal:8000/v1', model: 'm' });
+      fetchMock
+        .mockResolvedValueOnce(completion(JSON.stringify({ wentWell: [{ title: 'Only a title' }], didntGoWell: [] })))
+        .mockResolvedValueOnce(completion(insightsJson));
+
+      const insights = await provider.generateInsights(teamData, context);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      const repairPrompt = JSON.parse(fetchMock.mock.calls[1][1].body).messages[1].content;
+      expect(repairPrompt).toContain('did not match the required JSON schema');
+      expect(repairPrompt).toContain('$.actionItems is required');
+      expect(repairPrompt).toContain('$.wentWell[0].details is required');
+      expect(insights.wentWell[0].title).toBe('Reviews were quick');
+      expect(insights.metadata).toMatchObject({ schemaRepairs: 1, schemaValid: true });
+    });
+
+    it('keeps the better response when the repair is still invalid', async () => {
+      const provider = new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://vllm.internal:8000/v1', model: 'm' });
+      const partial = JSON.stringify({ wentWell: [{ title: 'Partial', details: 'Missing fields' }], didntGoWell: [], actionItems: [] });
+      fetchMock
+        .mockResolvedValueOnce(completion(partial))
+        .mockResolvedValueOnce(completion('Sorry, I cannot do that.'));
+
+      const insights = await provider.generateInsights(teamData, context);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(insights.wentWell[0].title).toBe('Partial');
+      expect(insights.metadata).toMatchObject({ schemaRepairs: 1, schemaValid: false });
+    });
+
+    it('re-queries a section below the minimum, then reports the shortfall instead of padding it', async () => {
+      const provider = new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://vllm.internal:8000/v1', model: 'm' });
+      const thin = JSON.stringify({ ...JSON.parse(insightsJson), didntGoWell: [insight('Flaky CI', 'Builds failed intermittently')] });
+      fetchMock.mockResolvedValue(completion(thin));
+
+      const insights = await provider.generateInsights(teamData, context);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      const repairPrompt = JSON.parse(fetchMock.mock.calls[1][1].body).messages[1].content;
+      expect(repairPrompt).toContain('$.didntGoWell must have at least 3 items');
+      expect(repairPrompt).toContain('Never invent filler');
+      expect(insights.didntGoWell).toHaveLength(1);
+      expect(insights.metadata).toMatchObject({
+        schemaRepairs: 1,
+        schemaValid: false,
+        insightShortfall: { didntGoWell: { found: 1, minimum: 3 } }
+      });
+    });
+
+    it('applies configured limits to the prompt and the schema, and trims sections over the maximum', async () => {
+      const provider = new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'http://vllm.internal:8000/v1',
+        model: 'm',
+        minInsightsPerSection: 1,
+        maxInsightsPerSection: 2
+      });
+      fetchMock.mockResolvedValue(completion(insightsJson));
+
+      const insights = await provider.generateInsights(teamData, context);
+
+      const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(body.messages[0].content).toContain('Include 1 to 2 items in each of');
+      expect(body.response_format.json_schema.schema.properties.wentWell).toMatchObject({ maxItems: 2 });
+      expect(body.response_format.json_schema.schema.properties.wentWell.minItems).toBeUndefined();
+      expect(insights.wentWell.map(item => item.title)).toEqual(['Reviews were quick', 'Small PRs']);
+      expect(insights.actionItems).toHaveLength(2);
+      expect(insights.metadata.insightShortfall).toBeUndefined();
+
+      const config = LLMServiceFactory.createConfigFromEnv({
+        OPENAI_COMPATIBLE_BASE_URL: 'http://vllm.internal:8000/v1',
+        LLM_MIN_INSIGHTS_PER_SECTION: '0',
+        LLM_MAX_INSIGHTS_PER_SECTION: '6'
+      });
+      expect(config).toMatchObject({ minInsightsPerSection: 0, maxInsightsPerSection: 6 });
+    });
+
+    it('routes Azure requests by deployment and api-version', async () => {
+      const provider = new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'https://team.openai.azure.com',
+        apiKey: 'azure-key',
+        azureDeployment: 'retro-gpt4o',
+        apiVersion: '2024-06-01'
+      });
+      fetchMock.mockResolvedValue(completion(insightsJson));
+
+      await provider.generateInsights(teamData, context);
+
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://team.openai.azure.com/openai/deployments/retro-gpt4o/chat/completions?api-version=2024-06-01');
+      expect(options.headers['api-key']).toBe('azure-key');
+      expect(options.headers.Authorization).toBeUndefined();
+      expect(provider.getModel()).toBe('retro-gpt4o');
+    });
+
+    it('retries server errors but not auth errors', async () => {
+      const provider = new OpenAICompatibleProvider({
+        provider: 'openai-compatible',
+        endpoint: 'http://vllm.internal:8000/v1',
+        model: 'm',
+        retryDelay: 1
+      });
+      fetchMock
+        .mockResolvedValueOnce(failure(503, 'Service Unavailable'))
+        .mockResolvedValueOnce(completion(insightsJson));
+
+      await expect(provider.generateInsights(teamData, context)).resolves.toMatchObject({ metadata: { schemaValid: true } });
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue(failure(401, 'Unauthorized'));
+      await expect(provider.generateInsights(teamData, context)).rejects.toThrow('401 Unauthorized');
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('summarizes chunks, and rethrows when the request fails so the analyzer can fall back', async () => {
+      const provider = new OpenAICompatibleProvider({ provider: 'openai-compatible', endpoint: 'http://vllm.internal:8000/v1', model: 'm', retryAttempts: 1 });
+      fetchMock.mockResolvedValueOnce(completion(JSON.stringify({
+        summary: 'A quiet week',
+        findings: { wentWell: [{ title: 'Steady merges', details: 'Five PRs merged' }] }
+      })));
+
+      const summary = await provider.generateChunkSummary({ events: [] }, { source: 'github', part: 1 });
+      expect(summary).toMatchObject({ summary: 'A quiet week', findings: { wentWell: [{ title: 'Steady merges' }] } });
+
+      fetchMock.mockResolvedValueOnce(failure(500, 'Internal Server Error'));
+      await expect(provider.generateChunkSummary({ events: [] }, { source: 'github', part: 2 }))
+        .rejects.toThrow('500 Internal Server Error');
+    });
+  });
+});
@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { OpenAIProvider } from '../OpenAIProvider.js';
+import { RetroSchema } from '../RetroSchema.js';
+import { thinFixtureLimits } from './fixtures/providerConfig.js';
 
 // Mock the OpenAI module
 vi.mock('openai', () => {
@@ -31,7 +33,8 @@ describe('OpenAIProvider', () => {
       maxTokens: 4000,
       temperature: 0.7,
       retryAttempts: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      ...thinFixtureLimits
     };
 
     // Get the mocked OpenAI constructor
@@ -303,6 +306,38 @@ describe('OpenAIProvider', () => {
       expect(userMessage.content).not.toContain('sk-1234567890abcdef1234567890abcdef1234567890abcdef12');
       expect(userMessage.content).not.toContain('user@example.com');
     });
+
+    it('should request the retro JSON schema from models that support it', async () => {
+      const emptyInsights = { choices: [{ message: { content: JSON.stringify({ wentWell: [], didntGoWell: [], actionItems: [] }) } }], usage: { total_tokens: 50 } };
+      mockOpenAI.chat.completions.create.mockResolvedValue(emptyInsights);
+      const teamData = { github: {}, linear: {}, slack: {} };
+      const context = { dateRange: { start: '2024-01-01', end: '2024-01-07' } };
+
+      await new OpenAIProvider({ ...mockConfig, model: 'gpt-4o' }).generateInsights(teamData, context);
+      await provider.generateInsights(teamData, context);
+
+      const [[gpt4oArgs], [legacyArgs]] = mockOpenAI.chat.completions.create.mock.calls;
+      expect(gpt4oArgs.response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'RetroInsights', strict: true, schema: RetroSchema.forLimits({ min: 0, max: 10 }, { includeMinimum: false }) }
+      });
+      expect(legacyArgs.response_format).toEqual({ type: 'json_object' });
+    });
+
+    it('should re-query sections below the default minimum', async () => {
+      provider = new OpenAIProvider({ ...mockConfig, minInsightsPerSection: undefined });
+      mockOpenAI.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({ wentWell: [], didntGoWell: [], actionItems: [] }) } }],
+        usage: { total_tokens: 50 }
+      });
+
+      const result = await provider.generateInsights({ github: {}, linear: {}, slack: {} }, { dateRange: { start: '2024-01-01', end: '2024-01-07' } });
+
+      expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(2);
+      const repairMessages = mockOpenAI.chat.completions.create.mock.calls[1][0].messages;
+      expect(repairMessages[repairMessages.length - 1].content).toContain('$.wentWell must have at least 3 items');
+      expect(result.metadata.insightShortfall).toMatchObject({ wentWell: { found: 0, minimum: 3 } });
+    });
   });
 
   describe('Rate Limiting and Retry Logic', () => {
@@ -254,6 +254,19 @@ describe('PerformanceMonitor', () => {
     });
   });
 
+  describe('recordCacheLookup', () => {
+    it('should count response cache hits and misses until reset', () => {
+      monitor.recordCacheLookup(true);
+      monitor.recordCacheLookup(false);
+      monitor.recordCacheLookup(true);
+
+      expect(monitor.getMetrics()).toMatchObject({ cacheHits: 2, cacheMisses: 1, totalRequests: 0 });
+
+      monitor.reset();
+      expect(monitor.getMetrics()).toMatchObject({ cacheHits: 0, cacheMisses: 0 });
+    });
+  });
+
   describe('cleanupOldRequests', () => {
     it('should remove old requests', () => {
       // Add requests with old timestamps
@@ -128,6 +128,15 @@ describe('PromptBuilder', () => {
       expect(prompt.metadata).toHaveProperty('generatedAt');
     });
 
+    it('should ask for the configured number of insights per section without filler', () => {
+      const limited = new PromptBuilder({ provider: 'openai', insightLimits: { min: 2, max: 6 } });
+      const prompt = limited.generateRetroPrompt(mockTeamData, mockContext);
+
+      expect(prompt.system).toContain('Include 2 to 6 items in each of "wentWell", "didntGoWell", and "actionItems"');
+      expect(prompt.system).toContain('return fewer rather than inventing filler');
+      expect(promptBuilder.generateRetroPrompt(mockTeamData, mockContext).system).toContain('Include 3 to 10 items');
+    });
+
     it('should select dev-focused template for GitHub + Linear data', () => {
       const dataWithoutSlack = {
         github: mockTeamData.github,
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { ResponseCache } from '../ResponseCache.js';
+
+describe('ResponseCache', () => {
+  describe('key', () => {
+    it('is the same for equal content regardless of key order', () => {
+      const a = ResponseCache.key({ provider: 'openai', model: 'gpt-4o', input: { github: { commits: 2, prs: 1 } } });
+      const b = ResponseCache.key({ input: { github: { prs: 1, commits: 2 } }, model: 'gpt-4o', provider: 'openai' });
+
+      expect(a).toMatch(/^[0-9a-f]{64}$/);
+      expect(b).toBe(a);
+      expect(ResponseCache.key({ provider: 'openai', model: 'gpt-4o-mini', input: { github: { commits: 2, prs: 1 } } })).not.toBe(a);
+    });
+  });
+
+  describe('get and set', () => {
+    it('returns copies, so callers cannot change what is cached', () => {
+      const cache = new ResponseCache();
+      const value = { wentWell: [{ title: 'Fast reviews' }] };
+
+      cache.set('k', value);
+      value.wentWell.push({ title: 'Added later' });
+      const entry = cache.get('k');
+      entry.value.wentWell[0].title = 'Changed';
+
+      expect(cache.get('k').value).toEqual({ wentWell: [{ title: 'Fast reviews' }] });
+      expect(cache.get('missing')).toBeNull();
+    });
+
+    it('expires entries after the TTL', () => {
+      let now = 1000;
+      const cache = new ResponseCache({ ttlMs: 500, now: () => now });
+      cache.set('k', 'cached');
+
+      now = 1499;
+      expect(cache.get('k')).toEqual({ value: 'cached', storedAt: 1000 });
+      now = 1500;
+      expect(cache.get('k')).toBeNull();
+      expect(cache.stats().entries).toBe(0);
+    });
+
+    it('evicts the least recently used entry over the size cap', () => {
+      const cache = new ResponseCache({ maxEntries: 2 });
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      expect(cache.get('b')).toBeNull();
+      expect(cache.get('a').value).toBe(1);
+      expect(cache.get('c').value).toBe(3);
+      expect(cache.stats()).toEqual({ entries: 2, maxEntries: 2, ttlMs: 6 * 60 * 60 * 1000 });
+    });
+  });
+
+  describe('fromEnvironment', () => {
+    it('reads the TTL and size cap, and is disabled by a zero of either', () => {
+      expect(ResponseCache.fromEnvironment({ LLM_CACHE_TTL_MS: '60000', LLM_CACHE_MAX_ENTRIES: '5' }).stats())
+        .toEqual({ entries: 0, maxEntries: 5, ttlMs: 60000 });
+      expect(ResponseCache.fromEnvironment({ LLM_CACHE_TTL_MS: 'soon' }).stats().ttlMs).toBe(6 * 60 * 60 * 1000);
+
+      const disabled = ResponseCache.fromEnvironment({ LLM_CACHE_MAX_ENTRIES: '0' });
+      disabled.set('k', 'value');
+      expect(disabled.enabled).toBe(false);
+      expect(disabled.get('k')).toBeNull();
+      expect(ResponseCache.fromEnvironment({ LLM_CACHE_TTL_MS: '0' }).enabled).toBe(false);
+    });
+  });
+});
@@ -141,6 +141,22 @@ describe('ResponseParser', () => {
       const result = ResponseParser.parseJsonResponse('{"invalid": json}', 'openai');
       expect(result).toBeNull();
     });
+
+    it('should extract deeply nested JSON wrapped in prose', () => {
+      const json = {
+        insights: {
+          wentWell: [{ title: 'Success', details: 'Shipped {v2} on time', metadata: { evidence: { prs: [1, 2] } } }],
+          didntGoWell: [],
+          actionItems: [{ title: 'Fix it', details: 'Need to fix' }]
+        }
+      };
+
+      const result = ResponseParser.parseJsonResponse(`Here is the analysis:\n${JSON.stringify(json)}\nLet me know if you need more.`, 'openai');
+
+      expect(result.wentWell).toHaveLength(1);
+      expect(result.wentWell[0].title).toBe('Success');
+      expect(result.actionItems).toHaveLength(1);
+    });
   });
 
   describe('parseTextResponse', () => {
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { RetroSchema } from '../RetroSchema.js';
+
+const insight = {
+  title: 'Fast reviews',
+  details: 'PRs were reviewed within a day',
+  source: 'ai',
+  confidence: 0.8,
+  category: 'process',
+  reasoning: 'Median review time was 6 hours'
+};
+
+const actionItem = {
+  title: 'Quarantine flaky tests',
+  details: 'Move them to a separate CI job',
+  source: 'ai',
+  priority: 'high',
+  category: 'technical',
+  reasoning: 'CI failed on 12 runs'
+};
+
+describe('RetroSchema', () => {
+  describe('validate', () => {
+    it('accepts a complete retro output, including empty sections', () => {
+      expect(RetroSchema.validate({ wentWell: [insight], didntGoWell: [], actionItems: [actionItem] })).toEqual([]);
+    });
+
+    it('reports each problem with its path', () => {
+      const problems = RetroSchema.validate({
+        wentWell: [{ ...insight, confidence: 1.5, category: 'morale' }],
+        didntGoWell: 'none',
+        actionItems: [{ ...actionItem, priority: 'urgent', owner: 'alice' }]
+      });
+
+      expect(problems).toEqual([
+        { path: '$.wentWell[0].confidence', message: 'must be at most 1' },
+        { path: '$.wentWell[0].category', message: 'must be one of technical, process, team-dynamics, communication' },
+        { path: '$.didntGoWell', message: 'expected array but got string' },
+        { path: '$.actionItems[0].priority', message: 'must be one of high, medium, low' },
+        { path: '$.actionItems[0].owner', message: 'is not allowed' }
+      ]);
+    });
+
+    it('reports missing sections and fields', () => {
+      const problems = RetroSchema.validate({ wentWell: [{ title: 'Only a title' }] });
+
+      expect(problems).toContainEqual({ path: '$.didntGoWell', message: 'is required' });
+      expect(problems).toContainEqual({ path: '$.actionItems', message: 'is required' });
+      expect(problems).toContainEqual({ path: '$.wentWell[0].details', message: 'is required' });
+    });
+
+    it('checks item counts when a schema sets them', () => {
+      const schema = { type: 'array', minItems: 2, maxItems: 3, items: { type: 'integer' } };
+
+      expect(RetroSchema.validate([1], schema)).toEqual([{ path: '$', message: 'must have at least 2 items' }]);
+      expect(RetroSchema.validate([1, 2, 3, 4], schema)).toEqual([{ path: '$', message: 'must have at most 3 items' }]);
+      expect(RetroSchema.validate([1, 2.5], schema)).toEqual([{ path: '$[1]', message: 'expected integer but got number' }]);
+    });
+  });
+
+  describe('extractJson', () => {
+    it('parses plain and fenced JSON', () => {
+      expect(RetroSchema.extractJson('{"a":1}')).toEqual({ a: 1 });
+      expect(RetroSchema.extractJson('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    });
+
+    it('finds deeply nested JSON in prose, ignoring brackets inside strings', () => {
+      const text = 'Sure! {not json} Here it is: {"a":{"b":{"c":[{"d":"closing } and ] inside"}]}}} Hope that helps {ok}';
+
+      expect(RetroSchema.extractJson(text)).toEqual({ a: { b: { c: [{ d: 'closing } and ] inside' }] } } });
+    });
+
+    it('returns null when there is no JSON', () => {
+      expect(RetroSchema.extractJson('No insights today')).toBeNull();
+      expect(RetroSchema.extractJson('{"unterminated": [1, 2')).toBeNull();
+      expect(RetroSchema.extractJson(undefined)).toBeNull();
+    });
+  });
+
+  describe('insight limits', () => {
+    it('reads limits from config, falling back to the defaults', () => {
+      expect(RetroSchema.limitsFromConfig({})).toEqual({ min: 3, max: 10 });
+      expect(RetroSchema.limitsFromConfig({ minInsightsPerSection: 0, maxInsightsPerSection: 5 })).toEqual({ min: 0, max: 5 });
+      expect(RetroSchema.limitsFromConfig({ minInsightsPerSection: 8, maxInsightsPerSection: 4 })).toEqual({ min: 8, max: 8 });
+      expect(RetroSchema.limitsFromConfig({ minInsightsPerSection: -1, maxInsightsPerSection: 0 })).toEqual({ min: 3, max: 10 });
+    });
+
+    it('adds per-section item counts, optionally without the minimum', () => {
+      const schema = RetroSchema.forLimits({ min: 2, max: 4 });
+      const output = { wentWell: [insight], didntGoWell: [insight, insight], actionItems: Array(5).fill(actionItem) };
+
+      expect(RetroSchema.check(output, schema).problems).toEqual([
+        { path: '$.wentWell', message: 'must have at least 2 items' },
+        { path: '$.actionItems', message: 'must have at most 4 items' }
+      ]);
+      expect(RetroSchema.forLimits({ min: 2, max: 4 }, { includeMinimum: false }).properties.wentWell)
+        .toEqual({ ...RetroSchema.schema.properties.wentWell, maxItems: 4 });
+      expect(RetroSchema.schema.properties.wentWell.maxItems).toBeUndefined();
+    });
+  });
+
+  describe('check', () => {
+    it('validates text and already parsed output alike', () => {
+      const output = { wentWell: [insight], didntGoWell: [], actionItems: [] };
+
+      expect(RetroSchema.check(`Result: ${JSON.stringify(output)}`)).toEqual({ value: output, problems: [] });
+      expect(RetroSchema.check(output)).toEqual({ value: output, problems: [] });
+      expect(RetroSchema.check('no json').problems).toEqual([{ path: '$', message: 'no JSON object found in the response' }]);
+    });
+  });
+
+  describe('repairInstructions', () => {
+    it('lists the problems, echoes the response and restates the schema', () => {
+      const problems = Array.from({ length: 25 }, (_, i) => ({ path: `$.wentWell[${i}].reasoning`, message: 'is required' }));
+
+      const instructions = RetroSchema.repairInstructions({ wentWell: [] }, problems);
+
+      expect(instructions).toContain('- $.wentWell[0].reasoning is required');
+      expect(instructions).toContain('- ...and 5 more');
+      expect(instructions).not.toContain('$.wentWell[20].reasoning');
+      expect(instructions).toContain('{"wentWell":[]}');
+      expect(instructions).toContain(JSON.stringify(RetroSchema.schema));
+    });
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * Configuration shared by the provider test suites
+ */
+
+// Their response fixtures hold fewer insights than a section needs by default;
+// each suite checks the default minimum in its own test
+export const thinFixtureLimits = { minInsightsPerSection: 0 };
@@ -1,7 +1,10 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
 import { LLMServiceFactory } from '../LLMServiceFactory.js';
+import { BaseLLMProvider } from '../BaseLLMProvider.js';
+import { LLMAnalyzer } from '../LLMAnalyzer.js';
 import { OpenAIProvider } from '../OpenAIProvider.js';
 import { AnthropicProvider } from '../AnthropicProvider.js';
+import { ProgressTracker, DEFAULT_LLM_STEPS } from '../ProgressTracker.js';
 import '../index.js'; // This imports and registers providers
 
 describe('LLM Integration Tests', () => {
@@ -164,4 +167,153 @@ describe('LLM Integration Tests', () => {
       expect(config.model).toBe('claude-3-sonnet-20240229');
     });
   });
-});
\ No newline at end of file
+
+  describe('Provider Fallback Chain', () => {
+    const calls = [];
+
+    const stubProvider = (name, behaviour, chunkBehaviour = () => ({ summary: `${name} summary`, findings: {} })) => class extends BaseLLMProvider {
+      async generateInsights() {
+        calls.push(name);
+        return behaviour();
+      }
+
+      async generateChunkSummary() {
+        calls.push(`${name}:chunk`);
+        return chunkBehaviour();
+      }
+    };
+
+    // Like AnthropicProvider and LocalModelProvider, which cannot summarize chunks
+    class NoChunkProvider extends BaseLLMProvider {
+      async generateInsights() {
+        calls.push('stub-no-chunks');
+        return insights('Whole analysis');
+      }
+    }
+
+    // Runs a one-chunk progressive analysis; returns the chunk summaries published
+    const summarizeOneChunk = async (analyzer) => {
+      const chunk = { id: 'c1', eventCount: 3, summary: { timeRange: 'Jan 1 - Jan 2' }, patterns: {}, activityMetrics: {} };
+      analyzer.temporalProcessor = {
+        processTeamData: vi.fn().mockReturnValue({ chunks: [chunk], totalEvents: 3, processingMetadata: {} })
+      };
+      vi.spyOn(analyzer, '_convertChunkToStructuredData').mockReturnValue({ events: [] });
+      vi.spyOn(analyzer, '_buildTemporalAggregation').mockReturnValue({});
+      const tracker = new ProgressTracker('session');
+      tracker.initialize(DEFAULT_LLM_STEPS);
+
+      await analyzer._analyzeTeamDataProgressive({}, { dateRange }, tracker);
+      return tracker.eventsSince(0).filter(event => event.type === 'chunk_summary').map(event => event.data.summary);
+    };
+
+    const insights = (title) => ({ wentWell: [{ title, details: 'Details' }], didntGoWell: [], actionItems: [] });
+
+    const prepared = {
+      teamData: {},
+      sanitizedData: { github: { commits: [] }, linear: { issues: [] }, slack: { messages: [] } },
+      sanitized: true,
+      identities: null
+    };
+    const dateRange = { start: '2024-01-01', end: '2024-01-07' };
+
+    const analyzerFor = (...chain) => new LLMAnalyzer({
+      provider: chain[0],
+      apiKey: 'stub-key',
+      fallbackProviders: chain.slice(1).map(provider => ({ provider, apiKey: 'stub-key' })),
+      retryAttempts: 2,
+      retryDelay: 1
+    });
+
+    beforeAll(() => {
+      LLMServiceFactory.registerProvider('stub-rate-limited', stubProvider('stub-rate-limited', () => {
+        throw new Error('Rate limit exceeded: too many requests');
+      }));
+      LLMServiceFactory.registerProvider('stub-no-quota', stubProvider('stub-no-quota', () => {
+        throw new Error('You exceeded your current quota, please check your billing details');
+      }));
+      LLMServiceFactory.registerProvider('stub-bad-key', stubProvider('stub-bad-key', () => {
+        throw new Error('Invalid API key provided');
+      }));
+      LLMServiceFactory.registerProvider('stub-healthy', stubProvider('stub-healthy', () => insights('Shipped on time')));
+      LLMServiceFactory.registerProvider('stub-chunk-rate-limited', stubProvider(
+        'stub-chunk-rate-limited',
+        () => insights('Whole analysis'),
+        () => { throw Object.assign(new Error('429 Rate limit exceeded'), { status: 429 }); }
+      ));
+      LLMServiceFactory.registerProvider('stub-no-chunks', NoChunkProvider);
+    });
+
+    beforeEach(() => {
+      calls.length = 0;
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('moves to the next provider on rate limits and quota errors, crediting the one that answered', async () => {
+      const analyzer = analyzerFor('stub-rate-limited', 'stub-no-quota', 'stub-healthy');
+
+      const result = await analyzer.analyzePreparedData(prepared, dateRange);
+
+      // A rate limit is retried before falling back; an exhausted quota is not
+      expect(calls).toEqual(['stub-rate-limited', 'stub-rate-limited', 'stub-no-quota', 'stub-healthy']);
+      expect(result.wentWell[0]).toMatchObject({ title: 'Shipped on time', llmProvider: 'stub-healthy' });
+      expect(result.analysisMetadata.provider).toBe('stub-healthy');
+      expect(result.analysisMetadata.providerFallbacks).toEqual([
+        expect.objectContaining({ from: 'stub-rate-limited', to: 'stub-no-quota', reason: 'RATE_LIMIT' }),
+        expect.objectContaining({ from: 'stub-no-quota', to: 'stub-healthy', reason: 'QUOTA_EXCEEDED' })
+      ]);
+    });
+
+    it('starts from the first provider again on the next analysis', async () => {
+      const analyzer = analyzerFor('stub-no-quota', 'stub-healthy');
+
+      await analyzer.analyzePreparedData(prepared, dateRange);
+      await analyzer.analyzePreparedData(prepared, dateRange);
+
+      expect(calls).toEqual(['stub-no-quota', 'stub-healthy', 'stub-no-quota', 'stub-healthy']);
+    });
+
+    it('does not fall back on errors another provider would not fix', async () => {
+      const analyzer = analyzerFor('stub-bad-key', 'stub-healthy');
+
+      const result = await analyzer.analyzePreparedData(prepared, dateRange).catch(error => error);
+
+      expect(calls).toEqual(['stub-bad-key']);
+      expect(result?.analysisMetadata).toBeUndefined();
+    });
+
+    it('records no fallbacks when the first provider answers', async () => {
+      const analyzer = analyzerFor('stub-healthy', 'stub-rate-limited');
+
+      const result = await analyzer.analyzePreparedData(prepared, dateRange);
+
+      expect(calls).toEqual(['stub-healthy']);
+      expect(result.analysisMetadata.provider).toBe('stub-healthy');
+      expect(result.analysisMetadata.providerFallbacks).toBeUndefined();
+      expect(analyzer.getStatus().fallbackProviders).toEqual(['stub-rate-limited']);
+    });
+
+    it('moves chunk summaries to the next provider on rate limits', async () => {
+      const analyzer = analyzerFor('stub-chunk-rate-limited', 'stub-healthy');
+
+      const summaries = await summarizeOneChunk(analyzer);
+
+      expect(summaries).toEqual(['stub-healthy summary']);
+      expect(calls).toEqual(['stub-chunk-rate-limited:chunk', 'stub-healthy:chunk', 'stub-healthy']);
+      expect(analyzer.providerFallbacks).toEqual([
+        expect.objectContaining({ from: 'stub-chunk-rate-limited', to: 'stub-healthy', reason: 'RATE_LIMIT' })
+      ]);
+    });
+
+    it('passes over providers that cannot summarize chunks without making them inactive', async () => {
+      const analyzer = analyzerFor('stub-no-chunks', 'stub-healthy');
+
+      const summaries = await summarizeOneChunk(analyzer);
+
+      expect(summaries).toEqual(['stub-healthy summary']);
+      expect(calls).toEqual(['stub-healthy:chunk', 'stub-no-chunks']);
+      expect(analyzer.providerFallbacks).toEqual([]);
+    });
+  });
+});
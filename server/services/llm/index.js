@@ -8,12 +8,14 @@ import { OpenAIProvider } from './OpenAIProvider.js';
 import { AnthropicProvider } from './AnthropicProvider.js';
 import { LocalModelProvider } from './LocalModelProvider.js';
 import { GeminiProvider } from './providers/GeminiProvider.js';
+import { OpenAICompatibleProvider } from './providers/OpenAICompatibleProvider.js';
 
 // Register providers with the factory
 LLMServiceFactory.registerProvider('openai', OpenAIProvider);
 LLMServiceFactory.registerProvider('anthropic', AnthropicProvider);
 LLMServiceFactory.registerProvider('local', LocalModelProvider);
 LLMServiceFactory.registerProvider('gemini', GeminiProvider);
+LLMServiceFactory.registerProvider('openai-compatible', OpenAICompatibleProvider);
 
 export { BaseLLMProvider } from './BaseLLMProvider.js';
 export { LLMServiceFactory } from './LLMServiceFactory.js';
@@ -22,6 +24,8 @@ export { OpenAIProvider } from './OpenAIProvider.js';
 export { AnthropicProvider } from './AnthropicProvider.js';
 export { LocalModelProvider } from './LocalModelProvider.js';
 export { GeminiProvider } from './providers/GeminiProvider.js';
+export { OpenAICompatibleProvider } from './providers/OpenAICompatibleProvider.js';
 export { PromptBuilder } from './PromptBuilder.js';
 export { default as ResponseParser } from './ResponseParser.js';
-export { LLMAnalyzer } from './LLMAnalyzer.js';
\ No newline at end of file
+export { LLMAnalyzer } from './LLMAnalyzer.js';
+export { ResponseCache } from './ResponseCache.js';
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { GoogleGenAI } from '@google/genai';
 import { BaseLLMProvider } from '../BaseLLMProvider.js';
 import { PromptBuilder } from '../PromptBuilder.js';
+import { RetroSchema } from '../RetroSchema.js';
 
 export class GeminiProvider extends BaseLLMProvider {
   constructor(config, performanceMonitor = null) {
@@ -14,7 +15,8 @@ export class GeminiProvider extends BaseLLMProvider {
       systemPromptTokens: 800,
       safetyMargin: 0.95, // allow more input, big context
       totalHeadroom: 0.98, // near-full total for Gemini
-      targetUtilization: 0.9
+      targetUtilization: 0.9,
+      insightLimits: this.insightLimits()
     });
   }
 
@@ -54,7 +56,16 @@ export class GeminiProvider extends BaseLLMProvider {
       const model = this.config.model || 'gemini-2.5-flash';
       console.log(`Gemini call start: model=${model}, estInputTokens=${estimatedInputTokens}, maxDataTokens=${prompt?.metadata?.maxDataTokens}, estPromptTokens=${prompt?.metadata?.estimatedTokens}`);
       const baseText = `${prompt.system}\n\n${prompt.user}`;
-      const response = await this._makeRequestWithRetry(model, baseText);
+      // Constrain output to the retro schema, re-prompting once if it still breaks it or
+      // has too few insights (only when the input is small enough to avoid quota issues)
+      const { response, repairs, problems } = await this.repairToSchema(
+        await this._makeRequestWithRetry(model, baseText, this.outputSchema()),
+        {
+          extract: (reply) => this._outputText(reply),
+          reprompt: (instructions) => this._makeRequestWithRetry(model, `${baseText}\n\n${instructions}`, this.outputSchema()),
+          ...(estimatedInputTokens >= 300000 ? { maxRepairs: 0 } : {})
+        }
+      );
 
       let outputText = null; let path = 'none';
       if (response?.text) { outputText = response.text; path = 'response.text'; }
@@ -67,60 +78,14 @@ export class GeminiProvider extends BaseLLMProvider {
       if (cleanedOutput !== outputText) {
         console.log('Gemini output had code fences, stripped before parsing');
       }
-      let parsed = this._parseResponse({ text: cleanedOutput }, prompt);
-      console.log('Gemini parsed counts (initial):', {
-        wentWell: parsed.wentWell?.length || 0,
-        didntGoWell: parsed.didntGoWell?.length || 0,
-        actionItems: parsed.actionItems?.length || 0
+      const parsed = this.finalizeInsights(this._parseResponse({ text: cleanedOutput }, prompt), { repairs, problems });
+      console.log('Gemini parsed counts:', {
+        wentWell: parsed.wentWell.length,
+        didntGoWell: parsed.didntGoWell.length,
+        actionItems: parsed.actionItems.length,
+        shortfall: parsed.metadata.insightShortfall
       });
 
-      // If model under-filled any section, ask once more with a stricter instruction (only if the input is small enough to avoid quota issues)
-      const needRetry =
-        parsed.wentWell.length < 5 ||
-        parsed.didntGoWell.length < 5 ||
-        parsed.actionItems.length < 5;
-      const allowStrictRetry = estimatedInputTokens < 300000; // avoid quota on huge prompts
-
-      if (needRetry && allowStrictRetry) {
-        console.log('Gemini under-filled sections, requesting stricter retry...');
-        const reinforce = `${prompt.system}\n\n${prompt.user}\n\nIMPORTANT: Return ONLY valid JSON with exactly 5 items for each of wentWell, didntGoWell, and actionItems. If data is limited, infer plausible insights consistent with provided patterns.`;
-        const retryResp = await this._makeRequestWithRetry(model, reinforce);
-        let retryText = null; let retryPath = 'none';
-        if (retryResp?.text) { retryText = retryResp.text; retryPath = 'response.text'; }
-        else if (retryResp?.response?.text) { retryText = retryResp.response.text; retryPath = 'response.response.text'; }
-        else if (retryResp?.candidates?.[0]?.content?.parts?.[0]?.text) { retryText = retryResp.candidates[0].content.parts[0].text; retryPath = 'candidates[0].content.parts[0].text'; }
-        console.log(`Gemini retry raw output: path=${retryPath}, length=${retryText ? retryText.length : 0}, snippet="${(retryText || '').slice(0, 200)}"`);
-        if (retryText) {
-          const cleanedRetry = this._stripCodeFences(retryText);
-          if (cleanedRetry !== retryText) {
-            console.log('Gemini retry output had code fences, stripped before parsing');
-          }
-          parsed = this._parseResponse({ text: cleanedRetry }, prompt);
-          console.log('Gemini parsed counts (after retry):', {
-            wentWell: parsed.wentWell?.length || 0,
-            didntGoWell: parsed.didntGoWell?.length || 0,
-            actionItems: parsed.actionItems?.length || 0
-          });
-        }
-      } else if (needRetry) {
-        console.log('Skipping strict retry due to high input token estimate; applying padding instead.');
-      }
-
-      const beforePad = {
-        wentWell: parsed.wentWell?.length || 0,
-        didntGoWell: parsed.didntGoWell?.length || 0,
-        actionItems: parsed.actionItems?.length || 0
-      };
-      parsed = this._ensureFivePerSection(parsed);
-      const afterPad = {
-        wentWell: parsed.wentWell?.length || 0,
-        didntGoWell: parsed.didntGoWell?.length || 0,
-        actionItems: parsed.actionItems?.length || 0
-      };
-      if (beforePad.wentWell !== afterPad.wentWell || beforePad.didntGoWell !== afterPad.didntGoWell || beforePad.actionItems !== afterPad.actionItems) {
-        console.log('Gemini padding applied to ensure 5/5/5:', { beforePad, afterPad });
-      }
-
       this.completePerformanceTracking(requestId, 0, 'success');
       return parsed;
     } catch (error) {
@@ -135,16 +100,17 @@ export class GeminiProvider extends BaseLLMProvider {
     const model = this.config.model || 'gemini-2.5-flash';
     const text = this._buildChunkSummaryPrompt(chunkData, context);
     const resp = await this._makeRequestWithRetry(model, text);
-    const out = resp?.text || resp?.response?.text || resp?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const cleaned = this._stripCodeFences(out);
+    const out = this._outputText(resp);
     // Return a small object used by aggregator
-    return { summary: cleaned.slice(0, 4000), source: context?.source, part: context?.part };
+    return this.parseChunkSummary(this._stripCodeFences(out), context);
   }
 
   _buildChunkSummaryPrompt(chunkData, context) {
-    const header = `You are summarizing a small data chunk for a larger retrospective analysis. Return a concise JSON with shape { "summary": string }.
+    const header = `You are summarizing a small data chunk for a larger retrospective analysis. Return a concise JSON with shape
+{ "summary": string, "findings": { "wentWell": [{ "title": string, "details": string }], "didntGoWell": [...], "actionItems": [...] } }.
 Rules:
-- Use 3-5 sentences capturing the most salient patterns and metrics.
+- summary: use 3-5 sentences capturing the most salient patterns and metrics.
+- findings: at most 2 per section, only what this chunk's data shows; leave a section empty otherwise.
 - Avoid PII; generalize identities.
 - Focus on team-level insights.
 - Return ONLY JSON.`;
@@ -152,7 +118,13 @@ Rules:
     return `${header}\n\nChunk Context: ${context?.source || 'unknown'} ${context?.part || ''}\n\nData:\n${body}\n\nReturn JSON now:`;
   }
 
-  async _makeRequestWithRetry(initialModel, text) {
+  // Text of a generateContent response, wherever the SDK version put it
+  _outputText(resp) {
+    return resp?.text || resp?.response?.text || resp?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+
+  // schema: JSON Schema the output must follow (sent as the JSON Schema form of responseSchema)
+  async _makeRequestWithRetry(initialModel, text, schema = null) {
     const maxRetries = this.config.retryAttempts || 3;
     let lastError;
     let currentModel = initialModel;
@@ -162,15 +134,18 @@ Rules:
         const resp = await this.client.models.generateContent({
           model: currentModel,
           contents: [{ role: 'user', parts: [{ text }] }],
-          generationConfig: {
+          config: {
             responseMimeType: 'application/json',
+            ...(schema ? { responseJsonSchema: schema } : {}),
             temperature: 0.2,
             topP: 0.8,
-            maxOutputTokens: 20000
+            maxOutputTokens: 20000,
+            ...(this.abortSignal ? { abortSignal: this.abortSignal } : {})
           }
         });
         return resp;
       } catch (error) {
+        this.throwIfAborted();
         lastError = error;
         const isRetryable = this._isRetryableError(error);
         // On first retryable failure, fall back from pro to flash for better availability
@@ -229,34 +204,12 @@ Rules:
     return null;
   }
 
-  _ensureFivePerSection(parsed) {
-    const pad = (arr, fallbackTitlePrefix) => {
-      const out = Array.isArray(arr) ? [...arr] : [];
-      while (out.length < 5) {
-        out.push({
-          title: `${fallbackTitlePrefix} ${out.length + 1}`,
-          details: 'Generated to satisfy minimum count; refine during the retro.',
-          source: 'ai',
-          confidence: 0.5,
-          category: 'process'
-        });
-      }
-      return out.slice(0, 5);
-    };
-    return {
-      wentWell: pad(parsed.wentWell, 'Team positive pattern'),
-      didntGoWell: pad(parsed.didntGoWell, 'Issue identified'),
-      actionItems: pad(parsed.actionItems, 'Action to consider'),
-      analysisMetadata: parsed.analysisMetadata
-    };
-  }
-
   _parseResponse(response, prompt = null) {
     const content = response?.text;
     if (!content) throw new Error('Empty Gemini response');
     try {
-      const parsed = JSON.parse(content);
-      if (!parsed.wentWell || !parsed.didntGoWell || !parsed.actionItems) {
+      const parsed = RetroSchema.extractJson(content);
+      if (!parsed?.wentWell || !parsed?.didntGoWell || !parsed?.actionItems) {
         throw new Error('Response missing required sections');
       }
       const addMeta = (arr) => (arr || []).map(x => ({
@@ -0,0 +1,422 @@
+import { BaseLLMProvider } from '../BaseLLMProvider.js';
+import { PromptBuilder } from '../PromptBuilder.js';
+import { RetroSchema } from '../RetroSchema.js';
+
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * OpenAI-compatible Provider
+ * Talks to any server that implements the OpenAI Chat Completions API at
+ * `{endpoint}/chat/completions`: vLLM, LM Studio, llama.cpp server and the like.
+ * With `azureDeployment` set it talks to Azure OpenAI instead, at
+ * `{endpoint}/openai/deployments/{deployment}/chat/completions?api-version=...`.
+ *
+ * The API key is optional. It is sent as `Authorization: Bearer <key>` (Azure:
+ * `api-key: <key>`), or in the header named by `authHeader`.
+ */
+export class OpenAICompatibleProvider extends BaseLLMProvider {
+  constructor(config, performanceMonitor = null) {
+    super(config, performanceMonitor);
+    this.endpoint = this.config.endpoint.replace(/\/+$/, '');
+    this.azure = !!this.config.azureDeployment;
+
+    // The served model's context window is unknown, so the conservative default limits apply
+    this.promptBuilder = new PromptBuilder({
+      provider: 'openai-compatible',
+      model: this.getModel(),
+      maxTokens: this.config.maxTokens || 4000,
+      systemPromptTokens: 800,
+      reserveTokens: 200,
+      insightLimits: this.insightLimits()
+    });
+  }
+
+  /**
+   * Validates the base URL, and the key Azure requires
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig() {
+    if (!this.config) {
+      throw new Error('OpenAI-compatible provider configuration is required');
+    }
+
+    if (!this.config.endpoint || !this._isValidUrl(this.config.endpoint)) {
+      throw new Error('A valid base URL is required for the OpenAI-compatible provider');
+    }
+
+    if (!this.config.model && !this.config.azureDeployment) {
+      throw new Error('A model id is required for the OpenAI-compatible provider');
+    }
+
+    if (this.config.azureDeployment && !this.config.apiKey) {
+      throw new Error('API key is required for Azure OpenAI');
+    }
+  }
+
+  /**
+   * Validates if a string is a valid URL
+   * @private
+   */
+  _isValidUrl(string) {
+    try {
+      new URL(string);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets the model id, or the Azure deployment name when no model is set
+   * @returns {string} Model name
+   */
+  getModel() {
+    return this.config.model || this.config.azureDeployment;
+  }
+
+  /**
+   * Tests connectivity with a one-token completion
+   * @returns {Promise<boolean>} True if connection is successful
+   */
+  async validateConnection() {
+    try {
+      const response = await this._chat([{ role: 'user', content: 'test' }], { maxTokens: 1, json: false });
+      return Array.isArray(response?.choices) && response.choices.length > 0;
+    } catch (error) {
+      console.error('OpenAI-compatible connection validation failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Generates insights from team data
+   * @param {Object} teamData - Combined data from GitHub, Linear, and Slack
+   * @param {Object} context - Additional context like date range, team size
+   * @returns {Promise<Object>} Structured insights object
+   */
+  async generateInsights(teamData, context) {
+    let requestId = null;
+
+    try {
+      const sanitizedData = this.sanitizeData(teamData);
+
+      let prompt = this.promptBuilder.generateRetroPrompt(sanitizedData, context);
+      prompt = this.promptBuilder.clampPromptToBudget(prompt);
+
+      const estimatedInputTokens = this.estimateTokenCount(prompt.system + prompt.user);
+      requestId = this.startPerformanceTracking(estimatedInputTokens);
+
+      const chat = (user) => this._chatWithRetry([
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: user }
+      ], { schema: this.outputSchema() });
+
+      // Re-prompt once if the output breaks the retro schema
+      const { response, repairs, problems } = await this.repairToSchema(await chat(prompt.user), {
+        extract: (reply) => reply?.choices?.[0]?.message?.content || '',
+        reprompt: (instructions) => chat(`${prompt.user}\n\n${instructions}`)
+      });
+
+      const content = response?.choices?.[0]?.message?.content || '';
+      const outputTokens = response?.usage?.completion_tokens || this.estimateTokenCount(content);
+      this.completePerformanceTracking(requestId, outputTokens, 'success');
+
+      const insights = this._parseResponse(content, response, prompt);
+      return this.finalizeInsights(insights, { repairs, problems });
+    } catch (error) {
+      if (requestId) {
+        this.completePerformanceTracking(requestId, 0, 'error');
+      }
+
+      console.error('OpenAI-compatible insight generation failed:', error.message);
+      throw new Error(`Failed to generate insights: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize a chunk for progressive analysis
+   */
+  async generateChunkSummary(chunkData, context = {}) {
+    let prompt = this._buildChunkSummaryPrompt(chunkData, context);
+    if (prompt.length > 200000) {
+      prompt = prompt.slice(0, 200000) + '\n...';
+    }
+
+    try {
+      const response = await this._chatWithRetry([
+        { role: 'system', content: 'You are a helpful assistant that returns ONLY JSON.' },
+        { role: 'user', content: prompt }
+      ], { maxTokens: 1000 });
+      return this.parseChunkSummary(response?.choices?.[0]?.message?.content, context);
+    } catch (error) {
+      this.throwIfAborted();
+      console.warn('OpenAI-compatible chunk summary failed:', error.message);
+      throw error;
+    }
+  }
+
+  _buildChunkSummaryPrompt(chunkData, context) {
+    const header = `Summarize the following data chunk as compact JSON with shape
+{ "summary": string, "findings": { "wentWell": [{ "title": string, "details": string }], "didntGoWell": [...], "actionItems": [...] } }.
+Rules:
+- summary: 3-5 sentences with key patterns, metrics, and themes.
+- findings: at most 2 per section, only what this chunk's data shows; leave a section empty otherwise.
+- Team-level perspective; avoid PII.
+- Return ONLY JSON.`;
+    const body = JSON.stringify(chunkData, null, 2);
+    const ctx = `Source: ${context?.source || 'unknown'} ${context?.part || ''}`;
+    return `${header}\n\n${ctx}\n\nData:\n${body}\n\nReturn JSON now:`;
+  }
+
+  /**
+   * Sends a chat completion, retrying rate limits, timeouts and server errors
+   * @private
+   */
+  async _chatWithRetry(messages, options = {}) {
+    const maxRetries = this.config.retryAttempts || 3;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await this._chat(messages, options);
+      } catch (error) {
+        this.throwIfAborted();
+        lastError = error;
+
+        if (this._isRetryableError(error) && attempt < maxRetries) {
+          const delay = this._calculateRetryDelay(attempt);
+          console.warn(`OpenAI-compatible request failed, retrying in ${delay}ms (attempt ${attempt}/${maxRetries}):`, error.message);
+          await this._sleep(delay);
+          continue;
+        }
+
+        throw error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Sends one chat completion request
+   * @private
+   */
+  async _chat(messages, { maxTokens = this.config.maxTokens || 4000, json = true, schema = null } = {}) {
+    const body = {
+      model: this.getModel(),
+      messages,
+      max_tokens: maxTokens,
+      temperature: this.config.temperature ?? 0.7
+    };
+    // A schema is sent as json_schema unless jsonMode is 'object', for servers that
+    // only support json_object; jsonMode: false leaves response_format out entirely
+    if (json && this.config.jsonMode !== false) {
+      body.response_format = schema && this.config.jsonMode !== 'object'
+        ? { type: 'json_schema', json_schema: { name: RetroSchema.schemaName, strict: true, schema } }
+        : { type: 'json_object' };
+    }
+
+    const response = await this._makeRequest('/chat/completions', body);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`OpenAI-compatible request failed: ${response.status} ${response.statusText} - ${errorText.slice(0, 500)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Makes a POST request to the server, with the configured auth header
+   * @private
+   */
+  async _makeRequest(path, body) {
+    const timeout = this.config.timeout || 30000;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    this.abortSignal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      this.throwIfAborted();
+      return await fetch(this._url(path), {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      this.throwIfAborted();
+
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${timeout}ms`);
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      this.abortSignal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Full URL for an API path; Azure routes by deployment and api-version
+   * @private
+   */
+  _url(path) {
+    if (!this.azure) {
+      return `${this.endpoint}${path}`;
+    }
+
+    const deployment = encodeURIComponent(this.config.azureDeployment);
+    const apiVersion = encodeURIComponent(this.config.apiVersion || DEFAULT_AZURE_API_VERSION);
+    return `${this.endpoint}/openai/deployments/${deployment}${path}?api-version=${apiVersion}`;
+  }
+
+  /**
+   * Request headers, with the API key when one is configured
+   * @private
+   */
+  _headers() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+
+    if (this.config.apiKey) {
+      const name = this.config.authHeader || (this.azure ? 'api-key' : 'Authorization');
+      headers[name] = name.toLowerCase() === 'authorization' ? `Bearer ${this.config.apiKey}` : this.config.apiKey;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Parses and validates the completion's JSON
+   * @private
+   */
+  _parseResponse(content, response = null, prompt = null) {
+    if (!content) {
+      return this._extractPartialInsights(JSON.stringify(response || {}).slice(0, 1000));
+    }
+
+    try {
+      const cleaned = content.trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/```\s*$/, '')
+        .trim();
+      // Models without a JSON mode may wrap the object in prose
+      const parsed = RetroSchema.extractJson(cleaned);
+      if (!parsed) {
+        throw new Error('No JSON block found');
+      }
+
+      if (!parsed.wentWell || !parsed.didntGoWell) {
+        throw new Error('Response missing required sections');
+      }
+
+      const addMetadata = (insights) => {
+        return (insights || []).map(insight => ({
+          ...insight,
+          source: 'ai',
+          llmProvider: 'openai-compatible',
+          model: this.getModel(),
+          confidence: insight.confidence || 0.7,
+          reasoning: insight.reasoning || 'AI-generated insight'
+        }));
+      };
+
+      return {
+        wentWell: addMetadata(parsed.wentWell),
+        didntGoWell: addMetadata(parsed.didntGoWell),
+        actionItems: addMetadata(parsed.actionItems),
+        metadata: {
+          provider: 'openai-compatible',
+          model: this.getModel(),
+          endpoint: this.endpoint,
+          tokensUsed: response?.usage?.total_tokens || 0,
+          promptTemplate: prompt?.metadata?.template,
+          promptTokens: prompt?.metadata?.estimatedTokens,
+          generatedAt: new Date().toISOString()
+        }
+      };
+    } catch (parseError) {
+      console.error('Failed to parse OpenAI-compatible response:', parseError.message);
+      return this._extractPartialInsights(content);
+    }
+  }
+
+  /**
+   * Extracts partial insights from malformed response
+   * @private
+   */
+  _extractPartialInsights(content) {
+    return {
+      wentWell: [{
+        title: 'AI Analysis Available',
+        details: 'The AI provided analysis but in an unexpected format. Please review the raw output.',
+        source: 'ai',
+        llmProvider: 'openai-compatible',
+        model: this.getModel(),
+        confidence: 0.5,
+        category: 'technical',
+        rawContent: content.substring(0, 500)
+      }],
+      didntGoWell: [],
+      actionItems: [],
+      metadata: {
+        provider: 'openai-compatible',
+        model: this.getModel(),
+        endpoint: this.endpoint,
+        parseError: true,
+        generatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Checks if error is retryable
+   * @private
+   */
+  _isRetryableError(error) {
+    const retryableStatuses = [408, 429, 500, 502, 503, 504];
+    return retryableStatuses.includes(error.status) ||
+           error.message.includes('timeout') ||
+           error.message.includes('ECONNREFUSED') ||
+           error.message.includes('ECONNRESET') ||
+           error.message.includes('ETIMEDOUT');
+  }
+
+  /**
+   * Calculates retry delay with exponential backoff
+   * @private
+   */
+  _calculateRetryDelay(attempt) {
+    const baseDelay = this.config.retryDelay || 1000;
+    const exponentialDelay = baseDelay * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * 0.1 * exponentialDelay; // 10% jitter
+
+    return Math.min(exponentialDelay + jitter, 30000);
+  }
+
+  /**
+   * Sleep utility for delays
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Gets the server's base URL
+   * @returns {string} Base URL
+   */
+  getEndpoint() {
+    return this.endpoint;
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -1,16 +1,50 @@
 import axios from 'axios';
 
+const withReactionCount = (message) => ({
+  ...message,
+  reaction_count: (message.reactions || []).reduce((sum, r) => sum + (r.count || 0), 0)
+});
+
 class SlackService {
-  constructor(botToken) {
+  constructor(botToken, options = {}) {
     this.botToken = botToken;
     this.baseURL = 'https://slack.com/api';
+    this.options = {
+      pageSize: options.pageSize || 200,
+      maxPages: options.maxPages || 10, // per channel or thread
+      maxThreads: options.maxThreads ?? 100, // threads to expand per channel
+      maxChannels: options.maxChannels || 20, // only applies when no channels were selected
+      maxRetries: options.maxRetries ?? 3,
+      retryDelay: options.retryDelay || 1000,
+      maxRateLimitWait: options.maxRateLimitWait || 60000, // give up instead of waiting longer than this
+    };
+    this.sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
   }
 
   async makeRequest(endpoint, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._get(endpoint, params);
+      } catch (error) {
+        const delay = this._getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.options.maxRetries) {
+          throw error;
+        }
+
+        console.warn(`Slack API ${endpoint} ${error.rateLimited ? 'rate limited' : 'failed'}, retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a single Web API request
+   * @private
+   */
+  async _get(endpoint, params) {
     try {
       console.log(`Making Slack API request to: ${endpoint}`);
-      console.log(`Token starts with: ${this.botToken.substring(0, 10)}...`);
-      
+
       const response = await axios.get(`${this.baseURL}/${endpoint}`, {
         headers: {
           'Authorization': `Bearer ${this.botToken}`,
@@ -21,82 +55,307 @@ class SlackService {
 
       if (!response.data.ok) {
         console.error('Slack API error response:', response.data);
-        throw new Error(`Slack API Error: ${response.data.error}`);
+        const error = new Error(`Slack API Error: ${response.data.error}`);
+        error.slackError = response.data.error;
+        error.rateLimited = response.data.error === 'ratelimited';
+        error.headers = response.headers || {};
+        throw error;
       }
 
       return response.data;
     } catch (error) {
+      if (error.slackError) throw error;
       if (error.response?.data) {
         console.error('Slack API error details:', error.response.data);
       }
+      if (error.response?.status === 429) {
+        error.rateLimited = true;
+      }
       console.error('Slack API request failed:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @returns {number|null} Delay in ms, or null if the request should not be retried
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const status = error.response?.status;
+    const backoff = this.options.retryDelay * Math.pow(2, attempt);
+
+    if (error.rateLimited) {
+      const headers = error.headers || error.response?.headers || {};
+      const retryAfter = parseInt(headers['retry-after'], 10);
+      const delay = Number.isNaN(retryAfter) ? backoff : retryAfter * 1000;
+      return delay > this.options.maxRateLimitWait ? null : delay;
+    }
+
+    // API-level errors (channel_not_found, not_in_channel, ...) won't succeed on retry
+    if (error.slackError) return null;
+
+    if ((status && status >= 500) || (!status && error.code)) {
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Follow `response_metadata.next_cursor` until exhausted or capped
+   * @param {string} endpoint - Web API method
+   * @param {Object} params - Query parameters
+   * @param {string} key - Response field holding the page's items
+   * @returns {Promise<{items: Array, truncated: boolean, reason: string|null}>}
+   */
+  async paginate(endpoint, params, key) {
+    const items = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      if (pages >= this.options.maxPages) {
+        return { items, truncated: true, reason: 'max_pages' };
+      }
+
+      let data;
+      try {
+        data = await this.makeRequest(endpoint, {
+          ...params,
+          limit: this.options.pageSize,
+          ...(cursor ? { cursor } : {})
+        });
+      } catch (error) {
+        // Keep what we already have if we were cut off by the rate limit mid-way
+        if (error.rateLimited && pages > 0) {
+          return { items, truncated: true, reason: 'rate_limited' };
+        }
+        throw error;
+      }
+
+      items.push(...(data[key] || []));
+      pages++;
+      cursor = data.response_metadata?.next_cursor;
+    } while (cursor);
+
+    return { items, truncated: false, reason: null };
+  }
+
   async getChannels() {
-    const data = await this.makeRequest('conversations.list', {
+    const { items } = await this.paginate('conversations.list', {
       types: 'public_channel,private_channel',
-      exclude_archived: true,
-      limit: 100
-    });
-    return data.channels;
+      exclude_archived: true
+    }, 'channels');
+    return items;
   }
 
+  /**
+   * List workspace members (needs the users:read scope; emails need users:read.email)
+   * @returns {Promise<Array>} Slack user objects
+   */
+  async getUsers() {
+    const { items } = await this.paginate('users.list', {}, 'members');
+    return items;
+  }
+
+  async getUserInfo(userId) {
+    const data = await this.makeRequest('users.info', { user: userId });
+    return data.user;
+  }
+
+  /**
+   * Fetch a channel's messages in a date range, with thread replies nested under
+   * their parent as `replies` and a `reaction_count` total on every message
+   * @returns {Promise<Array>} Top-level messages
+   */
   async getChannelMessages(channelId, startDate, endDate) {
     const startTimestamp = Math.floor(new Date(startDate).getTime() / 1000);
     const endTimestamp = Math.floor(new Date(endDate).getTime() / 1000);
 
     console.log(`Slack: Fetching messages from ${startTimestamp} to ${endTimestamp} (${startDate} to ${endDate})`);
 
-    const data = await this.makeRequest('conversations.history', {
+    const history = await this.paginate('conversations.history', {
       channel: channelId,
       oldest: startTimestamp,
-      latest: endTimestamp,
-      limit: 100
-    });
+      latest: endTimestamp
+    }, 'messages');
 
-    const messages = data.messages || [];
-    console.log(`Slack: Retrieved ${messages.length} messages for channel ${channelId}`);
-    
-    return messages;
+    const messages = history.items.map(withReactionCount);
+    const threads = messages.filter(msg => msg.reply_count > 0 && msg.thread_ts === msg.ts);
+    if (threads.length > this.options.maxThreads) {
+      console.warn(`Slack: Expanding ${this.options.maxThreads} of ${threads.length} threads in channel ${channelId}`);
+    }
+
+    for (const parent of threads.slice(0, this.options.maxThreads)) {
+      try {
+        const replies = await this.paginate('conversations.replies', {
+          channel: channelId,
+          ts: parent.ts,
+          oldest: startTimestamp,
+          latest: endTimestamp
+        }, 'messages');
+        // The parent message is returned as the first item
+        parent.replies = replies.items.filter(reply => reply.ts !== parent.ts).map(withReactionCount);
+      } catch (error) {
+        if (error.rateLimited) break;
+        console.warn(`Failed to fetch thread ${parent.ts} in channel ${channelId}:`, error.message);
+      }
+    }
+
+    const conversations = SlackService.groupThreads(messages);
+    console.log(`Slack: Retrieved ${messages.length} messages in ${conversations.length} conversations for channel ${channelId}${history.truncated ? ` (truncated: ${history.reason})` : ''}`);
+
+    return conversations;
   }
 
-  async getTeamChannelMessages(startDate, endDate, teamChannels = []) {
-    const channels = await this.getChannels();
-    const allMessages = [];
-
-    // Filter to team channels if specified, otherwise use common dev channels
-    const targetChannels = teamChannels.length > 0 
-      ? channels.filter(ch => teamChannels.includes(ch.name))
-      : channels.filter(ch => 
-          ch.name.includes('dev') || 
-          ch.name.includes('engineering') || 
-          ch.name.includes('team') ||
-          ch.name.includes('general') ||
-          ch.name.includes('standup')
-        );
-
-    console.log(`Fetching messages from ${targetChannels.length} channels:`, 
-      targetChannels.map(ch => ch.name));
-
-    for (const channel of targetChannels.slice(0, 5)) { // Limit to 5 channels for performance
+  /**
+   * Fold thread replies into their parent so each thread is one conversation.
+   * Accepts messages with replies already nested, flat lists where replies carry a
+   * `thread_ts` pointing at their parent, or a mix of both.
+   * @param {Array} messages - Slack messages
+   * @returns {Array} Top-level messages, each with a `replies` array sorted oldest first
+   */
+  static groupThreads(messages = []) {
+    const roots = new Map();
+    const replies = [];
+
+    for (const message of messages) {
+      const isReply = message.thread_ts && message.thread_ts !== message.ts;
+      if (isReply) {
+        replies.push(message);
+      } else {
+        roots.set(message.ts, { ...message, replies: [...(message.replies || [])] });
+      }
+    }
+
+    for (const reply of replies) {
+      const parent = roots.get(reply.thread_ts);
+      if (!parent) {
+        // Parent is outside the range: the reply starts its own conversation
+        roots.set(reply.ts, { ...reply, replies: [] });
+      } else if (!parent.replies.some(r => r.ts === reply.ts)) {
+        parent.replies.push(reply);
+      }
+    }
+
+    // Standalone messages are passed through without an empty replies array
+    return [...roots.values()].map(({ replies: threadReplies, ...root }) => (
+      threadReplies.length > 0
+        ? { ...root, replies: threadReplies.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts)) }
+        : root
+    ));
+  }
+
+  /**
+   * Parse a channel list from SLACK_CHANNELS ("C0123,#incidents") or an array
+   * @param {string|string[]} channels - Channel IDs or names, with or without '#'
+   * @returns {string[]} De-duplicated channel IDs/names
+   */
+  static parseChannelList(channels) {
+    const entries = Array.isArray(channels) ? channels : String(channels || '').split(',');
+    const parsed = [];
+
+    for (const entry of entries) {
+      const value = typeof entry === 'string' ? entry.trim().replace(/^#/, '') : '';
+      if (value && !parsed.includes(value)) parsed.push(value);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Decide which channels to read. Explicitly requested channels are matched by ID
+   * or name; without a selection every channel the bot is a member of is used, up
+   * to `maxChannels`.
+   * @returns {{targets: Array, skipped: Array<{channel: string, reason: string}>}}
+   */
+  selectChannels(channels, requested = []) {
+    const skipped = [];
+
+    if (requested.length === 0) {
+      const memberChannels = channels.filter(ch => ch.is_member !== false);
+      const targets = memberChannels.slice(0, this.options.maxChannels);
+      for (const ch of memberChannels.slice(this.options.maxChannels)) {
+        skipped.push({ channel: ch.name, reason: 'max_channels' });
+      }
+      return { targets, skipped };
+    }
+
+    const targets = [];
+    for (const entry of requested) {
+      const channel = channels.find(ch => ch.id === entry || ch.name === entry);
+      if (!channel) {
+        skipped.push({ channel: entry, reason: 'not_found' });
+      } else if (channel.is_member === false) {
+        skipped.push({ channel: channel.name, reason: 'not_member' });
+      } else if (!targets.includes(channel)) {
+        targets.push(channel);
+      }
+    }
+    return { targets, skipped };
+  }
+
+  /**
+   * Fetch conversations from the selected channels
+   * @param {string} startDate
+   * @param {string} endDate
+   * @param {string[]} requested - Channel IDs or names; empty means all channels the bot is in
+   * @returns {Promise<{messages: Array, channels: string[], skipped: Array<{channel: string, reason: string}>}>}
+   */
+  async fetchTeamChannelMessages(startDate, endDate, requested = []) {
+    const { targets, skipped } = this.selectChannels(await this.getChannels(), requested);
+    const messages = [];
+    const channels = [];
+
+    console.log(`Fetching messages from ${targets.length} channels:`,
+      targets.map(ch => ch.name));
+
+    for (const channel of targets) {
       try {
-        const messages = await this.getChannelMessages(channel.id, startDate, endDate);
-        allMessages.push(...messages.map(msg => ({
+        const conversations = await this.getChannelMessages(channel.id, startDate, endDate);
+        messages.push(...conversations.map(msg => ({
           ...msg,
           channel: channel.name,
           channelId: channel.id
         })));
+        channels.push(channel.name);
       } catch (error) {
         console.warn(`Failed to fetch messages from channel ${channel.name}:`, error.message);
+        skipped.push({ channel: channel.name, reason: error.slackError || error.message });
       }
     }
 
-    return allMessages;
+    return { messages, channels, skipped };
   }
 
-  analyzeMessagesForRetro(messages) {
+  /**
+   * Slack user IDs of everyone who posted, including thread replies
+   * @returns {string[]} Unique user IDs
+   */
+  static userIds(messages = []) {
+    const ids = new Set();
+    const collect = (message) => {
+      if (message.user) ids.add(message.user);
+      (message.replies || []).forEach(collect);
+    };
+    messages.forEach(collect);
+    return [...ids];
+  }
+
+  async getTeamChannelMessages(startDate, endDate, teamChannels = []) {
+    const { messages } = await this.fetchTeamChannelMessages(startDate, endDate, teamChannels);
+    return messages;
+  }
+
+  /**
+   * Rule-based insights for conversations in Slack's shape. Other chat sources
+   * (e.g. imported Teams or Discord exports) reuse them under their own name.
+   * @param {Array} messages - Conversations
+   * @param {Object} options - { source, label } for the insights, default Slack
+   * @returns {Object} { wentWell, didntGoWell, actionItems }
+   */
+  analyzeMessagesForRetro(messages, { source = 'slack', label = 'Slack' } = {}) {
     const wentWell = [];
     const didntGoWell = [];
     const actionItems = [];
@@ -124,65 +383,63 @@ class SlackService {
       'deployment', 'release', 'merge', 'pr', 'pull request'
     ];
 
-    const positiveMessages = messages.filter(msg => 
-      positiveKeywords.some(keyword => 
-        msg.text?.toLowerCase().includes(keyword.toLowerCase())
-      )
-    );
-
-    const negativeMessages = messages.filter(msg => 
-      negativeKeywords.some(keyword => 
-        msg.text?.toLowerCase().includes(keyword.toLowerCase())
-      )
-    );
-
-    const processMessages = messages.filter(msg => 
-      processKeywords.some(keyword => 
-        msg.text?.toLowerCase().includes(keyword.toLowerCase())
-      )
-    );
+    // A thread is one conversation: its parent and replies are judged together
+    const conversations = SlackService.groupThreads(messages)
+      .map(conv => ({ ...conv, replies: conv.replies || [] }));
+    const conversationMessages = (conv) => [conv, ...conv.replies];
+    const conversationText = (conv) =>
+      conversationMessages(conv).map(msg => msg.text || '').join('\n').toLowerCase();
+    const mentionsAny = (conv, keywords) => {
+      const text = conversationText(conv);
+      return keywords.some(keyword => text.includes(keyword.toLowerCase()));
+    };
+
+    const positiveMessages = conversations.filter(conv => mentionsAny(conv, positiveKeywords));
+    const negativeMessages = conversations.filter(conv => mentionsAny(conv, negativeKeywords));
+    const processMessages = conversations.filter(conv => mentionsAny(conv, processKeywords));
 
     // Analyze message patterns
-    const totalMessages = messages.length;
-    const uniqueUsers = new Set(messages.map(msg => msg.user)).size;
+    const allMessages = conversations.flatMap(conversationMessages);
+    const totalMessages = allMessages.length;
+    const totalConversations = conversations.length;
+    const uniqueUsers = new Set(allMessages.map(msg => msg.user)).size;
     const avgMessagesPerUser = totalMessages / uniqueUsers;
+    const threads = conversations.filter(conv => conv.replies.length > 0);
 
-    console.log(`Slack analysis: ${totalMessages} messages from ${uniqueUsers} users`);
-    console.log(`Positive messages: ${positiveMessages.length}, Negative: ${negativeMessages.length}`);
+    console.log(`${label} analysis: ${totalMessages} messages in ${totalConversations} conversations (${threads.length} threads) from ${uniqueUsers} users`);
+    console.log(`Positive conversations: ${positiveMessages.length}, Negative: ${negativeMessages.length}`);
 
     // Positive insights
-    if (positiveMessages.length > totalMessages * 0.1) { // >10% positive
+    if (positiveMessages.length > totalConversations * 0.1) { // >10% positive
       wentWell.push({
-        title: `High team morale in Slack conversations`,
-        details: `${positiveMessages.length} positive messages out of ${totalMessages} total`,
-        source: 'slack',
+        title: `High team morale in ${label} conversations`,
+        details: `${positiveMessages.length} positive conversations out of ${totalConversations} total`,
+        source,
         data: { positiveMessages: positiveMessages.slice(0, 3) }
       });
     }
 
-    // Check for celebration/success messages
-    const celebrationMessages = messages.filter(msg => 
-      msg.text?.toLowerCase().includes('shipped') ||
-      msg.text?.toLowerCase().includes('deployed') ||
-      msg.text?.toLowerCase().includes('released') ||
-      msg.reactions?.some(r => ['tada', 'rocket', 'fire'].includes(r.name))
+    // Check for celebration/success conversations
+    const celebrationMessages = conversations.filter(conv =>
+      mentionsAny(conv, ['shipped', 'deployed', 'released']) ||
+      conversationMessages(conv).some(msg => msg.reactions?.some(r => ['tada', 'rocket', 'fire'].includes(r.name)))
     );
 
     if (celebrationMessages.length > 0) {
       wentWell.push({
         title: `Team celebrated ${celebrationMessages.length} achievements`,
         details: 'Good team culture around recognizing wins',
-        source: 'slack',
+        source,
         data: { celebrationMessages }
       });
     }
 
     // Negative insights
-    if (negativeMessages.length > totalMessages * 0.15) { // >15% negative
+    if (negativeMessages.length > totalConversations * 0.15) { // >15% negative
       didntGoWell.push({
         title: `High frustration signals in team chat`,
-        details: `${negativeMessages.length} messages indicating problems or blockers`,
-        source: 'slack',
+        details: `${negativeMessages.length} conversations indicating problems or blockers`,
+        source,
         data: { negativeMessages: negativeMessages.slice(0, 3) }
       });
 
@@ -190,7 +447,7 @@ class SlackService {
         title: 'Address recurring team frustrations',
         priority: 'medium',
         assignee: 'team',
-        details: 'Multiple frustration signals detected in Slack'
+        details: `Multiple frustration signals detected in ${label}`
       });
     }
 
@@ -199,7 +456,7 @@ class SlackService {
       didntGoWell.push({
         title: 'Low team communication activity',
         details: `Only ${avgMessagesPerUser.toFixed(1)} messages per person on average`,
-        source: 'slack',
+        source,
         data: { totalMessages, uniqueUsers }
       });
 
@@ -211,17 +468,46 @@ class SlackService {
       });
     }
 
-    // Process insights
-    const standupMessages = processMessages.filter(msg => 
-      msg.text?.toLowerCase().includes('standup') ||
-      msg.text?.toLowerCase().includes('daily')
+    // Long threads about blockers are where the real discussion happened
+    const blockerThreads = threads.filter(conv =>
+      conv.replies.length >= 3 && mentionsAny(conv, ['blocked', 'stuck', 'broken', 'failed', 'not working', 'urgent'])
     );
 
+    if (blockerThreads.length > 0) {
+      didntGoWell.push({
+        title: `${blockerThreads.length} long threads about blockers`,
+        details: `Threads: ${blockerThreads
+          .slice(0, 3)
+          .map(conv => `"${(conv.text || '').slice(0, 60)}" (${conv.replies.length} replies)`)
+          .join(', ')}`,
+        source,
+        data: {
+          threads: blockerThreads.map(conv => ({
+            channel: conv.channel,
+            text: conv.text,
+            replies: conv.replies.length,
+            participants: new Set(conversationMessages(conv).map(msg => msg.user)).size,
+            reactions: conversationMessages(conv).reduce((sum, msg) => sum + (msg.reaction_count || 0), 0)
+          }))
+        }
+      });
+
+      actionItems.push({
+        title: `Follow up on blockers discussed in ${label} threads`,
+        priority: 'medium',
+        assignee: 'team',
+        details: 'Turn long blocker threads into tracked issues with an owner'
+      });
+    }
+
+    // Process insights
+    const standupMessages = processMessages.filter(conv => mentionsAny(conv, ['standup', 'daily']));
+
     if (standupMessages.length > 0) {
       wentWell.push({
         title: `Active standup participation`,
-        details: `${standupMessages.length} standup-related messages`,
-        source: 'slack',
+        details: `${standupMessages.length} standup-related conversations`,
+        source,
         data: { standupMessages }
       });
     }
@@ -231,16 +517,16 @@ class SlackService {
       if (totalMessages > 50) {
         wentWell.push({
           title: `Active team communication`,
-          details: `${totalMessages} messages from ${uniqueUsers} team members`,
-          source: 'slack',
-          data: { totalMessages, uniqueUsers }
+          details: `${totalMessages} messages in ${totalConversations} conversations from ${uniqueUsers} team members`,
+          source,
+          data: { totalMessages, totalConversations, threads: threads.length, uniqueUsers }
         });
       }
 
       // Show channel activity breakdown
       const channelActivity = {};
-      messages.forEach(msg => {
-        channelActivity[msg.channel] = (channelActivity[msg.channel] || 0) + 1;
+      conversations.forEach(conv => {
+        channelActivity[conv.channel] = (channelActivity[conv.channel] || 0) + 1 + conv.replies.length;
       });
 
       const mostActiveChannel = Object.entries(channelActivity)
@@ -250,15 +536,15 @@ class SlackService {
         wentWell.push({
           title: `Most active channel: #${mostActiveChannel[0]}`,
           details: `${mostActiveChannel[1]} messages in this channel`,
-          source: 'slack',
+          source,
           data: { channelActivity }
         });
       }
     } else {
       didntGoWell.push({
-        title: 'Limited Slack activity detected',
+        title: `Limited ${label} activity detected`,
         details: 'Bot may need to be added to more team channels',
-        source: 'slack',
+        source,
         data: { totalMessages: 0 }
       });
     }